@@ -0,0 +1,186 @@
+const axios = require('axios');
+
+// Anchor HTTP client
+// Every call to an anchor goes through one client per anchor, which adds:
+//
+//   - a timeout on every call, so a hung anchor can't hang our request
+//   - retries with jittered exponential backoff for GETs that read (TOML,
+//     /info, /transaction...). POSTs, and GETs that create something (SEP-6
+//     /deposit, /withdraw, passed with retry: false), are sent exactly once.
+//   - a circuit breaker: after failureThreshold failures in a row (no answer
+//     or a 5xx) calls fail fast with CircuitOpenError for resetMs, then one
+//     trial call decides whether the anchor is back.
+//
+// 4xx answers are the anchor working as intended and never trip the breaker.
+// Errors are axios errors as before, so lib/errors.js maps them the same way.
+
+const RETRY_STATUSES = [502, 503, 504];
+
+class CircuitOpenError extends Error {
+  constructor(anchor, retryAt) {
+    super(`Calls to anchor ${anchor} are paused after repeated failures, until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.anchor = anchor;
+    this.retryAt = retryAt;
+  }
+}
+
+// No answer at all, or the anchor (or a proxy in front of it) is failing
+const isFailure = (error) => Boolean(error.isAxiosError) && (!error.response || error.response.status >= 500);
+const isRetryable = (error) => Boolean(error.isAxiosError) && (!error.response || RETRY_STATUSES.includes(error.response.status));
+
+/**
+ * closed -> open after failureThreshold failures in a row; open -> half_open
+ * once resetMs has passed, letting one call through; that call closes it
+ * again or reopens it. onChange(state) is called on every transition.
+ */
+function createCircuitBreaker({ name, failureThreshold = 5, resetMs = 30000, now = Date.now, onChange = () => {} }) {
+  let state = 'closed';
+  let failures = 0;
+  let openUntil = 0;
+  let trialInFlight = false;
+
+  const moveTo = (next) => {
+    if (next !== state) {
+      state = next;
+      onChange(next, { failures, retryAt: next === 'open' ? openUntil : null });
+    }
+  };
+
+  // Throws CircuitOpenError when the call must not go out
+  const allow = () => {
+    if (state === 'open' && now() >= openUntil) {
+      moveTo('half_open');
+    }
+    if (state === 'open' || (state === 'half_open' && trialInFlight)) {
+      throw new CircuitOpenError(name, openUntil);
+    }
+    if (state === 'half_open') {
+      trialInFlight = true;
+    }
+  };
+
+  const success = () => {
+    failures = 0;
+    trialInFlight = false;
+    moveTo('closed');
+  };
+
+  const failure = () => {
+    failures += 1;
+    trialInFlight = false;
+    if (state === 'half_open' || failures >= failureThreshold) {
+      openUntil = now() + resetMs;
+      moveTo('open');
+    }
+  };
+
+  // A call that ended without telling us anything about the anchor
+  const release = () => {
+    trialInFlight = false;
+  };
+
+  return {
+    allow,
+    success,
+    failure,
+    release,
+    get state() {
+      return state;
+    },
+    describe: () => ({ state, failures, retryAt: state === 'open' ? new Date(openUntil).toISOString() : null }),
+  };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * An axios-like client ({ request, get, post, put, delete }) for one anchor.
+ * name labels the breaker in errors and logs.
+ */
+function createAnchorClient({
+  name,
+  timeoutMs = 10000,
+  retries = 2,
+  backoffMs = 250,
+  maxBackoffMs = 2000,
+  failureThreshold = 5,
+  resetMs = 30000,
+  http = axios,
+  random = Math.random,
+  sleep = wait,
+  now = Date.now,
+  onStateChange = (state, info) => console.warn(
+    `Anchor ${name}: circuit ${state}${state === 'open' ? ` after ${info.failures} failure(s), retrying at ${new Date(info.retryAt).toISOString()}` : ''}`
+  ),
+}) {
+  const breaker = createCircuitBreaker({ name, failureThreshold, resetMs, now, onChange: onStateChange });
+
+  // Full jitter: anywhere between 0 and the exponential step, so clients
+  // that failed together don't retry together
+  const backoff = (attempt) => random() * Math.min(maxBackoffMs, backoffMs * 2 ** attempt);
+
+  const request = async ({ retry, ...config }) => {
+    const method = (config.method || 'get').toLowerCase();
+    const attempts = (retry ?? method === 'get') ? retries + 1 : 1;
+
+    for (let attempt = 0; ; attempt += 1) {
+      breaker.allow();
+      try {
+        const response = await http.request({ timeout: timeoutMs, ...config, method });
+        breaker.success();
+        return response;
+      } catch (error) {
+        if (isFailure(error)) {
+          breaker.failure();
+        } else if (error.isAxiosError) {
+          breaker.success();
+        } else {
+          breaker.release();
+        }
+        if (attempt + 1 >= attempts || !isRetryable(error) || breaker.state === 'open') {
+          throw error;
+        }
+        const delay = backoff(attempt);
+        console.warn(`Anchor ${name}: ${method.toUpperCase()} ${config.url} failed (${error.response?.status || error.code || error.message}), retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  };
+
+  return {
+    request,
+    get: (url, config = {}) => request({ ...config, url, method: 'get' }),
+    delete: (url, config = {}) => request({ ...config, url, method: 'delete' }),
+    post: (url, data, config = {}) => request({ ...config, url, data, method: 'post' }),
+    put: (url, data, config = {}) => request({ ...config, url, data, method: 'put' }),
+    breaker,
+  };
+}
+
+/**
+ * One client (and breaker) per anchor, created on first use. Anchors are
+ * keyed by home domain, which is what the TOML resolver knows them by.
+ */
+function createAnchorHttp(options = {}) {
+  const clients = new Map();
+
+  const client = (homeDomain) => {
+    if (!clients.has(homeDomain)) {
+      clients.set(homeDomain, createAnchorClient({ ...options, name: homeDomain }));
+    }
+    return clients.get(homeDomain);
+  };
+
+  const describe = () => Object.fromEntries([...clients].map(([homeDomain, c]) => [homeDomain, c.breaker.describe()]));
+
+  return { client, describe };
+}
+
+module.exports = {
+  CircuitOpenError,
+  createCircuitBreaker,
+  createAnchorClient,
+  createAnchorHttp,
+};
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const { normalizeHomeDomain } = require('./toml');
+
+// Anchor registry
+// The anchors this backend can talk to, read from a JSON config file:
+//
+//   { "default": "sdf", "anchors": [{ "id": "sdf", "name": "SDF Test Anchor", "homeDomain": "testanchor.stellar.org" }] }
+//
+// Without a file the registry holds a single "default" anchor for HOME_DOMAIN.
+
+const ANCHOR_ID = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+class AnchorError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AnchorError';
+    this.code = code;
+  }
+}
+
+function createAnchorRegistry({ anchors, default: defaultId }, { source = 'anchor registry' } = {}) {
+  if (!Array.isArray(anchors) || anchors.length === 0) {
+    throw new AnchorError('INVALID_REGISTRY', `${source} must list at least one anchor`);
+  }
+
+  const byId = new Map();
+  for (const [idx, entry] of anchors.entries()) {
+    if (!entry || !ANCHOR_ID.test(entry.id || '')) {
+      throw new AnchorError('INVALID_REGISTRY', `${source}: anchors[${idx}] needs an id of letters, digits, - or _`);
+    }
+    if (byId.has(entry.id)) {
+      throw new AnchorError('INVALID_REGISTRY', `${source}: duplicate anchor id ${entry.id}`);
+    }
+    if (typeof entry.homeDomain !== 'string' || !entry.homeDomain) {
+      throw new AnchorError('INVALID_REGISTRY', `${source}: anchor ${entry.id} has no homeDomain`);
+    }
+    // Same normalization the TOML resolver applies, so bad domains fail at startup
+    try {
+      normalizeHomeDomain(entry.homeDomain, { allowHttp: true });
+    } catch (err) {
+      throw new AnchorError('INVALID_REGISTRY', `${source}: anchor ${entry.id}: ${err.message}`);
+    }
+
+    byId.set(entry.id, {
+      id: entry.id,
+      name: entry.name || null,
+      homeDomain: entry.homeDomain,
+    });
+  }
+
+  if (defaultId !== undefined && !byId.has(defaultId)) {
+    throw new AnchorError('INVALID_REGISTRY', `${source}: default anchor ${defaultId} is not listed`);
+  }
+  const fallbackId = defaultId ?? anchors[0].id;
+
+  // No id means the default anchor, so single-anchor setups need no changes
+  const get = (id) => {
+    const anchor = byId.get(id || fallbackId);
+    if (!anchor) {
+      throw new AnchorError('UNKNOWN_ANCHOR', `Unknown anchor: ${id}`);
+    }
+    return anchor;
+  };
+
+  return {
+    defaultId: fallbackId,
+    list: () => [...byId.values()],
+    get,
+  };
+}
+
+function loadAnchorRegistry({ file, homeDomain }) {
+  if (!file) {
+    return createAnchorRegistry({ anchors: [{ id: 'default', homeDomain }] });
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new AnchorError('INVALID_REGISTRY', `Could not read anchor registry ${file}: ${err.message}`);
+  }
+  return createAnchorRegistry(config, { source: file });
+}
+
+module.exports = {
+  AnchorError,
+  createAnchorRegistry,
+  loadAnchorRegistry,
+};
@@ -0,0 +1,79 @@
+const StellarSdk = require('stellar-sdk');
+
+// SEP-24 on_change_callback verification
+// Anchors sign "<timestamp>.<host>.<body>" with their SIGNING_KEY and send it
+// as `Signature: t=<timestamp>, s=<base64 signature>`. We accept a callback
+// only if the signature checks out, it is recent, and we haven't seen it yet.
+
+// How old (or how far in the future) a callback timestamp may be
+const MAX_CALLBACK_AGE_SECONDS = 120;
+
+class CallbackError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CallbackError';
+    this.code = code;
+  }
+}
+
+function parseSignatureHeader(header) {
+  if (!header) {
+    throw new CallbackError('SIGNATURE_MISSING', 'Callback has no Signature header');
+  }
+
+  const fields = Object.fromEntries(String(header).split(',').map((part) => {
+    const idx = part.indexOf('=');
+    return [part.slice(0, idx).trim(), part.slice(idx + 1).trim()];
+  }));
+
+  const timestamp = Number(fields.t);
+  if (!Number.isInteger(timestamp) || !fields.s) {
+    throw new CallbackError('SIGNATURE_MALFORMED', 'Signature header must look like "t=<timestamp>, s=<signature>"');
+  }
+  return { timestamp, signature: fields.s };
+}
+
+// Throws a CallbackError unless the header is a fresh signature by signingKey
+function verifyCallbackSignature({ header, body, host, signingKey, now = Math.floor(Date.now() / 1000) }) {
+  const { timestamp, signature } = parseSignatureHeader(header);
+
+  if (Math.abs(now - timestamp) > MAX_CALLBACK_AGE_SECONDS) {
+    throw new CallbackError('SIGNATURE_STALE', `Callback timestamp is ${now - timestamp}s old`);
+  }
+
+  const payload = Buffer.from(`${timestamp}.${host}.${body}`);
+  let valid = false;
+  try {
+    valid = StellarSdk.Keypair.fromPublicKey(signingKey).verify(payload, Buffer.from(signature, 'base64'));
+  } catch {
+    valid = false;
+  }
+  if (!valid) {
+    throw new CallbackError('SIGNATURE_INVALID', 'Callback signature does not match the anchor SIGNING_KEY');
+  }
+
+  return { timestamp, signature };
+}
+
+// Remembers signatures for as long as they could still pass the age check
+function createReplayGuard({ windowSeconds = MAX_CALLBACK_AGE_SECONDS * 2 } = {}) {
+  const seen = new Map();
+
+  const check = (signature, now = Math.floor(Date.now() / 1000)) => {
+    for (const [key, expiresAt] of seen) {
+      if (expiresAt < now) seen.delete(key);
+    }
+    if (seen.has(signature)) {
+      throw new CallbackError('CALLBACK_REPLAYED', 'Callback has already been received');
+    }
+    seen.set(signature, now + windowSeconds);
+  };
+
+  return { check };
+}
+
+module.exports = {
+  CallbackError,
+  verifyCallbackSignature,
+  createReplayGuard,
+};
@@ -0,0 +1,181 @@
+const StellarSdk = require('stellar-sdk');
+
+// SEP-10 challenge verification
+// Runs the wallet-side checks from SEP-10 on an anchor challenge before the
+// backend adds its client_domain signature, so our key can't be used to sign
+// arbitrary transactions.
+
+// Allow a little clock drift between us and the anchor
+const CLOCK_SKEW_SECONDS = 60;
+
+class ChallengeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ChallengeError';
+    this.code = code;
+  }
+}
+
+const hostOf = (value) => {
+  try {
+    return new URL(value).host;
+  } catch {
+    return value;
+  }
+};
+
+function parseChallenge(challengeXdr, networkPassphrase) {
+  let txn;
+  try {
+    txn = StellarSdk.TransactionBuilder.fromXDR(challengeXdr, networkPassphrase);
+  } catch (err) {
+    throw new ChallengeError('INVALID_XDR', `Challenge is not a valid transaction envelope: ${err.message}`);
+  }
+
+  if (txn instanceof StellarSdk.FeeBumpTransaction) {
+    throw new ChallengeError('INVALID_XDR', 'Challenge cannot be a fee bump transaction');
+  }
+
+  return txn;
+}
+
+function checkTimebounds(txn, now) {
+  const timeBounds = txn.timeBounds;
+  if (!timeBounds) {
+    throw new ChallengeError('MISSING_TIMEBOUNDS', 'Challenge has no timebounds');
+  }
+
+  const minTime = Number(timeBounds.minTime);
+  const maxTime = Number(timeBounds.maxTime);
+
+  if (maxTime === 0) {
+    throw new ChallengeError('INVALID_TIMEBOUNDS', 'Challenge has an infinite maxTime');
+  }
+  if (now + CLOCK_SKEW_SECONDS < minTime) {
+    throw new ChallengeError('INVALID_TIMEBOUNDS', 'Challenge is not valid yet');
+  }
+  if (now - CLOCK_SKEW_SECONDS > maxTime) {
+    throw new ChallengeError('EXPIRED', 'Challenge has expired');
+  }
+}
+
+function checkAuthOperation(op, homeDomain) {
+  if (!op || op.type !== 'manageData') {
+    throw new ChallengeError('INVALID_OPERATION', 'First operation must be a ManageData operation');
+  }
+  if (!op.source) {
+    throw new ChallengeError('INVALID_OPERATION', 'First operation has no source account');
+  }
+  if (op.name !== `${homeDomain} auth`) {
+    throw new ChallengeError(
+      'INVALID_HOME_DOMAIN',
+      `First operation key is "${op.name}", expected "${homeDomain} auth"`
+    );
+  }
+  if (!op.value || op.value.length !== 64 || Buffer.from(op.value.toString(), 'base64').length !== 48) {
+    throw new ChallengeError('INVALID_OPERATION', 'First operation value must be a 48 byte base64 nonce');
+  }
+}
+
+/**
+ * Verify an anchor-issued SEP-10 challenge.
+ *
+ * Throws a ChallengeError whose `code` names the failed check. On success
+ * returns the parsed transaction, the client account it authenticates (G or
+ * muxed M address), its ID memo, if any, and which of clientSigningKeys
+ * (our current key, or the previous one during a rotation) the anchor named
+ * for the client_domain operation.
+ */
+function verifyChallenge(challengeXdr, {
+  networkPassphrase,
+  serverSigningKey,
+  homeDomain,
+  webAuthEndpoint,
+  clientDomain,
+  clientSigningKeys,
+  now = Math.floor(Date.now() / 1000),
+}) {
+  const txn = parseChallenge(challengeXdr, networkPassphrase);
+
+  if (txn.source !== serverSigningKey) {
+    throw new ChallengeError(
+      'INVALID_SOURCE',
+      `Challenge source account ${txn.source} is not the anchor SIGNING_KEY ${serverSigningKey}`
+    );
+  }
+
+  if (txn.sequence !== '0') {
+    throw new ChallengeError('INVALID_SEQUENCE', `Challenge sequence number must be 0, got ${txn.sequence}`);
+  }
+
+  checkTimebounds(txn, now);
+
+  const [authOp, ...otherOps] = txn.operations;
+  checkAuthOperation(authOp, homeDomain);
+
+  let clientSigningKey = null;
+
+  for (const op of otherOps) {
+    if (op.type !== 'manageData') {
+      throw new ChallengeError('UNEXPECTED_OPERATION', `Unexpected ${op.type} operation in challenge`);
+    }
+
+    const value = op.value ? op.value.toString() : '';
+
+    if (op.name === 'client_domain') {
+      if (value !== clientDomain) {
+        throw new ChallengeError(
+          'INVALID_CLIENT_DOMAIN',
+          `client_domain is "${value}", expected "${clientDomain}"`
+        );
+      }
+      if (!clientSigningKeys.includes(op.source)) {
+        throw new ChallengeError(
+          'INVALID_CLIENT_DOMAIN',
+          `client_domain operation source ${op.source} is not one of our signing keys (${clientSigningKeys.join(', ')})`
+        );
+      }
+      clientSigningKey = op.source;
+      continue;
+    }
+
+    if (op.source !== serverSigningKey) {
+      throw new ChallengeError(
+        'UNEXPECTED_OPERATION',
+        `Operation "${op.name}" has source ${op.source}, only the anchor may add extra operations`
+      );
+    }
+
+    if (op.name === 'web_auth_domain' && value !== hostOf(webAuthEndpoint)) {
+      throw new ChallengeError(
+        'INVALID_WEB_AUTH_DOMAIN',
+        `web_auth_domain is "${value}", expected "${hostOf(webAuthEndpoint)}"`
+      );
+    }
+  }
+
+  if (!clientSigningKey) {
+    throw new ChallengeError('MISSING_CLIENT_DOMAIN', 'Challenge has no client_domain operation');
+  }
+
+  // SEP-10 memos identify users of a shared account: ID memos only, and
+  // never together with a muxed account
+  const memo = txn.memo.type === StellarSdk.MemoNone ? null : txn.memo;
+  if (memo && memo.type !== StellarSdk.MemoID) {
+    throw new ChallengeError('INVALID_MEMO', `Challenge memo must be an ID memo, got ${memo.type}`);
+  }
+  if (memo && authOp.source.startsWith('M')) {
+    throw new ChallengeError('INVALID_MEMO', 'Challenge for a muxed account cannot also have a memo');
+  }
+
+  if (!StellarSdk.WebAuth.verifyTxSignedBy(txn, serverSigningKey)) {
+    throw new ChallengeError('MISSING_SERVER_SIGNATURE', 'Challenge is not signed by the anchor SIGNING_KEY');
+  }
+
+  return { txn, clientAccount: authOp.source, memo: memo ? memo.value : null, clientSigningKey };
+}
+
+module.exports = {
+  ChallengeError,
+  verifyChallenge,
+};
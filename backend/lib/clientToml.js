@@ -0,0 +1,133 @@
+const StellarSdk = require('stellar-sdk');
+
+// This app's own stellar.toml (client_domain identity)
+// Anchors fetch it from CLIENT_DOMAIN to learn which key signs our
+// client_domain operations, so it is generated from the configured signer
+// instead of kept by hand next to it.
+//
+// Rotating the key: set CLIENT_SIGNING_KEY to the new secret and
+// CLIENT_SIGNING_KEY_PREVIOUS to the old one with a grace deadline. Only the
+// new key is published, but an anchor that still has our old TOML cached puts
+// the old key in its challenges; we keep signing those with the old key until
+// the deadline.
+
+// SEP-1 [DOCUMENTATION] fields we publish when they are configured
+const DOCUMENTATION_FIELDS = [
+  'ORG_NAME',
+  'ORG_DBA',
+  'ORG_URL',
+  'ORG_LOGO',
+  'ORG_DESCRIPTION',
+  'ORG_PHYSICAL_ADDRESS',
+  'ORG_OFFICIAL_EMAIL',
+  'ORG_SUPPORT_EMAIL',
+  'ORG_TWITTER',
+  'ORG_GITHUB',
+];
+
+class ClientKeyError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ClientKeyError';
+    this.code = code;
+  }
+}
+
+const keypairFrom = (secret, name) => {
+  try {
+    return StellarSdk.Keypair.fromSecret(secret);
+  } catch {
+    throw new ClientKeyError('INVALID_SIGNING_KEY', `${name} is not a valid Stellar secret key`);
+  }
+};
+
+/**
+ * The keys we sign client_domain operations with: the current one, plus the
+ * previous one until previousValidUntil (anything Date can parse).
+ */
+function createClientKeyring({ current, previous = null, previousValidUntil = null, now = () => new Date() }) {
+  const currentKeypair = keypairFrom(current, 'CLIENT_SIGNING_KEY');
+
+  let previousKeypair = null;
+  let graceUntil = null;
+  if (previous) {
+    previousKeypair = keypairFrom(previous, 'CLIENT_SIGNING_KEY_PREVIOUS');
+    graceUntil = Date.parse(previousValidUntil);
+    if (!previousValidUntil || Number.isNaN(graceUntil)) {
+      throw new ClientKeyError(
+        'INVALID_GRACE_PERIOD',
+        'CLIENT_SIGNING_KEY_PREVIOUS needs CLIENT_SIGNING_KEY_GRACE_UNTIL set to a date'
+      );
+    }
+  }
+
+  const previousActive = () => previousKeypair !== null && now().getTime() < graceUntil;
+
+  const validKeys = () => [
+    currentKeypair.publicKey(),
+    ...(previousActive() ? [previousKeypair.publicKey()] : []),
+  ];
+
+  // Null for keys that aren't ours or whose grace period is over
+  const keypairFor = (publicKey) => {
+    if (publicKey === currentKeypair.publicKey()) {
+      return currentKeypair;
+    }
+    if (previousActive() && publicKey === previousKeypair.publicKey()) {
+      return previousKeypair;
+    }
+    return null;
+  };
+
+  const describe = () => ({
+    signingKey: currentKeypair.publicKey(),
+    previous: previousKeypair && {
+      signingKey: previousKeypair.publicKey(),
+      validUntil: new Date(graceUntil).toISOString(),
+      active: previousActive(),
+    },
+  });
+
+  return {
+    signingKey: currentKeypair.publicKey(),
+    validKeys,
+    keypairFor,
+    describe,
+  };
+}
+
+// The [DOCUMENTATION] fields present in env (ORG_NAME, ORG_URL, ...)
+const documentationFromEnv = (env) => Object.fromEntries(
+  DOCUMENTATION_FIELDS.filter((field) => env[field]).map((field) => [field, env[field]])
+);
+
+// JSON string escapes are all valid TOML basic-string escapes
+const tomlString = (value) => JSON.stringify(String(value));
+
+/**
+ * Render the stellar.toml served at /.well-known/stellar.toml.
+ */
+function renderClientToml({ signingKey, networkPassphrase, documentation = {} }) {
+  const lines = [
+    '# Generated from this backend\'s configuration',
+    `NETWORK_PASSPHRASE=${tomlString(networkPassphrase)}`,
+    `SIGNING_KEY=${tomlString(signingKey)}`,
+  ];
+
+  const fields = DOCUMENTATION_FIELDS.filter((field) => documentation[field]);
+  if (fields.length > 0) {
+    lines.push('', '[DOCUMENTATION]');
+    for (const field of fields) {
+      lines.push(`${field}=${tomlString(documentation[field])}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  ClientKeyError,
+  createClientKeyring,
+  documentationFromEnv,
+  renderClientToml,
+};
@@ -0,0 +1,188 @@
+const { normalizeHomeDomain } = require('./toml');
+const { AnchorError, loadAnchorRegistry } = require('./anchors');
+const { ClientKeyError, createClientKeyring, documentationFromEnv } = require('./clientToml');
+const { NetworkError, resolveNetwork } = require('./networks');
+
+// Configuration
+// Everything the backend reads from the environment, checked once at
+// startup. A bad value stops the server with a message naming it, instead of
+// failing the first user who clicks through the UI. Problems are collected,
+// so one run reports all of them.
+//
+// Settings keep their environment variable names; the active network
+// profile (NETWORK), the parsed client_domain keyring and the anchor registry
+// come back alongside them.
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.code = 'INVALID_CONFIG';
+    this.problems = problems;
+  }
+}
+
+const stripSlash = (value) => value.replace(/\/+$/, '');
+
+function loadConfig(env, { defaultStoreFile = null } = {}) {
+  const problems = [];
+
+  const number = (name, fallback, { positive = false, integer = false } = {}) => {
+    const raw = env[name];
+    if (raw === undefined || raw === '') {
+      return fallback;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < 0 || (positive && value === 0) || (integer && !Number.isInteger(value))) {
+      const kind = `${positive ? 'positive' : 'non-negative'} ${integer ? 'integer' : 'number'}`;
+      problems.push(`${name} must be a ${kind}, got "${raw}"`);
+      return fallback;
+    }
+    return value;
+  };
+
+  // Absolute http(s) URLs: "horizon.example.com" would be taken as a path
+  const url = (name, value) => {
+    let parsed;
+    try {
+      parsed = new URL(value);
+    } catch {
+      problems.push(`${name} must be an absolute URL with http:// or https://, got "${value}"`);
+      return value;
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+      problems.push(`${name} must use http:// or https://, got "${value}"`);
+    }
+    return stripSlash(value);
+  };
+
+  const ALLOW_HTTP = env.ALLOW_HTTP === 'true';
+
+  // Anchors: either a registry file or HOME_DOMAIN
+  const HOME_DOMAIN = env.HOME_DOMAIN || 'anchor-stage.owlpay.com';
+  const ANCHORS_FILE = env.ANCHORS_FILE || null;
+  let anchorRegistry = null;
+  try {
+    anchorRegistry = loadAnchorRegistry({ file: ANCHORS_FILE, homeDomain: HOME_DOMAIN });
+    for (const anchor of anchorRegistry.list()) {
+      const where = ANCHORS_FILE ? `${ANCHORS_FILE}: anchor ${anchor.id}` : 'HOME_DOMAIN';
+      try {
+        // The registry accepts http:// so local registries load; the resolver won't without ALLOW_HTTP
+        normalizeHomeDomain(anchor.homeDomain, { allowHttp: ALLOW_HTTP });
+      } catch (err) {
+        problems.push(`${where}: ${err.message}${ALLOW_HTTP ? '' : ' (set ALLOW_HTTP=true for local anchors)'}`);
+        continue;
+      }
+      const withScheme = /^[a-z]+:\/\//i.test(anchor.homeDomain) ? anchor.homeDomain : `https://${anchor.homeDomain}`;
+      const { pathname, search } = new URL(withScheme);
+      if (pathname !== '/' || search) {
+        problems.push(`${where}: home domain must be a domain, not a page URL: ${anchor.homeDomain}`);
+      }
+    }
+  } catch (err) {
+    if (!(err instanceof AnchorError)) {
+      throw err;
+    }
+    problems.push(err.message);
+  }
+
+  // A host name (and port), as it appears in the SEP-10 client_domain operation
+  const CLIENT_DOMAIN = env.CLIENT_DOMAIN || 'w1lics-ip-220-133-81-12.tunnelmole.net';
+  if (!/^[a-z0-9.-]+(:\d+)?$/i.test(CLIENT_DOMAIN)) {
+    problems.push(`CLIENT_DOMAIN must be a bare domain like wallet.example.com, got "${CLIENT_DOMAIN}"`);
+  }
+
+  let clientKeys = null;
+  if (!env.CLIENT_SIGNING_KEY) {
+    problems.push('CLIENT_SIGNING_KEY is not set: it is the secret key for client_domain signing');
+  } else {
+    try {
+      clientKeys = createClientKeyring({
+        current: env.CLIENT_SIGNING_KEY,
+        previous: env.CLIENT_SIGNING_KEY_PREVIOUS || null,
+        previousValidUntil: env.CLIENT_SIGNING_KEY_GRACE_UNTIL || null,
+      });
+    } catch (err) {
+      if (!(err instanceof ClientKeyError)) {
+        throw err;
+      }
+      problems.push(err.message);
+    }
+  }
+
+  let NETWORK = null;
+  try {
+    NETWORK = resolveNetwork({
+      network: env.STELLAR_NETWORK || 'testnet',
+      passphrase: env.NETWORK_PASSPHRASE || null,
+      horizonUrl: env.HORIZON_URL || null,
+    });
+  } catch (err) {
+    if (!(err instanceof NetworkError)) {
+      throw err;
+    }
+    problems.push(err.message);
+  }
+
+  const PORT = number('PORT', 3001, { integer: true });
+  if (PORT > 65535) {
+    problems.push(`PORT must be at most 65535, got ${PORT}`);
+  }
+  const TOML_CACHE_TTL = number('TOML_CACHE_TTL', 300);
+  const SEP24_POLL_MIN_INTERVAL = number('SEP24_POLL_MIN_INTERVAL', 2, { positive: true });
+  const SEP24_POLL_MAX_INTERVAL = number('SEP24_POLL_MAX_INTERVAL', 60, { positive: true });
+  if (SEP24_POLL_MIN_INTERVAL > SEP24_POLL_MAX_INTERVAL) {
+    problems.push(`SEP24_POLL_MIN_INTERVAL (${SEP24_POLL_MIN_INTERVAL}) is above SEP24_POLL_MAX_INTERVAL (${SEP24_POLL_MAX_INTERVAL})`);
+  }
+
+  // Anchor calls (lib/anchorHttp.js)
+  const ANCHOR_TIMEOUT = number('ANCHOR_TIMEOUT', 10, { positive: true });
+  const ANCHOR_RETRIES = number('ANCHOR_RETRIES', 2, { integer: true });
+  const ANCHOR_BREAKER_THRESHOLD = number('ANCHOR_BREAKER_THRESHOLD', 5, { positive: true, integer: true });
+  const ANCHOR_BREAKER_RESET = number('ANCHOR_BREAKER_RESET', 30, { positive: true });
+
+  const HORIZON_URL = NETWORK && url('HORIZON_URL', NETWORK.horizonUrl);
+  // Horizon waits up to 30s for a submitted transaction to make a ledger
+  const HORIZON_TIMEOUT = number('HORIZON_TIMEOUT', 35, { positive: true });
+  const PUBLIC_URL = url('PUBLIC_URL', env.PUBLIC_URL || `https://${CLIENT_DOMAIN}`);
+  // Empty disables callbacks
+  const SEP24_CALLBACK_URL = env.SEP24_CALLBACK_URL === ''
+    ? ''
+    : url('SEP24_CALLBACK_URL', env.SEP24_CALLBACK_URL ?? `${PUBLIC_URL}/api/sep24/callback`);
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return {
+    HOME_DOMAIN,
+    ANCHORS_FILE,
+    CLIENT_DOMAIN,
+    NETWORK: { ...NETWORK, horizonUrl: HORIZON_URL },
+    NETWORK_PASSPHRASE: NETWORK.passphrase,
+    PORT,
+    TOML_CACHE_TTL,
+    ALLOW_HTTP,
+    HORIZON_URL,
+    HORIZON_TIMEOUT,
+    SEP24_POLL_MIN_INTERVAL,
+    SEP24_POLL_MAX_INTERVAL,
+    ANCHOR_TIMEOUT,
+    ANCHOR_RETRIES,
+    ANCHOR_BREAKER_THRESHOLD,
+    ANCHOR_BREAKER_RESET,
+    PUBLIC_URL,
+    SEP24_CALLBACK_URL,
+    // Empty keeps the audit trail in memory only
+    STORE_FILE: env.STORE_FILE ?? defaultStoreFile,
+    AUDIT_API_KEY: env.AUDIT_API_KEY || null,
+    DOCUMENTATION: documentationFromEnv(env),
+    clientKeys,
+    anchorRegistry,
+  };
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+};
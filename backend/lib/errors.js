@@ -0,0 +1,259 @@
+// API errors
+// Every error response from the API has the same shape:
+//
+//   { error, code, reason?, details?, upstream? }
+//
+//   error    - what went wrong, as a sentence for people
+//   code     - stable category a client can switch on (ERROR_CODES)
+//   reason   - the specific check that failed, where there is one
+//              (INVALID_MEMO, AMOUNT_TOO_LOW, TOKEN_EXPIRED, ...)
+//   details  - the anchor's or Horizon's error body, or extra context
+//   upstream - { service, status } when an anchor or Horizon answered
+//
+// An anchor's 4xx keeps its status: it means the same thing to our caller
+// (bad input, expired token, KYC needed, unknown transaction). Anchor 5xx
+// answers become 502, and anchors we can't reach 502 or 504 on a timeout.
+// An anchor whose circuit breaker is open answers 503 at once.
+
+const ERROR_CODES = {
+  INVALID_REQUEST: 'The request is missing a field or has an invalid value',
+  AUTH_REQUIRED: 'No SEP-10 token was sent',
+  TOKEN_EXPIRED: 'The SEP-10 token has expired',
+  TOKEN_INVALID: 'The SEP-10 token is malformed, not yet valid or from another anchor',
+  TOKEN_REJECTED: 'The anchor no longer accepts the SEP-10 token',
+  ACCOUNT_MISMATCH: 'The token is for a different account or user',
+  FORBIDDEN: 'The request is not allowed',
+  CHALLENGE_INVALID: 'The SEP-10 challenge failed verification',
+  NETWORK_MISMATCH: 'The anchor or the client is on a different Stellar network',
+  SIGNATURE_INVALID: 'A signature or signer was not accepted',
+  ASSET_UNSUPPORTED: 'The anchor does not support this asset for this operation',
+  AMOUNT_INVALID: 'The amount is malformed or outside the anchor limits',
+  PAYMENT_INVALID: 'The withdrawal payment does not match what the anchor asked for',
+  CUSTOMER_INFO_NEEDED: 'The anchor needs more KYC information first',
+  UNKNOWN_ANCHOR: 'No anchor with this id is configured',
+  NOT_FOUND: 'The resource does not exist or has expired',
+  CONFLICT: 'The resource is not in a state that allows this',
+  TOML_INVALID: "The anchor's stellar.toml is missing, malformed or lacks a required field",
+  ANCHOR_UNREACHABLE: 'The anchor did not answer',
+  ANCHOR_REJECTED: 'The anchor refused the request',
+  ANCHOR_ERROR: 'The anchor failed to handle the request',
+  ANCHOR_UNAVAILABLE: 'Calls to the anchor are paused after repeated failures',
+  HORIZON_UNREACHABLE: 'Horizon did not answer',
+  HORIZON_REJECTED: 'Horizon refused the transaction',
+  HORIZON_ERROR: 'Horizon failed to handle the request',
+  CALLBACK_INVALID: 'The anchor callback signature was not accepted',
+  UNAUTHORIZED: 'Credentials are missing or wrong',
+  UNAVAILABLE: 'The feature is switched off or busy',
+  INTERNAL_ERROR: 'Something went wrong in this backend',
+};
+
+// Specific reasons that have a category of their own
+const REASON_CODES = {
+  TOKEN_MISSING: 'AUTH_REQUIRED',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  TOKEN_MALFORMED: 'TOKEN_INVALID',
+  TOKEN_NOT_YET_VALID: 'TOKEN_INVALID',
+  TOKEN_ISSUER_MISMATCH: 'TOKEN_INVALID',
+  ACCOUNT_MISMATCH: 'ACCOUNT_MISMATCH',
+  NETWORK_MISMATCH: 'NETWORK_MISMATCH',
+  ASSET_NOT_SUPPORTED: 'ASSET_UNSUPPORTED',
+  INVALID_AMOUNT: 'AMOUNT_INVALID',
+  AMOUNT_TOO_LOW: 'AMOUNT_INVALID',
+  AMOUNT_TOO_HIGH: 'AMOUNT_INVALID',
+  UNKNOWN_ANCHOR: 'UNKNOWN_ANCHOR',
+  AUDIT_DISABLED: 'UNAVAILABLE',
+  AUDIT_KEY_INVALID: 'UNAUTHORIZED',
+};
+
+// Our typed errors (by name, so this module needs none of them): the status
+// they answer with and their category when the reason has none of its own
+const TYPED_ERRORS = {
+  ChallengeError: { status: 400, code: 'CHALLENGE_INVALID' },
+  TokenError: { status: 401, code: 'TOKEN_INVALID' },
+  TransferError: { status: 400, code: 'INVALID_REQUEST' },
+  PaymentError: { status: 400, code: 'PAYMENT_INVALID' },
+  MultisigError: { status: 400, code: 'SIGNATURE_INVALID' },
+  SigningError: { status: 400, code: 'SIGNATURE_INVALID' },
+  CallbackError: { status: 401, code: 'CALLBACK_INVALID' },
+  StoreError: { status: 400, code: 'INVALID_REQUEST' },
+  AnchorError: { status: 404, code: 'UNKNOWN_ANCHOR' },
+};
+
+const STATUS_CODES = {
+  400: 'INVALID_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'INVALID_REQUEST',
+  503: 'UNAVAILABLE',
+};
+
+const codeFor = (status, reason) => REASON_CODES[reason]
+  || STATUS_CODES[status]
+  || (status >= 500 ? 'INTERNAL_ERROR' : 'INVALID_REQUEST');
+
+const TIMEOUTS = ['ECONNABORTED', 'ETIMEDOUT'];
+
+// 403 types SEP-6 and SEP-24 use to ask for KYC
+const CUSTOMER_INFO_TYPES = ['non_interactive_customer_info_needed', 'customer_info_status'];
+
+/**
+ * The human message in a SEP or Horizon error body: SEP-6/10/12/24/38 use
+ * { error }, Horizon uses { title, detail }. Null when there is none.
+ */
+function parseUpstreamError(data) {
+  if (typeof data === 'string') {
+    return data.trim() ? data.trim().slice(0, 500) : null;
+  }
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+  if (typeof data.error === 'string') {
+    return data.error;
+  }
+  if (typeof data.message === 'string') {
+    return data.message;
+  }
+  if (typeof data.detail === 'string') {
+    return data.title ? `${data.title}: ${data.detail}` : data.detail;
+  }
+  return typeof data.title === 'string' ? data.title : null;
+}
+
+// axios errors: the anchor (or Horizon) answered with an error, or didn't answer
+function describeUpstream(error, { service, message }) {
+  const SERVICE = service.toUpperCase();
+  const name = service === 'horizon' ? 'Horizon' : 'Anchor';
+
+  if (!error.response) {
+    return {
+      status: TIMEOUTS.includes(error.code) ? 504 : 502,
+      body: {
+        error: `${message}: ${name} did not answer (${error.code || error.message})`,
+        code: `${SERVICE}_UNREACHABLE`,
+        details: error.message,
+        upstream: { service, status: null },
+      },
+    };
+  }
+
+  const { status, data } = error.response;
+  const said = parseUpstreamError(data);
+  const body = {
+    error: said ? `${message}: ${said}` : `${message}: ${name} answered HTTP ${status}`,
+    code: status >= 500 ? `${SERVICE}_ERROR` : `${SERVICE}_REJECTED`,
+    details: data,
+    upstream: { service, status },
+  };
+
+  // The anchor no longer accepts our JWT (SEPs answer 403
+  // authentication_required, some anchors 401): signing in again fixes it
+  if (service === 'anchor' && (status === 401 || (status === 403 && data?.type === 'authentication_required'))) {
+    return {
+      status: 401,
+      body: { ...body, error: `${message}: the anchor rejected the SEP-10 token`, code: 'TOKEN_REJECTED', reason: 'TOKEN_REJECTED' },
+    };
+  }
+
+  // SEP-6 and SEP-24 ask for KYC with a 403 and a type; callers read its
+  // fields (type, fields, status, more_info_url) at the top level
+  if (status === 403 && CUSTOMER_INFO_TYPES.includes(data?.type)) {
+    return {
+      status,
+      body: {
+        ...data,
+        error: data.type === 'customer_info_status'
+          ? `Customer information is ${data.status}`
+          : 'Anchor needs more customer information',
+        code: 'CUSTOMER_INFO_NEEDED',
+        upstream: { service, status },
+      },
+    };
+  }
+
+  return { status: status >= 500 ? 502 : status, body };
+}
+
+/**
+ * Turn anything a route handler caught into { status, body } with the
+ * envelope above. `message` says what the request was trying to do.
+ */
+function describeError(error, { message = 'Request failed', service = 'anchor' } = {}) {
+  if (error.name === 'TomlError') {
+    return {
+      status: 502,
+      body: { error: error.message, code: error.code, details: error.details || error.url },
+    };
+  }
+
+  // The anchor's circuit breaker is open (lib/anchorHttp.js): don't wait on it
+  if (error.name === 'CircuitOpenError') {
+    return {
+      status: 503,
+      body: {
+        error: `${message}: ${error.message}`,
+        code: 'ANCHOR_UNAVAILABLE',
+        reason: error.code,
+        details: { retryAt: new Date(error.retryAt).toISOString() },
+      },
+    };
+  }
+
+  const typed = TYPED_ERRORS[error.name];
+  if (typed) {
+    return {
+      status: typed.status,
+      body: { error: error.message, code: REASON_CODES[error.code] || typed.code, reason: error.code },
+    };
+  }
+
+  if (error.isAxiosError) {
+    return describeUpstream(error, { service, message });
+  }
+
+  // Errors Express and body-parser raise themselves (bad JSON, too large)
+  const status = error.status || error.statusCode;
+  if (status >= 400 && status < 500) {
+    return { status, body: { error: error.message, code: codeFor(status) } };
+  }
+
+  return { status: 500, body: { error: message, code: 'INTERNAL_ERROR', details: error.message } };
+}
+
+/**
+ * Log and send a caught error. label names the route in the log.
+ */
+function sendError(res, error, { label = 'Error', message, service } = {}) {
+  const { status, body } = describeError(error, { message, service });
+  if (status >= 500) {
+    console.error(`${label}:`, error.response?.data || error.message);
+  } else {
+    console.error(`${label}: ${body.code}${body.reason ? ` (${body.reason})` : ''} - ${body.error}`);
+  }
+  return res.status(status).json(body);
+}
+
+/**
+ * Middleware: error bodies routes send by hand ({ error, reason }) get
+ * their code, so every error response has one.
+ */
+function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+      return json({ ...body, code: codeFor(res.statusCode, body.reason) });
+    }
+    return json(body);
+  };
+  next();
+}
+
+module.exports = {
+  ERROR_CODES,
+  codeFor,
+  parseUpstreamError,
+  describeError,
+  sendError,
+  errorEnvelope,
+};
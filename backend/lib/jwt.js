@@ -0,0 +1,115 @@
+const StellarSdk = require('stellar-sdk');
+
+// SEP-10 JWT claims
+// We can't check the anchor's signature (the key is the anchor's secret), but
+// we can refuse tokens that are malformed, expired or issued by someone other
+// than the anchor's WEB_AUTH_ENDPOINT before forwarding them anywhere.
+
+// Allow a little clock drift between us and the anchor
+const CLOCK_SKEW_SECONDS = 60;
+
+class TokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+const stripSlash = (value) => String(value).replace(/\/+$/, '');
+
+function decodePayload(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new TokenError('TOKEN_MALFORMED', 'Token is not a JWT');
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('payload is not an object');
+    }
+    return payload;
+  } catch (err) {
+    throw new TokenError('TOKEN_MALFORMED', `Token payload could not be decoded: ${err.message}`);
+  }
+}
+
+// SEP-10 sub is G... , G...:memo or a muxed M... account
+function parseSubject(sub) {
+  if (typeof sub !== 'string' || !sub) {
+    throw new TokenError('TOKEN_MALFORMED', 'Token has no sub claim');
+  }
+
+  if (StellarSdk.StrKey.isValidMed25519PublicKey(sub)) {
+    const muxed = StellarSdk.MuxedAccount.fromAddress(sub, '0');
+    return { account: muxed.baseAccount().accountId(), memo: null, muxedAccount: sub, muxedId: muxed.id() };
+  }
+
+  const [account, memo, ...rest] = sub.split(':');
+  if (rest.length > 0 || !StellarSdk.StrKey.isValidEd25519PublicKey(account) || (memo !== undefined && !/^\d+$/.test(memo))) {
+    throw new TokenError('TOKEN_MALFORMED', `Token sub is not a Stellar account: ${sub}`);
+  }
+  return { account, memo: memo ?? null, muxedAccount: null, muxedId: null };
+}
+
+// Decodes a SEP-10 token and checks exp / nbf / iss. Returns the claims
+// handlers need, with the account split out of sub.
+function decodeSep10Token(token, { webAuthEndpoint, now = Math.floor(Date.now() / 1000) }) {
+  const payload = decodePayload(token);
+
+  if (typeof payload.exp !== 'number') {
+    throw new TokenError('TOKEN_MALFORMED', 'Token has no exp claim');
+  }
+  if (payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new TokenError('TOKEN_EXPIRED', `Token expired at ${new Date(payload.exp * 1000).toISOString()}`);
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new TokenError('TOKEN_NOT_YET_VALID', 'Token is not valid yet');
+  }
+  if (!payload.iss || stripSlash(payload.iss) !== stripSlash(webAuthEndpoint)) {
+    throw new TokenError('TOKEN_ISSUER_MISMATCH', `Token was issued by ${payload.iss || 'nobody'}, expected ${webAuthEndpoint}`);
+  }
+
+  return {
+    sub: payload.sub,
+    ...parseSubject(payload.sub),
+    clientDomain: payload.client_domain || null,
+    iss: payload.iss,
+    iat: payload.iat,
+    exp: payload.exp,
+    jti: payload.jti,
+  };
+}
+
+// A token is good for its own account: the G address, or the exact muxed address.
+// Enough for paying from the (possibly shared) account.
+function tokenCoversAccount(claims, account) {
+  return account === claims.account || (claims.muxedAccount !== null && account === claims.muxedAccount);
+}
+
+// Acting for a user needs the exact SEP-10 subject: custodial wallets log in
+// many users through one shared G account, told apart by memo or muxed id
+function tokenCoversUser(claims, { account, memo = null }) {
+  if (StellarSdk.StrKey.isValidMed25519PublicKey(account)) {
+    return memo === null && account === claims.muxedAccount;
+  }
+  return account === claims.account && claims.muxedAccount === null && (memo === null ? null : String(memo)) === claims.memo;
+}
+
+// Why the token can't act for this user (the 403 ACCOUNT_MISMATCH message),
+// or null when it can
+function userMismatch(claims, { account, memo = null }) {
+  if (tokenCoversUser(claims, { account, memo })) {
+    return null;
+  }
+  return `Token is for ${claims.sub}, not ${memo ? `${account}:${memo}` : account}`;
+}
+
+module.exports = {
+  TokenError,
+  decodeSep10Token,
+  tokenCoversAccount,
+  tokenCoversUser,
+  userMismatch,
+};
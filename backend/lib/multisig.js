@@ -0,0 +1,104 @@
+const axios = require('axios');
+const StellarSdk = require('stellar-sdk');
+
+// SEP-10 for multisig accounts
+// An account whose thresholds need several signers can't answer a challenge
+// with one signature. We look up its signers and medium threshold on Horizon,
+// collect signatures from each signer into one envelope, and report how much
+// weight has been gathered so far.
+
+class MultisigError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'MultisigError';
+    this.code = code;
+  }
+}
+
+// Muxed (M...) accounts are signed for by their underlying G... account
+const baseAccountOf = (account) => (account.startsWith('M')
+  ? StellarSdk.MuxedAccount.fromAddress(account, '0').baseAccount().accountId()
+  : account);
+
+// { exists, signers: [{ key, weight }], threshold }. Accounts that don't exist
+// yet can only be signed for by their master key, as SEP-10 specifies.
+async function loadAccountSigners(horizonUrl, account, { timeout = 10000 } = {}) {
+  const accountId = baseAccountOf(account);
+
+  let data;
+  try {
+    ({ data } = await axios.get(`${horizonUrl}/accounts/${encodeURIComponent(accountId)}`, { timeout }));
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return { exists: false, signers: [{ key: accountId, weight: 1 }], threshold: 1 };
+    }
+    throw error;
+  }
+
+  const signers = (data.signers || [])
+    .filter((signer) => signer.type === 'ed25519_public_key' && signer.weight > 0)
+    .map(({ key, weight }) => ({ key, weight }));
+
+  // A zero threshold still needs somebody to sign
+  return { exists: true, signers, threshold: Math.max(data.thresholds?.med_threshold || 0, 1) };
+}
+
+const signedBy = (txn, key) => {
+  const keypair = StellarSdk.Keypair.fromPublicKey(key);
+  const hint = keypair.signatureHint();
+  return txn.signatures.some((sig) => sig.hint().equals(hint) && keypair.verify(txn.hash(), sig.signature()));
+};
+
+// Which signers have signed and whether their weight meets the threshold
+function signatureProgress(txn, { signers, threshold }) {
+  const status = signers.map((signer) => ({ ...signer, signed: signedBy(txn, signer.key) }));
+  const weight = status.filter((signer) => signer.signed).reduce((sum, signer) => sum + signer.weight, 0);
+  return { signers: status, weight, threshold, ready: weight >= threshold };
+}
+
+// Copy the new signatures from one signer's envelope into the session's.
+// Only the account's signers may add signatures - anything else would make
+// the anchor reject the challenge. Returns the keys that signed.
+function mergeSignatures(txn, signedXdr, { networkPassphrase, signers }) {
+  let signed;
+  try {
+    signed = StellarSdk.TransactionBuilder.fromXDR(signedXdr, networkPassphrase);
+  } catch (err) {
+    throw new MultisigError('INVALID_XDR', `Signed challenge is not a valid transaction envelope: ${err.message}`);
+  }
+  if (!signed.hash().equals(txn.hash())) {
+    throw new MultisigError('TRANSACTION_MISMATCH', 'Signed transaction is not this session\'s challenge');
+  }
+
+  const known = new Set(txn.signatures.map((sig) => sig.signature().toString('base64')));
+  const added = [];
+
+  for (const sig of signed.signatures) {
+    if (known.has(sig.signature().toString('base64'))) {
+      continue;
+    }
+    const signer = signers.find(({ key }) => {
+      const keypair = StellarSdk.Keypair.fromPublicKey(key);
+      return sig.hint().equals(keypair.signatureHint()) && keypair.verify(txn.hash(), sig.signature());
+    });
+    if (!signer) {
+      throw new MultisigError('UNKNOWN_SIGNER', 'Challenge was signed by a key that is not a signer of the account');
+    }
+    txn.signatures.push(sig);
+    known.add(sig.signature().toString('base64'));
+    added.push(signer.key);
+  }
+
+  if (added.length === 0) {
+    throw new MultisigError('NO_NEW_SIGNATURES', 'Signed challenge has no new signatures');
+  }
+  return added;
+}
+
+module.exports = {
+  MultisigError,
+  baseAccountOf,
+  loadAccountSigners,
+  signatureProgress,
+  mergeSignatures,
+};
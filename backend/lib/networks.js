@@ -0,0 +1,88 @@
+const StellarSdk = require('stellar-sdk');
+
+// Stellar networks
+// The backend works on exactly one network, picked by name with
+// STELLAR_NETWORK or described in full as "custom". Challenges are checked
+// against its passphrase exactly; nothing is guessed from what a client or an
+// anchor happens to send.
+
+const NETWORKS = {
+  testnet: {
+    name: 'Testnet',
+    passphrase: StellarSdk.Networks.TESTNET,
+    horizonUrl: 'https://horizon-testnet.stellar.org',
+  },
+  pubnet: {
+    name: 'Mainnet (public network)',
+    passphrase: StellarSdk.Networks.PUBLIC,
+    horizonUrl: 'https://horizon.stellar.org',
+  },
+  futurenet: {
+    name: 'Futurenet',
+    passphrase: StellarSdk.Networks.FUTURENET,
+    horizonUrl: 'https://horizon-futurenet.stellar.org',
+  },
+  // stellar/quickstart --local
+  standalone: {
+    name: 'Standalone',
+    passphrase: StellarSdk.Networks.STANDALONE,
+    horizonUrl: 'http://localhost:8000',
+  },
+};
+
+class NetworkError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'NetworkError';
+    this.code = code;
+  }
+}
+
+/**
+ * The active network: { id, name, passphrase, horizonUrl, mainnet }.
+ * A profile's passphrase can be restated but not changed; its Horizon URL
+ * can be overridden (your own node, a local stand-in). "custom" needs both.
+ */
+function resolveNetwork({ network = 'testnet', passphrase = null, horizonUrl = null } = {}) {
+  if (network === 'custom') {
+    if (!passphrase || !horizonUrl) {
+      throw new NetworkError('INVALID_NETWORK', 'STELLAR_NETWORK=custom needs NETWORK_PASSPHRASE and HORIZON_URL');
+    }
+    return {
+      id: 'custom',
+      name: 'Custom network',
+      passphrase,
+      horizonUrl,
+      // Still mainnet, however it was configured
+      mainnet: passphrase === StellarSdk.Networks.PUBLIC,
+    };
+  }
+
+  const profile = NETWORKS[network];
+  if (!profile) {
+    throw new NetworkError(
+      'INVALID_NETWORK',
+      `STELLAR_NETWORK must be one of ${[...Object.keys(NETWORKS), 'custom'].join(', ')}, got "${network}"`
+    );
+  }
+  if (passphrase && passphrase !== profile.passphrase) {
+    throw new NetworkError(
+      'INVALID_NETWORK',
+      `NETWORK_PASSPHRASE "${passphrase}" is not the ${network} passphrase "${profile.passphrase}"`
+    );
+  }
+
+  return {
+    id: network,
+    name: profile.name,
+    passphrase: profile.passphrase,
+    horizonUrl: horizonUrl || profile.horizonUrl,
+    mainnet: network === 'pubnet',
+  };
+}
+
+module.exports = {
+  NETWORKS,
+  NetworkError,
+  resolveNetwork,
+};
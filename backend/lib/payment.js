@@ -0,0 +1,186 @@
+const StellarSdk = require('stellar-sdk');
+
+// SEP-24 withdrawal payments
+// Turns an anchor transaction in pending_user_transfer_start into the exact
+// Stellar payment the user has to send, and checks a signed envelope against
+// it before we submit anything to Horizon on the user's behalf.
+
+const MAX_TEXT_MEMO_BYTES = 28;
+const MAX_MEMO_ID = 2n ** 64n - 1n;
+
+class PaymentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+  }
+}
+
+// SEP-24 memo types are id, text and hash (hash values are base64 encoded).
+// Returns the memo in the form StellarSdk.Memo expects: hash values as hex.
+function parseWithdrawMemo(memo, memoType) {
+  if (memo === undefined || memo === null || memo === '') {
+    if (memoType && memoType !== 'none') {
+      throw new PaymentError('INVALID_MEMO', `withdraw_memo_type is ${memoType} but withdraw_memo is empty`);
+    }
+    return { type: 'none', value: null };
+  }
+
+  const value = String(memo);
+
+  switch (memoType) {
+    case 'id': {
+      if (!/^\d+$/.test(value) || BigInt(value) > MAX_MEMO_ID) {
+        throw new PaymentError('INVALID_MEMO', `withdraw_memo is not a valid 64-bit memo id: ${value}`);
+      }
+      return { type: 'id', value };
+    }
+    case 'text': {
+      if (Buffer.byteLength(value, 'utf8') > MAX_TEXT_MEMO_BYTES) {
+        throw new PaymentError('INVALID_MEMO', `withdraw_memo is longer than ${MAX_TEXT_MEMO_BYTES} bytes`);
+      }
+      return { type: 'text', value };
+    }
+    case 'hash': {
+      const bytes = /^[A-Za-z0-9+/]+={0,2}$/.test(value) ? Buffer.from(value, 'base64') : Buffer.alloc(0);
+      if (bytes.length !== 32) {
+        throw new PaymentError('INVALID_MEMO', 'withdraw_memo is not a base64 encoded 32-byte hash');
+      }
+      return { type: 'hash', value: bytes.toString('hex') };
+    }
+    default:
+      throw new PaymentError('INVALID_MEMO', `Unsupported withdraw_memo_type: ${memoType || 'missing'}`);
+  }
+}
+
+// The asset comes from amount_in_asset (SEP-38 format) when the anchor sends
+// it, otherwise from the asset code we started the withdrawal with. Either
+// way the issuer must be the one the anchor publishes in [[CURRENCIES]].
+function resolvePaymentAsset(txn, currencies, assetCode) {
+  let code = txn.asset_code || assetCode;
+  let issuer = null;
+
+  if (txn.amount_in_asset) {
+    const [scheme, assetCodeInTxn, issuerInTxn] = txn.amount_in_asset.split(':');
+    if (scheme !== 'stellar') {
+      throw new PaymentError('INVALID_ASSET', `amount_in_asset is not a Stellar asset: ${txn.amount_in_asset}`);
+    }
+    code = assetCodeInTxn;
+    issuer = issuerInTxn || null;
+  }
+
+  if (!code) {
+    throw new PaymentError('INVALID_ASSET', 'Transaction does not say which asset to pay');
+  }
+
+  const currency = currencies.find((entry) => entry.code === code);
+  if (!currency) {
+    throw new PaymentError('UNKNOWN_ASSET', `${code} is not listed in the anchor's [[CURRENCIES]]`);
+  }
+
+  if (code === 'native') {
+    return { code: 'native', issuer: null };
+  }
+  if (!currency.issuer) {
+    throw new PaymentError('UNKNOWN_ASSET', `[[CURRENCIES]] entry for ${code} has no issuer`);
+  }
+  if (issuer && issuer !== currency.issuer) {
+    throw new PaymentError('ISSUER_MISMATCH', `Transaction asks for ${code} issued by ${issuer}, but the anchor's stellar.toml lists ${currency.issuer}`);
+  }
+
+  return { code, issuer: currency.issuer };
+}
+
+// Everything the browser needs to build the payment for a withdrawal
+function buildWithdrawPayment(txn, { currencies, assetCode }) {
+  if (txn.kind && txn.kind !== 'withdrawal') {
+    throw new PaymentError('NOT_A_WITHDRAWAL', `Transaction ${txn.id} is a ${txn.kind}, not a withdrawal`);
+  }
+  if (txn.status !== 'pending_user_transfer_start') {
+    throw new PaymentError('INVALID_STATUS', `Transaction is ${txn.status}, not pending_user_transfer_start`);
+  }
+
+  const destination = txn.withdraw_anchor_account;
+  if (!destination || !(StellarSdk.StrKey.isValidEd25519PublicKey(destination) ||
+    StellarSdk.StrKey.isValidMed25519PublicKey(destination))) {
+    throw new PaymentError('INVALID_DESTINATION', `withdraw_anchor_account is not a valid Stellar account: ${destination}`);
+  }
+
+  const amount = txn.amount_in;
+  if (!amount || !/^\d+(\.\d{1,7})?$/.test(String(amount)) || Number(amount) <= 0) {
+    throw new PaymentError('INVALID_AMOUNT', `amount_in is not a valid payment amount: ${amount}`);
+  }
+
+  return {
+    destination,
+    amount: String(amount),
+    asset: resolvePaymentAsset(txn, currencies, assetCode),
+    memo: parseWithdrawMemo(txn.withdraw_memo, txn.withdraw_memo_type),
+  };
+}
+
+const toSdkAsset = ({ code, issuer }) => (code === 'native' ? StellarSdk.Asset.native() : new StellarSdk.Asset(code, issuer));
+
+const memoMatches = (txMemo, memo) => {
+  if (memo.type === 'none') {
+    return txMemo.type === 'none';
+  }
+  if (txMemo.type !== memo.type) {
+    return false;
+  }
+  if (memo.type === 'hash') {
+    return Buffer.from(txMemo.value).toString('hex') === memo.value;
+  }
+  return String(txMemo.value) === memo.value;
+};
+
+// Make sure the envelope the browser signed pays exactly what the anchor asked for
+function checkSignedPayment(xdr, payment, { networkPassphrase, account }) {
+  let txn;
+  try {
+    txn = StellarSdk.TransactionBuilder.fromXDR(xdr, networkPassphrase);
+  } catch (err) {
+    throw new PaymentError('INVALID_XDR', `Signed payment is not a valid transaction envelope: ${err.message}`);
+  }
+
+  if (txn instanceof StellarSdk.FeeBumpTransaction) {
+    throw new PaymentError('INVALID_XDR', 'Signed payment cannot be a fee bump transaction');
+  }
+  if (account && txn.source !== account) {
+    throw new PaymentError('INVALID_SOURCE', `Payment is sent from ${txn.source}, expected ${account}`);
+  }
+  if (txn.operations.length !== 1 || txn.operations[0].type !== 'payment') {
+    throw new PaymentError('INVALID_OPERATION', 'Signed transaction must contain exactly one payment operation');
+  }
+
+  const op = txn.operations[0];
+  // An operation source would move someone else's funds under the user's envelope
+  if (op.source && op.source !== txn.source) {
+    throw new PaymentError('INVALID_SOURCE', `Payment operation is sent from ${op.source}, expected ${txn.source}`);
+  }
+  if (op.destination !== payment.destination) {
+    throw new PaymentError('INVALID_DESTINATION', `Payment goes to ${op.destination}, expected ${payment.destination}`);
+  }
+  if (!op.asset.equals(toSdkAsset(payment.asset))) {
+    throw new PaymentError('INVALID_ASSET', `Payment sends ${op.asset.toString()}, expected ${toSdkAsset(payment.asset).toString()}`);
+  }
+  if (Number(op.amount) !== Number(payment.amount)) {
+    throw new PaymentError('INVALID_AMOUNT', `Payment amount is ${op.amount}, expected ${payment.amount}`);
+  }
+  if (!memoMatches(txn.memo, payment.memo)) {
+    throw new PaymentError('INVALID_MEMO', 'Payment memo does not match withdraw_memo');
+  }
+  if (txn.signatures.length === 0) {
+    throw new PaymentError('UNSIGNED', 'Payment has not been signed');
+  }
+
+  return txn;
+}
+
+module.exports = {
+  PaymentError,
+  parseWithdrawMemo,
+  resolvePaymentAsset,
+  buildWithdrawPayment,
+  checkSignedPayment,
+};
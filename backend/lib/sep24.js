@@ -0,0 +1,87 @@
+// SEP-24 /info
+// What the anchor says it supports: which assets can be deposited and
+// withdrawn, their amount limits and fees, and the optional features. We
+// check transfers against it before asking the anchor for an interactive URL.
+
+class TransferError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TransferError';
+    this.code = code;
+  }
+}
+
+const optionalNumber = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Only enabled assets: the rest can't be used for anything
+const parseAssets = (section = {}) => Object.entries(section || {})
+  .filter(([, asset]) => asset && asset.enabled === true)
+  .map(([code, asset]) => ({
+    code,
+    minAmount: optionalNumber(asset.min_amount),
+    maxAmount: optionalNumber(asset.max_amount),
+    feeFixed: optionalNumber(asset.fee_fixed),
+    feePercent: optionalNumber(asset.fee_percent),
+    feeMinimum: optionalNumber(asset.fee_minimum),
+  }));
+
+/**
+ * Parse an anchor's SEP-24 /info response into
+ * { deposit: [asset], withdraw: [asset], fee, features }.
+ */
+function parseSep24Info(data = {}) {
+  return {
+    deposit: parseAssets(data.deposit),
+    withdraw: parseAssets(data.withdraw),
+    fee: {
+      enabled: data.fee?.enabled === true,
+      authenticationRequired: data.fee?.authentication_required === true,
+    },
+    features: {
+      // SEP-24 defaults when the anchor doesn't say: true and false
+      accountCreation: data.features?.account_creation !== false,
+      claimableBalances: data.features?.claimable_balances === true,
+    },
+  };
+}
+
+/**
+ * Check a deposit or withdrawal against parsed /info. Throws a TransferError
+ * (ASSET_NOT_SUPPORTED, INVALID_AMOUNT, AMOUNT_TOO_LOW, AMOUNT_TOO_HIGH).
+ * Amounts are optional; the user can still enter one in the anchor's UI.
+ */
+function checkTransfer(info, { mode, assetCode, amount }) {
+  const kind = mode === 'deposit' ? 'deposit' : 'withdraw';
+  const asset = info[kind].find((entry) => entry.code === assetCode);
+  if (!asset) {
+    throw new TransferError('ASSET_NOT_SUPPORTED', `The anchor does not support ${kind}s of ${assetCode}`);
+  }
+
+  if (amount === undefined || amount === null || amount === '') {
+    return asset;
+  }
+
+  const value = Number(amount);
+  if (!/^\d+(\.\d{1,7})?$/.test(String(amount)) || !(value > 0)) {
+    throw new TransferError('INVALID_AMOUNT', `Amount must be a positive number with at most 7 decimals, got ${amount}`);
+  }
+  if (asset.minAmount !== null && value < asset.minAmount) {
+    throw new TransferError('AMOUNT_TOO_LOW', `Minimum ${kind} of ${assetCode} is ${asset.minAmount}`);
+  }
+  if (asset.maxAmount !== null && value > asset.maxAmount) {
+    throw new TransferError('AMOUNT_TOO_HIGH', `Maximum ${kind} of ${assetCode} is ${asset.maxAmount}`);
+  }
+  return asset;
+}
+
+module.exports = {
+  TransferError,
+  parseSep24Info,
+  checkTransfer,
+};
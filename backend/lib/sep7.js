@@ -0,0 +1,68 @@
+const StellarSdk = require('stellar-sdk');
+
+// SEP-7 transaction signing requests
+// Builds `web+stellar:tx` URIs that a wallet on another device can open (as a
+// link or QR code) and checks the envelope the wallet POSTs back to our
+// callback before the browser is allowed to use it.
+
+// SEP-7 caps msg at 300 characters
+const MAX_MSG_LENGTH = 300;
+
+class SigningError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SigningError';
+    this.code = code;
+  }
+}
+
+function parseTransaction(xdr, networkPassphrase, label = 'Transaction') {
+  try {
+    return StellarSdk.TransactionBuilder.fromXDR(xdr, networkPassphrase);
+  } catch (err) {
+    throw new SigningError('INVALID_XDR', `${label} is not a valid transaction envelope: ${err.message}`);
+  }
+}
+
+// web+stellar:tx?xdr=...&callback=url:...&network_passphrase=...&msg=...
+function buildTxUri({ xdr, callback, networkPassphrase, msg }) {
+  const params = new URLSearchParams({ xdr });
+  if (callback) {
+    params.set('callback', `url:${callback}`);
+  }
+  // Wallets assume the public network when the passphrase is left out
+  if (networkPassphrase && networkPassphrase !== StellarSdk.Networks.PUBLIC) {
+    params.set('network_passphrase', networkPassphrase);
+  }
+  if (msg) {
+    params.set('msg', String(msg).slice(0, MAX_MSG_LENGTH));
+  }
+  // URLSearchParams encodes spaces as "+", SEP-7 wallets expect %20
+  return `web+stellar:tx?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+// The wallet must hand back the transaction we asked for, with new signatures
+// (and the account's own signature when we know which account it is)
+function checkSignedTransaction(signedXdr, { xdr, networkPassphrase, account }) {
+  const requested = parseTransaction(xdr, networkPassphrase, 'Requested transaction');
+  const signed = parseTransaction(signedXdr, networkPassphrase, 'Signed transaction');
+
+  if (!signed.hash().equals(requested.hash())) {
+    throw new SigningError('TRANSACTION_MISMATCH', 'Wallet returned a different transaction than the one requested');
+  }
+  if (signed.signatures.length <= requested.signatures.length) {
+    throw new SigningError('NOT_SIGNED', 'Wallet returned the transaction without a new signature');
+  }
+  if (account && !StellarSdk.WebAuth.verifyTxSignedBy(signed, account)) {
+    throw new SigningError('NOT_SIGNED', `Transaction is not signed by ${account}`);
+  }
+
+  return signed;
+}
+
+module.exports = {
+  SigningError,
+  parseTransaction,
+  buildTxUri,
+  checkSignedTransaction,
+};
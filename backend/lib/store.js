@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Audit store
+// What this backend has seen, kept across restarts so questions like "what
+// happened to this user's deposit last Tuesday" don't need the anchor's logs:
+//   - every SEP-10 authentication (account, anchor, client_domain, outcome)
+//   - every SEP-24 transaction started through us
+//   - every status we saw for them, from polls, the SSE watcher or callbacks
+//
+// Records are appended to a JSON Lines file, one per line, and replayed into
+// memory on startup. Appending never rewrites earlier lines, so a crash can at
+// worst leave a torn last line, which is skipped. Without a file the store is
+// memory only.
+
+class StoreError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'StoreError';
+    this.code = code;
+  }
+}
+
+const transactionKey = (anchorId, id) => `${anchorId}:${id}`;
+
+const inRange = (at, { since, until }) => (!since || at >= since) && (!until || at <= until);
+
+// ISO timestamps sort as strings; accept anything Date can parse
+const toIso = (value, name) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new StoreError('INVALID_QUERY', `Invalid ${name} date: ${value}`);
+  }
+  return new Date(time).toISOString();
+};
+
+const toLimit = (limit, max = 1000) => {
+  if (limit === undefined || limit === null || limit === '') {
+    return max;
+  }
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new StoreError('INVALID_QUERY', `Invalid limit: ${limit}`);
+  }
+  return Math.min(value, max);
+};
+
+function createStore({ file = null, now = () => new Date() } = {}) {
+  const authEvents = [];
+  const transactions = new Map();
+
+  // A status can arrive for a transaction started before the store existed
+  const transactionFor = (anchorId, id, at) => {
+    const key = transactionKey(anchorId, id);
+    if (!transactions.has(key)) {
+      transactions.set(key, {
+        anchorId,
+        id,
+        kind: null,
+        account: null,
+        memo: null,
+        assetCode: null,
+        amount: null,
+        quoteId: null,
+        startedAt: null,
+        firstSeenAt: at,
+        status: null,
+        updatedAt: at,
+        statuses: [],
+      });
+    }
+    return transactions.get(key);
+  };
+
+  const apply = (record) => {
+    if (record.type === 'auth') {
+      authEvents.push(record);
+    } else if (record.type === 'transaction') {
+      const { type, at, ...fields } = record;
+      Object.assign(transactionFor(record.anchorId, record.id, at), fields, { startedAt: at });
+    } else if (record.type === 'status') {
+      const entry = transactionFor(record.anchorId, record.id, record.at);
+      entry.statuses.push({ status: record.status, message: record.message, source: record.source, at: record.at });
+      entry.status = record.status;
+      entry.updatedAt = record.at;
+    }
+  };
+
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) {
+      const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+      for (const [idx, line] of lines.entries()) {
+        try {
+          apply(JSON.parse(line));
+        } catch (err) {
+          console.warn(`Audit store ${file}: skipping unreadable line ${idx + 1}: ${err.message}`);
+        }
+      }
+    }
+  }
+
+  const append = (record) => {
+    const entry = { ...record, at: record.at || now().toISOString() };
+    apply(entry);
+    if (file) {
+      fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+    }
+    return entry;
+  };
+
+  // { anchorId, account, memo, clientDomain, outcome: 'success' | 'failure', reason, error }
+  const recordAuth = ({ anchorId, account = null, memo = null, clientDomain = null, outcome, reason = null, error = null }) =>
+    append({ type: 'auth', eventId: crypto.randomUUID(), anchorId, account, memo, clientDomain, outcome, reason, error });
+
+  const recordTransaction = ({ anchorId, id, kind, account, memo = null, assetCode, amount = null, quoteId = null }) =>
+    append({ type: 'transaction', anchorId, id, kind, account, memo, assetCode, amount, quoteId });
+
+  // Only changes are kept: polling the same status a hundred times is one event
+  const recordStatus = ({ anchorId, id, status, message = null, source }) => {
+    const current = transactions.get(transactionKey(anchorId, id));
+    if (current && current.status === status) {
+      return null;
+    }
+    return append({ type: 'status', anchorId, id, status, message, source });
+  };
+
+  const listAuth = (query = {}) => {
+    const range = { since: toIso(query.since, 'since'), until: toIso(query.until, 'until') };
+    const limit = toLimit(query.limit);
+    return authEvents
+      .filter((event) => (!query.account || event.account === query.account)
+        && (!query.anchorId || event.anchorId === query.anchorId)
+        && (!query.outcome || event.outcome === query.outcome)
+        && inRange(event.at, range))
+      .slice(-limit)
+      .reverse();
+  };
+
+  // A transaction matches a time range if anything happened to it in it
+  const listTransactions = (query = {}) => {
+    const range = { since: toIso(query.since, 'since'), until: toIso(query.until, 'until') };
+    const limit = toLimit(query.limit);
+    const matches = [...transactions.values()].filter((txn) => (!query.account || txn.account === query.account)
+      && (query.memo === undefined || query.memo === null || txn.memo === String(query.memo))
+      && (!query.anchorId || txn.anchorId === query.anchorId)
+      && (!query.kind || txn.kind === query.kind)
+      && [txn.startedAt || txn.firstSeenAt, ...txn.statuses.map((s) => s.at)].some((at) => inRange(at, range)));
+    return matches
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, limit);
+  };
+
+  const getTransaction = (anchorId, id) => transactions.get(transactionKey(anchorId, id)) || null;
+
+  return {
+    recordAuth,
+    recordTransaction,
+    recordStatus,
+    listAuth,
+    listTransactions,
+    getTransaction,
+  };
+}
+
+module.exports = {
+  StoreError,
+  createStore,
+};
@@ -0,0 +1,235 @@
+const axios = require('axios');
+const toml = require('toml');
+const StellarSdk = require('stellar-sdk');
+
+// SEP-1 stellar.toml resolver
+// Fetches, parses and validates an anchor's stellar.toml and caches the
+// result per home domain so routes don't hit the anchor on every request.
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+
+const URL_FIELDS = [
+  'WEB_AUTH_ENDPOINT',
+  'TRANSFER_SERVER',
+  'TRANSFER_SERVER_SEP0024',
+  'KYC_SERVER',
+  'ANCHOR_QUOTE_SERVER',
+];
+
+const DEFAULT_REQUIRED = ['NETWORK_PASSPHRASE', 'SIGNING_KEY', 'WEB_AUTH_ENDPOINT'];
+
+class TomlError extends Error {
+  constructor(message, { url, details, code = 'TOML_INVALID' } = {}) {
+    super(message);
+    this.name = 'TomlError';
+    this.code = code;
+    this.url = url;
+    this.details = details;
+  }
+}
+
+// Accepts "example.com", "https://example.com" or "https://example.com/"
+// and returns the origin to fetch from plus the bare host used by SEP-10.
+function normalizeHomeDomain(homeDomain, { allowHttp = false } = {}) {
+  if (!homeDomain) {
+    throw new TomlError('Home domain is not configured');
+  }
+
+  const withScheme = /^[a-z]+:\/\//i.test(homeDomain) ? homeDomain : `https://${homeDomain}`;
+
+  let url;
+  try {
+    url = new URL(withScheme);
+  } catch {
+    throw new TomlError(`Invalid home domain: ${homeDomain}`);
+  }
+
+  if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+    throw new TomlError(`Home domain must use HTTPS: ${homeDomain}`);
+  }
+
+  return { origin: url.origin, host: url.host };
+}
+
+function parseStellarToml(text, { url } = {}) {
+  if (typeof text !== 'string') {
+    throw new TomlError('stellar.toml response was not text', { url });
+  }
+
+  try {
+    return toml.parse(text);
+  } catch (err) {
+    const where = err.line ? ` (line ${err.line}, column ${err.column})` : '';
+    throw new TomlError(`Malformed stellar.toml${where}: ${err.message}`, { url });
+  }
+}
+
+function checkUrl(field, value, { allowHttp, url }) {
+  if (typeof value !== 'string') {
+    throw new TomlError(`${field} must be a string`, { url });
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    throw new TomlError(`${field} is not a valid URL: ${value}`, { url });
+  }
+
+  if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+    throw new TomlError(`${field} must use HTTPS: ${value}`, { url });
+  }
+}
+
+function checkCurrencies(currencies, { url }) {
+  if (currencies === undefined) {
+    return [];
+  }
+  if (!Array.isArray(currencies)) {
+    throw new TomlError('CURRENCIES must be an array of tables ([[CURRENCIES]])', { url });
+  }
+
+  return currencies.map((currency, idx) => {
+    if (!currency || typeof currency.code !== 'string' || !currency.code) {
+      throw new TomlError(`CURRENCIES[${idx}] is missing a code`, { url });
+    }
+    if (currency.code.length > 12) {
+      throw new TomlError(`CURRENCIES[${idx}] code is longer than 12 characters: ${currency.code}`, { url });
+    }
+    if (currency.issuer !== undefined && !StellarSdk.StrKey.isValidEd25519PublicKey(currency.issuer)) {
+      throw new TomlError(`CURRENCIES[${idx}] (${currency.code}) has an invalid issuer: ${currency.issuer}`, { url });
+    }
+    return currency;
+  });
+}
+
+// Validates the fields this app relies on and returns a normalized view.
+// The raw parsed document is kept under `raw` for anything else.
+function validateStellarToml(data, { allowHttp = false, required = DEFAULT_REQUIRED, url } = {}) {
+  for (const field of required) {
+    if (data[field] === undefined || data[field] === '') {
+      throw new TomlError(`${field} not found in stellar.toml`, { url });
+    }
+  }
+
+  for (const field of URL_FIELDS) {
+    if (data[field] !== undefined) {
+      checkUrl(field, data[field], { allowHttp, url });
+    }
+  }
+
+  if (data.SIGNING_KEY !== undefined && !StellarSdk.StrKey.isValidEd25519PublicKey(data.SIGNING_KEY)) {
+    throw new TomlError(`SIGNING_KEY is not a valid Stellar public key: ${data.SIGNING_KEY}`, { url });
+  }
+
+  if (data.WEB_AUTH_ENDPOINT !== undefined && data.SIGNING_KEY === undefined) {
+    throw new TomlError('SIGNING_KEY is required when WEB_AUTH_ENDPOINT is set', { url });
+  }
+
+  if (data.NETWORK_PASSPHRASE !== undefined && typeof data.NETWORK_PASSPHRASE !== 'string') {
+    throw new TomlError('NETWORK_PASSPHRASE must be a string', { url });
+  }
+
+  const stripSlash = (value) => (value === undefined ? undefined : value.replace(/\/+$/, ''));
+
+  return {
+    networkPassphrase: data.NETWORK_PASSPHRASE,
+    signingKey: data.SIGNING_KEY,
+    webAuthEndpoint: data.WEB_AUTH_ENDPOINT,
+    transferServer: stripSlash(data.TRANSFER_SERVER),
+    transferServerSep24: stripSlash(data.TRANSFER_SERVER_SEP0024),
+    kycServer: stripSlash(data.KYC_SERVER),
+    anchorQuoteServer: stripSlash(data.ANCHOR_QUOTE_SERVER),
+    documentation: data.DOCUMENTATION || {},
+    currencies: checkCurrencies(data.CURRENCIES, { url }),
+    raw: data,
+  };
+}
+
+// Looks up a field on a resolved TOML and fails with a clear message when
+// the anchor doesn't advertise it (e.g. no SEP-24 transfer server).
+function requireTomlField(stellarToml, key, tomlName) {
+  const value = stellarToml[key];
+  if (!value) {
+    throw new TomlError(`${tomlName} not found in stellar.toml`, { url: stellarToml.url });
+  }
+  return value;
+}
+
+// clientFor(homeDomain) picks the HTTP client for an anchor (lib/anchorHttp.js
+// in the server, for its retries and circuit breaker); plain axios by default
+function createTomlResolver({ ttlMs = DEFAULT_TTL_MS, allowHttp = false, timeout = 10000, clientFor = () => axios } = {}) {
+  const cache = new Map();
+
+  const fetchToml = async (homeDomain) => {
+    const { origin, host } = normalizeHomeDomain(homeDomain, { allowHttp });
+    const url = `${origin}/.well-known/stellar.toml`;
+    console.log(`Fetching TOML from: ${url}`);
+
+    let response;
+    try {
+      response = await clientFor(homeDomain).get(url, { timeout, responseType: 'text', transformResponse: (body) => body });
+    } catch (err) {
+      // Not an HTTP failure (e.g. the anchor's circuit is open): pass it on as is
+      if (!err.isAxiosError) {
+        throw err;
+      }
+      throw new TomlError(`Failed to fetch stellar.toml from ${url}`, {
+        url,
+        details: err.response ? `HTTP ${err.response.status}` : err.message,
+        // An answer that isn't a TOML is the anchor's mistake; no answer is an outage
+        code: err.response ? 'TOML_INVALID' : 'ANCHOR_UNREACHABLE',
+      });
+    }
+
+    const parsed = parseStellarToml(response.data, { url });
+    return {
+      ...validateStellarToml(parsed, { allowHttp, url }),
+      homeDomain: host,
+      url,
+      fetchedAt: new Date().toISOString(),
+    };
+  };
+
+  const resolve = async (homeDomain, { force = false } = {}) => {
+    const entry = cache.get(homeDomain);
+    const now = Date.now();
+
+    if (entry && !force) {
+      if (entry.pending) return entry.pending;
+      if (entry.expiresAt > now) return entry.value;
+    }
+
+    const pending = fetchToml(homeDomain)
+      .then((value) => {
+        cache.set(homeDomain, { value, expiresAt: Date.now() + ttlMs });
+        return value;
+      })
+      .catch((err) => {
+        cache.delete(homeDomain);
+        throw err;
+      });
+
+    cache.set(homeDomain, { pending });
+    return pending;
+  };
+
+  const invalidate = (homeDomain) => {
+    if (homeDomain) {
+      cache.delete(homeDomain);
+    } else {
+      cache.clear();
+    }
+  };
+
+  return { resolve, invalidate };
+}
+
+module.exports = {
+  TomlError,
+  createTomlResolver,
+  normalizeHomeDomain,
+  parseStellarToml,
+  validateStellarToml,
+  requireTomlField,
+};
@@ -0,0 +1,148 @@
+// SEP-24 transaction watcher
+// Polls the anchor's /transaction for every transaction a browser is
+// following and pushes status changes to its listeners. Polling speeds up
+// after a change and backs off while nothing happens; it stops at terminal
+// statuses or when the last listener goes away.
+//
+// Watches are per (JWT subject, transaction id): each user polls with their
+// own token and only ever sees what the anchor showed them. Someone who
+// subscribes to another user's id gets the anchor's refusal, not a cached
+// transaction, and can't swap their token into the owner's poll.
+
+const TERMINAL_STATUSES = ['completed', 'refunded', 'expired', 'error', 'no_market', 'too_small', 'too_large'];
+
+// Give up after this many anchor errors in a row
+const MAX_CONSECUTIVE_ERRORS = 5;
+
+function createTransactionWatcher({
+  fetchTransaction,
+  minIntervalMs = 2000,
+  maxIntervalMs = 60000,
+  backoffFactor = 2,
+}) {
+  const watches = new Map();
+  const keyFor = (subject, id) => `${subject}\n${id}`;
+
+  const emit = (watch, event) => {
+    for (const listener of watch.listeners) {
+      listener(event);
+    }
+  };
+
+  // A subject that unsubscribes and subscribes again gets a new entry under
+  // the same key; polls still in flight for the old one must not touch it
+  const isLive = (watch) => watches.get(watch.key) === watch;
+
+  const stop = (watch) => {
+    clearTimeout(watch.timer);
+    if (isLive(watch)) {
+      watches.delete(watch.key);
+    }
+  };
+
+  const schedule = (watch) => {
+    clearTimeout(watch.timer);
+    watch.timer = setTimeout(() => poll(watch), watch.interval);
+  };
+
+  // Record a transaction and tell listeners if its status moved.
+  // Returns false once the watch is over.
+  const update = (watch, transaction) => {
+    const changed = !watch.last || watch.last.status !== transaction.status;
+    watch.last = transaction;
+
+    if (changed) {
+      emit(watch, { type: 'status', transaction });
+    }
+    if (TERMINAL_STATUSES.includes(transaction.status)) {
+      emit(watch, { type: 'done', transaction });
+      stop(watch);
+      return false;
+    }
+
+    watch.interval = changed ? minIntervalMs : Math.min(watch.interval * backoffFactor, maxIntervalMs);
+    return true;
+  };
+
+  const poll = async (watch) => {
+    try {
+      const transaction = await fetchTransaction(watch.id, watch.token);
+      watch.errors = 0;
+      if (!isLive(watch) || !update(watch, transaction)) {
+        return;
+      }
+    } catch (error) {
+      if (!isLive(watch)) {
+        return;
+      }
+      watch.errors += 1;
+      const status = error.response?.status;
+      emit(watch, { type: 'error', error: error.response?.data?.error || error.message });
+
+      // Auth problems and unknown transactions won't fix themselves
+      if (status === 401 || status === 403 || status === 404 || watch.errors >= MAX_CONSECUTIVE_ERRORS) {
+        emit(watch, { type: 'done', transaction: watch.last });
+        stop(watch);
+        return;
+      }
+      watch.interval = Math.min(watch.interval * backoffFactor, maxIntervalMs);
+    }
+
+    if (isLive(watch)) {
+      schedule(watch);
+    }
+  };
+
+  // Follow a transaction as the JWT subject the token was issued to. The
+  // listener gets { type: 'status' | 'error' | 'done' } events; call the
+  // returned function to stop listening.
+  const watch = (id, { token, subject }, listener) => {
+    const key = keyFor(subject, id);
+    let entry = watches.get(key);
+    if (!entry) {
+      entry = { key, id, token, listeners: new Set(), last: null, interval: minIntervalMs, errors: 0, timer: null };
+      watches.set(key, entry);
+      poll(entry);
+    } else {
+      // Newest token of the same subject wins - older sessions may have expired
+      entry.token = token;
+      if (entry.last) {
+        listener({ type: 'status', transaction: entry.last });
+      }
+    }
+    entry.listeners.add(listener);
+
+    return () => {
+      entry.listeners.delete(listener);
+      if (entry.listeners.size === 0) {
+        stop(entry);
+      }
+    };
+  };
+
+  // Status from somewhere other than polling: show it and poll again soon.
+  // Only watches the anchor has already answered for get it - a subscriber
+  // whose first poll hasn't come back may not be allowed to see it.
+  const publish = (id, transaction) => {
+    for (const entry of [...watches.values()]) {
+      if (entry.id === id && entry.last && update(entry, transaction)) {
+        schedule(entry);
+      }
+    }
+  };
+
+  const stopAll = () => {
+    for (const entry of [...watches.values()]) {
+      stop(entry);
+    }
+  };
+
+  const watching = (id) => [...watches.values()].some((entry) => entry.id === id);
+
+  return { watch, publish, stopAll, watching };
+}
+
+module.exports = {
+  TERMINAL_STATUSES,
+  createTransactionWatcher,
+};
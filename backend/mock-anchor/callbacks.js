@@ -0,0 +1,39 @@
+const axios = require('axios');
+
+// SEP-24 on_change_callback delivery for the mock anchor.
+// Each POST carries a `Signature: t=<timestamp>, s=<base64>` header: an
+// ed25519 signature by SIGNING_KEY over "<timestamp>.<host>.<body>".
+
+function signCallback(signingKeypair, url, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const host = new URL(url).host;
+  const signature = signingKeypair.sign(Buffer.from(`${timestamp}.${host}.${body}`)).toString('base64');
+  return `t=${timestamp}, s=${signature}`;
+}
+
+function createCallbackSender({ signingKeypair, log }) {
+  const urls = new Map();
+
+  const register = (id, url) => {
+    if (url && url !== 'postMessage') {
+      urls.set(id, url);
+    }
+  };
+
+  // Fire and forget, like a real anchor - a failed callback never blocks the status change
+  const send = (txn) => {
+    const url = urls.get(txn.id);
+    if (!url) return;
+
+    const body = JSON.stringify({ transaction: txn });
+    axios.post(url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Signature': signCallback(signingKeypair, url, body),
+      },
+    }).catch((err) => log(`callback for ${txn.id} failed: ${err.message}`));
+  };
+
+  return { register, send };
+}
+
+module.exports = { signCallback, createCallbackSender };
@@ -0,0 +1,118 @@
+const StellarSdk = require('stellar-sdk');
+
+// Minimal Horizon stand-in for the mock anchor, mounted under /horizon.
+// Every account exists and has enough of every asset; submitting checks the
+// sequence number and source signature, then "settles" any payment that
+// matches a SEP-24 withdrawal waiting on pending_user_transfer_start.
+// Accounts have just their master key unless setAccount() gives them
+// other signers and thresholds (for multisig SEP-10).
+
+const STARTING_SEQUENCE = 100000000000n;
+
+const horizonError = (res, status, title, resultCodes) => res.status(status).json({
+  type: `https://stellar.org/horizon-errors/${resultCodes ? 'transaction_failed' : 'transaction_malformed'}`,
+  title,
+  status,
+  ...(resultCodes && { extras: { result_codes: resultCodes } }),
+});
+
+const memoOf = (memo) => {
+  if (memo.type === 'none') return null;
+  return memo.type === 'hash' ? Buffer.from(memo.value).toString('base64') : String(memo.value);
+};
+
+function registerHorizon(app, { networkPassphrase, transactions, log }) {
+  const sequences = new Map();
+  const submitted = new Map();
+  const accounts = new Map();
+  let ledger = 1000;
+
+  const sequenceOf = (account) => sequences.get(account) ?? STARTING_SEQUENCE;
+
+  // signers: [{ key, weight }], thresholds: { low, med, high }
+  const setAccount = (account, { signers, thresholds = {} }) => {
+    accounts.set(account, {
+      signers,
+      thresholds: { low: 0, med: 0, high: 0, ...thresholds },
+    });
+  };
+
+  const accountOf = (account) => accounts.get(account) ?? {
+    signers: [{ key: account, weight: 1 }],
+    thresholds: { low: 0, med: 0, high: 0 },
+  };
+
+  // Withdrawals this payment completes: same account, memo and amount
+  const settleWithdrawals = (txn, hash) => {
+    for (const op of txn.operations.filter((o) => o.type === 'payment')) {
+      const memo = memoOf(txn.memo);
+      const waiting = transactions.find((t) => t.kind === 'withdrawal' &&
+        t.status === 'pending_user_transfer_start' &&
+        t.withdraw_anchor_account === op.destination &&
+        (t.withdraw_memo ?? null) === memo &&
+        Number(t.amount_in) === Number(op.amount));
+      if (waiting) {
+        transactions.advance(waiting.id, { stellar_transaction_id: hash });
+        log(`payment ${hash} received for withdrawal ${waiting.id}`);
+      }
+    }
+  };
+
+  app.get('/horizon/accounts/:id', (req, res) => {
+    if (!StellarSdk.StrKey.isValidEd25519PublicKey(req.params.id)) {
+      return res.status(404).json({ type: 'https://stellar.org/horizon-errors/not_found', title: 'Resource Missing', status: 404 });
+    }
+    const { signers, thresholds } = accountOf(req.params.id);
+    res.json({
+      id: req.params.id,
+      account_id: req.params.id,
+      sequence: sequenceOf(req.params.id).toString(),
+      signers: signers.map(({ key, weight }) => ({ key, weight, type: 'ed25519_public_key' })),
+      thresholds: {
+        low_threshold: thresholds.low,
+        med_threshold: thresholds.med,
+        high_threshold: thresholds.high,
+      },
+    });
+  });
+
+  app.post('/horizon/transactions', (req, res) => {
+    let txn;
+    try {
+      txn = StellarSdk.TransactionBuilder.fromXDR(req.body.tx, networkPassphrase);
+    } catch {
+      return horizonError(res, 400, 'Transaction Malformed');
+    }
+    if (txn instanceof StellarSdk.FeeBumpTransaction) {
+      return horizonError(res, 400, 'Transaction Malformed');
+    }
+
+    const source = txn.source;
+    if (BigInt(txn.sequence) !== sequenceOf(source) + 1n) {
+      return horizonError(res, 400, 'Transaction Failed', { transaction: 'tx_bad_seq' });
+    }
+    if (!StellarSdk.WebAuth.verifyTxSignedBy(txn, source)) {
+      return horizonError(res, 400, 'Transaction Failed', { transaction: 'tx_bad_auth' });
+    }
+
+    const hash = txn.hash().toString('hex');
+    sequences.set(source, BigInt(txn.sequence));
+    ledger += 1;
+    submitted.set(hash, { hash, ledger, successful: true, envelope_xdr: req.body.tx, source_account: source });
+
+    settleWithdrawals(txn, hash);
+    res.json(submitted.get(hash));
+  });
+
+  app.get('/horizon/transactions/:hash', (req, res) => {
+    const record = submitted.get(req.params.hash);
+    if (!record) {
+      return res.status(404).json({ type: 'https://stellar.org/horizon-errors/not_found', title: 'Resource Missing', status: 404 });
+    }
+    res.json(record);
+  });
+
+  return { submitted, setAccount, accountOf };
+}
+
+module.exports = { registerHorizon };
@@ -0,0 +1,338 @@
+const express = require('express');
+const axios = require('axios');
+const StellarSdk = require('stellar-sdk');
+const crypto = require('crypto');
+
+const { signJwt, verifyJwt } = require('./jwt');
+const { createTransactionStore } = require('./transactions');
+const { registerSep24 } = require('./sep24');
+const { registerSep6 } = require('./sep6');
+const { createCustomerStore, registerSep12 } = require('./sep12');
+const { createQuoteStore, registerSep38 } = require('./sep38');
+const { registerHorizon } = require('./horizon');
+const { createCallbackSender } = require('./callbacks');
+const { parseStellarToml } = require('../lib/toml');
+
+// Local mock anchor implementing SEP-1, SEP-6, SEP-10, SEP-12, SEP-24 and SEP-38.
+// Lets the backend be developed and tested without a tunnel or a real anchor:
+//
+//   HOME_DOMAIN=http://localhost:8000 ALLOW_HTTP=true node server.js
+//   MOCK_ANCHOR_PORT=8000 node mock-anchor
+
+const CHALLENGE_TIMEOUT = 300; // seconds
+const JWT_LIFETIME = 3600; // seconds
+
+function createMockAnchor({
+  networkPassphrase = StellarSdk.Networks.TESTNET,
+  signingKeypair = StellarSdk.Keypair.random(),
+  issuerKeypair = StellarSdk.Keypair.random(),
+  distributionKeypair = StellarSdk.Keypair.random(),
+  jwtSecret = crypto.randomBytes(32).toString('hex'),
+  assets = ['USDC', 'SRT'],
+  orgName = 'Mock Anchor',
+  // false sends X-Frame-Options: DENY on the interactive pages
+  allowFraming = true,
+  quoteTtlSeconds = 60,
+  // Where to fetch a client_domain's stellar.toml from. Tests point this at
+  // a local server; by default the domain itself is fetched over HTTPS.
+  clientDomainUrl = (domain) => `https://${domain}`,
+  logger = console,
+} = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  let server = null;
+  let baseUrl = null;
+
+  const getBaseUrl = () => baseUrl;
+  const getHost = () => new URL(baseUrl).host;
+
+  const log = (...args) => logger && logger.log('[mock-anchor]', ...args);
+
+  const callbacks = createCallbackSender({ signingKeypair, log });
+  const transactions = createTransactionStore({
+    baseUrl: getBaseUrl,
+    distributionAccount: distributionKeypair.publicKey(),
+    onChange: callbacks.send,
+  });
+  const sep6Transactions = createTransactionStore({
+    baseUrl: getBaseUrl,
+    distributionAccount: distributionKeypair.publicKey(),
+    moreInfoPath: '/sep6/more_info',
+  });
+  const customers = createCustomerStore();
+  const quotes = createQuoteStore({ ttlSeconds: quoteTtlSeconds });
+
+  // ----- SEP-1 -----
+
+  const renderToml = () => [
+    `NETWORK_PASSPHRASE="${networkPassphrase}"`,
+    `SIGNING_KEY="${signingKeypair.publicKey()}"`,
+    `WEB_AUTH_ENDPOINT="${baseUrl}/auth"`,
+    `TRANSFER_SERVER="${baseUrl}/sep6"`,
+    `TRANSFER_SERVER_SEP0024="${baseUrl}/sep24"`,
+    `KYC_SERVER="${baseUrl}/kyc"`,
+    `ANCHOR_QUOTE_SERVER="${baseUrl}/sep38"`,
+    '',
+    '[DOCUMENTATION]',
+    `ORG_NAME="${orgName}"`,
+    `ORG_URL="${baseUrl}"`,
+    '',
+    ...assets.flatMap((code) => [
+      '[[CURRENCIES]]',
+      `code="${code}"`,
+      `issuer="${issuerKeypair.publicKey()}"`,
+      'status="test"',
+      'is_asset_anchored=true',
+      'anchor_asset_type="fiat"',
+      '',
+    ]),
+  ].join('\n');
+
+  app.get('/.well-known/stellar.toml', (req, res) => {
+    res.type('text/plain').send(renderToml());
+  });
+
+  // ----- SEP-10 -----
+
+  const fetchClientSigningKey = async (clientDomain) => {
+    const url = `${clientDomainUrl(clientDomain)}/.well-known/stellar.toml`;
+    const response = await axios.get(url, { responseType: 'text', transformResponse: (body) => body });
+    const data = parseStellarToml(response.data, { url });
+    if (!data.SIGNING_KEY) {
+      throw new Error(`SIGNING_KEY not found in ${url}`);
+    }
+    return data.SIGNING_KEY;
+  };
+
+  app.get('/auth', async (req, res) => {
+    const { account, memo, client_domain: clientDomain } = req.query;
+
+    if (!account || !(StellarSdk.StrKey.isValidEd25519PublicKey(account) ||
+        StellarSdk.StrKey.isValidMed25519PublicKey(account))) {
+      return res.status(400).json({ error: 'invalid account' });
+    }
+    if (memo && account.startsWith('M')) {
+      return res.status(400).json({ error: 'memo cannot be used with a muxed account' });
+    }
+
+    let clientSigningKey;
+    if (clientDomain) {
+      try {
+        clientSigningKey = await fetchClientSigningKey(clientDomain);
+      } catch (err) {
+        log(`client_domain lookup failed: ${err.message}`);
+        return res.status(400).json({ error: `unable to fetch client_domain signing key: ${err.message}` });
+      }
+    }
+
+    const transaction = StellarSdk.WebAuth.buildChallengeTx(
+      signingKeypair,
+      account,
+      getHost(),
+      CHALLENGE_TIMEOUT,
+      networkPassphrase,
+      getHost(),
+      memo || null,
+      clientDomain || null,
+      clientSigningKey || null
+    );
+
+    res.json({ transaction, network_passphrase: networkPassphrase });
+  });
+
+  app.post('/auth', (req, res) => {
+    const { transaction } = req.body;
+    if (!transaction) {
+      return res.status(400).json({ error: 'transaction is required' });
+    }
+
+    try {
+      const { tx, clientAccountID, memo } = StellarSdk.WebAuth.readChallengeTx(
+        transaction,
+        signingKeypair.publicKey(),
+        networkPassphrase,
+        getHost(),
+        getHost()
+      );
+
+      const baseAccount = clientAccountID.startsWith('M')
+        ? StellarSdk.MuxedAccount.fromAddress(clientAccountID, '0').baseAccount().accountId()
+        : clientAccountID;
+
+      // Signers and medium threshold come from the Horizon stand-in; plain
+      // accounts just need their master key
+      const account = horizon.accountOf(baseAccount);
+      const clientDomainOp = tx.operations.find((op) => op.name === 'client_domain');
+      const signers = account.signers.map((signer) => signer.key);
+      if (clientDomainOp) {
+        signers.push(clientDomainOp.source);
+      }
+
+      const signersFound = StellarSdk.WebAuth.verifyChallengeTxSigners(
+        transaction,
+        signingKeypair.publicKey(),
+        networkPassphrase,
+        signers,
+        getHost(),
+        getHost()
+      );
+
+      const weight = account.signers
+        .filter((signer) => signersFound.includes(signer.key))
+        .reduce((sum, signer) => sum + signer.weight, 0);
+      if (weight === 0 || weight < account.thresholds.med) {
+        return res.status(400).json({
+          error: `challenge signers have weight ${weight}, the account needs ${Math.max(account.thresholds.med, 1)}`,
+        });
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const claims = {
+        iss: `${baseUrl}/auth`,
+        sub: memo ? `${clientAccountID}:${memo}` : clientAccountID,
+        iat: now,
+        exp: now + JWT_LIFETIME,
+        jti: crypto.createHash('sha256').update(tx.hash()).digest('hex'),
+      };
+      if (clientDomainOp) {
+        claims.client_domain = clientDomainOp.value.toString();
+      }
+
+      log(`issued token for ${claims.sub}`);
+      res.json({ token: signJwt(claims, jwtSecret) });
+    } catch (err) {
+      log(`challenge rejected: ${err.message}`);
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  const requireJwt = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const claims = header.startsWith('Bearer ') ? verifyJwt(header.substring(7), jwtSecret) : null;
+    if (!claims) {
+      return res.status(403).json({ type: 'authentication_required' });
+    }
+    req.claims = claims;
+    next();
+  };
+
+  registerSep24(app, { transactions, quotes, callbacks, requireJwt, assets, baseUrl: getBaseUrl, allowFraming, log });
+  registerSep6(app, { transactions: sep6Transactions, requireJwt, assets, log });
+  registerSep12(app, { customers, requireJwt, log });
+  registerSep38(app, { quotes, requireJwt, assets, issuer: issuerKeypair.publicKey(), log });
+  const horizon = registerHorizon(app, { networkPassphrase, transactions, log });
+
+  // ----- Test control API -----
+  // Not part of any SEP: lets tests and manual runs drive status changes
+
+  // SEP-6 and SEP-24 transactions share one id space from the caller's view
+  const storeFor = (id) => (sep6Transactions.get(id) ? sep6Transactions : transactions);
+
+  const control = (fn) => (req, res) => {
+    try {
+      res.json({ transaction: fn(storeFor(req.params.id), req) });
+    } catch (err) {
+      res.status(404).json({ error: err.message });
+    }
+  };
+
+  app.post('/__control/transactions/:id/advance', control((store, req) => store.advance(req.params.id, req.body)));
+  app.post('/__control/transactions/:id/status', control((store, req) => {
+    const { status, ...fields } = req.body;
+    return store.setStatus(req.params.id, status, fields);
+  }));
+  app.post('/__control/transactions/:id/script', control((store, req) => {
+    store.script(req.params.id, req.body.statuses || []);
+    return store.get(req.params.id).txn;
+  }));
+
+  const customerControl = (fn) => (req, res) => {
+    try {
+      res.json(customers.describe(fn(req)));
+    } catch (err) {
+      res.status(404).json({ error: err.message });
+    }
+  };
+
+  app.post('/__control/customers/:id/status', customerControl((req) =>
+    customers.setStatus(req.params.id, req.body.status, req.body.message)));
+  app.post('/__control/customers/:id/reject', customerControl((req) =>
+    customers.rejectField(req.params.id, req.body.field, req.body.error)));
+
+  app.post('/__control/quotes/:id/expire', (req, res) => {
+    try {
+      res.json(quotes.expire(req.params.id));
+    } catch (err) {
+      res.status(404).json({ error: err.message });
+    }
+  });
+
+  // Make an account multisig: { signers: [{ key, weight }], thresholds: { low, med, high } }
+  app.post('/__control/accounts/:id/signers', (req, res) => {
+    if (!Array.isArray(req.body.signers)) {
+      return res.status(400).json({ error: 'signers must be a list of { key, weight }' });
+    }
+    horizon.setAccount(req.params.id, req.body);
+    res.json(horizon.accountOf(req.params.id));
+  });
+
+  const start = (port = 0, host = '127.0.0.1') => new Promise((resolve, reject) => {
+    server = app.listen(port, host, () => {
+      baseUrl = `http://${host}:${server.address().port}`;
+      resolve(baseUrl);
+    });
+    server.on('error', reject);
+  });
+
+  const stop = () => new Promise((resolve) => {
+    if (!server) return resolve();
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+
+  return {
+    app,
+    start,
+    stop,
+    transactions,
+    sep6Transactions,
+    customers,
+    quotes,
+    horizon,
+    get url() {
+      return baseUrl;
+    },
+    get horizonUrl() {
+      return `${baseUrl}/horizon`;
+    },
+    signingKey: signingKeypair.publicKey(),
+    issuer: issuerKeypair.publicKey(),
+    distributionAccount: distributionKeypair.publicKey(),
+    networkPassphrase,
+  };
+}
+
+module.exports = { createMockAnchor };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_ANCHOR_PORT || 8000);
+  const anchor = createMockAnchor({
+    // Local backend serves our client_domain TOML over plain HTTP
+    clientDomainUrl: (domain) => (/^(localhost|127\.0\.0\.1)(:\d+)?$/.test(domain) ? `http://${domain}` : `https://${domain}`),
+    // MOCK_ANCHOR_ALLOW_FRAMING=false to try the wallet's popup / new tab fallback
+    allowFraming: process.env.MOCK_ANCHOR_ALLOW_FRAMING !== 'false',
+  });
+
+  anchor.start(port, 'localhost').then((url) => {
+    console.log(`\n${'='.repeat(50)}`);
+    console.log('Mock Anchor (SEP-1 / SEP-6 / SEP-10 / SEP-12 / SEP-24 / SEP-38)');
+    console.log(`${'='.repeat(50)}`);
+    console.log(`URL: ${url}`);
+    console.log(`Horizon: ${anchor.horizonUrl}`);
+    console.log(`Signing Key: ${anchor.signingKey}`);
+    console.log(`Asset Issuer: ${anchor.issuer}`);
+    console.log(`${'='.repeat(50)}\n`);
+  });
+}
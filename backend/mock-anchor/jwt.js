@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+// Minimal HS256 JWT helpers for the mock anchor.
+// Real anchors use whatever scheme they like - clients only ever decode.
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+function signJwt(payload, secret) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+// Returns the payload, or null if the token is malformed, forged or expired
+function verifyJwt(token, secret, now = Math.floor(Date.now() / 1000)) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+
+  const [header, body, signature] = parts;
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+  } catch {
+    return null;
+  }
+
+  if (payload.exp && payload.exp < now) return null;
+  return payload;
+}
+
+module.exports = { signJwt, verifyJwt };
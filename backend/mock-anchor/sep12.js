@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const multer = require('multer');
+
+// SEP-12 KYC endpoints for the mock anchor.
+// Customers move through NEEDS_INFO -> PROCESSING -> ACCEPTED/REJECTED;
+// tests reject individual fields or set a status with the control helpers.
+
+const CUSTOMER_FIELDS = {
+  first_name: { type: 'string', description: 'first name' },
+  last_name: { type: 'string', description: 'last name' },
+  email_address: { type: 'string', description: 'email address' },
+  mobile_number: { type: 'string', description: 'phone number with country code', optional: true },
+  id_type: { type: 'string', description: 'type of ID document', choices: ['passport', 'drivers_license', 'id_card'] },
+  photo_id_front: { type: 'binary', description: 'image of the front of the ID document' },
+};
+
+// Code the mock accepts for any *_verification field
+const VERIFICATION_CODE = '123456';
+
+function createCustomerStore() {
+  const customers = new Map();
+
+  const find = (owner, type = 'default') => [...customers.values()]
+    .find((customer) => customer.owner === owner && customer.type === type);
+
+  const get = (id) => {
+    const customer = customers.get(id);
+    if (!customer) {
+      throw new Error(`Unknown customer: ${id}`);
+    }
+    return customer;
+  };
+
+  const upsert = ({ id, owner, type = 'default', values }) => {
+    const customer = id ? get(id) : find(owner, type) || {
+      id: crypto.randomUUID(),
+      owner,
+      type,
+      values: {},
+      fieldStatus: {},
+      status: null,
+      message: null,
+    };
+
+    for (const [name, value] of Object.entries(values)) {
+      customer.values[name] = value;
+      customer.fieldStatus[name] = {
+        status: name === 'mobile_number' ? 'VERIFICATION_REQUIRED' : 'PROCESSING',
+      };
+    }
+
+    // New information puts the customer back under review
+    customer.status = null;
+    customers.set(customer.id, customer);
+    return customer;
+  };
+
+  const setStatus = (id, status, message = null) => {
+    const customer = get(id);
+    customer.status = status;
+    customer.message = message;
+    if (status === 'ACCEPTED') {
+      for (const field of Object.values(customer.fieldStatus)) {
+        if (field.status === 'PROCESSING') field.status = 'ACCEPTED';
+      }
+    }
+    return customer;
+  };
+
+  const rejectField = (id, field, error) => {
+    const customer = get(id);
+    customer.fieldStatus[field] = { status: 'REJECTED', error };
+    customer.status = null;
+    return customer;
+  };
+
+  const verify = (id, field) => {
+    const customer = get(id);
+    if (customer.fieldStatus[field]?.status === 'VERIFICATION_REQUIRED') {
+      customer.fieldStatus[field] = { status: 'ACCEPTED' };
+    }
+    return customer;
+  };
+
+  const remove = (owner) => {
+    for (const [id, customer] of customers) {
+      if (customer.owner === owner) customers.delete(id);
+    }
+  };
+
+  // Shape a customer the way SEP-12 GET /customer reports it
+  const describe = (customer) => {
+    if (!customer) {
+      return { status: 'NEEDS_INFO', fields: CUSTOMER_FIELDS };
+    }
+
+    const missing = Object.fromEntries(Object.entries(CUSTOMER_FIELDS)
+      .filter(([name, field]) => !field.optional && !(name in customer.values)));
+
+    const provided = Object.fromEntries(Object.keys(customer.values).map((name) => [name, {
+      ...CUSTOMER_FIELDS[name],
+      ...customer.fieldStatus[name],
+    }]));
+
+    const needsInfo = Object.keys(missing).length > 0 ||
+      Object.values(customer.fieldStatus).some((field) => ['REJECTED', 'VERIFICATION_REQUIRED'].includes(field.status));
+
+    const status = customer.status === 'REJECTED' ? 'REJECTED'
+      : needsInfo ? 'NEEDS_INFO'
+      : customer.status || 'PROCESSING';
+
+    const result = { id: customer.id, status, provided_fields: provided };
+    if (Object.keys(missing).length > 0) result.fields = missing;
+    if (customer.message) result.message = customer.message;
+    return result;
+  };
+
+  return { find, get, upsert, setStatus, rejectField, verify, remove, describe };
+}
+
+function registerSep12(app, { customers, requireJwt, log }) {
+  const upload = multer({ storage: multer.memoryStorage() }).any();
+
+  app.get('/kyc/customer', requireJwt, (req, res) => {
+    const { id, type } = req.query;
+    let customer;
+    try {
+      customer = id ? customers.get(id) : customers.find(req.claims.sub, type);
+    } catch {
+      return res.status(404).json({ error: 'customer not found' });
+    }
+    if (customer && customer.owner !== req.claims.sub) {
+      return res.status(404).json({ error: 'customer not found' });
+    }
+    res.json(customers.describe(customer));
+  });
+
+  app.put('/kyc/customer', requireJwt, upload, (req, res) => {
+    // account / memo are ignored: the JWT identifies the customer
+    const { id, type, ...rest } = req.body;
+
+    const values = Object.fromEntries(Object.entries(rest).filter(([name]) => name in CUSTOMER_FIELDS));
+    for (const file of req.files || []) {
+      if (CUSTOMER_FIELDS[file.fieldname]?.type !== 'binary') {
+        return res.status(400).json({ error: `${file.fieldname} is not a binary field` });
+      }
+      values[file.fieldname] = { filename: file.originalname, size: file.size, mimetype: file.mimetype };
+    }
+
+    const invalid = Object.entries(values).find(([name, value]) =>
+      CUSTOMER_FIELDS[name].choices && !CUSTOMER_FIELDS[name].choices.includes(value));
+    if (invalid) {
+      return res.status(400).json({ error: `invalid value for ${invalid[0]}: ${invalid[1]}` });
+    }
+
+    try {
+      if (id && customers.get(id).owner !== req.claims.sub) {
+        return res.status(404).json({ error: 'customer not found' });
+      }
+      const customer = customers.upsert({ id, owner: req.claims.sub, type, values });
+      log(`customer ${customer.id} updated: ${Object.keys(values).join(', ')}`);
+      res.status(202).json({ id: customer.id });
+    } catch {
+      res.status(404).json({ error: 'customer not found' });
+    }
+  });
+
+  app.put('/kyc/customer/verification', requireJwt, (req, res) => {
+    const { id, ...codes } = req.body;
+    let customer;
+    try {
+      customer = customers.get(id);
+    } catch {
+      return res.status(404).json({ error: 'customer not found' });
+    }
+    if (customer.owner !== req.claims.sub) {
+      return res.status(404).json({ error: 'customer not found' });
+    }
+
+    for (const [key, code] of Object.entries(codes)) {
+      const field = key.replace(/_verification$/, '');
+      if (code !== VERIFICATION_CODE) {
+        return res.status(400).json({ error: `invalid verification code for ${field}` });
+      }
+      customers.verify(id, field);
+    }
+    res.json(customers.describe(customer));
+  });
+
+  app.delete('/kyc/customer/:account', requireJwt, (req, res) => {
+    if (req.claims.sub.split(':')[0] !== req.params.account) {
+      return res.status(404).json({ error: 'customer not found' });
+    }
+    customers.remove(req.claims.sub);
+    res.status(200).end();
+  });
+}
+
+module.exports = { CUSTOMER_FIELDS, VERIFICATION_CODE, createCustomerStore, registerSep12 };
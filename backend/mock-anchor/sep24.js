@@ -0,0 +1,162 @@
+// SEP-24 interactive deposit / withdrawal endpoints for the mock anchor
+
+function registerSep24(app, { transactions, quotes, callbacks, requireJwt, assets, baseUrl, allowFraming, log }) {
+  const assetInfo = () => Object.fromEntries(assets.map((code) => [code, {
+    enabled: true,
+    min_amount: 1,
+    max_amount: 10000,
+    fee_fixed: 0,
+    fee_percent: 0,
+  }]));
+
+  app.get('/sep24/info', (req, res) => {
+    res.json({
+      deposit: assetInfo(),
+      withdraw: assetInfo(),
+      fee: { enabled: false },
+      features: { account_creation: true, claimable_balances: false },
+    });
+  });
+
+  // Check a SEP-38 quote against the transfer it is used for
+  const quoteProblem = (kind, { quoteId, assetCode, offChainAsset, amount, owner }) => {
+    const entry = quotes.get(quoteId);
+    if (!entry || entry.owner !== owner) return `unknown quote_id: ${quoteId}`;
+
+    const { quote } = entry;
+    if (quotes.isExpired(quote)) return 'quote has expired';
+
+    const [onChain, offChain] = kind === 'deposit'
+      ? [quote.buy_asset, quote.sell_asset]
+      : [quote.sell_asset, quote.buy_asset];
+    if (!onChain.startsWith(`stellar:${assetCode}:`)) return `quote is not for ${assetCode}`;
+    if (offChainAsset && offChainAsset !== offChain) return `quote is not for ${offChainAsset}`;
+    if (amount && Number(amount) !== Number(quote.sell_amount)) return 'amount does not match the quote sell_amount';
+    return null;
+  };
+
+  const startInteractive = (kind) => (req, res) => {
+    const { asset_code: assetCode, amount, account, quote_id: quoteId } = req.body;
+    const offChainAsset = kind === 'deposit' ? req.body.source_asset : req.body.destination_asset;
+
+    if (!assetCode || !assets.includes(assetCode)) {
+      return res.status(400).json({ error: `invalid asset_code: ${assetCode}` });
+    }
+
+    let extra = {};
+    if (quoteId) {
+      const problem = quoteProblem(kind, { quoteId, assetCode, offChainAsset, amount, owner: req.claims.sub });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const { quote } = quotes.get(quoteId);
+      extra = {
+        quote_id: quoteId,
+        amount_in: quote.sell_amount,
+        amount_in_asset: quote.sell_asset,
+        amount_out: quote.buy_amount,
+        amount_out_asset: quote.buy_asset,
+        amount_fee: quote.fee.total,
+        amount_fee_asset: quote.fee.asset,
+      };
+    } else if (offChainAsset) {
+      extra = kind === 'deposit' ? { amount_in_asset: offChainAsset } : { amount_out_asset: offChainAsset };
+    }
+
+    const txn = transactions.create({
+      kind,
+      owner: req.claims.sub,
+      account: account || req.claims.sub.split(':')[0],
+      assetCode,
+      amount,
+      extra,
+    });
+    callbacks.register(txn.id, req.body.on_change_callback);
+
+    log(`${kind} ${txn.id} started for ${req.claims.sub}`);
+    res.json({
+      type: 'interactive_customer_info_needed',
+      url: `${baseUrl()}/sep24/interactive?transaction_id=${txn.id}`,
+      id: txn.id,
+    });
+  };
+
+  app.post('/sep24/transactions/deposit/interactive', requireJwt, startInteractive('deposit'));
+  app.post('/sep24/transactions/withdraw/interactive', requireJwt, startInteractive('withdrawal'));
+
+  // Anchors that refuse to be framed force wallets back to a popup or tab
+  const framing = (req, res, next) => {
+    if (!allowFraming) {
+      res.set('X-Frame-Options', 'DENY');
+      res.set('Content-Security-Policy', "frame-ancestors 'none'");
+    }
+    next();
+  };
+
+  // Stand-in for the anchor's KYC / payment web page. With
+  // callback=postMessage the done page posts the transaction to the wallet.
+  app.get('/sep24/interactive', framing, (req, res) => {
+    const entry = transactions.get(req.query.transaction_id);
+    if (!entry) {
+      return res.status(404).send('Unknown transaction');
+    }
+    const callback = req.query.callback === 'postMessage' ? 'postMessage' : '';
+    res.type('html').send(`<!doctype html>
+<title>Mock Anchor</title>
+<h1>Mock Anchor ${entry.txn.kind}</h1>
+<p>Transaction ${entry.txn.id} (${entry.txn.asset_code})</p>
+<form method="post" action="${baseUrl()}/sep24/interactive/complete">
+  <input type="hidden" name="transaction_id" value="${entry.txn.id}">
+  <input type="hidden" name="callback" value="${callback}">
+  ${entry.txn.amount_in ? '' : '<input name="amount" placeholder="Amount" required>'}
+  <button type="submit">Complete</button>
+</form>`);
+  });
+
+  app.post('/sep24/interactive/complete', framing, (req, res) => {
+    const entry = transactions.get(req.body.transaction_id);
+    if (!entry) {
+      return res.status(404).send('Unknown transaction');
+    }
+    if (entry.txn.status === 'incomplete') {
+      // The amount is collected here when the wallet didn't send one
+      const amount = !entry.txn.amount_in && req.body.amount;
+      transactions.advance(entry.txn.id, amount ? { amount_in: amount, amount_out: amount, amount_fee: '0' } : {});
+    }
+    if (req.body.callback !== 'postMessage') {
+      return res.type('html').send('<!doctype html><p>Done - you can close this window.</p>');
+    }
+    // A real anchor should target the wallet's origin; the mock doesn't know it
+    const message = JSON.stringify({ transaction: transactions.get(entry.txn.id).txn }).replace(/</g, '\\u003c');
+    res.type('html').send(`<!doctype html><p>Done - returning to your wallet.</p>
+<script>(window.opener || window.parent).postMessage(${message}, '*');</script>`);
+  });
+
+  app.get('/sep24/more_info', (req, res) => {
+    const entry = transactions.get(req.query.id);
+    if (!entry) {
+      return res.status(404).send('Unknown transaction');
+    }
+    res.type('html').send(`<!doctype html><pre>${JSON.stringify(entry.txn, null, 2)}</pre>`);
+  });
+
+  app.get('/sep24/transaction', requireJwt, (req, res) => {
+    const entry = req.query.id && transactions.get(req.query.id);
+    if (!entry || entry.owner !== req.claims.sub) {
+      return res.status(404).json({ error: 'transaction not found' });
+    }
+    res.json({ transaction: entry.txn });
+  });
+
+  app.get('/sep24/transactions', requireJwt, (req, res) => {
+    const { asset_code: assetCode, kind, no_older_than: noOlderThan, limit, paging_id: pagingId } = req.query;
+    if (!assetCode) {
+      return res.status(400).json({ error: 'asset_code is required' });
+    }
+    res.json({
+      transactions: transactions.list({ owner: req.claims.sub, assetCode, kind, noOlderThan, limit, pagingId }),
+    });
+  });
+}
+
+module.exports = { registerSep24 };
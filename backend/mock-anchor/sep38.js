@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+
+// SEP-38 quote endpoints for the mock anchor.
+// Prices come from a fixed USD rate table with a 1% fee taken in the sell asset.
+
+const USD_RATES = {
+  USDC: 1,
+  SRT: 0.5,
+  EUR: 1.08,
+  BRL: 0.19,
+};
+
+const FIAT_ASSETS = ['EUR', 'BRL'];
+const FEE_RATE = 0.01;
+const DEFAULT_QUOTE_TTL = 60; // seconds
+
+const codeOf = (asset) => asset.split(':')[1];
+const decimalsOf = (asset) => (asset.startsWith('iso4217:') ? 2 : 7);
+const round = (value, decimals) => value.toFixed(decimals);
+
+function createQuoteStore({ ttlSeconds = DEFAULT_QUOTE_TTL } = {}) {
+  const quotes = new Map();
+
+  const add = (quote, owner, expireAfter) => {
+    const expiresAt = Math.max(Date.now() + ttlSeconds * 1000, expireAfter ? new Date(expireAfter).getTime() : 0);
+    const stored = { ...quote, id: crypto.randomUUID(), expires_at: new Date(expiresAt).toISOString() };
+    quotes.set(stored.id, { quote: stored, owner });
+    return stored;
+  };
+
+  const get = (id) => quotes.get(id);
+
+  // Let tests expire a quote without waiting for it
+  const expire = (id) => {
+    const entry = quotes.get(id);
+    if (!entry) {
+      throw new Error(`Unknown quote: ${id}`);
+    }
+    entry.quote.expires_at = new Date(Date.now() - 1000).toISOString();
+    return entry.quote;
+  };
+
+  const isExpired = (quote) => new Date(quote.expires_at).getTime() <= Date.now();
+
+  return { add, get, expire, isExpired };
+}
+
+function registerSep38(app, { quotes, requireJwt, assets, issuer, log }) {
+  const stellarAssets = () => assets.map((code) => `stellar:${code}:${issuer}`);
+  const fiatAssets = FIAT_ASSETS.map((code) => `iso4217:${code}`);
+  const known = (asset) => stellarAssets().includes(asset) || fiatAssets.includes(asset);
+
+  // Pairs are always fiat <-> stellar
+  const canTrade = (sell, buy) => known(sell) && known(buy) &&
+    sell.startsWith('iso4217:') !== buy.startsWith('iso4217:');
+
+  const price = ({ sell_asset: sellAsset, buy_asset: buyAsset, sell_amount: sellAmount, buy_amount: buyAmount }) => {
+    const rate = USD_RATES[codeOf(buyAsset)] / USD_RATES[codeOf(sellAsset)];
+
+    let sell;
+    let buy;
+    if (sellAmount) {
+      sell = Number(sellAmount);
+      buy = (sell * (1 - FEE_RATE)) / rate;
+    } else {
+      buy = Number(buyAmount);
+      sell = (buy * rate) / (1 - FEE_RATE);
+    }
+
+    return {
+      total_price: round(sell / buy, 7),
+      price: round(rate, 7),
+      sell_amount: round(sell, decimalsOf(sellAsset)),
+      buy_amount: round(buy, decimalsOf(buyAsset)),
+      fee: { total: round(sell * FEE_RATE, decimalsOf(sellAsset)), asset: sellAsset },
+    };
+  };
+
+  const validate = (params) => {
+    const { sell_asset: sellAsset, buy_asset: buyAsset, sell_amount: sellAmount, buy_amount: buyAmount, context } = params;
+    if (!sellAsset || !buyAsset || !canTrade(sellAsset, buyAsset)) {
+      return `unsupported asset pair: ${sellAsset} -> ${buyAsset}`;
+    }
+    if (!sellAmount === !buyAmount) {
+      return 'exactly one of sell_amount or buy_amount is required';
+    }
+    if (Number(sellAmount || buyAmount) <= 0 || Number.isNaN(Number(sellAmount || buyAmount))) {
+      return 'amount must be a positive number';
+    }
+    if (!['sep6', 'sep24', 'sep31'].includes(context)) {
+      return `invalid context: ${context}`;
+    }
+    return null;
+  };
+
+  app.get('/sep38/info', (req, res) => {
+    res.json({
+      assets: [
+        ...stellarAssets().map((asset) => ({ asset })),
+        ...fiatAssets.map((asset) => ({
+          asset,
+          country_codes: asset === 'iso4217:BRL' ? ['BRA'] : ['DEU', 'FRA', 'NLD'],
+          sell_delivery_methods: [{ name: 'bank_transfer', description: 'Send a bank transfer to the anchor' }],
+          buy_delivery_methods: [{ name: 'bank_transfer', description: 'Receive a bank transfer from the anchor' }],
+        })),
+      ],
+    });
+  });
+
+  app.get('/sep38/prices', (req, res) => {
+    const { sell_asset: sellAsset, sell_amount: sellAmount, buy_asset: buyAsset, buy_amount: buyAmount } = req.query;
+
+    if (sellAsset && sellAmount) {
+      if (!known(sellAsset)) return res.status(400).json({ error: `unsupported sell_asset: ${sellAsset}` });
+      const buyAssets = [...stellarAssets(), ...fiatAssets].filter((asset) => canTrade(sellAsset, asset));
+      return res.json({
+        buy_assets: buyAssets.map((asset) => ({
+          asset,
+          price: price({ sell_asset: sellAsset, buy_asset: asset, sell_amount: sellAmount }).price,
+          decimals: decimalsOf(asset),
+        })),
+      });
+    }
+
+    if (buyAsset && buyAmount) {
+      if (!known(buyAsset)) return res.status(400).json({ error: `unsupported buy_asset: ${buyAsset}` });
+      const sellAssets = [...stellarAssets(), ...fiatAssets].filter((asset) => canTrade(asset, buyAsset));
+      return res.json({
+        sell_assets: sellAssets.map((asset) => ({
+          asset,
+          price: price({ sell_asset: asset, buy_asset: buyAsset, buy_amount: buyAmount }).price,
+          decimals: decimalsOf(asset),
+        })),
+      });
+    }
+
+    res.status(400).json({ error: 'sell_asset and sell_amount, or buy_asset and buy_amount, are required' });
+  });
+
+  app.get('/sep38/price', (req, res) => {
+    const problem = validate(req.query);
+    if (problem) return res.status(400).json({ error: problem });
+    res.json(price(req.query));
+  });
+
+  app.post('/sep38/quote', requireJwt, (req, res) => {
+    const problem = validate(req.body);
+    if (problem) return res.status(400).json({ error: problem });
+
+    const quote = quotes.add({
+      ...price(req.body),
+      sell_asset: req.body.sell_asset,
+      buy_asset: req.body.buy_asset,
+    }, req.claims.sub, req.body.expire_after);
+
+    log(`quote ${quote.id} issued for ${req.claims.sub}`);
+    res.status(201).json(quote);
+  });
+
+  app.get('/sep38/quote/:id', requireJwt, (req, res) => {
+    const entry = quotes.get(req.params.id);
+    if (!entry || entry.owner !== req.claims.sub) {
+      return res.status(404).json({ error: 'quote not found' });
+    }
+    res.json(entry.quote);
+  });
+}
+
+module.exports = { USD_RATES, createQuoteStore, registerSep38 };
@@ -0,0 +1,143 @@
+// SEP-6 programmatic deposit / withdrawal endpoints for the mock anchor
+
+const WITHDRAW_TYPES = {
+  bank_account: {
+    fields: {
+      dest: { description: 'bank account number' },
+      dest_extra: { description: 'bank routing number' },
+    },
+  },
+  cash: {
+    fields: {
+      dest: { description: 'pickup location', optional: true },
+    },
+  },
+};
+
+function registerSep6(app, { transactions, requireJwt, assets, log }) {
+  const limits = { min_amount: 1, max_amount: 10000, fee_fixed: 0, fee_percent: 0 };
+
+  app.get('/sep6/info', (req, res) => {
+    res.json({
+      deposit: Object.fromEntries(assets.map((code) => [code, {
+        enabled: true,
+        authentication_required: true,
+        funding_methods: ['SEPA', 'SWIFT'],
+        fields: {
+          type: { description: 'deposit method', choices: ['SEPA', 'SWIFT'], optional: true },
+        },
+        ...limits,
+      }])),
+      withdraw: Object.fromEntries(assets.map((code) => [code, {
+        enabled: true,
+        authentication_required: true,
+        funding_methods: Object.keys(WITHDRAW_TYPES),
+        types: WITHDRAW_TYPES,
+        ...limits,
+      }])),
+      fee: { enabled: false },
+      transactions: { enabled: true, authentication_required: true },
+      transaction: { enabled: true, authentication_required: true },
+      features: { account_creation: true, claimable_balances: false },
+    });
+  });
+
+  const checkAsset = (req, res) => {
+    const assetCode = req.query.asset_code;
+    if (!assetCode || !assets.includes(assetCode)) {
+      res.status(400).json({ error: `invalid asset_code: ${assetCode}` });
+      return false;
+    }
+    return true;
+  };
+
+  app.get('/sep6/deposit', requireJwt, (req, res) => {
+    if (!checkAsset(req, res)) return;
+    const { asset_code: assetCode, account, amount, type, funding_method: fundingMethod } = req.query;
+
+    const txn = transactions.create({
+      kind: 'deposit',
+      owner: req.claims.sub,
+      account: account || req.claims.sub.split(':')[0],
+      assetCode,
+      amount,
+      extra: { deposit_memo: null, funding_method: fundingMethod || type || 'SEPA' },
+    });
+    transactions.setStatus(txn.id, 'pending_user_transfer_start');
+
+    log(`SEP-6 deposit ${txn.id} started for ${req.claims.sub}`);
+    res.json({
+      id: txn.id,
+      how: `Send ${amount || 'your'} ${assetCode} to IBAN NL91 MOCK 0417 1643 00 with reference ${txn.id.slice(0, 8)}`,
+      instructions: {
+        'organization.bank_number': { value: 'MOCKNL2A', description: 'BIC of the receiving bank' },
+        'organization.bank_account_number': { value: 'NL91MOCK0417164300', description: 'IBAN to send the funds to' },
+        'organization.reference': { value: txn.id.slice(0, 8), description: 'payment reference to include' },
+      },
+      eta: 3600,
+      ...limits,
+      extra_info: { message: 'Funds are credited once the bank transfer settles.' },
+    });
+  });
+
+  app.get('/sep6/withdraw', requireJwt, (req, res) => {
+    if (!checkAsset(req, res)) return;
+    const { asset_code: assetCode, account, amount, type, funding_method: fundingMethod, dest, dest_extra: destExtra } = req.query;
+
+    const method = fundingMethod || type;
+    if (!WITHDRAW_TYPES[method]) {
+      return res.status(400).json({ error: `invalid type: ${method}` });
+    }
+    if (method === 'bank_account' && !dest) {
+      return res.status(400).json({ error: 'dest is required for bank_account withdrawals' });
+    }
+
+    const txn = transactions.create({
+      kind: 'withdrawal',
+      owner: req.claims.sub,
+      account: account || req.claims.sub.split(':')[0],
+      assetCode,
+      amount,
+      extra: { to: dest || null, external_extra: destExtra || null, funding_method: method },
+    });
+    transactions.setStatus(txn.id, 'pending_user_transfer_start');
+
+    log(`SEP-6 withdrawal ${txn.id} started for ${req.claims.sub}`);
+    res.json({
+      id: txn.id,
+      account_id: txn.withdraw_anchor_account,
+      memo_type: txn.withdraw_memo_type,
+      memo: txn.withdraw_memo,
+      eta: 3600,
+      ...limits,
+    });
+  });
+
+  app.get('/sep6/more_info', (req, res) => {
+    const entry = transactions.get(req.query.id);
+    if (!entry) {
+      return res.status(404).send('Unknown transaction');
+    }
+    res.type('html').send(`<!doctype html><pre>${JSON.stringify(entry.txn, null, 2)}</pre>`);
+  });
+
+  app.get('/sep6/transaction', requireJwt, (req, res) => {
+    const entry = req.query.id && transactions.get(req.query.id);
+    if (!entry || entry.owner !== req.claims.sub) {
+      return res.status(404).json({ error: 'transaction not found' });
+    }
+    res.json({ transaction: entry.txn });
+  });
+
+  app.get('/sep6/transactions', requireJwt, (req, res) => {
+    const { asset_code: assetCode, kind, no_older_than: noOlderThan, limit, paging_id: pagingId } = req.query;
+    if (!assetCode) {
+      return res.status(400).json({ error: 'asset_code is required' });
+    }
+    res.json({
+      transactions: transactions.list({ owner: req.claims.sub, assetCode, kind, noOlderThan, limit, pagingId }),
+    });
+  });
+}
+
+module.exports = { registerSep6 };
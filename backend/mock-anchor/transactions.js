@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+// In-memory SEP-24 transaction store with scriptable status progressions.
+// Tests move transactions through states with advance()/setStatus() instead
+// of waiting on a real anchor's back office.
+
+const DEFAULT_PROGRESSIONS = {
+  deposit: ['incomplete', 'pending_user_transfer_start', 'pending_anchor', 'pending_stellar', 'completed'],
+  withdrawal: ['incomplete', 'pending_user_transfer_start', 'pending_anchor', 'pending_external', 'completed'],
+};
+
+const TERMINAL_STATUSES = ['completed', 'refunded', 'expired', 'error', 'no_market', 'too_small', 'too_large'];
+
+function createTransactionStore({ baseUrl, distributionAccount, moreInfoPath = '/sep24/more_info', onChange = () => {} }) {
+  const transactions = new Map();
+  const progressions = new Map();
+  let sequence = 0;
+
+  const create = ({ kind, owner, account, assetCode, amount, extra = {} }) => {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    const txn = {
+      id,
+      kind,
+      status: 'incomplete',
+      asset_code: assetCode,
+      amount_in: amount || null,
+      amount_out: amount || null,
+      amount_fee: amount ? '0' : null,
+      started_at: now,
+      updated_at: now,
+      completed_at: null,
+      more_info_url: `${baseUrl()}${moreInfoPath}?id=${id}`,
+      stellar_transaction_id: null,
+      external_transaction_id: null,
+      message: null,
+      refunded: false,
+      ...extra,
+    };
+
+    if (kind === 'withdrawal') {
+      txn.from = account;
+      txn.withdraw_anchor_account = distributionAccount;
+      txn.withdraw_memo = String(Math.floor(Math.random() * 1e9));
+      txn.withdraw_memo_type = 'id';
+    } else {
+      txn.to = account;
+    }
+
+    transactions.set(id, { txn, owner, seq: sequence++ });
+    progressions.set(id, [...DEFAULT_PROGRESSIONS[kind]]);
+    return txn;
+  };
+
+  const get = (id) => transactions.get(id);
+
+  const find = (predicate) => [...transactions.values()].map((entry) => entry.txn).find(predicate);
+
+  const setStatus = (id, status, fields = {}) => {
+    const entry = transactions.get(id);
+    if (!entry) {
+      throw new Error(`Unknown transaction: ${id}`);
+    }
+
+    const now = new Date().toISOString();
+    Object.assign(entry.txn, fields, { status, updated_at: now });
+    if (status === 'completed') {
+      entry.txn.completed_at = now;
+    }
+    onChange(entry.txn);
+    return entry.txn;
+  };
+
+  // Replace the statuses advance() walks through for one transaction
+  const script = (id, statuses) => {
+    if (!transactions.has(id)) {
+      throw new Error(`Unknown transaction: ${id}`);
+    }
+    progressions.set(id, [transactions.get(id).txn.status, ...statuses]);
+  };
+
+  // Move to the next status in the transaction's progression
+  const advance = (id, fields = {}) => {
+    const entry = transactions.get(id);
+    if (!entry) {
+      throw new Error(`Unknown transaction: ${id}`);
+    }
+
+    const steps = progressions.get(id);
+    const idx = steps.indexOf(entry.txn.status);
+    const next = steps[idx + 1];
+    if (!next) {
+      return entry.txn;
+    }
+    return setStatus(id, next, fields);
+  };
+
+  const list = ({ owner, assetCode, kind, noOlderThan, limit, pagingId }) => {
+    let results = [...transactions.values()]
+      .filter((entry) => entry.owner === owner)
+      .sort((a, b) => b.seq - a.seq)
+      .map((entry) => entry.txn)
+      .filter((txn) => !assetCode || txn.asset_code === assetCode)
+      .filter((txn) => !kind || txn.kind === kind)
+      .filter((txn) => !noOlderThan || txn.started_at >= new Date(noOlderThan).toISOString());
+
+    if (pagingId) {
+      const idx = results.findIndex((txn) => txn.id === pagingId);
+      results = idx === -1 ? [] : results.slice(idx + 1);
+    }
+
+    return limit ? results.slice(0, Number(limit)) : results;
+  };
+
+  return { create, get, find, setStatus, script, advance, list };
+}
+
+module.exports = {
+  DEFAULT_PROGRESSIONS,
+  TERMINAL_STATUSES,
+  createTransactionStore,
+};
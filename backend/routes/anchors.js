@@ -0,0 +1,79 @@
+const express = require('express');
+const { TomlError } = require('../lib/toml');
+const { sendError } = require('../lib/errors');
+
+// ============================================
+// ANCHOR REGISTRY
+// ============================================
+// Lists the configured anchors with what their stellar.toml says about them
+// (name, logo, currencies, supported SEPs) for the frontend's anchor picker.
+// Every other /api route picks its anchor with X-Anchor-Id or ?anchor=.
+
+const describeToml = (stellarToml) => {
+  const documentation = stellarToml.documentation || {};
+  return {
+    orgName: documentation.ORG_NAME || null,
+    orgUrl: documentation.ORG_URL || null,
+    logo: documentation.ORG_LOGO || null,
+    networkPassphrase: stellarToml.networkPassphrase || null,
+    currencies: stellarToml.currencies.map((currency) => ({
+      code: currency.code,
+      issuer: currency.issuer || null,
+      name: currency.name || null,
+      image: currency.image || null
+    })),
+    seps: {
+      sep6: Boolean(stellarToml.transferServer),
+      sep10: Boolean(stellarToml.webAuthEndpoint),
+      sep12: Boolean(stellarToml.kycServer),
+      sep24: Boolean(stellarToml.transferServerSep24),
+      sep38: Boolean(stellarToml.anchorQuoteServer)
+    }
+  };
+};
+
+function createAnchorsRouter({ registry, resolveToml }) {
+  const router = express.Router();
+
+  // One anchor with a broken TOML shouldn't hide the others
+  const describe = async (anchor, options) => {
+    const entry = { ...anchor, default: anchor.id === registry.defaultId };
+    try {
+      const toml = describeToml(await resolveToml(anchor, options));
+      return { ...entry, name: anchor.name || toml.orgName || anchor.homeDomain, ...toml };
+    } catch (error) {
+      if (!(error instanceof TomlError)) {
+        throw error;
+      }
+      console.error(`Anchor ${anchor.id}: ${error.message}`);
+      return { ...entry, name: anchor.name || anchor.homeDomain, error: error.message };
+    }
+  };
+
+  router.get('/', async (req, res) => {
+    try {
+      const options = { force: req.query.refresh === 'true' };
+      const anchors = await Promise.all(registry.list().map((anchor) => describe(anchor, options)));
+      res.json({ default: registry.defaultId, anchors });
+    } catch (error) {
+      sendError(res, error, { label: 'Anchor registry error', message: 'Failed to list anchors' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    const anchor = registry.list().find((entry) => entry.id === req.params.id);
+    if (!anchor) {
+      return res.status(404).json({ error: `Unknown anchor: ${req.params.id}`, reason: 'UNKNOWN_ANCHOR' });
+    }
+
+    try {
+      res.json(await describe(anchor, { force: req.query.refresh === 'true' }));
+    } catch (error) {
+      sendError(res, error, { label: 'Anchor registry error', message: 'Failed to describe anchor' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAnchorsRouter };
@@ -0,0 +1,66 @@
+const express = require('express');
+const crypto = require('crypto');
+const { sendError } = require('../lib/errors');
+
+// ============================================
+// AUDIT TRAIL (operators only)
+// ============================================
+// Read-only queries over the audit store: SEP-10 authentications and the
+// SEP-24 transactions started through this backend with every status seen.
+// These span all users, so they need AUDIT_API_KEY as a bearer token and are
+// switched off without one.
+
+function createAuditRouter({ store, apiKey }) {
+  const router = express.Router();
+
+  const sameKey = (given) => {
+    const a = Buffer.from(given);
+    const b = Buffer.from(apiKey);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  };
+
+  router.use((req, res, next) => {
+    if (!apiKey) {
+      return res.status(503).json({ error: 'Audit API is disabled: set AUDIT_API_KEY', reason: 'AUDIT_DISABLED' });
+    }
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ') || !sameKey(header.substring(7))) {
+      return res.status(401).json({ error: 'Missing or invalid audit API key', reason: 'AUDIT_KEY_INVALID' });
+    }
+    next();
+  });
+
+  const handleError = (res, error, label) => sendError(res, error, { label, message: 'Failed to query audit trail' });
+
+  // ?account=&anchor=&outcome=success|failure&since=&until=&limit=
+  router.get('/auth', (req, res) => {
+    try {
+      const { account, anchor, outcome, since, until, limit } = req.query;
+      res.json({ events: store.listAuth({ account, anchorId: anchor, outcome, since, until, limit }) });
+    } catch (error) {
+      handleError(res, error, 'Audit auth query error');
+    }
+  });
+
+  // ?account=&memo=&anchor=&kind=deposit|withdrawal&since=&until=&limit=
+  router.get('/transactions', (req, res) => {
+    try {
+      const { account, memo, anchor, kind, since, until, limit } = req.query;
+      res.json({ transactions: store.listTransactions({ account, memo, anchorId: anchor, kind, since, until, limit }) });
+    } catch (error) {
+      handleError(res, error, 'Audit transaction query error');
+    }
+  });
+
+  router.get('/transactions/:anchorId/:id', (req, res) => {
+    const transaction = store.getTransaction(req.params.anchorId, req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: `No record of transaction ${req.params.id} at anchor ${req.params.anchorId}` });
+    }
+    res.json(transaction);
+  });
+
+  return router;
+}
+
+module.exports = { createAuditRouter };
@@ -0,0 +1,105 @@
+const express = require('express');
+const axios = require('axios');
+const { requireTomlField, parseStellarToml } = require('../lib/toml');
+
+// ============================================
+// HEALTH AND READINESS
+// ============================================
+// /healthz: the process is up. /readyz: it can actually do its job -
+//   - every anchor's stellar.toml parses, advertises SEP-10 and SEP-24, and
+//     is on our network, and calls to the anchor aren't paused by its
+//     circuit breaker (lib/anchorHttp.js)
+//   - the stellar.toml we serve from PUBLIC_URL (what anchors check our
+//     client_domain signature against) has our SIGNING_KEY and passphrase
+// Each check is reported separately; any failure makes /readyz a 503.
+//
+// Every open browser tab probes /readyz, so probes must stay cheap: anchor
+// TOMLs come from the shared cache (refetched only when they expire) and a
+// passing check of our own TOML is reused for clientTomlTtlMs.
+
+const CLIENT_TOML_TIMEOUT_MS = 5000;
+
+function createHealthRouter({ registry, resolveToml, circuitFor, signingKey, networkPassphrase, publicUrl, clientTomlTtlMs = 60000 }) {
+  const router = express.Router();
+
+  const run = async (check, fn) => {
+    try {
+      await fn();
+      return { ...check, ok: true };
+    } catch (error) {
+      return { ...check, ok: false, error: error.details ? `${error.message} (${error.details})` : error.message };
+    }
+  };
+
+  // Whether the anchor answers right now is the breaker's call, fed by real
+  // traffic - not a fresh TOML fetch per probe
+  const checkAnchor = async (anchor) => {
+    const circuit = circuitFor(anchor);
+    return {
+      ...await run({ name: 'anchor_toml', anchor: anchor.id }, async () => {
+        if (circuit.state === 'open') {
+          throw new Error(`Calls to the anchor are paused after repeated failures, until ${circuit.retryAt}`);
+        }
+        const stellarToml = await resolveToml(anchor);
+        requireTomlField(stellarToml, 'transferServerSep24', 'TRANSFER_SERVER_SEP0024');
+        if (stellarToml.networkPassphrase !== networkPassphrase) {
+          throw new Error(`Anchor is on "${stellarToml.networkPassphrase}", this backend on "${networkPassphrase}"`);
+        }
+      }),
+      circuit
+    };
+  };
+
+  const checkClientToml = () => run({ name: 'client_toml' }, async () => {
+    const url = `${publicUrl}/.well-known/stellar.toml`;
+    let response;
+    try {
+      response = await axios.get(url, {
+        timeout: CLIENT_TOML_TIMEOUT_MS,
+        responseType: 'text',
+        transformResponse: (body) => body
+      });
+    } catch (error) {
+      throw new Error(`Could not fetch our stellar.toml from ${url}: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+    }
+    const served = parseStellarToml(response.data, { url });
+    if (served.SIGNING_KEY !== signingKey) {
+      throw new Error(`${url} publishes SIGNING_KEY ${served.SIGNING_KEY}, but CLIENT_SIGNING_KEY is ${signingKey}`);
+    }
+    if (served.NETWORK_PASSPHRASE !== networkPassphrase) {
+      throw new Error(`${url} publishes NETWORK_PASSPHRASE "${served.NETWORK_PASSPHRASE}", expected "${networkPassphrase}"`);
+    }
+  });
+
+  // Concurrent probes share one check; a failed one is retried on the next probe
+  let clientToml = { result: null, expiresAt: 0 };
+  const cachedClientTomlCheck = () => {
+    if (Date.now() >= clientToml.expiresAt) {
+      const result = checkClientToml();
+      clientToml = { result, expiresAt: Infinity };
+      result.then((check) => {
+        if (clientToml.result === result) {
+          clientToml.expiresAt = check.ok ? Date.now() + clientTomlTtlMs : 0;
+        }
+      });
+    }
+    return clientToml.result;
+  };
+
+  router.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+  });
+
+  router.get('/readyz', async (req, res) => {
+    const checks = await Promise.all([...registry.list().map(checkAnchor), cachedClientTomlCheck()]);
+    const ready = checks.every((check) => check.ok);
+    if (!ready) {
+      console.warn('Not ready:', checks.filter((check) => !check.ok).map((check) => check.error).join('; '));
+    }
+    res.status(ready ? 200 : 503).json({ ready, checks });
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
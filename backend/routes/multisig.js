@@ -0,0 +1,154 @@
+const express = require('express');
+const crypto = require('crypto');
+const { loadAccountSigners, signatureProgress, mergeSignatures } = require('../lib/multisig');
+const { sendError } = require('../lib/errors');
+
+// ============================================
+// SEP-10 SIGNING SESSIONS (multisig accounts)
+// ============================================
+// The browser that requested a challenge opens a session for it. Every signer
+// of the account - in this browser or another one with the session link -
+// adds a signature; once their weight reaches the account's medium threshold
+// the challenge is co-signed for client_domain and exchanged for the JWT.
+// Only the browser holding the session key gets the token.
+
+function createMultisigRouter({ horizonUrl, horizonTimeoutMs, checkChallenge, exchangeChallenge }) {
+  const router = express.Router();
+  const sessions = new Map();
+
+  // Sessions live as long as their challenge is valid
+  const prune = (now = Date.now()) => {
+    for (const [id, session] of sessions) {
+      if (session.expiresAt < now) sessions.delete(id);
+    }
+  };
+
+  const describe = (session, key) => {
+    const progress = signatureProgress(session.txn, session);
+    return {
+      id: session.id,
+      account: session.account,
+      memo: session.memo,
+      status: session.status,
+      transaction: session.txn.toEnvelope().toXDR('base64'),
+      networkPassphrase: session.networkPassphrase,
+      expiresAt: new Date(session.expiresAt).toISOString(),
+      signers: progress.signers,
+      weight: progress.weight,
+      threshold: progress.threshold,
+      error: session.error,
+      ...(key === session.key && session.token && { token: session.token })
+    };
+  };
+
+  // Sessions are per anchor, like the challenges they hold
+  const findSession = (req, res) => {
+    prune();
+    const session = sessions.get(req.params.id);
+    if (!session || session.anchorId !== req.anchor.id) {
+      res.status(404).json({ error: 'Signing session not found or expired' });
+      return null;
+    }
+    return session;
+  };
+
+  // Signer lists come from Horizon, everything else from the anchor
+  const handleError = (res, error, label, message) => sendError(res, error, {
+    label,
+    message,
+    service: error.config?.url?.startsWith(horizonUrl) ? 'horizon' : 'anchor'
+  });
+
+  // Open a session for an anchor-signed challenge
+  router.post('/', async (req, res) => {
+    try {
+      const { transaction, networkPassphrase } = req.body;
+
+      if (!transaction || !networkPassphrase) {
+        return res.status(400).json({
+          error: 'Missing required fields: transaction, networkPassphrase'
+        });
+      }
+
+      console.log('\n=== SEP-10: Opening Signing Session ===');
+
+      const { txn, clientAccount, memo } = await checkChallenge(req, transaction, networkPassphrase);
+      const { signers, threshold, exists } = await loadAccountSigners(horizonUrl, clientAccount, { timeout: horizonTimeoutMs });
+      console.log(`Account: ${clientAccount}${exists ? '' : ' (not on the network yet)'}`);
+      console.log(`Signers: ${signers.length}, medium threshold: ${threshold}`);
+
+      prune();
+      const session = {
+        id: crypto.randomUUID(),
+        key: crypto.randomBytes(24).toString('base64url'),
+        anchorId: req.anchor.id,
+        account: clientAccount,
+        memo,
+        txn,
+        networkPassphrase,
+        signers,
+        threshold,
+        status: 'pending',
+        token: null,
+        error: null,
+        expiresAt: Number(txn.timeBounds.maxTime) * 1000
+      };
+      sessions.set(session.id, session);
+
+      res.status(201).json({ ...describe(session, session.key), key: session.key });
+    } catch (error) {
+      handleError(res, error, 'Signing session error', 'Failed to open signing session');
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    const session = findSession(req, res);
+    if (session) {
+      res.json(describe(session, req.query.key));
+    }
+  });
+
+  // Add one signer's signatures; submits to the anchor once the threshold is met
+  router.post('/:id/signatures', async (req, res) => {
+    const session = findSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    try {
+      const { signedTransaction, key } = req.body;
+
+      if (!signedTransaction) {
+        return res.status(400).json({ error: 'Missing required field: signedTransaction' });
+      }
+      if (session.status !== 'pending') {
+        return res.status(409).json({ error: `Signing session is already ${session.status}` });
+      }
+
+      const added = mergeSignatures(session.txn, signedTransaction, session);
+      const progress = signatureProgress(session.txn, session);
+      console.log(`✓ Session ${session.id}: signed by ${added.join(', ')} (${progress.weight}/${progress.threshold})`);
+
+      if (progress.ready) {
+        session.status = 'submitting';
+        try {
+          session.token = await exchangeChallenge(req, session.txn.toEnvelope().toXDR('base64'), session.networkPassphrase);
+          session.status = 'complete';
+        } catch (error) {
+          // The challenge is spent either way; the user has to start over
+          session.status = 'failed';
+          session.error = error.response?.data?.error || error.message;
+          throw error;
+        }
+      }
+
+      res.json(describe(session, key));
+    } catch (error) {
+      handleError(res, error, 'Signing session error', 'Failed to add signature');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMultisigRouter };
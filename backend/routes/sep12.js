@@ -0,0 +1,194 @@
+const express = require('express');
+const multer = require('multer');
+const { requireTomlField } = require('../lib/toml');
+const { sendError } = require('../lib/errors');
+const { userMismatch } = require('../lib/jwt');
+
+// ============================================
+// SEP-12 ENDPOINTS (KYC customer management)
+// ============================================
+// Proxies the anchor's KYC_SERVER with the SEP-10 JWT. PUT /customer accepts
+// multipart bodies so ID photos can be uploaded alongside text fields.
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// The binary fields of SEP-9, one file each. Uploads are buffered in memory,
+// so anything else is refused before it is read.
+const FILE_FIELDS = [
+  'photo_id_front',
+  'photo_id_back',
+  'notary_approval_of_photo_id',
+  'photo_proof_residence',
+  'proof_of_income',
+  'proof_of_liveness',
+  'organization.photo_incorporation_doc',
+  'organization.photo_proof_address'
+];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: FILE_FIELDS.length,
+    fields: 100,
+    fieldSize: 64 * 1024
+  }
+}).fields(FILE_FIELDS.map((name) => ({ name, maxCount: 1 })));
+
+// Report bad uploads (too large, too many, unknown fields, malformed) as 400s
+// instead of crashing the route
+const acceptUploads = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err) {
+      const field = err.field ? ` (${err.field})` : '';
+      return res.status(400).json({ error: `Upload rejected: ${err.message}${field}` });
+    }
+    next();
+  });
+};
+
+const compact = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+// Rebuild the incoming request as a body the anchor accepts: JSON when there
+// are no files, multipart (text fields first, as SEP-12 requires) otherwise.
+function buildCustomerBody(fields, files = []) {
+  if (files.length === 0) {
+    return { data: fields, headers: { 'Content-Type': 'application/json' } };
+  }
+
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) {
+    form.append(key, value);
+  }
+  for (const file of files) {
+    form.append(file.fieldname, new Blob([file.buffer], { type: file.mimetype }), file.originalname);
+  }
+  return { data: form, headers: {} };
+}
+
+function createSep12Router({ getAnchorToml, verifyToken, anchorClient }) {
+  const router = express.Router();
+
+  const getKycServer = async (req) => {
+    const stellarToml = await getAnchorToml(req);
+    return requireTomlField(stellarToml, 'kycServer', 'KYC_SERVER');
+  };
+
+  // Customers are identified by account and memo. Without them the anchor
+  // uses the token's subject; with them they must be that subject, or one
+  // user of a shared account could read or change another's KYC.
+  const rejectOtherUser = (req, res, { account, memo }) => {
+    if (!account && !memo) {
+      return false;
+    }
+    const mismatch = userMismatch(req.claims, { account: account || req.claims.account, memo: memo || null });
+    if (!mismatch) {
+      return false;
+    }
+    res.status(403).json({ error: mismatch, reason: 'ACCOUNT_MISMATCH' });
+    return true;
+  };
+
+  // SEP-12: Customer status and the fields the anchor still needs
+  router.get('/customer', verifyToken, async (req, res) => {
+    try {
+      const { id, account, memo, memo_type, type, transaction_id, lang } = req.query;
+      if (rejectOtherUser(req, res, { account, memo })) {
+        return;
+      }
+
+      const kycServer = await getKycServer(req);
+      const response = await anchorClient(req).get(`${kycServer}/customer`, {
+        params: compact({ id, account, memo, memo_type, type, transaction_id, lang }),
+        headers: { 'Authorization': `Bearer ${req.jwtToken}` }
+      });
+
+      console.log(`✓ SEP-12 customer status: ${response.data.status}`);
+      res.json(response.data);
+    } catch (error) {
+      sendError(res, error, { label: 'SEP-12 get customer error', message: 'Failed to get customer' });
+    }
+  });
+
+  // SEP-12: Create or update customer fields (text and files)
+  router.put('/customer', verifyToken, acceptUploads, async (req, res) => {
+    try {
+      const files = Object.values(req.files || {}).flat();
+      const fields = compact(req.body || {});
+
+      if (Object.keys(fields).length === 0 && files.length === 0) {
+        return res.status(400).json({
+          error: 'No customer fields provided'
+        });
+      }
+      if (rejectOtherUser(req, res, fields)) {
+        return;
+      }
+
+      console.log('\n=== SEP-12: Updating Customer ===');
+      console.log(`Fields: ${Object.keys(fields).join(', ') || 'none'}`);
+      console.log(`Files: ${files.map((f) => f.fieldname).join(', ') || 'none'}`);
+
+      const kycServer = await getKycServer(req);
+      const { data, headers } = buildCustomerBody(fields, files);
+      const response = await anchorClient(req).put(`${kycServer}/customer`, data, {
+        headers: { ...headers, 'Authorization': `Bearer ${req.jwtToken}` }
+      });
+
+      console.log(`✓ Customer updated (id: ${response.data.id})`);
+      res.json(response.data);
+    } catch (error) {
+      sendError(res, error, { label: 'SEP-12 put customer error', message: 'Failed to update customer' });
+    }
+  });
+
+  // SEP-12: Submit verification codes (e.g. mobile_number_verification)
+  router.put('/customer/verification', verifyToken, async (req, res) => {
+    try {
+      const fields = compact(req.body || {});
+
+      if (!fields.id) {
+        return res.status(400).json({
+          error: 'Missing required field: id'
+        });
+      }
+
+      const kycServer = await getKycServer(req);
+      const response = await anchorClient(req).put(`${kycServer}/customer/verification`, fields, {
+        headers: { 'Authorization': `Bearer ${req.jwtToken}` }
+      });
+
+      console.log(`✓ Verification submitted, status: ${response.data.status}`);
+      res.json(response.data);
+    } catch (error) {
+      sendError(res, error, { label: 'SEP-12 verification error', message: 'Failed to submit verification' });
+    }
+  });
+
+  // SEP-12: Delete everything the anchor stores about the customer
+  router.delete('/customer/:account', verifyToken, async (req, res) => {
+    try {
+      const { memo, memo_type } = req.body || {};
+      if (rejectOtherUser(req, res, { account: req.params.account, memo })) {
+        return;
+      }
+
+      const kycServer = await getKycServer(req);
+      await anchorClient(req).delete(`${kycServer}/customer/${encodeURIComponent(req.params.account)}`, {
+        data: compact({ memo, memo_type }),
+        headers: { 'Authorization': `Bearer ${req.jwtToken}` }
+      });
+
+      console.log(`✓ Customer ${req.params.account} deleted`);
+      res.json({ deleted: true });
+    } catch (error) {
+      sendError(res, error, { label: 'SEP-12 delete customer error', message: 'Failed to delete customer' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSep12Router };
@@ -0,0 +1,141 @@
+const express = require('express');
+const { requireTomlField } = require('../lib/toml');
+const { sendError } = require('../lib/errors');
+
+// ============================================
+// SEP-38 ENDPOINTS (anchor RFQ / quotes)
+// ============================================
+// /info, /prices and /price are indicative and work without a JWT (one is
+// forwarded if present); /quote is firm and always needs the SEP-10 JWT.
+
+const compact = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+const PRICE_PARAMS = [
+  'sell_asset',
+  'sell_amount',
+  'sell_delivery_method',
+  'buy_asset',
+  'buy_amount',
+  'buy_delivery_method',
+  'country_code',
+  'context'
+];
+
+const pick = (source, keys) => compact(Object.fromEntries(keys.map((key) => [key, source[key]])));
+
+function createSep38Router({ getAnchorToml, verifyToken, anchorClient }) {
+  const router = express.Router();
+
+  const getQuoteServer = async (req) => {
+    const stellarToml = await getAnchorToml(req);
+    return requireTomlField(stellarToml, 'anchorQuoteServer', 'ANCHOR_QUOTE_SERVER');
+  };
+
+  // Indicative endpoints don't require auth, but anchors may tailor prices to the user
+  const optionalAuth = (req) => (req.headers.authorization ? { 'Authorization': req.headers.authorization } : {});
+
+  // SEP-38: Supported assets and delivery methods
+  router.get('/info', async (req, res) => {
+    try {
+      const quoteServer = await getQuoteServer(req);
+      const response = await anchorClient(req).get(`${quoteServer}/info`, { headers: optionalAuth(req) });
+      res.json(response.data);
+    } catch (error) {
+      sendError(res, error, { label: 'SEP-38 info error', message: 'Failed to get SEP-38 info' });
+    }
+  });
+
+  // SEP-38: Indicative prices for every asset the sell asset can be exchanged for
+  router.get('/prices', async (req, res) => {
+    try {
+      const params = pick(req.query, PRICE_PARAMS);
+      if (!params.sell_asset && !params.buy_asset) {
+        return res.status(400).json({
+          error: 'Missing required field: sell_asset or buy_asset'
+        });
+      }
+
+      const quoteServer = await getQuoteServer(req);
+      const response = await anchorClient(req).get(`${quoteServer}/prices`, { params, headers: optionalAuth(req) });
+      res.json(response.data);
+    } catch (error) {
+      sendError(res, error, { label: 'SEP-38 prices error', message: 'Failed to get prices' });
+    }
+  });
+
+  // SEP-38: Indicative price for one asset pair
+  router.get('/price', async (req, res) => {
+    try {
+      const params = pick(req.query, PRICE_PARAMS);
+      if (!params.sell_asset || !params.buy_asset || !params.context) {
+        return res.status(400).json({
+          error: 'Missing required fields: sell_asset, buy_asset, context'
+        });
+      }
+      if (!params.sell_amount === !params.buy_amount) {
+        return res.status(400).json({
+          error: 'Provide exactly one of sell_amount or buy_amount'
+        });
+      }
+
+      const quoteServer = await getQuoteServer(req);
+      const response = await anchorClient(req).get(`${quoteServer}/price`, { params, headers: optionalAuth(req) });
+      res.json(response.data);
+    } catch (error) {
+      sendError(res, error, { label: 'SEP-38 price error', message: 'Failed to get price' });
+    }
+  });
+
+  // SEP-38: Request a firm quote
+  router.post('/quote', verifyToken, async (req, res) => {
+    try {
+      const body = pick(req.body, [...PRICE_PARAMS, 'expire_after']);
+      if (!body.sell_asset || !body.buy_asset || !body.context) {
+        return res.status(400).json({
+          error: 'Missing required fields: sell_asset, buy_asset, context'
+        });
+      }
+      if (!body.sell_amount === !body.buy_amount) {
+        return res.status(400).json({
+          error: 'Provide exactly one of sell_amount or buy_amount'
+        });
+      }
+
+      console.log('\n=== SEP-38: Requesting Firm Quote ===');
+      console.log(`Sell: ${body.sell_amount || '?'} ${body.sell_asset}`);
+      console.log(`Buy: ${body.buy_amount || '?'} ${body.buy_asset}`);
+
+      const quoteServer = await getQuoteServer(req);
+      const response = await anchorClient(req).post(`${quoteServer}/quote`, body, {
+        headers: {
+          'Authorization': `Bearer ${req.jwtToken}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      console.log(`✓ Quote ${response.data.id} at ${response.data.price}, expires ${response.data.expires_at}`);
+      res.json(response.data);
+    } catch (error) {
+      sendError(res, error, { label: 'SEP-38 quote error', message: 'Failed to get quote' });
+    }
+  });
+
+  // SEP-38: Look up a firm quote
+  router.get('/quote/:id', verifyToken, async (req, res) => {
+    try {
+      const quoteServer = await getQuoteServer(req);
+      const response = await anchorClient(req).get(`${quoteServer}/quote/${encodeURIComponent(req.params.id)}`, {
+        headers: { 'Authorization': `Bearer ${req.jwtToken}` }
+      });
+      res.json(response.data);
+    } catch (error) {
+      sendError(res, error, { label: 'SEP-38 get quote error', message: 'Failed to get quote' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSep38Router };
@@ -0,0 +1,193 @@
+const express = require('express');
+const { requireTomlField } = require('../lib/toml');
+const { sendError } = require('../lib/errors');
+const { userMismatch } = require('../lib/jwt');
+
+// ============================================
+// SEP-6 ENDPOINTS (programmatic deposit / withdrawal)
+// ============================================
+// Same transfer flow as SEP-24 but without the anchor's web page: the
+// caller sends the structured fields and gets instructions back directly.
+
+// Drop empty values so the anchor only sees fields the user filled in
+const compact = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+function createSep6Router({ getAnchorToml, verifyToken, anchorClient }) {
+  const router = express.Router();
+
+  const getTransferServer = async (req) => {
+    const stellarToml = await getAnchorToml(req);
+    return requireTomlField(stellarToml, 'transferServer', 'TRANSFER_SERVER');
+  };
+
+  // A token only starts transfers for its own SEP-10 subject - on a shared
+  // account that includes the memo
+  const rejectOtherUser = (req, res, { account, memo }) => {
+    const mismatch = userMismatch(req.claims, { account, memo: memo || null });
+    if (!mismatch) {
+      return false;
+    }
+    res.status(403).json({ error: mismatch, reason: 'ACCOUNT_MISMATCH' });
+    return true;
+  };
+
+  // SEP-6: Anchor capabilities (unauthenticated)
+  router.get('/info', async (req, res) => {
+    try {
+      const transferServer = await getTransferServer(req);
+      const response = await anchorClient(req).get(`${transferServer}/info`);
+      res.json(response.data);
+    } catch (error) {
+      sendError(res, error, { label: 'SEP-6 info error', message: 'Failed to get SEP-6 info' });
+    }
+  });
+
+  // SEP-6: Deposit - anchor replies with off-chain payment instructions
+  router.post('/deposit', verifyToken, async (req, res) => {
+    try {
+      const { assetCode, account, amount, type, fundingMethod, memo, memoType, emailAddress } = req.body;
+
+      if (!assetCode || !account) {
+        return res.status(400).json({
+          error: 'Missing required fields: assetCode, account'
+        });
+      }
+      if (rejectOtherUser(req, res, { account, memo })) {
+        return;
+      }
+
+      console.log('\n=== SEP-6: Starting DEPOSIT ===');
+      console.log(`Asset: ${assetCode}`);
+      console.log(`Account: ${account}`);
+
+      const transferServer = await getTransferServer(req);
+      const response = await anchorClient(req).get(`${transferServer}/deposit`, {
+        params: compact({
+          asset_code: assetCode,
+          account,
+          amount,
+          type,
+          funding_method: fundingMethod,
+          memo,
+          memo_type: memoType,
+          email_address: emailAddress
+        }),
+        headers: { 'Authorization': `Bearer ${req.jwtToken}` },
+        // A GET, but it opens a transaction: send it once
+        retry: false
+      });
+
+      console.log(`✓ Deposit instructions received (id: ${response.data.id})`);
+      res.json(response.data);
+    } catch (error) {
+      sendError(res, error, { label: 'SEP-6 deposit error', message: 'Failed to start deposit' });
+    }
+  });
+
+  // SEP-6: Withdraw - anchor replies with the account and memo to pay
+  router.post('/withdraw', verifyToken, async (req, res) => {
+    try {
+      const { assetCode, account, amount, type, fundingMethod, dest, destExtra, memo, memoType } = req.body;
+
+      if (!assetCode || !account) {
+        return res.status(400).json({
+          error: 'Missing required fields: assetCode, account'
+        });
+      }
+      if (!type && !fundingMethod) {
+        return res.status(400).json({
+          error: 'Missing required field: type or fundingMethod'
+        });
+      }
+      if (rejectOtherUser(req, res, { account, memo })) {
+        return;
+      }
+
+      console.log('\n=== SEP-6: Starting WITHDRAW ===');
+      console.log(`Asset: ${assetCode}`);
+      console.log(`Account: ${account}`);
+
+      const transferServer = await getTransferServer(req);
+      const response = await anchorClient(req).get(`${transferServer}/withdraw`, {
+        params: compact({
+          asset_code: assetCode,
+          account,
+          amount,
+          type,
+          funding_method: fundingMethod,
+          dest,
+          dest_extra: destExtra,
+          memo,
+          memo_type: memoType
+        }),
+        headers: { 'Authorization': `Bearer ${req.jwtToken}` },
+        // A GET, but it opens a transaction: send it once
+        retry: false
+      });
+
+      console.log(`✓ Withdrawal account received (id: ${response.data.id})`);
+      res.json(response.data);
+    } catch (error) {
+      sendError(res, error, { label: 'SEP-6 withdraw error', message: 'Failed to start withdrawal' });
+    }
+  });
+
+  // SEP-6: Single transaction status
+  router.post('/transaction', verifyToken, async (req, res) => {
+    try {
+      const { id } = req.body;
+
+      if (!id) {
+        return res.status(400).json({
+          error: 'Missing required field: id'
+        });
+      }
+
+      const transferServer = await getTransferServer(req);
+      const response = await anchorClient(req).get(`${transferServer}/transaction`, {
+        params: { id },
+        headers: { 'Authorization': `Bearer ${req.jwtToken}` }
+      });
+
+      console.log(`✓ SEP-6 status: ${response.data.transaction.status}`);
+      res.json(response.data.transaction);
+    } catch (error) {
+      sendError(res, error, { label: 'SEP-6 transaction error', message: 'Failed to get transaction status' });
+    }
+  });
+
+  // SEP-6: Transaction history for the authenticated account
+  router.post('/transactions', verifyToken, async (req, res) => {
+    try {
+      const { assetCode, kind, noOlderThan, limit, pagingId } = req.body;
+
+      if (!assetCode) {
+        return res.status(400).json({
+          error: 'Missing required field: assetCode'
+        });
+      }
+
+      const transferServer = await getTransferServer(req);
+      const response = await anchorClient(req).get(`${transferServer}/transactions`, {
+        params: compact({
+          asset_code: assetCode,
+          kind,
+          no_older_than: noOlderThan,
+          limit,
+          paging_id: pagingId
+        }),
+        headers: { 'Authorization': `Bearer ${req.jwtToken}` }
+      });
+
+      res.json(response.data);
+    } catch (error) {
+      sendError(res, error, { label: 'SEP-6 transactions error', message: 'Failed to get transactions' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSep6Router };
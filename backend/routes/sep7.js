@@ -0,0 +1,131 @@
+const express = require('express');
+const crypto = require('crypto');
+const StellarSdk = require('stellar-sdk');
+const { SigningError, parseTransaction, buildTxUri, checkSignedTransaction } = require('../lib/sep7');
+const { sendError } = require('../lib/errors');
+
+// ============================================
+// SEP-7 SIGNING REQUESTS
+// ============================================
+// The browser asks for a signature it can't produce itself: we turn the
+// transaction into a web+stellar:tx URI whose callback points back here, the
+// user opens it in a wallet (link or QR code), the wallet POSTs the signed
+// XDR to /requests/:id/callback and the browser picks it up with GET /requests/:id.
+
+// How long a wallet has to sign before the request is dropped
+const REQUEST_TTL_MS = 10 * 60 * 1000;
+// Requests are unauthenticated (SEP-10 needs one before there is a JWT)
+const MAX_PENDING_REQUESTS = 1000;
+
+function createSep7Router({ publicUrl }) {
+  const router = express.Router();
+  const requests = new Map();
+
+  const prune = (now = Date.now()) => {
+    for (const [id, request] of requests) {
+      if (request.expiresAt < now) requests.delete(id);
+    }
+  };
+
+  const describe = (request) => ({
+    id: request.id,
+    status: request.signedTransaction ? 'signed' : 'pending',
+    uri: request.uri,
+    expiresAt: new Date(request.expiresAt).toISOString(),
+    signedTransaction: request.signedTransaction
+  });
+
+  // Create a signing request for a transaction the browser wants signed
+  router.post('/requests', (req, res) => {
+    const { transaction, networkPassphrase, account, description } = req.body;
+
+    if (!transaction || !networkPassphrase) {
+      return res.status(400).json({
+        error: 'Missing required fields: transaction, networkPassphrase'
+      });
+    }
+    if (account && !StellarSdk.StrKey.isValidEd25519PublicKey(account)) {
+      return res.status(400).json({ error: `Invalid account: ${account}` });
+    }
+
+    try {
+      // Parse now so a bad envelope fails here, not in the user's wallet
+      parseTransaction(transaction, networkPassphrase);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, reason: error.code });
+    }
+
+    prune();
+    if (requests.size >= MAX_PENDING_REQUESTS) {
+      return res.status(503).json({ error: 'Too many pending signing requests, try again later' });
+    }
+
+    const id = crypto.randomUUID();
+    const request = {
+      id,
+      transaction,
+      networkPassphrase,
+      account,
+      expiresAt: Date.now() + REQUEST_TTL_MS,
+      signedTransaction: null
+    };
+    request.uri = buildTxUri({
+      xdr: transaction,
+      callback: `${publicUrl}/api/sep7/requests/${id}/callback`,
+      networkPassphrase,
+      msg: description
+    });
+    requests.set(id, request);
+
+    console.log('\n=== SEP-7: Signing Request Created ===');
+    console.log(`Request ID: ${id}${account ? ` (for ${account})` : ''}`);
+
+    res.status(201).json(describe(request));
+  });
+
+  // Polled by the browser until the wallet has called back
+  router.get('/requests/:id', (req, res) => {
+    prune();
+    const request = requests.get(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Signing request not found or expired' });
+    }
+    res.json(describe(request));
+  });
+
+  // SEP-7 callback: the wallet POSTs xdr=<signed envelope>, form encoded
+  router.post('/requests/:id/callback', express.urlencoded({ extended: false }), (req, res) => {
+    prune();
+    const request = requests.get(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Signing request not found or expired' });
+    }
+    if (request.signedTransaction) {
+      return res.status(409).json({ error: 'Signing request has already been completed' });
+    }
+    if (!req.body?.xdr) {
+      return res.status(400).json({ error: 'Missing required field: xdr' });
+    }
+
+    try {
+      checkSignedTransaction(req.body.xdr, {
+        xdr: request.transaction,
+        networkPassphrase: request.networkPassphrase,
+        account: request.account
+      });
+    } catch (error) {
+      if (error instanceof SigningError) {
+        return sendError(res, error, { label: 'SEP-7 callback rejected' });
+      }
+      throw error;
+    }
+
+    request.signedTransaction = req.body.xdr;
+    console.log(`✓ SEP-7 request ${request.id} signed by wallet`);
+    res.json({ status: 'signed' });
+  });
+
+  return router;
+}
+
+module.exports = { createSep7Router };
@@ -0,0 +1,160 @@
+const express = require('express');
+const axios = require('axios');
+const { requireTomlField } = require('../lib/toml');
+const { PaymentError, buildWithdrawPayment, checkSignedPayment } = require('../lib/payment');
+const { tokenCoversAccount } = require('../lib/jwt');
+const { sendError } = require('../lib/errors');
+
+// ============================================
+// SEP-24 WITHDRAWAL PAYMENT
+// ============================================
+// Once a withdrawal reaches pending_user_transfer_start the user owes the
+// anchor an on-chain payment. /prepare tells the browser what to pay; the
+// browser builds and signs it, and /submit checks the envelope against the
+// anchor's transaction before handing it to Horizon.
+
+function createWithdrawRouter({ getAnchorToml, verifyToken, anchorClient, horizonUrl, horizonTimeoutMs, networkPassphrase, recordPayment }) {
+  const router = express.Router();
+
+  // Always re-read the transaction from the anchor - never trust the client's copy.
+  // Payments are only built and checked for our own network, and only for an
+  // anchor that says it is on it too.
+  const loadPayment = async (req, id, assetCode) => {
+    const stellarToml = await getAnchorToml(req);
+    if (stellarToml.networkPassphrase !== networkPassphrase) {
+      throw new PaymentError(
+        'NETWORK_MISMATCH',
+        `Anchor stellar.toml is for network "${stellarToml.networkPassphrase}", but this backend is on "${networkPassphrase}"`
+      );
+    }
+    const transferServer = requireTomlField(stellarToml, 'transferServerSep24', 'TRANSFER_SERVER_SEP0024');
+
+    const response = await anchorClient(req).get(`${transferServer}/transaction`, {
+      params: { id },
+      headers: { 'Authorization': `Bearer ${req.jwtToken}` }
+    });
+
+    const payment = buildWithdrawPayment(response.data.transaction, {
+      currencies: stellarToml.currencies,
+      assetCode
+    });
+    return { payment, networkPassphrase };
+  };
+
+  // Only the authenticated account can pay for its withdrawal
+  const rejectOtherAccount = (req, res, account) => {
+    if (tokenCoversAccount(req.claims, account)) {
+      return false;
+    }
+    res.status(403).json({
+      error: `Token is for ${req.claims.sub}, not ${account}`,
+      reason: 'ACCOUNT_MISMATCH'
+    });
+    return true;
+  };
+
+  const handleError = (res, error, label, message) => {
+    const data = error.response?.data;
+
+    // Horizon rejects transactions with a 400 and result codes worth showing
+    if (data?.extras?.result_codes) {
+      console.error(`${label}:`, data.extras.result_codes);
+      return res.status(400).json({
+        error: `Horizon rejected the payment: ${data.title || 'Transaction Failed'}`,
+        code: 'HORIZON_REJECTED',
+        details: data.extras.result_codes,
+        upstream: { service: 'horizon', status: error.response.status }
+      });
+    }
+
+    sendError(res, error, {
+      label,
+      message,
+      service: error.config?.url?.startsWith(horizonUrl) ? 'horizon' : 'anchor'
+    });
+  };
+
+  // Payment details plus the sequence number the browser needs to build it
+  router.post('/prepare', verifyToken, async (req, res) => {
+    try {
+      const { id, assetCode, account } = req.body;
+
+      if (!id || !account) {
+        return res.status(400).json({
+          error: 'Missing required fields: id, account'
+        });
+      }
+      if (rejectOtherAccount(req, res, account)) {
+        return;
+      }
+
+      console.log('\n=== SEP-24: Preparing Withdrawal Payment ===');
+      console.log(`Transaction ID: ${id}`);
+
+      const { payment, networkPassphrase } = await loadPayment(req, id, assetCode);
+      console.log(`✓ Pay ${payment.amount} ${payment.asset.code} to ${payment.destination} (memo ${payment.memo.type}: ${payment.memo.value})`);
+
+      const accountResponse = await axios.get(`${horizonUrl}/accounts/${encodeURIComponent(account)}`, {
+        timeout: horizonTimeoutMs
+      });
+
+      res.json({
+        payment,
+        networkPassphrase,
+        sequence: accountResponse.data.sequence,
+        horizonUrl
+      });
+    } catch (error) {
+      if (error.response?.status === 404 && error.config?.url?.startsWith(horizonUrl)) {
+        return res.status(400).json({
+          error: 'Source account does not exist on the network - fund it first'
+        });
+      }
+      handleError(res, error, 'Withdrawal prepare error', 'Failed to prepare withdrawal payment');
+    }
+  });
+
+  // Check the signed envelope, submit it and remember the hash for this transaction
+  router.post('/submit', verifyToken, async (req, res) => {
+    try {
+      const { id, assetCode, account, signedTransaction } = req.body;
+
+      if (!id || !account || !signedTransaction) {
+        return res.status(400).json({
+          error: 'Missing required fields: id, account, signedTransaction'
+        });
+      }
+      if (rejectOtherAccount(req, res, account)) {
+        return;
+      }
+
+      console.log('\n=== SEP-24: Submitting Withdrawal Payment ===');
+      console.log(`Transaction ID: ${id}`);
+
+      const { payment, networkPassphrase } = await loadPayment(req, id, assetCode);
+      checkSignedPayment(signedTransaction, payment, { networkPassphrase, account });
+      console.log('✓ Signed payment matches the anchor transaction');
+
+      const response = await axios.post(`${horizonUrl}/transactions`,
+        new URLSearchParams({ tx: signedTransaction }).toString(),
+        { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: horizonTimeoutMs }
+      );
+
+      const record = {
+        hash: response.data.hash,
+        ledger: response.data.ledger,
+        submitted_at: new Date().toISOString()
+      };
+      recordPayment(req.anchor, id, record);
+
+      console.log(`✓ Payment submitted: ${record.hash}`);
+      res.json(record);
+    } catch (error) {
+      handleError(res, error, 'Withdrawal submit error', 'Failed to submit withdrawal payment');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWithdrawRouter };
@@ -1,151 +1,293 @@
 const express = require('express');
-const axios = require('axios');
 const StellarSdk = require('stellar-sdk');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require("path");
 require('dotenv').config();
+const { createTomlResolver, requireTomlField } = require('./lib/toml');
+const { ChallengeError, verifyChallenge } = require('./lib/challenge');
+const { decodeSep10Token, userMismatch } = require('./lib/jwt');
+const { createTransactionWatcher } = require('./lib/watcher');
+const { CallbackError, verifyCallbackSignature, createReplayGuard } = require('./lib/callback');
+const { createSep6Router } = require('./routes/sep6');
+const { createSep12Router } = require('./routes/sep12');
+const { createSep38Router } = require('./routes/sep38');
+const { createWithdrawRouter } = require('./routes/withdraw');
+const { createSep7Router } = require('./routes/sep7');
+const { AnchorError } = require('./lib/anchors');
+const { createAnchorsRouter } = require('./routes/anchors');
+const { createMultisigRouter } = require('./routes/multisig');
+const { createStore } = require('./lib/store');
+const { createAuditRouter } = require('./routes/audit');
+const { parseSep24Info, checkTransfer } = require('./lib/sep24');
+const { renderClientToml } = require('./lib/clientToml');
+const { ConfigError, loadConfig } = require('./lib/config');
+const { createHealthRouter } = require('./routes/health');
+const { sendError, errorEnvelope } = require('./lib/errors');
+const { createAnchorHttp } = require('./lib/anchorHttp');
 
 const app = express();
 app.use(cors());
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  // Keep the exact bytes: anchor callback signatures cover the raw body
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
+// Every error body gets a code (lib/errors.js)
+app.use(errorEnvelope);
+
+// Configuration - set these in your .env file (see lib/config.js). A bad
+// value stops the server here with every problem listed.
+let config;
+try {
+  config = loadConfig(process.env, { defaultStoreFile: path.join(__dirname, 'data', 'audit.jsonl') });
+} catch (error) {
+  if (error instanceof ConfigError && require.main === module) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  throw error;
+}
 
-// Configuration - set these in your .env file
-const HOME_DOMAIN = process.env.HOME_DOMAIN || 'anchor-stage.owlpay.com';
-const CLIENT_DOMAIN = process.env.CLIENT_DOMAIN || 'w1lics-ip-220-133-81-12.tunnelmole.net'
-const CLIENT_SIGNING_KEY = process.env.CLIENT_SIGNING_KEY; // Your server's signing key
+const {
+  CLIENT_DOMAIN,
+  NETWORK, // active network profile: { id, name, passphrase, horizonUrl, mainnet }
+  NETWORK_PASSPHRASE,
+  TOML_CACHE_TTL, // seconds
+  ALLOW_HTTP, // local anchors only
+  HORIZON_URL,
+  HORIZON_TIMEOUT, // seconds, per Horizon call
+  SEP24_POLL_MIN_INTERVAL, // seconds
+  SEP24_POLL_MAX_INTERVAL, // seconds
+  ANCHOR_TIMEOUT, // seconds, per anchor call
+  ANCHOR_RETRIES, // extra attempts for anchor GETs that only read
+  ANCHOR_BREAKER_THRESHOLD, // failures in a row that pause calls to an anchor
+  ANCHOR_BREAKER_RESET, // seconds before a paused anchor gets a trial call
+  PUBLIC_URL, // where wallets and anchors can reach this backend for callbacks
+  SEP24_CALLBACK_URL, // where the anchor POSTs status changes (empty disables callbacks)
+  STORE_FILE, // audit trail file (JSON Lines; empty keeps it in memory only)
+  AUDIT_API_KEY, // bearer key for /api/audit
+  clientKeys, // our client_domain key, plus the previous one during a rotation
+  anchorRegistry
+} = config;
+
+// The stellar.toml that publishes our current client_domain key
+const clientToml = renderClientToml({
+  signingKey: clientKeys.signingKey,
+  networkPassphrase: NETWORK_PASSPHRASE,
+  documentation: config.DOCUMENTATION
+});
 
-if (!CLIENT_SIGNING_KEY) {
-  console.warn('WARNING: CLIENT_SIGNING_KEY not set. Client domain signing will fail.');
-}
+// Every anchor call goes through its anchor's client: timeouts, retries for
+// reads, and a circuit breaker that fails fast while the anchor is down
+const anchorHttp = createAnchorHttp({
+  timeoutMs: ANCHOR_TIMEOUT * 1000,
+  retries: ANCHOR_RETRIES,
+  failureThreshold: ANCHOR_BREAKER_THRESHOLD,
+  resetMs: ANCHOR_BREAKER_RESET * 1000
+});
+const anchorClient = (req) => anchorHttp.client(req.anchor.homeDomain);
+
+// Shared SEP-1 resolver - caches each anchor's stellar.toml between requests
+const tomlResolver = createTomlResolver({
+  ttlMs: TOML_CACHE_TTL * 1000,
+  allowHttp: ALLOW_HTTP,
+  timeout: ANCHOR_TIMEOUT * 1000,
+  clientFor: anchorHttp.client
+});
+const resolveAnchorToml = (anchor, options) => tomlResolver.resolve(anchor.homeDomain, options);
+const getAnchorToml = (req, options) => resolveAnchorToml(req.anchor, options);
+
+// Authentications, SEP-24 transactions and their statuses, across restarts.
+// A failed write is logged but never fails the user's request.
+const store = createStore({ file: STORE_FILE || null });
+const audit = (fn) => {
+  try {
+    fn(store);
+  } catch (error) {
+    console.error('Audit store write failed:', error.message);
+  }
+};
+const auditStatus = (anchor, transaction, source) => audit((s) => s.recordStatus({
+  anchorId: anchor.id,
+  id: transaction.id,
+  status: transaction.status,
+  message: transaction.message || null,
+  source
+}));
+
+// Anchor-bound routes name their anchor with X-Anchor-Id (or ?anchor= where
+// headers can't be set); without one they use the registry's default anchor
+const resolveAnchor = (req, res, next) => {
+  try {
+    req.anchor = anchorRegistry.get(req.get('X-Anchor-Id') || req.query.anchor);
+  } catch (error) {
+    if (error instanceof AnchorError) {
+      return sendError(res, error, { label: 'Anchor lookup' });
+    }
+    throw error;
+  }
+  next();
+};
+app.use(['/api/sep1', '/api/sep6', '/api/sep10', '/api/sep12', '/api/sep24', '/api/sep38'], resolveAnchor);
 
+// SEP-1: this app's own stellar.toml, read by anchors to check our
+// client_domain signature. SEP-1 asks for it to be readable cross-origin.
 app.get("/.well-known/stellar.toml", (req, res) => {
-  res.sendFile("stellar.toml", { root: path.join(__dirname, ".well-known") });
+  res.set('Access-Control-Allow-Origin', '*');
+  res.type('text/plain').send(clientToml);
+});
+
+// The network this backend works on, for the UI's network badge
+app.get('/api/network', (req, res) => {
+  res.json(NETWORK);
 });
 
+// SEP-1: Parsed anchor TOML (?refresh=true bypasses the cache)
+app.get('/api/sep1/toml', async (req, res) => {
+  try {
+    const stellarToml = await getAnchorToml(req, { force: req.query.refresh === 'true' });
+    const { raw, ...summary } = stellarToml;
+    res.json(summary);
+  } catch (error) {
+    sendError(res, error, { label: 'TOML error', message: 'Failed to resolve stellar.toml' });
+  }
+});
+
+// SEP-10 memos are unsigned 64-bit IDs
+const MAX_MEMO_ID = 2n ** 64n - 1n;
+const isMemoId = (memo) => /^\d{1,20}$/.test(memo) && BigInt(memo) <= MAX_MEMO_ID;
+
 // Step 1: Get Challenge from Anchor (Anchor signs it)
+// Custodial wallets sharing one G account log users in with a muxed M
+// address or a memo; the JWT sub then names that user.
 app.post('/api/sep10/get-challenge', async (req, res) => {
   try {
-    const { account } = req.body;
+    const { account, memo } = req.body;
 
     if (!account) {
       return res.status(400).json({ 
         error: 'Missing required field: account' 
       });
     }
+    if (!StellarSdk.StrKey.isValidEd25519PublicKey(account) && !StellarSdk.StrKey.isValidMed25519PublicKey(account)) {
+      return res.status(400).json({
+        error: `Not a Stellar account or muxed account: ${account}`,
+        reason: 'INVALID_ACCOUNT'
+      });
+    }
+    if (memo !== undefined && memo !== null && memo !== '') {
+      if (!isMemoId(String(memo))) {
+        return res.status(400).json({ error: 'memo must be an unsigned 64-bit integer', reason: 'INVALID_MEMO' });
+      }
+      if (account.startsWith('M')) {
+        return res.status(400).json({ error: 'A muxed account cannot be combined with a memo', reason: 'INVALID_MEMO' });
+      }
+    }
 
     console.log('=== STEP 1: Getting Challenge from Anchor ===');
     console.log(`Account: ${account}`);
-    console.log(`Home Domain: ${HOME_DOMAIN}`);
+    if (memo) {
+      console.log(`Memo: ${memo}`);
+    }
+    console.log(`Anchor: ${req.anchor.id} (${req.anchor.homeDomain})`);
 
     // Get the TOML file to find the web auth endpoint
-    const tomlUrl = `${HOME_DOMAIN}/.well-known/stellar.toml`;
-    console.log(`Fetching TOML from: ${tomlUrl}`);
-    
-    const tomlResponse = await axios.get(tomlUrl);
-    const tomlText = tomlResponse.data;
-    
-    // Parse WEB_AUTH_ENDPOINT from TOML
-    const webAuthMatch = tomlText.match(/WEB_AUTH_ENDPOINT\s*=\s*"([^"]+)"/);
-    if (!webAuthMatch) {
-      return res.status(400).json({ 
-        error: 'WEB_AUTH_ENDPOINT not found in stellar.toml' 
-      });
-    }
-    
-    const webAuthEndpoint = webAuthMatch[1];
+    const stellarToml = await getAnchorToml(req);
+    checkNetwork('Anchor stellar.toml', stellarToml.networkPassphrase);
+    const webAuthEndpoint = stellarToml.webAuthEndpoint;
     console.log(`Web Auth Endpoint: ${webAuthEndpoint}`);
 
     // Request challenge from anchor with client_domain
-    const challengeUrl = `${webAuthEndpoint}?account=${encodeURIComponent(account)}&client_domain=${encodeURIComponent(CLIENT_DOMAIN)}`;
+    let challengeUrl = `${webAuthEndpoint}?account=${encodeURIComponent(account)}&client_domain=${encodeURIComponent(CLIENT_DOMAIN)}`;
+    if (memo) {
+      challengeUrl += `&memo=${encodeURIComponent(memo)}`;
+    }
     console.log(`Requesting challenge: ${challengeUrl}`);
     
-    const challengeResponse = await axios.get(challengeUrl);
+    const challengeResponse = await anchorClient(req).get(challengeUrl);
     
     console.log('✓ Challenge received from Anchor (Anchor has signed)');
-    console.log(`Network: ${challengeResponse.data.network_passphrase}`);
+    // network_passphrase is optional in the challenge response
+    if (challengeResponse.data.network_passphrase) {
+      checkNetwork('Anchor challenge', challengeResponse.data.network_passphrase);
+    }
+    console.log(`Network: ${NETWORK.name}`);
     
     // Return anchor-signed transaction to FE
     res.json({
       transaction: challengeResponse.data.transaction,
-      network_passphrase: challengeResponse.data.network_passphrase,
+      network_passphrase: NETWORK_PASSPHRASE,
       webAuthEndpoint: webAuthEndpoint
     });
 
   } catch (error) {
-    console.error('Challenge error:', error.response?.data || error.message);
-    res.status(500).json({ 
-      error: 'Failed to get challenge from anchor',
-      details: error.response?.data || error.message 
-    });
+    sendError(res, error, { label: 'Challenge error', message: 'Failed to get challenge from anchor' });
   }
 });
 
 // Step 2: Removed - User signs CLIENT-SIDE in browser
 // The secret key NEVER leaves the frontend for security
 
-// Step 3: BE Signs for client_domain and Submits to Anchor
-app.post('/api/sep10/submit', async (req, res) => {
-  try {
-    const { signedTransaction, networkPassphrase } = req.body;
-
-    if (!signedTransaction || !networkPassphrase) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: signedTransaction, networkPassphrase' 
-      });
-    }
-
-    console.log('=== STEP 3: Server Signing for client_domain ===');
-    console.log('Note: User already signed CLIENT-SIDE (secret never sent to server)');
+// Challenges are only ever signed for our configured network, and only when
+// the anchor and the client agree on it exactly
+const checkNetwork = (source, networkPassphrase) => {
+  if (networkPassphrase !== NETWORK_PASSPHRASE) {
+    throw new ChallengeError(
+      'NETWORK_MISMATCH',
+      `${source} is for network "${networkPassphrase}", but this backend is on ${NETWORK.name} ("${NETWORK_PASSPHRASE}")`
+    );
+  }
+};
 
-    if (!CLIENT_SIGNING_KEY) {
-      return res.status(500).json({
-        error: 'CLIENT_SIGNING_KEY not configured on server'
-      });
-    }
+// Verify the challenge is a genuine SEP-10 challenge from the request's anchor
+// before anyone co-signs it. Throws a ChallengeError otherwise.
+const checkChallenge = async (req, challengeXdr, networkPassphrase) => {
+  checkNetwork('Challenge', networkPassphrase);
+  const stellarToml = await getAnchorToml(req);
+  checkNetwork('Anchor stellar.toml', stellarToml.networkPassphrase);
+
+  return verifyChallenge(challengeXdr, {
+    networkPassphrase: NETWORK_PASSPHRASE,
+    serverSigningKey: stellarToml.signingKey,
+    homeDomain: stellarToml.homeDomain,
+    webAuthEndpoint: stellarToml.webAuthEndpoint,
+    clientDomain: CLIENT_DOMAIN,
+    clientSigningKeys: clientKeys.validKeys()
+  });
+};
 
-    // Determine network
-    let network;
-    if (networkPassphrase.includes('Test')) {
-      network = StellarSdk.Networks.TESTNET;
-    } else if (networkPassphrase.includes('Public')) {
-      network = StellarSdk.Networks.PUBLIC;
-    } else {
-      network = networkPassphrase;
+// Add our client_domain signature to a user-signed challenge and exchange it
+// for the anchor's JWT. Every attempt ends up in the audit trail.
+const exchangeChallenge = async (req, signedTransaction, networkPassphrase) => {
+  let challenge = null;
+  try {
+    challenge = await checkChallenge(req, signedTransaction, networkPassphrase);
+    const { txn, clientAccount, clientSigningKey } = challenge;
+    console.log(`✓ Challenge verified for ${clientAccount}`);
+
+    // Sign with the client_domain key the anchor named - the previous one
+    // while its cached copy of our TOML predates a rotation
+    const serverKeypair = clientKeys.keypairFor(clientSigningKey);
+    if (clientSigningKey !== clientKeys.signingKey) {
+      console.log('Anchor still uses our previous client_domain key (rotation grace period)');
     }
-
-    // Parse the user-signed transaction
-    const txn = new StellarSdk.Transaction(signedTransaction, network);
-    
-    // Sign with server's client_domain key
-    const serverKeypair = StellarSdk.Keypair.fromSecret(CLIENT_SIGNING_KEY);
     txn.sign(serverKeypair);
-    
+
     const fullySignedXdr = txn.toEnvelope().toXDR('base64');
-    
+
     console.log('✓ Transaction signed by server (client_domain)');
     console.log(`Server public key: ${serverKeypair.publicKey()}`);
     console.log(`Total signatures: ${txn.signatures.length}`);
 
-    // Get web auth endpoint from TOML
-    const tomlUrl = `${HOME_DOMAIN}/.well-known/stellar.toml`;
-    const tomlResponse = await axios.get(tomlUrl);
-    const tomlText = tomlResponse.data;
-    const webAuthMatch = tomlText.match(/WEB_AUTH_ENDPOINT\s*=\s*"([^"]+)"/);
-    
-    if (!webAuthMatch) {
-      return res.status(400).json({ 
-        error: 'WEB_AUTH_ENDPOINT not found in stellar.toml' 
-      });
-    }
-    
-    const webAuthEndpoint = webAuthMatch[1];
-
     // Submit fully-signed transaction to anchor
+    const { webAuthEndpoint } = await getAnchorToml(req);
     console.log('=== STEP 4: Submitting to Anchor for Verification ===');
     console.log(`Submitting to: ${webAuthEndpoint}`);
-    
-    const tokenResponse = await axios.post(webAuthEndpoint, {
+
+    // Never retried: a challenge can only be exchanged once
+    const tokenResponse = await anchorClient(req).post(webAuthEndpoint, {
       transaction: fullySignedXdr
     }, {
       headers: {
@@ -155,17 +297,49 @@ app.post('/api/sep10/submit', async (req, res) => {
 
     console.log('✓ JWT token received from Anchor');
     console.log('✓ All signatures verified successfully!');
-    
-    res.json({
-      token: tokenResponse.data.token
-    });
 
+    audit((s) => s.recordAuth({
+      anchorId: req.anchor.id,
+      account: clientAccount,
+      memo: challenge.memo,
+      clientDomain: CLIENT_DOMAIN,
+      outcome: 'success'
+    }));
+    return tokenResponse.data.token;
   } catch (error) {
-    console.error('Submit error:', error.response?.data || error.message);
-    res.status(500).json({ 
-      error: 'Failed to submit transaction',
-      details: error.response?.data || error.message 
-    });
+    // Rejected challenges may not even name an account
+    audit((s) => s.recordAuth({
+      anchorId: req.anchor.id,
+      account: challenge?.clientAccount,
+      memo: challenge?.memo,
+      clientDomain: CLIENT_DOMAIN,
+      outcome: 'failure',
+      reason: error.code,
+      error: error.response?.data?.error || error.message
+    }));
+    throw error;
+  }
+};
+
+// Step 3: BE Signs for client_domain and Submits to Anchor
+app.post('/api/sep10/submit', async (req, res) => {
+  try {
+    const { signedTransaction, networkPassphrase } = req.body;
+
+    if (!signedTransaction || !networkPassphrase) {
+      return res.status(400).json({ 
+        error: 'Missing required fields: signedTransaction, networkPassphrase' 
+      });
+    }
+
+    console.log('=== STEP 3: Server Signing for client_domain ===');
+    console.log('Note: User already signed CLIENT-SIDE (secret never sent to server)');
+
+    const token = await exchangeChallenge(req, signedTransaction, networkPassphrase);
+    res.json({ token });
+
+  } catch (error) {
+    sendError(res, error, { label: 'Submit error', message: 'Failed to submit transaction' });
   }
 });
 
@@ -175,57 +349,132 @@ app.post('/api/sep10/submit', async (req, res) => {
 // SEP-24 ENDPOINTS
 // ============================================
 
-// Helper function to verify JWT token
-const verifyToken = (req, res, next) => {
+// Withdrawal payments we submitted. SEP-24 ids are only unique per anchor.
+const withdrawPayments = new Map();
+const transactionKey = (anchor, id) => `${anchor.id}:${id}`;
+
+// Link our own withdrawal payment until the anchor reports stellar_transaction_id
+const withClientPayment = (anchor, transaction) => {
+  const clientPayment = withdrawPayments.get(transactionKey(anchor, transaction.id));
+  return clientPayment ? { ...transaction, client_payment: clientPayment } : transaction;
+};
+
+const fetchSep24Transaction = async (anchor, id, token) => {
+  const stellarToml = await resolveAnchorToml(anchor);
+  const transferServer = requireTomlField(stellarToml, 'transferServerSep24', 'TRANSFER_SERVER_SEP0024');
+  const response = await anchorHttp.client(anchor.homeDomain).get(`${transferServer}/transaction`, {
+    params: { id },
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+  return withClientPayment(anchor, response.data.transaction);
+};
+
+// One poller per followed transaction and user, shared by that user's
+// browser sessions. Transaction ids are only unique per anchor, hence one watcher each.
+const transactionWatchers = new Map();
+const watcherFor = (anchor) => {
+  if (!transactionWatchers.has(anchor.id)) {
+    transactionWatchers.set(anchor.id, createTransactionWatcher({
+      fetchTransaction: async (id, token) => {
+        const transaction = await fetchSep24Transaction(anchor, id, token);
+        auditStatus(anchor, transaction, 'watcher');
+        return transaction;
+      },
+      minIntervalMs: SEP24_POLL_MIN_INTERVAL * 1000,
+      maxIntervalMs: SEP24_POLL_MAX_INTERVAL * 1000
+    }));
+  }
+  return transactionWatchers.get(anchor.id);
+};
+
+// The callback URL carries the anchor id so we know whose SIGNING_KEY to check
+const callbackUrlFor = (anchor) => {
+  const url = new URL(SEP24_CALLBACK_URL);
+  url.searchParams.set('anchor', anchor.id);
+  return url.toString();
+};
+
+// Decode the SEP-10 JWT and check it before it is forwarded to the anchor.
+// Handlers get the raw token in req.jwtToken and its claims in req.claims.
+const verifyToken = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Missing or invalid Authorization header' });
+    return res.status(401).json({ error: 'Missing or invalid Authorization header', reason: 'TOKEN_MISSING' });
   }
   
   const token = authHeader.substring(7);
+
+  try {
+    const stellarToml = await getAnchorToml(req);
+    req.claims = decodeSep10Token(token, { webAuthEndpoint: stellarToml.webAuthEndpoint });
+  } catch (error) {
+    return sendError(res, error, { label: '✗ Token rejected', message: 'Failed to check token' });
+  }
+
   req.jwtToken = token;
   next();
 };
 
+const fetchSep24Info = async (req, transferServer) => {
+  const response = await anchorClient(req).get(`${transferServer}/info`);
+  return parseSep24Info(response.data);
+};
+
+// SEP-24: Enabled assets with limits and fees, and the anchor's feature flags
+app.get('/api/sep24/info', async (req, res) => {
+  try {
+    const stellarToml = await getAnchorToml(req);
+    const transferServer = requireTomlField(stellarToml, 'transferServerSep24', 'TRANSFER_SERVER_SEP0024');
+    res.json(await fetchSep24Info(req, transferServer));
+  } catch (error) {
+    sendError(res, error, { label: 'SEP-24 info error', message: 'Failed to get SEP-24 info' });
+  }
+});
+
 // SEP-24: Start Deposit or Withdrawal
 app.post('/api/sep24/start', verifyToken, async (req, res) => {
   try {
-    const { mode, assetCode, amount, account } = req.body;
+    const { mode, assetCode, amount, account, memo, quote_id, source_asset, destination_asset } = req.body;
     
     if (!mode || !assetCode || !account) {
       return res.status(400).json({ 
         error: 'Missing required fields: mode, assetCode, account' 
       });
     }
+    if (!['deposit', 'withdraw'].includes(mode)) {
+      return res.status(400).json({
+        error: `Invalid mode: ${mode} (expected deposit or withdraw)`
+      });
+    }
+
+    // A token for one user can't start transfers for another - including
+    // another user of the same shared account
+    const mismatch = userMismatch(req.claims, { account, memo: memo || null });
+    if (mismatch) {
+      return res.status(403).json({ error: mismatch, reason: 'ACCOUNT_MISMATCH' });
+    }
 
     console.log(`\n=== SEP-24: Starting ${mode.toUpperCase()} ===`);
     console.log(`Asset: ${assetCode}`);
     console.log(`Amount: ${amount || 'not specified'}`);
-    console.log(`Account: ${account}`);
+    console.log(`Account: ${memo ? `${account} (memo ${memo})` : account}`);
+    if (quote_id) {
+      console.log(`Quote: ${quote_id}`);
+    }
 
     // Step 1: Get TOML to find TRANSFER_SERVER
-    const tomlUrl = `${HOME_DOMAIN}/.well-known/stellar.toml`;
-    console.log(`Fetching TOML from: ${tomlUrl}`);
-    
-    const tomlResponse = await axios.get(tomlUrl);
-    const tomlText = tomlResponse.data;
-    
-    // Parse TRANSFER_SERVER from TOML
-    const transferServerMatch = tomlText.match(/TRANSFER_SERVER_SEP0024\s*=\s*"([^"]+)"/);
-    if (!transferServerMatch) {
-      return res.status(400).json({ 
-        error: 'TRANSFER_SERVER not found in stellar.toml' 
-      });
-    }
-    
-    const transferServer = transferServerMatch[1];
+    const stellarToml = await getAnchorToml(req);
+    const transferServer = requireTomlField(stellarToml, 'transferServerSep24', 'TRANSFER_SERVER_SEP0024');
     console.log(`Transfer Server: ${transferServer}`);
 
-    // Step 2: Get /info endpoint (unauthenticated)
+    // Step 2: Get /info endpoint (unauthenticated) and check the transfer
+    // against it. With a quote the amount is the quote's sell amount, which
+    // may be in an off-chain asset, so only the asset is checked.
     console.log('Fetching /info endpoint...');
-    const infoResponse = await axios.get(`${transferServer}/info`);
+    const info = await fetchSep24Info(req, transferServer);
     console.log('✓ Info received (unauthenticated)');
+    checkTransfer(info, { mode, assetCode, amount: quote_id ? undefined : amount });
 
     // Step 3: Call deposit or withdraw endpoint (authenticated with JWT)
     const endpoint = mode === 'deposit' ? '/transactions/deposit/interactive' : '/transactions/withdraw/interactive';
@@ -242,7 +491,30 @@ app.post('/api/sep24/start', verifyToken, async (req, res) => {
       params.amount = amount;
     }
 
-    const response = await axios.post(url, params, {
+    // Shared-account users: the anchor tags the transfer with their memo
+    if (memo) {
+      params.memo = String(memo);
+      params.memo_type = 'id';
+    }
+
+    // SEP-38 cross-asset transfers: off-chain asset and the locked quote
+    if (quote_id) {
+      params.quote_id = quote_id;
+    }
+    if (source_asset) {
+      params.source_asset = source_asset;
+    }
+    if (destination_asset) {
+      params.destination_asset = destination_asset;
+    }
+
+    // Ask the anchor to push status changes to /api/sep24/callback
+    if (SEP24_CALLBACK_URL) {
+      params.on_change_callback = callbackUrlFor(req.anchor);
+    }
+
+    // Never retried: a second attempt could open a second transaction
+    const response = await anchorClient(req).post(url, params, {
       headers: {
         'Authorization': `Bearer ${req.jwtToken}`,
         'Content-Type': 'application/json'
@@ -253,6 +525,21 @@ app.post('/api/sep24/start', verifyToken, async (req, res) => {
     console.log(`Transaction ID: ${response.data.id}`);
     console.log(`URL: ${response.data.url}`);
 
+    audit((s) => {
+      s.recordTransaction({
+        anchorId: req.anchor.id,
+        id: response.data.id,
+        kind: mode === 'deposit' ? 'deposit' : 'withdrawal',
+        account,
+        memo: memo ? String(memo) : null,
+        assetCode,
+        amount: params.amount || null,
+        quoteId: quote_id || null
+      });
+      // Interactive transactions start out incomplete
+      s.recordStatus({ anchorId: req.anchor.id, id: response.data.id, status: 'incomplete', source: 'start' });
+    });
+
     res.json({
       id: response.data.id,
       url: response.data.url,
@@ -260,11 +547,7 @@ app.post('/api/sep24/start', verifyToken, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('SEP-24 start error:', error.response?.data || error.message);
-    res.status(500).json({ 
-      error: `Failed to start ${req.body.mode}`,
-      details: error.response?.data || error.message 
-    });
+    sendError(res, error, { label: 'SEP-24 start error', message: `Failed to start ${req.body.mode}` });
   }
 });
 
@@ -283,23 +566,13 @@ app.post('/api/sep24/transaction', verifyToken, async (req, res) => {
     console.log(`Transaction ID: ${id}`);
 
     // Get TOML to find TRANSFER_SERVER
-    const tomlUrl = `${HOME_DOMAIN}/.well-known/stellar.toml`;
-    const tomlResponse = await axios.get(tomlUrl);
-    const tomlText = tomlResponse.data;
-
-    const transferServerMatch = tomlText.match(/TRANSFER_SERVER_SEP0024\s*=\s*"([^"]+)"/);
-    if (!transferServerMatch) {
-      return res.status(400).json({ 
-        error: 'TRANSFER_SERVER not found in stellar.toml' 
-      });
-    }
-    
-    const transferServer = transferServerMatch[1];
+    const stellarToml = await getAnchorToml(req);
+    const transferServer = requireTomlField(stellarToml, 'transferServerSep24', 'TRANSFER_SERVER_SEP0024');
 
     // Call /transaction endpoint (authenticated with JWT)
     console.log('Calling /transaction endpoint (authenticated with JWT)...');
     
-    const response = await axios.get(`${transferServer}/transaction`, {
+    const response = await anchorClient(req).get(`${transferServer}/transaction`, {
       params: { id: id },
       headers: {
         'Authorization': `Bearer ${req.jwtToken}`
@@ -308,31 +581,230 @@ app.post('/api/sep24/transaction', verifyToken, async (req, res) => {
 
     const transaction = response.data.transaction;
     console.log(`✓ Status: ${transaction.status}`);
+    auditStatus(req.anchor, transaction, 'poll');
     
     if (transaction.message) {
       console.log(`Message: ${transaction.message}`);
     }
 
-    res.json(transaction);
+    res.json(withClientPayment(req.anchor, transaction));
 
   } catch (error) {
-    console.error('Transaction status error:', error.response?.data || error.message);
-    res.status(500).json({ 
-      error: 'Failed to get transaction status',
-      details: error.response?.data || error.message 
+    sendError(res, error, { label: 'Transaction status error', message: 'Failed to get transaction status' });
+  }
+});
+
+// EventSource can't set headers, so the SSE route also takes ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// SEP-24: Live status updates over Server-Sent Events
+app.get('/api/sep24/transaction/:id/events', tokenFromQuery, verifyToken, (req, res) => {
+  const { id } = req.params;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write('retry: 5000\n\n');
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  let unsubscribe = () => {};
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  console.log(`\n=== SEP-24: Watching ${id} ===`);
+  unsubscribe = watcherFor(req.anchor).watch(id, { token: req.jwtToken, subject: req.claims.sub }, (event) => {
+    if (event.type === 'status') {
+      console.log(`✓ ${id}: ${event.transaction.status}`);
+      send('status', event.transaction);
+    } else if (event.type === 'error') {
+      send('poll_error', { error: event.error });
+    } else if (event.type === 'done') {
+      send('done', event.transaction || {});
+      close();
+      res.end();
+    }
+  });
+
+  req.on('close', close);
+});
+
+// Signatures of callbacks already accepted
+const callbackReplayGuard = createReplayGuard();
+
+// SEP-24: on_change_callback receiver (authenticated by the anchor's signature, not a JWT)
+app.post('/api/sep24/callback', async (req, res) => {
+  try {
+    console.log(`\n=== SEP-24: Callback Received ===`);
+
+    const header = req.headers['signature'] || req.headers['x-stellar-signature'];
+    const host = new URL(SEP24_CALLBACK_URL || `http://${req.headers.host}`).host;
+    const verify = (signingKey) => verifyCallbackSignature({ header, body: req.rawBody || '', host, signingKey });
+
+    let stellarToml = await getAnchorToml(req);
+    let verified;
+    try {
+      verified = verify(stellarToml.signingKey);
+    } catch (error) {
+      if (!(error instanceof CallbackError) || error.code !== 'SIGNATURE_INVALID') {
+        throw error;
+      }
+      // The anchor may have rotated its key since we cached the TOML
+      stellarToml = await getAnchorToml(req, { force: true });
+      verified = verify(stellarToml.signingKey);
+    }
+    callbackReplayGuard.check(verified.signature);
+
+    const transaction = req.body?.transaction;
+    if (!transaction?.id || !transaction.status) {
+      return res.status(400).json({
+        error: 'Callback body must contain a transaction with id and status'
+      });
+    }
+
+    auditStatus(req.anchor, transaction, 'callback');
+    watcherFor(req.anchor).publish(transaction.id, withClientPayment(req.anchor, transaction));
+
+    console.log(`✓ ${transaction.id}: ${transaction.status} (signature verified)`);
+    res.json({ received: true });
+
+  } catch (error) {
+    sendError(res, error, { label: 'Callback error', message: 'Failed to process callback' });
+  }
+});
+
+// SEP-24: Transaction History (filtered, paged with paging_id)
+app.post('/api/sep24/transactions', verifyToken, async (req, res) => {
+  try {
+    const { assetCode, kind, noOlderThan, limit, pagingId } = req.body;
+
+    if (!assetCode) {
+      return res.status(400).json({ 
+        error: 'Missing required field: assetCode' 
+      });
+    }
+    if (kind && !['deposit', 'withdrawal'].includes(kind)) {
+      return res.status(400).json({
+        error: `Invalid kind: ${kind} (expected deposit or withdrawal)`
+      });
+    }
+    if (noOlderThan && Number.isNaN(Date.parse(noOlderThan))) {
+      return res.status(400).json({
+        error: `Invalid noOlderThan date: ${noOlderThan}`
+      });
+    }
+    if (limit && !(Number.isInteger(Number(limit)) && Number(limit) > 0)) {
+      return res.status(400).json({
+        error: `Invalid limit: ${limit}`
+      });
+    }
+
+    console.log(`\n=== SEP-24: Listing Transactions ===`);
+    console.log(`Asset: ${assetCode}${kind ? `, kind: ${kind}` : ''}${pagingId ? `, after: ${pagingId}` : ''}`);
+
+    const stellarToml = await getAnchorToml(req);
+    const transferServer = requireTomlField(stellarToml, 'transferServerSep24', 'TRANSFER_SERVER_SEP0024');
+
+    const params = { asset_code: assetCode };
+    if (kind) {
+      params.kind = kind;
+    }
+    if (noOlderThan) {
+      params.no_older_than = new Date(noOlderThan).toISOString();
+    }
+    if (limit) {
+      params.limit = Number(limit);
+    }
+    if (pagingId) {
+      params.paging_id = pagingId;
+    }
+
+    const response = await anchorClient(req).get(`${transferServer}/transactions`, {
+      params,
+      headers: {
+        'Authorization': `Bearer ${req.jwtToken}`
+      }
     });
+
+    // Same client_payment link as /transaction for withdrawals we paid
+    const transactions = response.data.transactions.map((transaction) => withClientPayment(req.anchor, transaction));
+    console.log(`✓ ${transactions.length} transaction(s)`);
+
+    res.json({ transactions });
+
+  } catch (error) {
+    sendError(res, error, { label: 'Transaction history error', message: 'Failed to get transactions' });
   }
 });
 
-const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`\n${'='.repeat(50)}`);
-  console.log('SEP-10 Three-Party Auth Server');
-  console.log(`${'='.repeat(50)}`);
-  console.log(`Port: ${PORT}`);
-  console.log(`Home Domain: ${HOME_DOMAIN}`);
-  console.log(`Client Domain: ${CLIENT_DOMAIN}`);
-  console.log(`Client Key Set: ${CLIENT_SIGNING_KEY ? 'Yes' : 'No'}`);
-  console.log(`${'='.repeat(50)}\n`);
+app.use('/api/sep24/withdraw', createWithdrawRouter({
+  getAnchorToml,
+  verifyToken,
+  anchorClient,
+  horizonUrl: HORIZON_URL,
+  horizonTimeoutMs: HORIZON_TIMEOUT * 1000,
+  networkPassphrase: NETWORK_PASSPHRASE,
+  recordPayment: (anchor, id, record) => withdrawPayments.set(transactionKey(anchor, id), record)
+}));
+app.use('/api/sep10/sessions', createMultisigRouter({
+  horizonUrl: HORIZON_URL,
+  horizonTimeoutMs: HORIZON_TIMEOUT * 1000,
+  checkChallenge,
+  exchangeChallenge
+}));
+app.use('/api/sep6', createSep6Router({ getAnchorToml, verifyToken, anchorClient }));
+app.use('/api/sep12', createSep12Router({ getAnchorToml, verifyToken, anchorClient }));
+app.use('/api/sep38', createSep38Router({ getAnchorToml, verifyToken, anchorClient }));
+app.use('/api/sep7', createSep7Router({ publicUrl: PUBLIC_URL }));
+app.use('/api/anchors', createAnchorsRouter({ registry: anchorRegistry, resolveToml: resolveAnchorToml }));
+app.use('/api/audit', createAuditRouter({ store, apiKey: AUDIT_API_KEY }));
+app.use(createHealthRouter({
+  registry: anchorRegistry,
+  resolveToml: resolveAnchorToml,
+  circuitFor: (anchor) => anchorHttp.client(anchor.homeDomain).breaker.describe(),
+  signingKey: clientKeys.signingKey,
+  networkPassphrase: NETWORK_PASSPHRASE,
+  publicUrl: PUBLIC_URL
+}));
+
+// Anything a route let through still answers in the error envelope
+app.use((error, req, res, next) => {
+  sendError(res, error, { label: 'Unhandled error', message: 'Internal server error' });
 });
 
+module.exports = app;
+
+if (require.main === module) {
+  const { PORT } = config;
+  app.listen(PORT, () => {
+    console.log(`\n${'='.repeat(50)}`);
+    console.log('SEP-10 Three-Party Auth Server');
+    console.log(`${'='.repeat(50)}`);
+    console.log(`Port: ${PORT}`);
+    console.log(`Anchors: ${anchorRegistry.list().map((anchor) => `${anchor.id} (${anchor.homeDomain})`).join(', ')}`);
+    console.log(`Network: ${NETWORK.name} (${NETWORK_PASSPHRASE})`);
+    if (NETWORK.mainnet) {
+      console.log('*** MAINNET: challenges and payments move real funds ***');
+    }
+    console.log(`Client Domain: ${CLIENT_DOMAIN}`);
+    console.log(`Client Signing Key: ${clientKeys.signingKey}`);
+    const previousKey = clientKeys.describe().previous;
+    if (previousKey) {
+      console.log(`Previous Client Key: ${previousKey.signingKey} (${previousKey.active ? 'valid' : 'expired'} until ${previousKey.validUntil})`);
+    }
+    console.log(`Audit Store: ${STORE_FILE || 'memory only'}`);
+    console.log(`${'='.repeat(50)}\n`);
+  });
+}
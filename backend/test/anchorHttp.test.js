@@ -0,0 +1,177 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { CircuitOpenError, createAnchorClient } = require('../lib/anchorHttp');
+const { describeError } = require('../lib/errors');
+
+// A stand-in anchor that answers from a script: each request takes the next
+// { status, delay, body } step, and answers 200 once the script runs out
+function startFakeAnchor() {
+  const script = [];
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push(`${req.method} ${req.url}`);
+    const { status = 200, delay = 0, body = { ok: true } } = script.shift() || {};
+    setTimeout(() => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    }, delay);
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      script,
+      seen,
+      stop: () => new Promise((done) => {
+        server.close(() => done());
+        server.closeAllConnections();
+      }),
+    }));
+  });
+}
+
+describe('anchor HTTP client', () => {
+  let anchor;
+  let clock;
+  let delays;
+  let states;
+
+  const client = (options = {}) => createAnchorClient({
+    name: 'fake-anchor',
+    timeoutMs: 1000,
+    retries: 2,
+    backoffMs: 100,
+    maxBackoffMs: 1000,
+    failureThreshold: 3,
+    resetMs: 30000,
+    random: () => 0.5,
+    sleep: async (ms) => {
+      delays.push(ms);
+    },
+    now: () => clock,
+    onStateChange: (state) => states.push(state),
+    ...options,
+  });
+
+  before(async () => {
+    mock.method(console, 'warn', () => {});
+    anchor = await startFakeAnchor();
+  });
+
+  after(async () => {
+    await anchor.stop();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    anchor.script.length = 0;
+    anchor.seen.length = 0;
+    clock = 0;
+    delays = [];
+    states = [];
+  });
+
+  it('retries a failing GET with jittered, growing backoff', async () => {
+    anchor.script.push({ status: 503 }, { status: 502 });
+    const res = await client().get(`${anchor.url}/info`);
+
+    assert.equal(res.status, 200);
+    assert.equal(anchor.seen.length, 3);
+    // Half of 100ms, then half of 200ms
+    assert.deepEqual(delays, [50, 100]);
+  });
+
+  it('gives up after the last retry with the anchor error', async () => {
+    anchor.script.push({ status: 503 }, { status: 503 }, { status: 503, body: { error: 'maintenance' } });
+    await assert.rejects(client().get(`${anchor.url}/info`), (err) => err.response.status === 503);
+    assert.equal(anchor.seen.length, 3);
+  });
+
+  it('sends POSTs and retry: false GETs exactly once', async () => {
+    anchor.script.push({ status: 503 }, { status: 503 });
+    const c = client();
+    await assert.rejects(c.post(`${anchor.url}/auth`, { transaction: 'AAAA' }), (err) => err.response.status === 503);
+    await assert.rejects(c.get(`${anchor.url}/deposit`, { retry: false }), (err) => err.response.status === 503);
+
+    assert.deepEqual(anchor.seen, ['POST /auth', 'GET /deposit']);
+    assert.deepEqual(delays, []);
+  });
+
+  it('does not retry or count anchor 4xx answers', async () => {
+    anchor.script.push(...Array(5).fill({ status: 404, body: { error: 'transaction not found' } }));
+    const c = client();
+    for (let i = 0; i < 5; i += 1) {
+      await assert.rejects(c.get(`${anchor.url}/transaction`), (err) => err.response.status === 404);
+    }
+
+    assert.equal(anchor.seen.length, 5);
+    assert.equal(c.breaker.state, 'closed');
+  });
+
+  it('times out a hung anchor and retries the read', async () => {
+    anchor.script.push({ delay: 300 }, { delay: 300 });
+    const res = await client({ timeoutMs: 100 }).get(`${anchor.url}/.well-known/stellar.toml`);
+
+    assert.equal(res.status, 200);
+    assert.equal(anchor.seen.length, 3);
+  });
+
+  it('opens the circuit after repeated failures and fails fast', async () => {
+    anchor.script.push(...Array(3).fill({ status: 500 }));
+    const c = client({ retries: 0 });
+    for (let i = 0; i < 3; i += 1) {
+      await assert.rejects(c.get(`${anchor.url}/info`), (err) => err.response.status === 500);
+    }
+    assert.deepEqual(states, ['open']);
+
+    // Nothing reaches the anchor while the circuit is open
+    await assert.rejects(c.get(`${anchor.url}/info`), (err) => {
+      assert.ok(err instanceof CircuitOpenError);
+      assert.equal(err.retryAt, 30000);
+      return true;
+    });
+    assert.equal(anchor.seen.length, 3);
+    assert.deepEqual(c.breaker.describe(), { state: 'open', failures: 3, retryAt: new Date(30000).toISOString() });
+  });
+
+  it('stops retrying once the circuit opens', async () => {
+    anchor.script.push(...Array(5).fill({ status: 503 }));
+    await assert.rejects(client({ retries: 4, failureThreshold: 2 }).get(`${anchor.url}/info`), (err) => err.response.status === 503);
+    assert.equal(anchor.seen.length, 2);
+  });
+
+  it('closes again after a successful trial call, or reopens after a failed one', async () => {
+    anchor.script.push({ status: 500 }, { status: 500 });
+    const c = client({ retries: 0, failureThreshold: 1 });
+    await assert.rejects(c.get(`${anchor.url}/info`));
+
+    clock = 30000;
+    await assert.rejects(c.get(`${anchor.url}/info`), (err) => err.response.status === 500);
+    assert.equal(c.breaker.state, 'open');
+
+    clock = 60000;
+    assert.equal((await c.get(`${anchor.url}/info`)).status, 200);
+    assert.deepEqual(states, ['open', 'half_open', 'open', 'half_open', 'closed']);
+  });
+
+  it('lets only one trial call through while half open', async () => {
+    anchor.script.push({ status: 500 }, { delay: 100 });
+    const c = client({ retries: 0, failureThreshold: 1 });
+    await assert.rejects(c.get(`${anchor.url}/info`));
+
+    clock = 30000;
+    const trial = c.get(`${anchor.url}/info`);
+    await assert.rejects(c.get(`${anchor.url}/info`), CircuitOpenError);
+    assert.equal((await trial).status, 200);
+    assert.equal(anchor.seen.length, 2);
+  });
+
+  it('answers 503 ANCHOR_UNAVAILABLE while the circuit is open', () => {
+    const { status, body } = describeError(new CircuitOpenError('anchor.example.com', 30000), { message: 'Failed to get SEP-24 info' });
+    assert.equal(status, 503);
+    assert.equal(body.code, 'ANCHOR_UNAVAILABLE');
+    assert.equal(body.reason, 'CIRCUIT_OPEN');
+    assert.deepEqual(body.details, { retryAt: '1970-01-01T00:00:30.000Z' });
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const StellarSdk = require('stellar-sdk');
+
+const { startStack, authenticate } = require('./helpers/stack');
+const { AnchorError, createAnchorRegistry } = require('../lib/anchors');
+
+const invalid = (config) => assert.throws(
+  () => createAnchorRegistry(config),
+  (err) => err instanceof AnchorError && err.code === 'INVALID_REGISTRY',
+);
+
+describe('anchor registry', () => {
+  it('falls back to the default anchor when none is named', () => {
+    const registry = createAnchorRegistry({
+      default: 'b',
+      anchors: [{ id: 'a', homeDomain: 'a.example' }, { id: 'b', name: 'Anchor B', homeDomain: 'b.example' }],
+    });
+    assert.equal(registry.get().id, 'b');
+    assert.equal(registry.get('a').homeDomain, 'a.example');
+    assert.throws(() => registry.get('c'), (err) => err.code === 'UNKNOWN_ANCHOR');
+  });
+
+  it('rejects broken configs', () => {
+    invalid({ anchors: [] });
+    invalid({ anchors: [{ id: 'has space', homeDomain: 'a.example' }] });
+    invalid({ anchors: [{ id: 'a', homeDomain: 'a.example' }, { id: 'a', homeDomain: 'b.example' }] });
+    invalid({ anchors: [{ id: 'a' }] });
+    invalid({ anchors: [{ id: 'a', homeDomain: 'ftp://a.example' }] });
+    invalid({ default: 'b', anchors: [{ id: 'a', homeDomain: 'a.example' }] });
+  });
+});
+
+describe('multiple anchors', () => {
+  let stack;
+  let api;
+  const user = StellarSdk.Keypair.random();
+
+  const startDeposit = (anchor, token) => api.post('/api/sep24/start', {
+    mode: 'deposit',
+    assetCode: 'USDC',
+    account: user.publicKey(),
+  }, { headers: { Authorization: `Bearer ${token}`, 'X-Anchor-Id': anchor } });
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    stack = await startStack({ extraAnchors: ['second'] });
+    api = stack.api;
+  });
+
+  after(async () => {
+    await stack.stop();
+    mock.restoreAll();
+  });
+
+  it('lists every anchor with its TOML details', async () => {
+    const res = await api.get('/api/anchors');
+    assert.equal(res.status, 200);
+    assert.equal(res.data.default, 'default');
+    assert.deepEqual(res.data.anchors.map((anchor) => [anchor.id, anchor.name]), [
+      ['default', 'Mock Anchor'],
+      ['second', 'Mock Anchor second'],
+    ]);
+    assert.deepEqual(res.data.anchors[1].currencies.map((currency) => currency.code), ['USDC', 'SRT']);
+    assert.equal(res.data.anchors[1].seps.sep24, true);
+
+    const one = await api.get('/api/anchors/second');
+    assert.equal(one.data.homeDomain, stack.anchors.second.url);
+  });
+
+  it('authenticates with each anchor separately', async () => {
+    const first = await authenticate(api, user);
+    const second = await authenticate(api, user, { anchor: 'second' });
+
+    const started = await startDeposit('second', second);
+    assert.equal(started.status, 200);
+    assert.ok(stack.anchors.second.transactions.get(started.data.id));
+    assert.ok(!stack.anchor.transactions.get(started.data.id));
+
+    // A JWT is only good for the anchor that issued it
+    const crossed = await startDeposit('second', first);
+    assert.equal(crossed.status, 401);
+    assert.equal(crossed.data.reason, 'TOKEN_ISSUER_MISMATCH');
+  });
+
+  it('rejects unknown anchors', async () => {
+    const res = await api.get('/api/sep1/toml', { headers: { 'X-Anchor-Id': 'nope' } });
+    assert.equal(res.status, 404);
+    assert.equal(res.data.reason, 'UNKNOWN_ANCHOR');
+
+    const byQuery = await api.get('/api/sep1/toml?anchor=second');
+    assert.equal(byQuery.status, 200);
+    assert.equal(byQuery.data.documentation.ORG_NAME, 'Mock Anchor second');
+
+    const missing = await api.get('/api/anchors/nope');
+    assert.equal(missing.status, 404);
+  });
+});
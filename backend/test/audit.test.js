@@ -0,0 +1,118 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StellarSdk = require('stellar-sdk');
+
+const { AUDIT_API_KEY, startStack, authenticate } = require('./helpers/stack');
+const { StoreError, createStore } = require('../lib/store');
+
+describe('audit store', () => {
+  let dir;
+  let file;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+    file = path.join(dir, 'audit.jsonl');
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('keeps transactions and their status changes across restarts', () => {
+    let clock = Date.parse('2026-03-03T10:00:00Z'); // a Tuesday
+    const now = () => new Date(clock);
+    const store = createStore({ file, now });
+
+    store.recordAuth({ anchorId: 'sdf', account: 'GUSER', clientDomain: 'wallet.test', outcome: 'success' });
+    store.recordTransaction({ anchorId: 'sdf', id: 'tx1', kind: 'deposit', account: 'GUSER', assetCode: 'USDC', amount: '100' });
+    store.recordStatus({ anchorId: 'sdf', id: 'tx1', status: 'incomplete', source: 'start' });
+    clock += 60000;
+    assert.equal(store.recordStatus({ anchorId: 'sdf', id: 'tx1', status: 'incomplete', source: 'poll' }), null);
+    store.recordStatus({ anchorId: 'sdf', id: 'tx1', status: 'completed', source: 'callback' });
+
+    // A crash mid-write leaves a torn line behind
+    fs.appendFileSync(file, '{"type":"status","anch');
+    mock.method(console, 'warn', () => {});
+    const reopened = createStore({ file });
+    mock.restoreAll();
+
+    const txn = reopened.getTransaction('sdf', 'tx1');
+    assert.equal(txn.status, 'completed');
+    assert.equal(txn.startedAt, '2026-03-03T10:00:00.000Z');
+    assert.deepEqual(txn.statuses.map((s) => [s.status, s.source]), [['incomplete', 'start'], ['completed', 'callback']]);
+
+    const tuesday = { since: '2026-03-03T00:00:00Z', until: '2026-03-03T23:59:59Z' };
+    assert.equal(reopened.listTransactions({ account: 'GUSER', ...tuesday }).length, 1);
+    assert.equal(reopened.listTransactions({ account: 'GUSER', since: '2026-03-04' }).length, 0);
+    assert.equal(reopened.listAuth({ account: 'GUSER', ...tuesday })[0].outcome, 'success');
+  });
+
+  it('refuses queries it cannot answer', () => {
+    const store = createStore();
+    assert.throws(() => store.listAuth({ since: 'last tuesday' }), (err) => err instanceof StoreError && err.code === 'INVALID_QUERY');
+    assert.throws(() => store.listTransactions({ limit: -1 }), StoreError);
+  });
+});
+
+describe('audit trail through the backend', () => {
+  let stack;
+  let api;
+  const user = StellarSdk.Keypair.random();
+  const operator = { headers: { Authorization: `Bearer ${AUDIT_API_KEY}` } };
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    stack = await startStack();
+    api = stack.api;
+  });
+
+  after(async () => {
+    await stack.stop();
+    mock.restoreAll();
+  });
+
+  it('records authentications, failed ones included', async () => {
+    await authenticate(api, user);
+
+    const challenge = await api.post('/api/sep10/get-challenge', { account: user.publicKey() });
+    await api.post('/api/sep10/submit', {
+      signedTransaction: challenge.data.transaction, // never signed by the user
+      networkPassphrase: challenge.data.network_passphrase,
+    });
+
+    const res = await api.get(`/api/audit/auth?account=${user.publicKey()}`, operator);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data.events.map((e) => e.outcome), ['failure', 'success']);
+    assert.equal(res.data.events[1].anchorId, 'default');
+    assert.equal(res.data.events[1].clientDomain, 'wallet.test');
+    assert.ok(res.data.events[0].error);
+  });
+
+  it('records SEP-24 transactions and every status seen', async () => {
+    const token = await authenticate(api, user);
+    const auth = { headers: { Authorization: `Bearer ${token}` } };
+
+    const start = await api.post('/api/sep24/start', {
+      mode: 'deposit', assetCode: 'USDC', amount: '25', account: user.publicKey(),
+    }, auth);
+    stack.anchor.transactions.advance(start.data.id);
+    await api.post('/api/sep24/transaction', { id: start.data.id }, auth);
+    await api.post('/api/sep24/transaction', { id: start.data.id }, auth);
+
+    const list = await api.get(`/api/audit/transactions?account=${user.publicKey()}&kind=deposit`, operator);
+    assert.equal(list.data.transactions.length, 1);
+    assert.equal(list.data.transactions[0].amount, '25');
+
+    const one = await api.get(`/api/audit/transactions/default/${start.data.id}`, operator);
+    assert.deepEqual(one.data.statuses.map((s) => s.status), ['incomplete', 'pending_user_transfer_start']);
+    assert.ok(fs.readFileSync(stack.storeFile, 'utf8').includes(start.data.id));
+  });
+
+  it('is only open to operators', async () => {
+    assert.equal((await api.get('/api/audit/auth')).status, 401);
+    assert.equal((await api.get('/api/audit/auth', { headers: { Authorization: 'Bearer nope' } })).status, 401);
+    assert.equal((await api.get('/api/audit/auth?since=yesterday-ish', operator)).data.reason, 'INVALID_QUERY');
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const StellarSdk = require('stellar-sdk');
+
+const { startStack, authenticate } = require('./helpers/stack');
+const { CallbackError, verifyCallbackSignature, createReplayGuard } = require('../lib/callback');
+const { signCallback } = require('../mock-anchor/callbacks');
+
+const anchorKey = StellarSdk.Keypair.random();
+const URL_ = 'https://wallet.example/api/sep24/callback';
+const body = JSON.stringify({ transaction: { id: 'tx-1', status: 'pending_anchor' } });
+
+const failsWith = (code, options) => assert.throws(
+  () => verifyCallbackSignature({ body, host: 'wallet.example', signingKey: anchorKey.publicKey(), ...options }),
+  (err) => err instanceof CallbackError && err.code === code,
+);
+
+describe('callback signatures', () => {
+  it('accepts a fresh signature by the anchor key', () => {
+    const header = signCallback(anchorKey, URL_, body);
+    const result = verifyCallbackSignature({ header, body, host: 'wallet.example', signingKey: anchorKey.publicKey() });
+    assert.ok(result.signature);
+  });
+
+  it('rejects missing, malformed, forged and stale signatures', () => {
+    failsWith('SIGNATURE_MISSING', { header: undefined });
+    failsWith('SIGNATURE_MALFORMED', { header: 'garbage' });
+    failsWith('SIGNATURE_INVALID', { header: signCallback(StellarSdk.Keypair.random(), URL_, body) });
+    failsWith('SIGNATURE_INVALID', { header: signCallback(anchorKey, 'https://other.example/cb', body) });
+    failsWith('SIGNATURE_INVALID', { header: signCallback(anchorKey, URL_, body), body: body.replace('pending_anchor', 'completed') });
+    failsWith('SIGNATURE_STALE', { header: signCallback(anchorKey, URL_, body, Math.floor(Date.now() / 1000) - 600) });
+  });
+
+  it('rejects replays', () => {
+    const guard = createReplayGuard();
+    guard.check('sig-1');
+    assert.throws(() => guard.check('sig-1'), (err) => err.code === 'CALLBACK_REPLAYED');
+    guard.check('sig-2');
+  });
+});
+
+describe('SEP-24 callback receiver', () => {
+  let stack;
+  let api;
+  let token;
+  const user = StellarSdk.Keypair.random();
+  const callbackUrl = () => process.env.SEP24_CALLBACK_URL;
+
+  const postCallback = (payload, signer = anchorKey, timestamp) => {
+    const raw = JSON.stringify(payload);
+    return api.post('/api/sep24/callback', raw, {
+      headers: { 'Content-Type': 'application/json', Signature: signCallback(signer, callbackUrl(), raw, timestamp) },
+    });
+  };
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    // Slow polling, so anything that arrives quickly came from the callback
+    stack = await startStack({
+      anchorOptions: { signingKeypair: anchorKey },
+      env: { SEP24_POLL_MIN_INTERVAL: '30', SEP24_POLL_MAX_INTERVAL: '30' },
+    });
+    api = stack.api;
+    token = await authenticate(api, user);
+  });
+
+  after(async () => {
+    await stack.stop();
+    mock.restoreAll();
+  });
+
+  it('pushes verified anchor callbacks to sessions following the transaction', async () => {
+    const start = await api.post('/api/sep24/start', {
+      mode: 'deposit',
+      assetCode: 'USDC',
+      account: user.publicKey(),
+    }, { headers: { Authorization: `Bearer ${token}` } });
+    const { id } = start.data;
+
+    const controller = new AbortController();
+    const response = await fetch(`${api.defaults.baseURL}/api/sep24/transaction/${id}/events?token=${token}`, {
+      signal: controller.signal,
+    });
+
+    const statuses = [];
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const found = [...buffer.matchAll(/event: status\ndata: (.*)\n/g)].map((m) => JSON.parse(m[1]).status);
+        if (found.length > statuses.length) {
+          statuses.splice(0, statuses.length, ...found);
+          if (statuses.length === 1) {
+            // The anchor calls back on every status change
+            stack.anchor.transactions.advance(id);
+          } else {
+            break;
+          }
+        }
+      }
+    } finally {
+      controller.abort();
+    }
+
+    assert.deepEqual(statuses, ['incomplete', 'pending_user_transfer_start']);
+  });
+
+  it('rejects forged callbacks', async () => {
+    const res = await postCallback({ transaction: { id: 'x', status: 'completed' } }, StellarSdk.Keypair.random());
+    assert.equal(res.status, 401);
+    assert.equal(res.data.reason, 'SIGNATURE_INVALID');
+  });
+
+  it('rejects stale callbacks', async () => {
+    const res = await postCallback({ transaction: { id: 'x', status: 'completed' } }, anchorKey, Math.floor(Date.now() / 1000) - 600);
+    assert.equal(res.status, 401);
+    assert.equal(res.data.reason, 'SIGNATURE_STALE');
+  });
+
+  it('rejects replayed callbacks', async () => {
+    const raw = JSON.stringify({ transaction: { id: 'y', status: 'pending_anchor' } });
+    const headers = { 'Content-Type': 'application/json', Signature: signCallback(anchorKey, callbackUrl(), raw) };
+
+    const first = await api.post('/api/sep24/callback', raw, { headers });
+    assert.equal(first.status, 200);
+    const replay = await api.post('/api/sep24/callback', raw, { headers });
+    assert.equal(replay.status, 401);
+    assert.equal(replay.data.reason, 'CALLBACK_REPLAYED');
+  });
+
+  it('rejects signed callbacks without a transaction', async () => {
+    const res = await postCallback({ hello: 'world' });
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,196 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const StellarSdk = require('stellar-sdk');
+
+const { ChallengeError, verifyChallenge } = require('../lib/challenge');
+
+const NETWORK = StellarSdk.Networks.TESTNET;
+const HOME_DOMAIN = 'anchor.example';
+const WEB_AUTH = 'https://auth.anchor.example/auth';
+const CLIENT_DOMAIN = 'wallet.example';
+
+const server = StellarSdk.Keypair.random();
+const client = StellarSdk.Keypair.random();
+const clientDomainKey = StellarSdk.Keypair.random();
+const previousClientDomainKey = StellarSdk.Keypair.random();
+const now = Math.floor(Date.now() / 1000);
+
+const nonce = () => crypto.randomBytes(48).toString('base64');
+const manageData = (name, value, source) => StellarSdk.Operation.manageData({ name, value, source: source?.publicKey?.() ?? source });
+
+// The operations of a well-formed challenge, in order
+const defaultOperations = () => [
+  manageData(`${HOME_DOMAIN} auth`, nonce(), client),
+  manageData('web_auth_domain', 'auth.anchor.example', server),
+  manageData('client_domain', CLIENT_DOMAIN, clientDomainKey),
+];
+
+// A challenge the way an anchor builds it; every part can be swapped for a bad one
+function buildChallenge({
+  source = server,
+  sequence = '-1',
+  timebounds = { minTime: now, maxTime: now + 300 },
+  operations = defaultOperations(),
+  memo = StellarSdk.Memo.none(),
+  signers = [server],
+  networkPassphrase = NETWORK,
+} = {}) {
+  const builder = new StellarSdk.TransactionBuilder(new StellarSdk.Account(source.publicKey(), sequence), {
+    fee: StellarSdk.BASE_FEE,
+    networkPassphrase,
+    timebounds,
+  });
+  operations.forEach((op) => builder.addOperation(op));
+  const txn = builder.addMemo(memo).build();
+  signers.forEach((signer) => txn.sign(signer));
+  return txn.toEnvelope().toXDR('base64');
+}
+
+// The same challenge with its timebounds stripped, signed again by the anchor
+function withoutTimebounds(challengeXdr) {
+  const envelope = StellarSdk.xdr.TransactionEnvelope.fromXDR(challengeXdr, 'base64');
+  envelope.v1().tx().cond(StellarSdk.xdr.Preconditions.precondNone());
+  const txn = new StellarSdk.Transaction(envelope, NETWORK);
+  txn.signatures.length = 0;
+  txn.sign(server);
+  return txn.toEnvelope().toXDR('base64');
+}
+
+const verify = (challengeXdr, options = {}) => verifyChallenge(challengeXdr, {
+  networkPassphrase: NETWORK,
+  serverSigningKey: server.publicKey(),
+  homeDomain: HOME_DOMAIN,
+  webAuthEndpoint: WEB_AUTH,
+  clientDomain: CLIENT_DOMAIN,
+  clientSigningKeys: [clientDomainKey.publicKey(), previousClientDomainKey.publicKey()],
+  now,
+  ...options,
+});
+
+const rejectsWith = (code, challengeXdr, options) => assert.throws(
+  () => verify(challengeXdr, options),
+  (err) => err instanceof ChallengeError && err.code === code,
+  code
+);
+
+describe('SEP-10 challenge verification', () => {
+  it('accepts a well-formed challenge', () => {
+    const result = verify(buildChallenge());
+    assert.equal(result.clientAccount, client.publicKey());
+    assert.equal(result.memo, null);
+    assert.equal(result.clientSigningKey, clientDomainKey.publicKey());
+  });
+
+  it('returns the ID memo and the previous client_domain key during a rotation', () => {
+    const result = verify(buildChallenge({
+      memo: StellarSdk.Memo.id('1234'),
+      operations: [
+        manageData(`${HOME_DOMAIN} auth`, nonce(), client),
+        manageData('client_domain', CLIENT_DOMAIN, previousClientDomainKey),
+      ],
+    }));
+    assert.equal(result.memo, '1234');
+    assert.equal(result.clientSigningKey, previousClientDomainKey.publicKey());
+  });
+
+  it('rejects envelopes it cannot parse', () => {
+    rejectsWith('INVALID_XDR', 'not a transaction');
+  });
+
+  it('rejects a challenge not built by the anchor SIGNING_KEY', () => {
+    const other = StellarSdk.Keypair.random();
+    rejectsWith('INVALID_SOURCE', buildChallenge({ source: other, signers: [other] }));
+  });
+
+  it('rejects a non-zero sequence number', () => {
+    rejectsWith('INVALID_SEQUENCE', buildChallenge({ sequence: '5' }));
+  });
+
+  it('rejects missing, infinite, future and expired timebounds', () => {
+    rejectsWith('MISSING_TIMEBOUNDS', withoutTimebounds(buildChallenge()));
+    rejectsWith('INVALID_TIMEBOUNDS', buildChallenge({ timebounds: { minTime: now, maxTime: 0 } }));
+    rejectsWith('INVALID_TIMEBOUNDS', buildChallenge({ timebounds: { minTime: now + 600, maxTime: now + 900 } }));
+    rejectsWith('EXPIRED', buildChallenge({ timebounds: { minTime: now - 900, maxTime: now - 600 } }));
+  });
+
+  it('allows a minute of clock drift', () => {
+    verify(buildChallenge({ timebounds: { minTime: now + 30, maxTime: now + 330 } }));
+    verify(buildChallenge({ timebounds: { minTime: now - 330, maxTime: now - 30 } }));
+  });
+
+  it('rejects a first operation that is not the home domain auth entry', () => {
+    const [, ...rest] = defaultOperations();
+    rejectsWith('INVALID_OPERATION', buildChallenge({
+      operations: [StellarSdk.Operation.bumpSequence({ bumpTo: '1', source: client.publicKey() }), ...rest],
+    }));
+    rejectsWith('INVALID_OPERATION', buildChallenge({ operations: [manageData(`${HOME_DOMAIN} auth`, nonce()), ...rest] }));
+    rejectsWith('INVALID_HOME_DOMAIN', buildChallenge({ operations: [manageData('evil.example auth', nonce(), client), ...rest] }));
+  });
+
+  it('rejects a nonce that is not 48 base64 encoded bytes', () => {
+    const [, ...rest] = defaultOperations();
+    rejectsWith('INVALID_OPERATION', buildChallenge({
+      operations: [manageData(`${HOME_DOMAIN} auth`, crypto.randomBytes(24).toString('base64'), client), ...rest],
+    }));
+    // Right length, but not base64 at all
+    rejectsWith('INVALID_OPERATION', buildChallenge({
+      operations: [manageData(`${HOME_DOMAIN} auth`, '!'.repeat(64), client), ...rest],
+    }));
+  });
+
+  it('rejects a web_auth_domain other than the WEB_AUTH_ENDPOINT host', () => {
+    const [auth, , clientDomain] = defaultOperations();
+    rejectsWith('INVALID_WEB_AUTH_DOMAIN', buildChallenge({
+      operations: [auth, manageData('web_auth_domain', 'evil.example', server), clientDomain],
+    }));
+  });
+
+  it('rejects a client_domain with another value or an unknown key', () => {
+    const [auth, webAuth] = defaultOperations();
+    rejectsWith('INVALID_CLIENT_DOMAIN', buildChallenge({
+      operations: [auth, webAuth, manageData('client_domain', 'other-wallet.example', clientDomainKey)],
+    }));
+    rejectsWith('INVALID_CLIENT_DOMAIN', buildChallenge({
+      operations: [auth, webAuth, manageData('client_domain', CLIENT_DOMAIN, StellarSdk.Keypair.random())],
+    }));
+    rejectsWith('MISSING_CLIENT_DOMAIN', buildChallenge({ operations: [auth, webAuth] }));
+  });
+
+  it('rejects operations we would never expect to sign', () => {
+    const operations = defaultOperations();
+    rejectsWith('UNEXPECTED_OPERATION', buildChallenge({
+      operations: [...operations, StellarSdk.Operation.payment({
+        destination: server.publicKey(),
+        asset: StellarSdk.Asset.native(),
+        amount: '100',
+        source: client.publicKey(),
+      })],
+    }));
+    // Extra ManageData entries may only come from the anchor itself
+    rejectsWith('UNEXPECTED_OPERATION', buildChallenge({
+      operations: [...operations, manageData('extra', 'value', client)],
+    }));
+  });
+
+  it('rejects a challenge the anchor has not signed', () => {
+    rejectsWith('MISSING_SERVER_SIGNATURE', buildChallenge({ signers: [] }));
+    rejectsWith('MISSING_SERVER_SIGNATURE', buildChallenge({ signers: [StellarSdk.Keypair.random()] }));
+  });
+
+  it('rejects memos that are not IDs, or that come with a muxed account', () => {
+    rejectsWith('INVALID_MEMO', buildChallenge({ memo: StellarSdk.Memo.text('user 42') }));
+
+    const muxed = new StellarSdk.MuxedAccount(new StellarSdk.Account(client.publicKey(), '0'), '77').accountId();
+    const [, ...rest] = defaultOperations();
+    rejectsWith('INVALID_MEMO', buildChallenge({
+      memo: StellarSdk.Memo.id('1234'),
+      operations: [manageData(`${HOME_DOMAIN} auth`, nonce(), muxed), ...rest],
+    }));
+  });
+
+  it('rejects a challenge for another network', () => {
+    // Signed for the public network, so it parses but the signature doesn't verify here
+    rejectsWith('MISSING_SERVER_SIGNATURE', buildChallenge({ networkPassphrase: StellarSdk.Networks.PUBLIC }));
+  });
+});
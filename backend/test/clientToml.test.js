@@ -0,0 +1,128 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const toml = require('toml');
+const StellarSdk = require('stellar-sdk');
+
+const { startStack, authenticate } = require('./helpers/stack');
+const { ClientKeyError, createClientKeyring, renderClientToml } = require('../lib/clientToml');
+
+describe('client_domain TOML', () => {
+  it('renders the signing key, passphrase and documentation', () => {
+    const text = renderClientToml({
+      signingKey: 'GABC',
+      networkPassphrase: StellarSdk.Networks.PUBLIC,
+      documentation: { ORG_NAME: 'Wallet "Co"', ORG_URL: 'https://wallet.example', ORG_TWITTER: '' },
+    });
+    const parsed = toml.parse(text);
+
+    assert.equal(parsed.SIGNING_KEY, 'GABC');
+    assert.equal(parsed.NETWORK_PASSPHRASE, StellarSdk.Networks.PUBLIC);
+    assert.deepEqual({ ...parsed.DOCUMENTATION }, { ORG_NAME: 'Wallet "Co"', ORG_URL: 'https://wallet.example' });
+  });
+
+  it('leaves out [DOCUMENTATION] when nothing is configured', () => {
+    const text = renderClientToml({ signingKey: 'GABC', networkPassphrase: StellarSdk.Networks.TESTNET });
+    assert.doesNotMatch(text, /DOCUMENTATION/);
+  });
+});
+
+describe('client_domain key rotation', () => {
+  const current = StellarSdk.Keypair.random();
+  const previous = StellarSdk.Keypair.random();
+  const at = (iso) => () => new Date(iso);
+
+  const keyring = (now) => createClientKeyring({
+    current: current.secret(),
+    previous: previous.secret(),
+    previousValidUntil: '2030-01-02T00:00:00Z',
+    now,
+  });
+
+  it('keeps the previous key valid until the deadline', () => {
+    const during = keyring(at('2030-01-01T23:59:59Z'));
+    assert.equal(during.signingKey, current.publicKey());
+    assert.deepEqual(during.validKeys(), [current.publicKey(), previous.publicKey()]);
+    assert.equal(during.keypairFor(previous.publicKey()).publicKey(), previous.publicKey());
+    assert.equal(during.describe().previous.active, true);
+
+    const afterwards = keyring(at('2030-01-02T00:00:00Z'));
+    assert.deepEqual(afterwards.validKeys(), [current.publicKey()]);
+    assert.equal(afterwards.keypairFor(previous.publicKey()), null);
+    assert.equal(afterwards.describe().previous.active, false);
+  });
+
+  it('never signs for keys that are not ours', () => {
+    assert.equal(keyring(at('2030-01-01T00:00:00Z')).keypairFor(StellarSdk.Keypair.random().publicKey()), null);
+  });
+
+  it('refuses bad configuration', () => {
+    const fails = (options, code) => assert.throws(
+      () => createClientKeyring(options),
+      (err) => err instanceof ClientKeyError && err.code === code,
+    );
+
+    fails({ current: 'not-a-secret' }, 'INVALID_SIGNING_KEY');
+    fails({ current: current.secret(), previous: previous.publicKey(), previousValidUntil: '2030-01-01' }, 'INVALID_SIGNING_KEY');
+    fails({ current: current.secret(), previous: previous.secret() }, 'INVALID_GRACE_PERIOD');
+    fails({ current: current.secret(), previous: previous.secret(), previousValidUntil: 'soon' }, 'INVALID_GRACE_PERIOD');
+  });
+});
+
+describe('backend during a key rotation', () => {
+  let stack;
+  let staleServer;
+  let tomlUrl;
+  const oldKey = StellarSdk.Keypair.random();
+  const newKey = StellarSdk.Keypair.random();
+  const user = StellarSdk.Keypair.random();
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+
+    // The anchor's cached copy of our TOML from before the rotation
+    staleServer = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'text/plain');
+      res.end(`SIGNING_KEY="${oldKey.publicKey()}"\n`);
+    });
+    await new Promise((resolve) => staleServer.listen(0, '127.0.0.1', resolve));
+    tomlUrl = `http://127.0.0.1:${staleServer.address().port}`;
+
+    stack = await startStack({
+      anchorOptions: { clientDomainUrl: () => tomlUrl },
+      clientKeypair: newKey,
+      env: {
+        CLIENT_SIGNING_KEY_PREVIOUS: oldKey.secret(),
+        CLIENT_SIGNING_KEY_GRACE_UNTIL: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        ORG_NAME: 'Test Wallet',
+      },
+    });
+  });
+
+  after(async () => {
+    await stack.stop();
+    await new Promise((resolve) => staleServer.close(resolve));
+    mock.restoreAll();
+  });
+
+  it('publishes only the new key', async () => {
+    const res = await stack.api.get('/.well-known/stellar.toml');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['access-control-allow-origin'], '*');
+
+    const parsed = toml.parse(res.data);
+    assert.equal(parsed.SIGNING_KEY, newKey.publicKey());
+    assert.equal(parsed.DOCUMENTATION.ORG_NAME, 'Test Wallet');
+  });
+
+  it('signs challenges that still name the previous key', async () => {
+    assert.ok(await authenticate(stack.api, user));
+  });
+
+  it('signs challenges for the new key once the anchor refetches', async () => {
+    tomlUrl = stack.backendUrl;
+    assert.ok(await authenticate(stack.api, user));
+  });
+});
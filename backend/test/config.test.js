@@ -0,0 +1,152 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const StellarSdk = require('stellar-sdk');
+
+const { startStack } = require('./helpers/stack');
+const { ConfigError, loadConfig } = require('../lib/config');
+const { NetworkError, resolveNetwork } = require('../lib/networks');
+
+describe('startup configuration', () => {
+  const secret = StellarSdk.Keypair.random().secret();
+
+  const problemsOf = (env) => {
+    try {
+      loadConfig(env);
+    } catch (err) {
+      assert.ok(err instanceof ConfigError);
+      return err.problems;
+    }
+    assert.fail('expected a ConfigError');
+  };
+
+  it('fills in defaults around the required values', () => {
+    const config = loadConfig({ HOME_DOMAIN: 'testanchor.stellar.org', CLIENT_SIGNING_KEY: secret, CLIENT_DOMAIN: 'wallet.example.com' });
+    assert.equal(config.NETWORK.id, 'testnet');
+    assert.equal(config.NETWORK_PASSPHRASE, StellarSdk.Networks.TESTNET);
+    assert.equal(config.HORIZON_URL, 'https://horizon-testnet.stellar.org');
+    assert.equal(config.PUBLIC_URL, 'https://wallet.example.com');
+    assert.equal(config.SEP24_CALLBACK_URL, 'https://wallet.example.com/api/sep24/callback');
+    assert.equal(config.PORT, 3001);
+    assert.equal(config.anchorRegistry.get().homeDomain, 'testanchor.stellar.org');
+    assert.equal(config.clientKeys.signingKey, StellarSdk.Keypair.fromSecret(secret).publicKey());
+  });
+
+  it('reports every problem at once', () => {
+    const problems = problemsOf({
+      HOME_DOMAIN: 'http://localhost:8000',
+      CLIENT_DOMAIN: 'https://wallet.example.com',
+      HORIZON_URL: 'horizon-testnet.stellar.org',
+      SEP24_POLL_MIN_INTERVAL: '10',
+      SEP24_POLL_MAX_INTERVAL: '5',
+      PORT: 'eighty',
+    });
+
+    assert.equal(problems.length, 6);
+    assert.match(problems[0], /^HOME_DOMAIN: .*HTTPS.*ALLOW_HTTP=true/);
+    assert.match(problems[1], /^CLIENT_DOMAIN must be a bare domain/);
+    assert.match(problems[2], /^CLIENT_SIGNING_KEY is not set/);
+    assert.match(problems[3], /^PORT must be a non-negative integer/);
+    assert.match(problems[4], /^SEP24_POLL_MIN_INTERVAL \(10\) is above/);
+    assert.match(problems[5], /^HORIZON_URL must be an absolute URL/);
+  });
+
+  it('rejects bad keys and page URLs as home domains', () => {
+    assert.match(problemsOf({ CLIENT_SIGNING_KEY: 'SNOTAKEY' })[0], /CLIENT_SIGNING_KEY is not a valid Stellar secret key/);
+    assert.match(
+      problemsOf({ CLIENT_SIGNING_KEY: secret, CLIENT_SIGNING_KEY_PREVIOUS: StellarSdk.Keypair.random().secret() })[0],
+      /CLIENT_SIGNING_KEY_GRACE_UNTIL/,
+    );
+    assert.match(
+      problemsOf({ CLIENT_SIGNING_KEY: secret, HOME_DOMAIN: 'https://anchor.example.com/.well-known/stellar.toml' })[0],
+      /must be a domain, not a page URL/,
+    );
+  });
+
+  it('rejects unknown networks and passphrases that contradict the profile', () => {
+    assert.match(problemsOf({ CLIENT_SIGNING_KEY: secret, STELLAR_NETWORK: 'mainnet' })[0], /must be one of testnet, pubnet/);
+    assert.match(
+      problemsOf({ CLIENT_SIGNING_KEY: secret, STELLAR_NETWORK: 'pubnet', NETWORK_PASSPHRASE: StellarSdk.Networks.TESTNET })[0],
+      /is not the pubnet passphrase/,
+    );
+  });
+
+  it('lets an empty SEP24_CALLBACK_URL switch callbacks off', () => {
+    assert.equal(loadConfig({ CLIENT_SIGNING_KEY: secret, SEP24_CALLBACK_URL: '' }).SEP24_CALLBACK_URL, '');
+  });
+});
+
+describe('network profiles', () => {
+  it('fills in the passphrase and Horizon of a named network', () => {
+    const pubnet = resolveNetwork({ network: 'pubnet' });
+    assert.equal(pubnet.passphrase, StellarSdk.Networks.PUBLIC);
+    assert.equal(pubnet.horizonUrl, 'https://horizon.stellar.org');
+    assert.equal(pubnet.mainnet, true);
+
+    const local = resolveNetwork({ network: 'futurenet', horizonUrl: 'http://localhost:8000' });
+    assert.equal(local.passphrase, StellarSdk.Networks.FUTURENET);
+    assert.equal(local.horizonUrl, 'http://localhost:8000');
+    assert.equal(local.mainnet, false);
+  });
+
+  it('needs a custom network spelled out, and still flags mainnet', () => {
+    assert.throws(() => resolveNetwork({ network: 'custom', passphrase: 'My Network' }), NetworkError);
+    const custom = resolveNetwork({ network: 'custom', passphrase: StellarSdk.Networks.PUBLIC, horizonUrl: 'https://horizon.example' });
+    assert.equal(custom.id, 'custom');
+    assert.equal(custom.mainnet, true);
+  });
+});
+
+describe('backend on another network than the anchor', () => {
+  let stack;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    stack = await startStack({ env: { STELLAR_NETWORK: 'pubnet' } });
+  });
+
+  after(async () => {
+    await stack.stop();
+    mock.restoreAll();
+  });
+
+  it('stays alive but reports not ready', async () => {
+    assert.equal((await stack.api.get('/healthz')).status, 200);
+
+    const res = await stack.api.get('/readyz');
+    assert.equal(res.status, 503);
+    assert.equal(res.data.ready, false);
+
+    const [anchorCheck, clientCheck] = res.data.checks;
+    assert.equal(anchorCheck.name, 'anchor_toml');
+    assert.equal(anchorCheck.ok, false);
+    assert.match(anchorCheck.error, /Anchor is on "Test SDF Network ; September 2015"/);
+    // Our own TOML follows the configured passphrase, so it is consistent
+    assert.deepEqual(clientCheck, { name: 'client_toml', ok: true });
+  });
+
+  it('refuses to build a withdrawal payment for the testnet anchor', async () => {
+    const account = StellarSdk.Keypair.random().publicKey();
+    // Any token from the anchor's issuer gets this far; the anchor is never asked
+    const token = [
+      Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url'),
+      Buffer.from(JSON.stringify({ iss: `${stack.anchor.url}/auth`, sub: account, exp: Math.floor(Date.now() / 1000) + 300 })).toString('base64url'),
+      'signature',
+    ].join('.');
+
+    const res = await stack.api.post('/api/sep24/withdraw/prepare', { id: 'any', assetCode: 'USDC', account }, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.data.code, 'NETWORK_MISMATCH');
+    assert.match(res.data.error, /this backend is on "Public Global Stellar Network/);
+  });
+
+  it('refuses challenges from the testnet anchor', async () => {
+    const res = await stack.api.post('/api/sep10/get-challenge', { account: StellarSdk.Keypair.random().publicKey() });
+    assert.equal(res.status, 400);
+    assert.equal(res.data.reason, 'NETWORK_MISMATCH');
+    assert.match(res.data.error, /this backend is on Mainnet/);
+  });
+});
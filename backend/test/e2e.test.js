@@ -0,0 +1,303 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const StellarSdk = require('stellar-sdk');
+
+const { startStack, authenticate } = require('./helpers/stack');
+
+describe('backend against the mock anchor', () => {
+  let stack;
+  let api;
+  const user = StellarSdk.Keypair.random();
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    stack = await startStack();
+    api = stack.api;
+  });
+
+  after(async () => {
+    await stack.stop();
+    mock.restoreAll();
+  });
+
+  describe('health', () => {
+    it('is alive and ready', async () => {
+      assert.equal((await api.get('/healthz')).status, 200);
+
+      const res = await api.get('/readyz');
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.data, {
+        ready: true,
+        checks: [
+          { name: 'anchor_toml', anchor: 'default', ok: true, circuit: { state: 'closed', failures: 0, retryAt: null } },
+          { name: 'client_toml', ok: true },
+        ],
+      });
+    });
+
+    it('answers probes from the TOML cache instead of refetching', async () => {
+      const tomlFetches = () => console.log.mock.calls.filter((call) => String(call.arguments[0]).startsWith('Fetching TOML')).length;
+      await api.get('/readyz');
+      const before = tomlFetches();
+      for (let i = 0; i < 3; i += 1) {
+        assert.equal((await api.get('/readyz')).status, 200);
+      }
+      assert.equal(tomlFetches(), before);
+    });
+  });
+
+  describe('SEP-1', () => {
+    it('serves the parsed anchor TOML', async () => {
+      const res = await api.get('/api/sep1/toml');
+      assert.equal(res.status, 200);
+      assert.equal(res.data.signingKey, stack.anchor.signingKey);
+      assert.equal(res.data.webAuthEndpoint, `${stack.anchor.url}/auth`);
+      assert.deepEqual(res.data.currencies.map((c) => c.code), ['USDC', 'SRT']);
+    });
+
+    it('serves our own client_domain TOML', async () => {
+      const res = await api.get('/.well-known/stellar.toml');
+      assert.equal(res.status, 200);
+      assert.match(res.data, new RegExp(`SIGNING_KEY="${stack.clientKeypair.publicKey()}"`));
+      assert.match(res.data, /NETWORK_PASSPHRASE="Test SDF Network ; September 2015"/);
+    });
+  });
+
+  describe('SEP-10', () => {
+    it('returns an anchor-signed challenge', async () => {
+      const res = await api.post('/api/sep10/get-challenge', { account: user.publicKey() });
+      assert.equal(res.status, 200);
+      assert.equal(res.data.network_passphrase, StellarSdk.Networks.TESTNET);
+      assert.equal(res.data.webAuthEndpoint, `${stack.anchor.url}/auth`);
+
+      const txn = new StellarSdk.Transaction(res.data.transaction, res.data.network_passphrase);
+      assert.equal(txn.source, stack.anchor.signingKey);
+    });
+
+    it('requires an account', async () => {
+      const res = await api.post('/api/sep10/get-challenge', {});
+      assert.equal(res.status, 400);
+    });
+
+    it('exchanges a user-signed challenge for a JWT', async () => {
+      const token = await authenticate(api, user);
+      assert.equal(token.split('.').length, 3);
+    });
+
+    it('refuses to co-sign a transaction that is not an anchor challenge', async () => {
+      const rogue = StellarSdk.Keypair.random();
+      const txn = new StellarSdk.TransactionBuilder(new StellarSdk.Account(rogue.publicKey(), '-1'), {
+        fee: StellarSdk.BASE_FEE,
+        networkPassphrase: StellarSdk.Networks.TESTNET,
+      })
+        .addOperation(StellarSdk.Operation.payment({
+          destination: user.publicKey(),
+          asset: StellarSdk.Asset.native(),
+          amount: '100',
+        }))
+        .setTimeout(300)
+        .build();
+
+      const res = await api.post('/api/sep10/submit', {
+        signedTransaction: txn.toXDR(),
+        networkPassphrase: StellarSdk.Networks.TESTNET,
+      });
+      assert.equal(res.status, 400);
+      assert.equal(res.data.reason, 'INVALID_SOURCE');
+    });
+
+    it('only co-signs challenges for the configured network', async () => {
+      const challenge = await api.post('/api/sep10/get-challenge', { account: user.publicKey() });
+      const txn = new StellarSdk.Transaction(challenge.data.transaction, challenge.data.network_passphrase);
+      txn.sign(user);
+
+      // A passphrase that merely looks like testnet is not testnet
+      const res = await api.post('/api/sep10/submit', {
+        signedTransaction: txn.toXDR(),
+        networkPassphrase: 'Test SDF Network ; October 2022',
+      });
+      assert.equal(res.status, 400);
+      assert.equal(res.data.reason, 'NETWORK_MISMATCH');
+    });
+
+    it('tells the UI which network is active', async () => {
+      const res = await api.get('/api/network');
+      assert.equal(res.status, 200);
+      assert.equal(res.data.id, 'testnet');
+      assert.equal(res.data.passphrase, StellarSdk.Networks.TESTNET);
+      assert.equal(res.data.horizonUrl, stack.anchor.horizonUrl);
+      assert.equal(res.data.mainnet, false);
+    });
+
+    it('passes anchor rejections through when the user did not sign', async () => {
+      const challenge = await api.post('/api/sep10/get-challenge', { account: user.publicKey() });
+      const res = await api.post('/api/sep10/submit', {
+        signedTransaction: challenge.data.transaction,
+        networkPassphrase: challenge.data.network_passphrase,
+      });
+      assert.notEqual(res.status, 200);
+      assert.equal(res.data.token, undefined);
+    });
+  });
+
+  describe('SEP-24', () => {
+    let token;
+    const auth = () => ({ headers: { Authorization: `Bearer ${token}` } });
+
+    before(async () => {
+      token = await authenticate(api, user);
+    });
+
+    it('rejects calls without a bearer token', async () => {
+      const res = await api.post('/api/sep24/start', { mode: 'deposit', assetCode: 'USDC', account: user.publicKey() });
+      assert.equal(res.status, 401);
+    });
+
+    it('validates required fields', async () => {
+      const res = await api.post('/api/sep24/start', { mode: 'deposit' }, auth());
+      assert.equal(res.status, 400);
+    });
+
+    it('starts a deposit and walks it to completion', async () => {
+      const start = await api.post('/api/sep24/start', {
+        mode: 'deposit',
+        assetCode: 'USDC',
+        amount: '100',
+        account: user.publicKey(),
+      }, auth());
+      assert.equal(start.status, 200);
+      assert.equal(start.data.type, 'interactive_customer_info_needed');
+      assert.match(start.data.url, /\/sep24\/interactive\?transaction_id=/);
+
+      const check = async () => {
+        const res = await api.post('/api/sep24/transaction', { id: start.data.id }, auth());
+        assert.equal(res.status, 200);
+        return res.data;
+      };
+
+      assert.equal((await check()).status, 'incomplete');
+
+      stack.anchor.transactions.advance(start.data.id);
+      assert.equal((await check()).status, 'pending_user_transfer_start');
+
+      stack.anchor.transactions.script(start.data.id, ['pending_anchor', 'completed']);
+      stack.anchor.transactions.advance(start.data.id);
+      stack.anchor.transactions.advance(start.data.id, { stellar_transaction_id: 'abc123' });
+
+      const done = await check();
+      assert.equal(done.status, 'completed');
+      assert.equal(done.stellar_transaction_id, 'abc123');
+      assert.equal(done.amount_in, '100');
+    });
+
+    it('hands the finished interactive flow back with postMessage', async () => {
+      const start = await api.post('/api/sep24/start', {
+        mode: 'deposit',
+        assetCode: 'USDC',
+        amount: '10',
+        account: user.publicKey(),
+      }, auth());
+
+      const page = await axios.get(`${start.data.url}&callback=postMessage`);
+      assert.match(page.data, /name="callback" value="postMessage"/);
+      assert.equal(page.headers['x-frame-options'], undefined);
+
+      const done = await axios.post(`${stack.anchor.url}/sep24/interactive/complete`,
+        new URLSearchParams({ transaction_id: start.data.id, callback: 'postMessage' }));
+      assert.match(done.data, /postMessage\(\{"transaction":\{"id":"[^"]+"/);
+      assert.ok(done.data.includes(start.data.id));
+      assert.ok(done.data.includes('pending_user_transfer_start'));
+    });
+
+    it('starts a withdrawal with anchor payment details', async () => {
+      const start = await api.post('/api/sep24/start', {
+        mode: 'withdraw',
+        assetCode: 'SRT',
+        account: user.publicKey(),
+      }, auth());
+      assert.equal(start.status, 200);
+
+      stack.anchor.transactions.setStatus(start.data.id, 'pending_user_transfer_start', { amount_in: '5' });
+      const res = await api.post('/api/sep24/transaction', { id: start.data.id }, auth());
+      assert.equal(res.data.kind, 'withdrawal');
+      assert.equal(res.data.withdraw_anchor_account, stack.anchor.distributionAccount);
+      assert.equal(res.data.withdraw_memo_type, 'id');
+    });
+
+    it('refuses assets the anchor does not list in /info', async () => {
+      const res = await api.post('/api/sep24/start', {
+        mode: 'deposit',
+        assetCode: 'NOPE',
+        account: user.publicKey(),
+      }, auth());
+      assert.equal(res.status, 400);
+      assert.equal(res.data.reason, 'ASSET_NOT_SUPPORTED');
+    });
+
+    it('does not show another account its transactions', async () => {
+      const start = await api.post('/api/sep24/start', {
+        mode: 'deposit',
+        assetCode: 'USDC',
+        account: user.publicKey(),
+      }, auth());
+
+      const otherToken = await authenticate(api, StellarSdk.Keypair.random());
+      const res = await api.post('/api/sep24/transaction', { id: start.data.id }, {
+        headers: { Authorization: `Bearer ${otherToken}` },
+      });
+      assert.notEqual(res.status, 200);
+    });
+
+    it('lists transaction history with filters and pages', async () => {
+      const historyUser = StellarSdk.Keypair.random();
+      const historyToken = await authenticate(api, historyUser);
+      const headers = { headers: { Authorization: `Bearer ${historyToken}` } };
+
+      const ids = [];
+      for (const mode of ['deposit', 'withdraw', 'deposit']) {
+        const start = await api.post('/api/sep24/start', {
+          mode,
+          assetCode: 'USDC',
+          account: historyUser.publicKey(),
+        }, headers);
+        ids.push(start.data.id);
+      }
+
+      const all = await api.post('/api/sep24/transactions', { assetCode: 'USDC' }, headers);
+      assert.equal(all.status, 200);
+      assert.deepEqual(all.data.transactions.map((t) => t.id), [...ids].reverse());
+
+      const deposits = await api.post('/api/sep24/transactions', { assetCode: 'USDC', kind: 'deposit' }, headers);
+      assert.deepEqual(deposits.data.transactions.map((t) => t.kind), ['deposit', 'deposit']);
+
+      const firstPage = await api.post('/api/sep24/transactions', { assetCode: 'USDC', limit: 2 }, headers);
+      assert.equal(firstPage.data.transactions.length, 2);
+      const nextPage = await api.post('/api/sep24/transactions', {
+        assetCode: 'USDC',
+        limit: 2,
+        pagingId: firstPage.data.transactions[1].id,
+      }, headers);
+      assert.deepEqual(nextPage.data.transactions.map((t) => t.id), [ids[0]]);
+
+      const recent = await api.post('/api/sep24/transactions', {
+        assetCode: 'USDC',
+        noOlderThan: new Date(Date.now() + 60000).toISOString(),
+      }, headers);
+      assert.deepEqual(recent.data.transactions, []);
+    });
+
+    it('validates history filters', async () => {
+      const missing = await api.post('/api/sep24/transactions', {}, auth());
+      assert.equal(missing.status, 400);
+
+      const badKind = await api.post('/api/sep24/transactions', { assetCode: 'USDC', kind: 'swap' }, auth());
+      assert.equal(badKind.status, 400);
+
+      const badLimit = await api.post('/api/sep24/transactions', { assetCode: 'USDC', limit: -1 }, auth());
+      assert.equal(badLimit.status, 400);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const StellarSdk = require('stellar-sdk');
+
+const { startStack, authenticate } = require('./helpers/stack');
+const { ERROR_CODES, parseUpstreamError, describeError } = require('../lib/errors');
+const { TomlError } = require('../lib/toml');
+const { TransferError } = require('../lib/sep24');
+
+// What axios throws when a server answers with an error, or doesn't answer
+const upstreamError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  isAxiosError: true,
+  response: { status, data },
+});
+const unreachable = (code) => Object.assign(new Error(`connect ${code}`), { isAxiosError: true, code });
+
+describe('error envelope', () => {
+  it('reads SEP and Horizon error bodies', () => {
+    assert.equal(parseUpstreamError({ error: 'invalid asset_code' }), 'invalid asset_code');
+    assert.equal(
+      parseUpstreamError({ type: 'https://stellar.org/horizon-errors/not_found', title: 'Resource Missing', detail: 'No account' }),
+      'Resource Missing: No account',
+    );
+    assert.equal(parseUpstreamError('  Bad Gateway \n'), 'Bad Gateway');
+    assert.equal(parseUpstreamError({ type: 'authentication_required' }), null);
+    assert.equal(parseUpstreamError(undefined), null);
+  });
+
+  it('keeps an anchor 4xx and turns its 5xx into a 502', () => {
+    const rejected = describeError(upstreamError(400, { error: 'amount is too small' }), { message: 'Failed to start deposit' });
+    assert.equal(rejected.status, 400);
+    assert.deepEqual(rejected.body, {
+      error: 'Failed to start deposit: amount is too small',
+      code: 'ANCHOR_REJECTED',
+      details: { error: 'amount is too small' },
+      upstream: { service: 'anchor', status: 400 },
+    });
+
+    const failed = describeError(upstreamError(500, 'Internal Server Error'), { message: 'Failed to get quote' });
+    assert.equal(failed.status, 502);
+    assert.equal(failed.body.code, 'ANCHOR_ERROR');
+    assert.deepEqual(failed.body.upstream, { service: 'anchor', status: 500 });
+
+    const horizon = describeError(upstreamError(404, { title: 'Resource Missing' }), { service: 'horizon' });
+    assert.equal(horizon.body.code, 'HORIZON_REJECTED');
+  });
+
+  it('reports anchors that did not answer, and timeouts as 504', () => {
+    const refused = describeError(unreachable('ECONNREFUSED'), { message: 'Failed to get SEP-24 info' });
+    assert.equal(refused.status, 502);
+    assert.equal(refused.body.code, 'ANCHOR_UNREACHABLE');
+    assert.match(refused.body.error, /Anchor did not answer \(ECONNREFUSED\)/);
+
+    assert.equal(describeError(unreachable('ECONNABORTED')).status, 504);
+  });
+
+  it('tells a rejected token apart from a request for KYC', () => {
+    const token = describeError(upstreamError(403, { type: 'authentication_required' }));
+    assert.equal(token.status, 401);
+    assert.equal(token.body.code, 'TOKEN_REJECTED');
+    assert.equal(token.body.reason, 'TOKEN_REJECTED');
+
+    const kyc = describeError(upstreamError(403, { type: 'non_interactive_customer_info_needed', fields: ['first_name'] }));
+    assert.equal(kyc.status, 403);
+    assert.equal(kyc.body.code, 'CUSTOMER_INFO_NEEDED');
+    assert.deepEqual(kyc.body.fields, ['first_name']);
+  });
+
+  it('gives our own errors their category and keeps the reason', () => {
+    const amount = describeError(new TransferError('AMOUNT_TOO_LOW', 'Minimum deposit is 5 USDC'));
+    assert.deepEqual(amount, {
+      status: 400,
+      body: { error: 'Minimum deposit is 5 USDC', code: 'AMOUNT_INVALID', reason: 'AMOUNT_TOO_LOW' },
+    });
+
+    const toml = describeError(new TomlError('Failed to fetch stellar.toml', { code: 'ANCHOR_UNREACHABLE', details: 'ECONNREFUSED' }));
+    assert.equal(toml.status, 502);
+    assert.equal(toml.body.code, 'ANCHOR_UNREACHABLE');
+
+    const bug = describeError(new TypeError('x is undefined'), { message: 'Failed to get transactions' });
+    assert.equal(bug.status, 500);
+    assert.equal(bug.body.code, 'INTERNAL_ERROR');
+  });
+
+  it('only uses documented codes', () => {
+    const bodies = [
+      describeError(upstreamError(409, {})).body,
+      describeError(upstreamError(502, {}), { service: 'horizon' }).body,
+      describeError(unreachable('ETIMEDOUT'), { service: 'horizon' }).body,
+      describeError(new TomlError('Malformed stellar.toml')).body,
+    ];
+    for (const body of bodies) {
+      assert.ok(ERROR_CODES[body.code], body.code);
+    }
+  });
+});
+
+describe('error envelope through the backend', () => {
+  let stack;
+  let api;
+  let token;
+  const user = StellarSdk.Keypair.random();
+  const auth = () => ({ headers: { Authorization: `Bearer ${token}` } });
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    stack = await startStack();
+    api = stack.api;
+    token = await authenticate(api, user);
+  });
+
+  after(async () => {
+    await stack.stop();
+    mock.restoreAll();
+  });
+
+  it('passes the anchor 404 for an unknown transaction through', async () => {
+    const res = await api.post('/api/sep24/transaction', { id: 'no-such-transaction' }, auth());
+    assert.equal(res.status, 404);
+    assert.equal(res.data.code, 'ANCHOR_REJECTED');
+    assert.equal(res.data.error, 'Failed to get transaction status: transaction not found');
+    assert.deepEqual(res.data.upstream, { service: 'anchor', status: 404 });
+  });
+
+  it('adds a code to errors routes answer themselves', async () => {
+    const missing = await api.post('/api/sep24/start', { mode: 'deposit' }, auth());
+    assert.equal(missing.status, 400);
+    assert.equal(missing.data.code, 'INVALID_REQUEST');
+
+    const noToken = await api.post('/api/sep24/transaction', { id: 'x' });
+    assert.equal(noToken.status, 401);
+    assert.equal(noToken.data.code, 'AUTH_REQUIRED');
+    assert.equal(noToken.data.reason, 'TOKEN_MISSING');
+  });
+
+  it('reports amounts outside the limits as AMOUNT_INVALID', async () => {
+    const res = await api.post('/api/sep24/start', {
+      mode: 'deposit',
+      assetCode: 'USDC',
+      amount: '0.001',
+      account: user.publicKey(),
+    }, auth());
+    assert.equal(res.status, 400);
+    assert.equal(res.data.code, 'AMOUNT_INVALID');
+    assert.equal(res.data.reason, 'AMOUNT_TOO_LOW');
+  });
+
+  it('answers malformed JSON in the envelope', async () => {
+    const res = await api.post('/api/sep24/transaction', '{"id":', {
+      headers: { ...auth().headers, 'Content-Type': 'application/json' },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.data.code, 'INVALID_REQUEST');
+  });
+});
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+const StellarSdk = require('stellar-sdk');
+
+const { createMockAnchor } = require('../../mock-anchor');
+
+// Boots the mock anchor and the backend - all on 127.0.0.1, nothing leaves
+// the machine. The anchor reads our client_domain TOML from the backend.
+
+const CLIENT_DOMAIN = 'wallet.test';
+const AUDIT_API_KEY = 'test-audit-key';
+
+const listen = (handler) => new Promise((resolve) => {
+  const server = http.createServer(handler);
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const close = (server) => new Promise((resolve) => {
+  server.close(() => resolve());
+  server.closeAllConnections();
+});
+
+// extraAnchors: ids of more mock anchors to list next to the default one in
+// an ANCHORS_FILE registry (the default anchor is registered as "default")
+// clientKeypair: our client_domain key (CLIENT_SIGNING_KEY), random by default
+async function startStack({
+  anchorOptions = {},
+  env = {},
+  extraAnchors = [],
+  clientKeypair = StellarSdk.Keypair.random(),
+} = {}) {
+
+  // Listen before loading the app so its callback URL can point at itself
+  let handler = null;
+  const backend = await listen((req, res) => handler(req, res));
+  const backendUrl = `http://127.0.0.1:${backend.address().port}`;
+
+  const anchor = createMockAnchor({
+    clientDomainUrl: () => backendUrl,
+    logger: null,
+    ...anchorOptions,
+  });
+  const anchorUrl = await anchor.start();
+
+  const extras = {};
+  for (const id of extraAnchors) {
+    extras[id] = createMockAnchor({ clientDomainUrl: () => backendUrl, logger: null, orgName: `Mock Anchor ${id}` });
+    await extras[id].start();
+  }
+
+  let registryDir = null;
+  const registryEnv = {};
+  if (extraAnchors.length > 0) {
+    registryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anchors-'));
+    registryEnv.ANCHORS_FILE = path.join(registryDir, 'anchors.json');
+    fs.writeFileSync(registryEnv.ANCHORS_FILE, JSON.stringify({
+      default: 'default',
+      anchors: [
+        { id: 'default', homeDomain: anchorUrl },
+        ...extraAnchors.map((id) => ({ id, homeDomain: extras[id].url })),
+      ],
+    }));
+  }
+
+  // Each stack gets its own audit trail
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  const storeFile = path.join(dataDir, 'audit.jsonl');
+
+  Object.assign(process.env, {
+    HOME_DOMAIN: anchorUrl,
+    CLIENT_DOMAIN,
+    CLIENT_SIGNING_KEY: clientKeypair.secret(),
+    ALLOW_HTTP: 'true',
+    HORIZON_URL: anchor.horizonUrl,
+    PUBLIC_URL: backendUrl,
+    SEP24_CALLBACK_URL: `${backendUrl}/api/sep24/callback`,
+    STORE_FILE: storeFile,
+    AUDIT_API_KEY,
+    ...registryEnv,
+    ...env,
+  });
+
+  handler = require('../../server');
+
+  const api = axios.create({
+    baseURL: backendUrl,
+    validateStatus: () => true,
+  });
+
+  const stop = async () => {
+    await close(backend);
+    await anchor.stop();
+    for (const extra of Object.values(extras)) {
+      await extra.stop();
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    if (registryDir) {
+      fs.rmSync(registryDir, { recursive: true, force: true });
+    }
+  };
+
+  return { anchor, anchors: { default: anchor, ...extras }, api, backendUrl, clientKeypair, storeFile, stop };
+}
+
+// Runs the SEP-10 flow through the backend the same way the frontend does
+// account (a muxed M address) and memo log in one user of a shared account
+async function authenticate(api, userKeypair, { anchor, account = userKeypair.publicKey(), memo } = {}) {
+  const headers = anchor ? { 'X-Anchor-Id': anchor } : {};
+  const challenge = await api.post('/api/sep10/get-challenge', { account, memo }, { headers });
+  if (challenge.status !== 200) {
+    throw new Error(`get-challenge failed: ${JSON.stringify(challenge.data)}`);
+  }
+
+  const txn = new StellarSdk.Transaction(challenge.data.transaction, challenge.data.network_passphrase);
+  txn.sign(userKeypair);
+
+  const submit = await api.post('/api/sep10/submit', {
+    signedTransaction: txn.toEnvelope().toXDR('base64'),
+    networkPassphrase: challenge.data.network_passphrase,
+  }, { headers });
+  if (submit.status !== 200) {
+    throw new Error(`submit failed: ${JSON.stringify(submit.data)}`);
+  }
+
+  return submit.data.token;
+}
+
+module.exports = { CLIENT_DOMAIN, AUDIT_API_KEY, startStack, authenticate };
@@ -0,0 +1,165 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const StellarSdk = require('stellar-sdk');
+
+const { startStack, authenticate } = require('./helpers/stack');
+const { TokenError, decodeSep10Token, tokenCoversAccount, tokenCoversUser } = require('../lib/jwt');
+
+// Unsigned tokens are fine here: the backend only decodes, it can't verify
+const makeToken = (payload) => [
+  Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url'),
+  Buffer.from(JSON.stringify(payload)).toString('base64url'),
+  'signature',
+].join('.');
+
+const WEB_AUTH = 'https://anchor.example/auth';
+const now = Math.floor(Date.now() / 1000);
+const account = StellarSdk.Keypair.random().publicKey();
+
+const rejectsWith = (code, token) => assert.throws(
+  () => decodeSep10Token(token, { webAuthEndpoint: WEB_AUTH }),
+  (err) => err instanceof TokenError && err.code === code,
+);
+
+describe('SEP-10 token decoding', () => {
+  it('returns the claims handlers need', () => {
+    const claims = decodeSep10Token(makeToken({
+      iss: `${WEB_AUTH}/`, sub: account, iat: now, exp: now + 300, client_domain: 'wallet.test',
+    }), { webAuthEndpoint: WEB_AUTH });
+
+    assert.equal(claims.account, account);
+    assert.equal(claims.memo, null);
+    assert.equal(claims.clientDomain, 'wallet.test');
+    assert.equal(claims.exp, now + 300);
+  });
+
+  it('splits memo and muxed subjects', () => {
+    const withMemo = decodeSep10Token(makeToken({ iss: WEB_AUTH, sub: `${account}:42`, exp: now + 300 }), { webAuthEndpoint: WEB_AUTH });
+    assert.equal(withMemo.account, account);
+    assert.equal(withMemo.memo, '42');
+
+    const muxed = new StellarSdk.MuxedAccount(new StellarSdk.Account(account, '0'), '7').accountId();
+    const claims = decodeSep10Token(makeToken({ iss: WEB_AUTH, sub: muxed, exp: now + 300 }), { webAuthEndpoint: WEB_AUTH });
+    assert.equal(claims.account, account);
+    assert.equal(claims.muxedAccount, muxed);
+    assert.equal(claims.muxedId, '7');
+    assert.ok(tokenCoversAccount(claims, muxed));
+    assert.ok(tokenCoversAccount(claims, account));
+    assert.ok(!tokenCoversAccount(claims, StellarSdk.Keypair.random().publicKey()));
+
+    // Acting for the user needs the exact subject, not just the shared account
+    assert.ok(tokenCoversUser(claims, { account: muxed }));
+    assert.ok(!tokenCoversUser(claims, { account }));
+    assert.ok(!tokenCoversUser(claims, { account: muxed, memo: '7' }));
+    assert.ok(tokenCoversUser(withMemo, { account, memo: '42' }));
+    assert.ok(tokenCoversUser(withMemo, { account, memo: 42 }));
+    assert.ok(!tokenCoversUser(withMemo, { account }));
+    assert.ok(!tokenCoversUser(withMemo, { account, memo: '43' }));
+  });
+
+  it('rejects bad tokens with specific codes', () => {
+    rejectsWith('TOKEN_MALFORMED', 'not-a-jwt');
+    rejectsWith('TOKEN_MALFORMED', 'a.b.c');
+    rejectsWith('TOKEN_MALFORMED', makeToken({ iss: WEB_AUTH, sub: 'nobody', exp: now + 300 }));
+    rejectsWith('TOKEN_MALFORMED', makeToken({ iss: WEB_AUTH, sub: account }));
+    rejectsWith('TOKEN_EXPIRED', makeToken({ iss: WEB_AUTH, sub: account, exp: now - 3600 }));
+    rejectsWith('TOKEN_NOT_YET_VALID', makeToken({ iss: WEB_AUTH, sub: account, exp: now + 7200, nbf: now + 3600 }));
+    rejectsWith('TOKEN_ISSUER_MISMATCH', makeToken({ iss: 'https://evil.example/auth', sub: account, exp: now + 300 }));
+  });
+});
+
+describe('verifyToken middleware', () => {
+  let stack;
+  let api;
+  let token;
+  const user = StellarSdk.Keypair.random();
+
+  const startDeposit = (bearer, forAccount = user.publicKey()) => api.post('/api/sep24/start', {
+    mode: 'deposit',
+    assetCode: 'USDC',
+    account: forAccount,
+  }, { headers: { Authorization: `Bearer ${bearer}` } });
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    stack = await startStack();
+    api = stack.api;
+    token = await authenticate(api, user);
+  });
+
+  after(async () => {
+    await stack.stop();
+    mock.restoreAll();
+  });
+
+  it('accepts tokens issued by the anchor', async () => {
+    const res = await startDeposit(token);
+    assert.equal(res.status, 200);
+  });
+
+  it('reports a missing token', async () => {
+    const res = await api.post('/api/sep24/transactions', { assetCode: 'USDC' });
+    assert.equal(res.status, 401);
+    assert.equal(res.data.reason, 'TOKEN_MISSING');
+  });
+
+  it('rejects expired tokens before calling the anchor', async () => {
+    const expired = makeToken({ iss: `${stack.anchor.url}/auth`, sub: user.publicKey(), exp: now - 3600 });
+    const res = await startDeposit(expired);
+    assert.equal(res.status, 401);
+    assert.equal(res.data.reason, 'TOKEN_EXPIRED');
+  });
+
+  it('rejects tokens from another issuer', async () => {
+    const foreign = makeToken({ iss: 'https://other-anchor.example/auth', sub: user.publicKey(), exp: now + 300 });
+    const res = await startDeposit(foreign);
+    assert.equal(res.status, 401);
+    assert.equal(res.data.reason, 'TOKEN_ISSUER_MISMATCH');
+  });
+
+  it('does not let a token start a transfer for another account', async () => {
+    const res = await startDeposit(token, StellarSdk.Keypair.random().publicKey());
+    assert.equal(res.status, 403);
+    assert.equal(res.data.reason, 'ACCOUNT_MISMATCH');
+  });
+
+  it('logs in users of a shared account by memo', async () => {
+    const memoToken = await authenticate(api, user, { memo: '1234' });
+    assert.equal(decodeSep10Token(memoToken, { webAuthEndpoint: `${stack.anchor.url}/auth` }).sub, `${user.publicKey()}:1234`);
+
+    const start = (memo) => api.post('/api/sep24/start', {
+      mode: 'deposit',
+      assetCode: 'USDC',
+      account: user.publicKey(),
+      memo,
+    }, { headers: { Authorization: `Bearer ${memoToken}` } });
+
+    assert.equal((await start('1234')).status, 200);
+    assert.equal((await start('99')).data.reason, 'ACCOUNT_MISMATCH');
+    assert.equal((await start()).data.reason, 'ACCOUNT_MISMATCH');
+    // Nor can the shared account's own token act for the user
+    assert.equal((await api.post('/api/sep24/start', {
+      mode: 'deposit', assetCode: 'USDC', account: user.publicKey(), memo: '1234',
+    }, { headers: { Authorization: `Bearer ${token}` } })).data.reason, 'ACCOUNT_MISMATCH');
+  });
+
+  it('logs in users of a shared account by muxed address', async () => {
+    const muxed = new StellarSdk.MuxedAccount(new StellarSdk.Account(user.publicKey(), '0'), '77').accountId();
+    const muxedToken = await authenticate(api, user, { account: muxed });
+
+    assert.equal((await startDeposit(muxedToken, muxed)).status, 200);
+    assert.equal((await startDeposit(muxedToken)).data.reason, 'ACCOUNT_MISMATCH');
+  });
+
+  it('validates the account and memo before asking the anchor', async () => {
+    const challenge = (body) => api.post('/api/sep10/get-challenge', body);
+    const muxed = new StellarSdk.MuxedAccount(new StellarSdk.Account(user.publicKey(), '0'), '77').accountId();
+
+    assert.equal((await challenge({ account: 'GNOPE' })).data.reason, 'INVALID_ACCOUNT');
+    assert.equal((await challenge({ account: user.publicKey(), memo: 'abc' })).data.reason, 'INVALID_MEMO');
+    assert.equal((await challenge({ account: user.publicKey(), memo: '18446744073709551616' })).data.reason, 'INVALID_MEMO');
+    assert.equal((await challenge({ account: muxed, memo: '1' })).data.reason, 'INVALID_MEMO');
+  });
+});
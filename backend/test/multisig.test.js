@@ -0,0 +1,158 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const StellarSdk = require('stellar-sdk');
+
+const { startStack } = require('./helpers/stack');
+const { MultisigError, signatureProgress, mergeSignatures } = require('../lib/multisig');
+
+const NETWORK = StellarSdk.Networks.TESTNET;
+
+describe('multisig signature collection', () => {
+  const a = StellarSdk.Keypair.random();
+  const b = StellarSdk.Keypair.random();
+  const signers = [{ key: a.publicKey(), weight: 1 }, { key: b.publicKey(), weight: 2 }];
+
+  const build = (value = 'x') => new StellarSdk.TransactionBuilder(new StellarSdk.Account(a.publicKey(), '0'), {
+    fee: StellarSdk.BASE_FEE,
+    networkPassphrase: NETWORK,
+  })
+    .addOperation(StellarSdk.Operation.manageData({ name: 'test auth', value }))
+    .setTimeout(300)
+    .build();
+
+  const signedCopy = (txn, keypair) => {
+    const copy = StellarSdk.TransactionBuilder.fromXDR(txn.toEnvelope().toXDR('base64'), NETWORK);
+    copy.sign(keypair);
+    return copy.toEnvelope().toXDR('base64');
+  };
+
+  it('adds up signer weight until the threshold is met', () => {
+    const txn = build();
+    assert.equal(signatureProgress(txn, { signers, threshold: 3 }).weight, 0);
+
+    assert.deepEqual(mergeSignatures(txn, signedCopy(txn, a), { networkPassphrase: NETWORK, signers }), [a.publicKey()]);
+    let progress = signatureProgress(txn, { signers, threshold: 3 });
+    assert.equal(progress.weight, 1);
+    assert.equal(progress.ready, false);
+
+    mergeSignatures(txn, signedCopy(txn, b), { networkPassphrase: NETWORK, signers });
+    progress = signatureProgress(txn, { signers, threshold: 3 });
+    assert.equal(progress.weight, 3);
+    assert.equal(progress.ready, true);
+    assert.deepEqual(progress.signers.map((s) => s.signed), [true, true]);
+  });
+
+  it('refuses strangers, repeats and other transactions', () => {
+    const txn = build();
+    const fails = (xdr, code) => assert.throws(
+      () => mergeSignatures(txn, xdr, { networkPassphrase: NETWORK, signers }),
+      (err) => err instanceof MultisigError && err.code === code,
+    );
+
+    fails(signedCopy(txn, StellarSdk.Keypair.random()), 'UNKNOWN_SIGNER');
+    mergeSignatures(txn, signedCopy(txn, a), { networkPassphrase: NETWORK, signers });
+    fails(signedCopy(txn, a), 'NO_NEW_SIGNATURES');
+    fails(signedCopy(build('y'), b), 'TRANSACTION_MISMATCH');
+    fails('garbage', 'INVALID_XDR');
+  });
+});
+
+describe('SEP-10 signing sessions', () => {
+  let stack;
+  let api;
+  const account = StellarSdk.Keypair.random();
+  const cosigner = StellarSdk.Keypair.random();
+
+  const openSession = async (user) => {
+    const challenge = await api.post('/api/sep10/get-challenge', { account: user.publicKey() });
+    const session = await api.post('/api/sep10/sessions', {
+      transaction: challenge.data.transaction,
+      networkPassphrase: challenge.data.network_passphrase,
+    });
+    assert.equal(session.status, 201);
+    return session.data;
+  };
+
+  const addSignature = (session, keypair, key) => {
+    const txn = new StellarSdk.Transaction(session.transaction, session.networkPassphrase);
+    txn.sign(keypair);
+    return api.post(`/api/sep10/sessions/${session.id}/signatures`, {
+      signedTransaction: txn.toEnvelope().toXDR('base64'),
+      key,
+    });
+  };
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    stack = await startStack();
+    api = stack.api;
+    // Master key alone is not enough: medium threshold 2
+    stack.anchor.horizon.setAccount(account.publicKey(), {
+      signers: [{ key: account.publicKey(), weight: 1 }, { key: cosigner.publicKey(), weight: 1 }],
+      thresholds: { low: 1, med: 2, high: 2 },
+    });
+  });
+
+  after(async () => {
+    await stack.stop();
+    mock.restoreAll();
+  });
+
+  it('collects signatures from several browsers before submitting', async () => {
+    const session = await openSession(account);
+    assert.equal(session.threshold, 2);
+    assert.deepEqual(session.signers.map((s) => [s.key, s.weight, s.signed]), [
+      [account.publicKey(), 1, false],
+      [cosigner.publicKey(), 1, false],
+    ]);
+
+    const first = await addSignature(session, account, session.key);
+    assert.equal(first.status, 200);
+    assert.equal(first.data.status, 'pending');
+    assert.equal(first.data.weight, 1);
+
+    // The co-signer only has the session link, not its key
+    const shared = await api.get(`/api/sep10/sessions/${session.id}`);
+    const second = await addSignature(shared.data, cosigner);
+    assert.equal(second.status, 200);
+    assert.equal(second.data.status, 'complete');
+    assert.equal(second.data.token, undefined);
+
+    const owner = await api.get(`/api/sep10/sessions/${session.id}?key=${session.key}`);
+    assert.ok(owner.data.token);
+
+    const late = await addSignature(session, cosigner, session.key);
+    assert.equal(late.status, 409);
+  });
+
+  it('signs single-key accounts in one step', async () => {
+    const user = StellarSdk.Keypair.random();
+    const session = await openSession(user);
+    assert.equal(session.threshold, 1);
+
+    const res = await addSignature(session, user, session.key);
+    assert.equal(res.data.status, 'complete');
+    assert.ok(res.data.token);
+  });
+
+  it('rejects signatures from keys that are not signers', async () => {
+    const session = await openSession(account);
+    const res = await addSignature(session, StellarSdk.Keypair.random(), session.key);
+    assert.equal(res.status, 400);
+    assert.equal(res.data.reason, 'UNKNOWN_SIGNER');
+  });
+
+  it('is what the anchor requires for multisig accounts', async () => {
+    const challenge = await api.post('/api/sep10/get-challenge', { account: account.publicKey() });
+    const txn = new StellarSdk.Transaction(challenge.data.transaction, challenge.data.network_passphrase);
+    txn.sign(account);
+
+    const res = await api.post('/api/sep10/submit', {
+      signedTransaction: txn.toEnvelope().toXDR('base64'),
+      networkPassphrase: challenge.data.network_passphrase,
+    });
+    assert.notEqual(res.status, 200);
+    assert.match(JSON.stringify(res.data.details), /needs 2/);
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const StellarSdk = require('stellar-sdk');
+
+const { startStack, authenticate } = require('./helpers/stack');
+
+describe('SEP-12 routes', () => {
+  let stack;
+  let api;
+  let token;
+  let customerId;
+  const user = StellarSdk.Keypair.random();
+  const auth = () => ({ headers: { Authorization: `Bearer ${token}` } });
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    stack = await startStack();
+    api = stack.api;
+    token = await authenticate(api, user);
+  });
+
+  after(async () => {
+    await stack.stop();
+    mock.restoreAll();
+  });
+
+  it('reports every field for a new customer', async () => {
+    const res = await api.get('/api/sep12/customer', auth());
+    assert.equal(res.status, 200);
+    assert.equal(res.data.status, 'NEEDS_INFO');
+    assert.ok(res.data.fields.photo_id_front);
+  });
+
+  it('accepts text fields as JSON', async () => {
+    const res = await api.put('/api/sep12/customer', {
+      first_name: 'Ada',
+      last_name: 'Lovelace',
+      email_address: 'ada@example.com',
+      id_type: 'passport',
+    }, auth());
+    assert.equal(res.status, 200);
+    customerId = res.data.id;
+
+    const status = await api.get('/api/sep12/customer', auth());
+    assert.equal(status.data.status, 'NEEDS_INFO');
+    assert.deepEqual(Object.keys(status.data.fields), ['photo_id_front']);
+  });
+
+  it('forwards file uploads as multipart', async () => {
+    const form = new FormData();
+    form.append('id', customerId);
+    form.append('photo_id_front', new Blob([Buffer.alloc(2048, 1)], { type: 'image/png' }), 'passport.png');
+
+    const res = await api.put('/api/sep12/customer', form, auth());
+    assert.equal(res.status, 200);
+
+    const customer = stack.anchor.customers.get(customerId);
+    assert.equal(customer.values.photo_id_front.filename, 'passport.png');
+    assert.equal(customer.values.photo_id_front.size, 2048);
+
+    const status = await api.get('/api/sep12/customer', auth());
+    assert.equal(status.data.status, 'PROCESSING');
+  });
+
+  it('refuses files outside the SEP-9 binary fields, or more than one per field', async () => {
+    const photo = () => new Blob([Buffer.alloc(16, 1)], { type: 'image/png' });
+
+    const unknown = new FormData();
+    unknown.append('id', customerId);
+    unknown.append('selfie', photo(), 'selfie.png');
+    const res = await api.put('/api/sep12/customer', unknown, auth());
+    assert.equal(res.status, 400);
+    assert.match(res.data.error, /Upload rejected: Unexpected file field \(selfie\)/);
+
+    const repeated = new FormData();
+    repeated.append('id', customerId);
+    repeated.append('photo_id_back', photo(), 'back-1.png');
+    repeated.append('photo_id_back', photo(), 'back-2.png');
+    const again = await api.put('/api/sep12/customer', repeated, auth());
+    assert.equal(again.status, 400);
+    assert.equal(stack.anchor.customers.get(customerId).values.photo_id_back, undefined);
+  });
+
+  it('shows rejected fields so they can be resubmitted', async () => {
+    stack.anchor.customers.rejectField(customerId, 'last_name', 'does not match ID');
+
+    const rejected = await api.get('/api/sep12/customer', auth());
+    assert.equal(rejected.data.status, 'NEEDS_INFO');
+    assert.equal(rejected.data.provided_fields.last_name.status, 'REJECTED');
+    assert.equal(rejected.data.provided_fields.last_name.error, 'does not match ID');
+
+    await api.put('/api/sep12/customer', { id: customerId, last_name: 'King' }, auth());
+    stack.anchor.customers.setStatus(customerId, 'ACCEPTED');
+
+    const accepted = await api.get('/api/sep12/customer', auth());
+    assert.equal(accepted.data.status, 'ACCEPTED');
+  });
+
+  it('submits verification codes', async () => {
+    await api.put('/api/sep12/customer', { id: customerId, mobile_number: '+14155550100' }, auth());
+    const pending = await api.get('/api/sep12/customer', auth());
+    assert.equal(pending.data.provided_fields.mobile_number.status, 'VERIFICATION_REQUIRED');
+
+    const wrong = await api.put('/api/sep12/customer/verification', {
+      id: customerId,
+      mobile_number_verification: '000000',
+    }, auth());
+    assert.equal(wrong.status, 400);
+
+    const res = await api.put('/api/sep12/customer/verification', {
+      id: customerId,
+      mobile_number_verification: '123456',
+    }, auth());
+    assert.equal(res.status, 200);
+    assert.equal(res.data.provided_fields.mobile_number.status, 'ACCEPTED');
+  });
+
+  it('deletes the customer', async () => {
+    const res = await api.delete(`/api/sep12/customer/${user.publicKey()}`, auth());
+    assert.equal(res.status, 200);
+
+    const status = await api.get('/api/sep12/customer', auth());
+    assert.equal(status.data.status, 'NEEDS_INFO');
+    assert.equal(status.data.id, undefined);
+  });
+
+  it('refuses to act for another user of a shared account', async () => {
+    const memoToken = await authenticate(api, user, { memo: '1234' });
+    const asMemoUser = { headers: { Authorization: `Bearer ${memoToken}` } };
+
+    const own = await api.get('/api/sep12/customer', { ...asMemoUser, params: { account: user.publicKey(), memo: '1234' } });
+    assert.equal(own.status, 200);
+
+    const read = await api.get('/api/sep12/customer', { ...asMemoUser, params: { memo: '99' } });
+    assert.equal(read.status, 403);
+    assert.equal(read.data.code, 'ACCOUNT_MISMATCH');
+
+    const update = await api.put('/api/sep12/customer', { account: user.publicKey(), memo: '99', first_name: 'Mallory' }, asMemoUser);
+    assert.equal(update.status, 403);
+    assert.equal(update.data.code, 'ACCOUNT_MISMATCH');
+
+    // Nor can the shared account's own token reach its users' records
+    const remove = await api.delete(`/api/sep12/customer/${user.publicKey()}`, { ...auth(), data: { memo: '1234' } });
+    assert.equal(remove.status, 403);
+    const other = await api.delete(`/api/sep12/customer/${StellarSdk.Keypair.random().publicKey()}`, auth());
+    assert.equal(other.status, 403);
+  });
+
+  it('rejects empty updates', async () => {
+    const res = await api.put('/api/sep12/customer', {}, auth());
+    assert.equal(res.status, 400);
+  });
+});
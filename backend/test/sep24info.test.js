@@ -0,0 +1,85 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const StellarSdk = require('stellar-sdk');
+
+const { startStack, authenticate } = require('./helpers/stack');
+const { TransferError, parseSep24Info, checkTransfer } = require('../lib/sep24');
+
+describe('SEP-24 /info parsing', () => {
+  const info = parseSep24Info({
+    deposit: {
+      USDC: { enabled: true, min_amount: 5, max_amount: 500, fee_fixed: 1, fee_percent: 0.5 },
+      SRT: { enabled: false },
+    },
+    withdraw: {
+      USDC: { enabled: true },
+    },
+    fee: { enabled: true },
+  });
+
+  it('keeps enabled assets with their limits and fees', () => {
+    assert.deepEqual(info.deposit.map((asset) => asset.code), ['USDC']);
+    assert.equal(info.deposit[0].minAmount, 5);
+    assert.equal(info.deposit[0].feePercent, 0.5);
+    assert.equal(info.withdraw[0].maxAmount, null);
+    assert.deepEqual(info.fee, { enabled: true, authenticationRequired: false });
+    assert.deepEqual(info.features, { accountCreation: true, claimableBalances: false });
+  });
+
+  it('checks transfers against it', () => {
+    const fails = (transfer, code) => assert.throws(
+      () => checkTransfer(info, transfer),
+      (err) => err instanceof TransferError && err.code === code,
+    );
+
+    assert.equal(checkTransfer(info, { mode: 'deposit', assetCode: 'USDC', amount: '5' }).code, 'USDC');
+    assert.ok(checkTransfer(info, { mode: 'withdraw', assetCode: 'USDC', amount: '1000000' }));
+    assert.ok(checkTransfer(info, { mode: 'deposit', assetCode: 'USDC' }));
+    fails({ mode: 'deposit', assetCode: 'SRT' }, 'ASSET_NOT_SUPPORTED');
+    fails({ mode: 'withdraw', assetCode: 'EURC' }, 'ASSET_NOT_SUPPORTED');
+    fails({ mode: 'deposit', assetCode: 'USDC', amount: '4.99' }, 'AMOUNT_TOO_LOW');
+    fails({ mode: 'deposit', assetCode: 'USDC', amount: '500.01' }, 'AMOUNT_TOO_HIGH');
+    fails({ mode: 'deposit', assetCode: 'USDC', amount: '-10' }, 'INVALID_AMOUNT');
+    fails({ mode: 'deposit', assetCode: 'USDC', amount: '1e3' }, 'INVALID_AMOUNT');
+  });
+});
+
+describe('SEP-24 /info through the backend', () => {
+  let stack;
+  let api;
+  let token;
+  const user = StellarSdk.Keypair.random();
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    stack = await startStack();
+    api = stack.api;
+    token = await authenticate(api, user);
+  });
+
+  after(async () => {
+    await stack.stop();
+    mock.restoreAll();
+  });
+
+  it('serves the parsed capabilities without a token', async () => {
+    const res = await api.get('/api/sep24/info');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data.deposit.map((asset) => asset.code), ['USDC', 'SRT']);
+    assert.equal(res.data.deposit[0].maxAmount, 10000);
+    assert.equal(res.data.features.accountCreation, true);
+  });
+
+  it('refuses out-of-range amounts before calling the anchor', async () => {
+    const res = await api.post('/api/sep24/start', {
+      mode: 'withdraw',
+      assetCode: 'USDC',
+      amount: '20000',
+      account: user.publicKey(),
+    }, { headers: { Authorization: `Bearer ${token}` } });
+    assert.equal(res.status, 400);
+    assert.equal(res.data.reason, 'AMOUNT_TOO_HIGH');
+    assert.equal(stack.anchor.transactions.list({ owner: user.publicKey() }).length, 0);
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const StellarSdk = require('stellar-sdk');
+
+const { startStack, authenticate } = require('./helpers/stack');
+
+describe('SEP-38 routes', () => {
+  let stack;
+  let api;
+  let token;
+  let usdc;
+  const user = StellarSdk.Keypair.random();
+  const auth = () => ({ headers: { Authorization: `Bearer ${token}` } });
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    stack = await startStack();
+    api = stack.api;
+    token = await authenticate(api, user);
+    usdc = `stellar:USDC:${stack.anchor.issuer}`;
+  });
+
+  after(async () => {
+    await stack.stop();
+    mock.restoreAll();
+  });
+
+  it('lists supported assets', async () => {
+    const res = await api.get('/api/sep38/info');
+    assert.equal(res.status, 200);
+    assert.ok(res.data.assets.some((a) => a.asset === 'iso4217:EUR'));
+    assert.ok(res.data.assets.some((a) => a.asset === usdc));
+  });
+
+  it('returns indicative prices without a token', async () => {
+    const prices = await api.get('/api/sep38/prices', { params: { sell_asset: 'iso4217:EUR', sell_amount: '100' } });
+    assert.equal(prices.status, 200);
+    assert.ok(prices.data.buy_assets.some((a) => a.asset === usdc));
+
+    const price = await api.get('/api/sep38/price', {
+      params: { sell_asset: 'iso4217:EUR', buy_asset: usdc, sell_amount: '100', context: 'sep24' },
+    });
+    assert.equal(price.status, 200);
+    assert.equal(price.data.sell_amount, '100.00');
+    assert.equal(price.data.fee.asset, 'iso4217:EUR');
+  });
+
+  it('validates price requests before calling the anchor', async () => {
+    const res = await api.get('/api/sep38/price', {
+      params: { sell_asset: 'iso4217:EUR', buy_asset: usdc, context: 'sep24' },
+    });
+    assert.equal(res.status, 400);
+  });
+
+  it('requires a token for firm quotes', async () => {
+    const res = await api.post('/api/sep38/quote', {
+      sell_asset: 'iso4217:EUR', buy_asset: usdc, sell_amount: '100', context: 'sep24',
+    });
+    assert.equal(res.status, 401);
+  });
+
+  it('passes a firm quote through a SEP-24 deposit', async () => {
+    const quote = await api.post('/api/sep38/quote', {
+      sell_asset: 'iso4217:EUR', buy_asset: usdc, buy_amount: '50', context: 'sep24',
+    }, auth());
+    assert.equal(quote.status, 200);
+    assert.ok(quote.data.id);
+    assert.ok(new Date(quote.data.expires_at) > new Date());
+
+    const lookup = await api.get(`/api/sep38/quote/${quote.data.id}`, auth());
+    assert.equal(lookup.data.buy_amount, quote.data.buy_amount);
+
+    const start = await api.post('/api/sep24/start', {
+      mode: 'deposit',
+      assetCode: 'USDC',
+      amount: quote.data.sell_amount,
+      account: user.publicKey(),
+      quote_id: quote.data.id,
+      source_asset: 'iso4217:EUR',
+    }, auth());
+    assert.equal(start.status, 200);
+
+    const txn = await api.post('/api/sep24/transaction', { id: start.data.id }, auth());
+    assert.equal(txn.data.quote_id, quote.data.id);
+    assert.equal(txn.data.amount_in_asset, 'iso4217:EUR');
+    assert.equal(txn.data.amount_out, quote.data.buy_amount);
+  });
+
+  it('rejects expired quotes at the anchor', async () => {
+    const quote = await api.post('/api/sep38/quote', {
+      sell_asset: usdc, buy_asset: 'iso4217:BRL', sell_amount: '20', context: 'sep24',
+    }, auth());
+    stack.anchor.quotes.expire(quote.data.id);
+
+    const start = await api.post('/api/sep24/start', {
+      mode: 'withdraw',
+      assetCode: 'USDC',
+      amount: '20',
+      account: user.publicKey(),
+      quote_id: quote.data.id,
+      destination_asset: 'iso4217:BRL',
+    }, auth());
+    assert.notEqual(start.status, 200);
+  });
+
+  it('returns 404 for unknown quotes', async () => {
+    const res = await api.get('/api/sep38/quote/nope', auth());
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const StellarSdk = require('stellar-sdk');
+
+const { startStack, authenticate } = require('./helpers/stack');
+
+describe('SEP-6 routes', () => {
+  let stack;
+  let api;
+  let token;
+  const user = StellarSdk.Keypair.random();
+  const auth = () => ({ headers: { Authorization: `Bearer ${token}` } });
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    stack = await startStack();
+    api = stack.api;
+    token = await authenticate(api, user);
+  });
+
+  after(async () => {
+    await stack.stop();
+    mock.restoreAll();
+  });
+
+  it('proxies /info without authentication', async () => {
+    const res = await api.get('/api/sep6/info');
+    assert.equal(res.status, 200);
+    assert.deepEqual(Object.keys(res.data.withdraw.USDC.types), ['bank_account', 'cash']);
+  });
+
+  it('returns deposit instructions', async () => {
+    const res = await api.post('/api/sep6/deposit', {
+      assetCode: 'USDC',
+      account: user.publicKey(),
+      amount: '50',
+      fundingMethod: 'SEPA',
+    }, auth());
+    assert.equal(res.status, 200);
+    assert.ok(res.data.id);
+    assert.equal(res.data.instructions['organization.bank_account_number'].value, 'NL91MOCK0417164300');
+
+    const status = await api.post('/api/sep6/transaction', { id: res.data.id }, auth());
+    assert.equal(status.data.status, 'pending_user_transfer_start');
+    assert.equal(status.data.kind, 'deposit');
+  });
+
+  it('returns the withdrawal account and memo', async () => {
+    const res = await api.post('/api/sep6/withdraw', {
+      assetCode: 'USDC',
+      account: user.publicKey(),
+      type: 'bank_account',
+      dest: '12345678',
+      destExtra: '021000021',
+    }, auth());
+    assert.equal(res.status, 200);
+    assert.equal(res.data.account_id, stack.anchor.distributionAccount);
+    assert.equal(res.data.memo_type, 'id');
+    assert.ok(res.data.memo);
+  });
+
+  it('requires a withdrawal type', async () => {
+    const res = await api.post('/api/sep6/withdraw', { assetCode: 'USDC', account: user.publicKey() }, auth());
+    assert.equal(res.status, 400);
+  });
+
+  it('lists transactions for the account', async () => {
+    const res = await api.post('/api/sep6/transactions', { assetCode: 'USDC' }, auth());
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data.transactions.map((t) => t.kind), ['withdrawal', 'deposit']);
+  });
+
+  it('refuses transfers for another account or another user of a shared account', async () => {
+    const other = await api.post('/api/sep6/deposit', { assetCode: 'USDC', account: StellarSdk.Keypair.random().publicKey() }, auth());
+    assert.equal(other.status, 403);
+    assert.equal(other.data.code, 'ACCOUNT_MISMATCH');
+
+    const memoToken = await authenticate(api, user, { memo: '1234' });
+    const asMemoUser = { headers: { Authorization: `Bearer ${memoToken}` } };
+    const deposit = (memo) => api.post('/api/sep6/deposit', { assetCode: 'USDC', account: user.publicKey(), memo, memoType: 'id' }, asMemoUser);
+
+    assert.equal((await deposit('1234')).status, 200);
+    assert.equal((await deposit('99')).data.code, 'ACCOUNT_MISMATCH');
+    assert.equal((await deposit()).data.code, 'ACCOUNT_MISMATCH');
+
+    const withdraw = await api.post('/api/sep6/withdraw', {
+      assetCode: 'USDC', account: user.publicKey(), memo: '99', type: 'bank_account', dest: '12345678',
+    }, asMemoUser);
+    assert.equal(withdraw.status, 403);
+    assert.equal(withdraw.data.code, 'ACCOUNT_MISMATCH');
+  });
+
+  it('requires authentication for deposits', async () => {
+    const res = await api.post('/api/sep6/deposit', { assetCode: 'USDC', account: user.publicKey() });
+    assert.equal(res.status, 401);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const StellarSdk = require('stellar-sdk');
+
+const { startStack } = require('./helpers/stack');
+const { buildTxUri } = require('../lib/sep7');
+
+const NETWORK = StellarSdk.Networks.TESTNET;
+
+const buildTransaction = (account) => new StellarSdk.TransactionBuilder(new StellarSdk.Account(account, '1'), {
+  fee: StellarSdk.BASE_FEE,
+  networkPassphrase: NETWORK,
+})
+  .addOperation(StellarSdk.Operation.manageData({ name: 'sep7 test', value: 'hello' }))
+  .setTimeout(300)
+  .build();
+
+describe('SEP-7 URIs', () => {
+  it('encodes the transaction, callback and network', () => {
+    const uri = buildTxUri({
+      xdr: 'AAAA+/=',
+      callback: 'https://wallet.example/api/sep7/requests/1/callback',
+      networkPassphrase: NETWORK,
+      msg: 'Sign in',
+    });
+    assert.ok(uri.startsWith('web+stellar:tx?'));
+
+    const params = new URLSearchParams(uri.slice('web+stellar:tx?'.length));
+    assert.equal(params.get('xdr'), 'AAAA+/=');
+    assert.equal(params.get('callback'), 'url:https://wallet.example/api/sep7/requests/1/callback');
+    assert.equal(params.get('network_passphrase'), NETWORK);
+    assert.ok(!uri.includes('+Network'), 'spaces are percent-encoded');
+  });
+
+  it('leaves out the passphrase for the public network', () => {
+    const uri = buildTxUri({ xdr: 'AAAA', networkPassphrase: StellarSdk.Networks.PUBLIC });
+    assert.ok(!uri.includes('network_passphrase'));
+  });
+});
+
+describe('SEP-7 signing requests', () => {
+  let stack;
+  let api;
+  const user = StellarSdk.Keypair.random();
+
+  const createRequest = (txn, account = user.publicKey()) => api.post('/api/sep7/requests', {
+    transaction: txn.toEnvelope().toXDR('base64'),
+    networkPassphrase: NETWORK,
+    account,
+    description: 'Test signature',
+  });
+
+  // What a wallet does with the URI's callback
+  const callBack = (request, xdr) => api.post(
+    new URL(new URLSearchParams(request.uri.split('?')[1]).get('callback').slice('url:'.length)).pathname,
+    new URLSearchParams({ xdr }).toString(),
+    { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } },
+  );
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    stack = await startStack();
+    api = stack.api;
+  });
+
+  after(async () => {
+    await stack.stop();
+    mock.restoreAll();
+  });
+
+  it('hands the wallet-signed envelope back to the browser', async () => {
+    const txn = buildTransaction(user.publicKey());
+    const created = await createRequest(txn);
+    assert.equal(created.status, 201);
+    assert.equal(created.data.status, 'pending');
+
+    const pending = await api.get(`/api/sep7/requests/${created.data.id}`);
+    assert.equal(pending.data.status, 'pending');
+
+    txn.sign(user);
+    const signedXdr = txn.toEnvelope().toXDR('base64');
+    const callback = await callBack(created.data, signedXdr);
+    assert.equal(callback.status, 200);
+
+    const signed = await api.get(`/api/sep7/requests/${created.data.id}`);
+    assert.equal(signed.data.status, 'signed');
+    assert.equal(signed.data.signedTransaction, signedXdr);
+
+    const again = await callBack(created.data, signedXdr);
+    assert.equal(again.status, 409);
+  });
+
+  it('rejects a different transaction or the wrong signer', async () => {
+    const created = await createRequest(buildTransaction(user.publicKey()));
+
+    const other = buildTransaction(StellarSdk.Keypair.random().publicKey());
+    other.sign(user);
+    const mismatch = await callBack(created.data, other.toEnvelope().toXDR('base64'));
+    assert.equal(mismatch.status, 400);
+    assert.equal(mismatch.data.reason, 'TRANSACTION_MISMATCH');
+
+    const wrongSigner = buildTransaction(user.publicKey());
+    wrongSigner.sign(StellarSdk.Keypair.random());
+    const notSigned = await callBack(created.data, wrongSigner.toEnvelope().toXDR('base64'));
+    assert.equal(notSigned.status, 400);
+    assert.equal(notSigned.data.reason, 'NOT_SIGNED');
+
+    const status = await api.get(`/api/sep7/requests/${created.data.id}`);
+    assert.equal(status.data.status, 'pending');
+  });
+
+  it('validates new requests', async () => {
+    const garbage = await api.post('/api/sep7/requests', { transaction: 'not-xdr', networkPassphrase: NETWORK });
+    assert.equal(garbage.status, 400);
+    assert.equal(garbage.data.reason, 'INVALID_XDR');
+
+    const missing = await api.post('/api/sep7/requests', { networkPassphrase: NETWORK });
+    assert.equal(missing.status, 400);
+
+    const unknown = await api.get('/api/sep7/requests/does-not-exist');
+    assert.equal(unknown.status, 404);
+  });
+});
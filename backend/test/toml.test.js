@@ -0,0 +1,200 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const StellarSdk = require('stellar-sdk');
+
+const { TomlError, createTomlResolver, normalizeHomeDomain, validateStellarToml } = require('../lib/toml');
+
+const signingKey = StellarSdk.Keypair.random().publicKey();
+const issuer = StellarSdk.Keypair.random().publicKey();
+
+const validToml = (extra = '') => `
+NETWORK_PASSPHRASE = "${StellarSdk.Networks.TESTNET}"
+SIGNING_KEY = "${signingKey}"
+WEB_AUTH_ENDPOINT = "https://anchor.example/auth"
+TRANSFER_SERVER_SEP0024 = "https://anchor.example/sep24/"
+${extra}
+[[CURRENCIES]]
+code = "USDC"
+issuer = "${issuer}"
+`;
+
+const isTomlError = (pattern) => (err) => err instanceof TomlError && pattern.test(err.message);
+
+describe('stellar.toml validation', () => {
+  const base = {
+    NETWORK_PASSPHRASE: StellarSdk.Networks.TESTNET,
+    SIGNING_KEY: signingKey,
+    WEB_AUTH_ENDPOINT: 'https://anchor.example/auth',
+  };
+
+  it('normalizes the fields the app uses', () => {
+    const stellarToml = validateStellarToml({ ...base, TRANSFER_SERVER_SEP0024: 'https://anchor.example/sep24/', CURRENCIES: [{ code: 'USDC', issuer }] });
+    assert.equal(stellarToml.transferServerSep24, 'https://anchor.example/sep24');
+    assert.equal(stellarToml.signingKey, signingKey);
+    assert.deepEqual(stellarToml.currencies, [{ code: 'USDC', issuer }]);
+  });
+
+  it('rejects missing required fields', () => {
+    for (const field of Object.keys(base)) {
+      const data = { ...base, [field]: undefined };
+      assert.throws(() => validateStellarToml(data), isTomlError(new RegExp(`${field} not found`)), field);
+    }
+    assert.throws(() => validateStellarToml({ ...base, SIGNING_KEY: '' }), isTomlError(/SIGNING_KEY not found/));
+  });
+
+  it('rejects endpoints that are not HTTPS unless http is allowed', () => {
+    for (const field of ['WEB_AUTH_ENDPOINT', 'TRANSFER_SERVER', 'TRANSFER_SERVER_SEP0024', 'KYC_SERVER', 'ANCHOR_QUOTE_SERVER']) {
+      const data = { ...base, [field]: 'http://anchor.example/endpoint' };
+      assert.throws(() => validateStellarToml(data), isTomlError(new RegExp(`${field} must use HTTPS`)), field);
+      assert.doesNotThrow(() => validateStellarToml(data, { allowHttp: true }), field);
+    }
+    assert.throws(() => validateStellarToml({ ...base, KYC_SERVER: 'not a url' }), isTomlError(/KYC_SERVER is not a valid URL/));
+    assert.throws(() => normalizeHomeDomain('http://anchor.example'), isTomlError(/must use HTTPS/));
+  });
+
+  it('rejects a malformed SIGNING_KEY', () => {
+    assert.throws(() => validateStellarToml({ ...base, SIGNING_KEY: 'GNOTAKEY' }), isTomlError(/SIGNING_KEY is not a valid Stellar public key/));
+    // A secret key is not a public key either
+    assert.throws(() => validateStellarToml({ ...base, SIGNING_KEY: StellarSdk.Keypair.random().secret() }), isTomlError(/SIGNING_KEY/));
+  });
+
+  it('rejects malformed CURRENCIES', () => {
+    const invalid = [
+      [{ code: 'USDC' }, /array of tables/],
+      [[{ issuer }], /CURRENCIES\[0\] is missing a code/],
+      [[{ code: 'THIRTEENCHARS' }], /longer than 12 characters/],
+      [[{ code: 'USDC', issuer: 'GNOPE' }], /has an invalid issuer/],
+    ];
+    for (const [currencies, pattern] of invalid) {
+      assert.throws(() => validateStellarToml({ ...base, CURRENCIES: currencies }), isTomlError(pattern), pattern.source);
+    }
+  });
+});
+
+describe('stellar.toml resolver', () => {
+  let responses;
+  let requests;
+  let http;
+
+  const resolver = (options = {}) => createTomlResolver({ clientFor: () => http, ...options });
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    // An axios stand-in: each get() answers with the next queued TOML text, or
+    // calls the next queued function for anything else (errors, late answers)
+    responses = [];
+    requests = [];
+    http = {
+      get: async (url) => {
+        requests.push(url);
+        const next = responses.shift() ?? validToml();
+        return typeof next === 'function' ? next() : { data: next };
+      },
+    };
+  });
+
+  it('fetches, parses and validates the TOML of the home domain', async () => {
+    const stellarToml = await resolver().resolve('anchor.example');
+    assert.deepEqual(requests, ['https://anchor.example/.well-known/stellar.toml']);
+    assert.equal(stellarToml.homeDomain, 'anchor.example');
+    assert.equal(stellarToml.url, 'https://anchor.example/.well-known/stellar.toml');
+    assert.equal(stellarToml.transferServerSep24, 'https://anchor.example/sep24');
+  });
+
+  it('rejects malformed TOML with its line number', async () => {
+    responses.push('A = 1\nB = 2\nC = = 3\n');
+    await assert.rejects(resolver().resolve('anchor.example'), (err) => {
+      assert.ok(err instanceof TomlError);
+      assert.equal(err.code, 'TOML_INVALID');
+      assert.match(err.message, /Malformed stellar.toml \(line 3/);
+      return true;
+    });
+  });
+
+  it('rejects a TOML with non-HTTPS endpoints', async () => {
+    responses.push(validToml('KYC_SERVER = "http://anchor.example/kyc"'));
+    await assert.rejects(resolver().resolve('anchor.example'), isTomlError(/KYC_SERVER must use HTTPS/));
+  });
+
+  it('reports a failed fetch as the anchor being unreachable or broken', async () => {
+    const axiosError = (response) => Object.assign(new Error('request failed'), { isAxiosError: true, response });
+    responses.push(() => Promise.reject(axiosError(undefined)), () => Promise.reject(axiosError({ status: 404 })));
+    const r = resolver();
+
+    await assert.rejects(r.resolve('anchor.example'), (err) => err.code === 'ANCHOR_UNREACHABLE');
+    await assert.rejects(r.resolve('anchor.example'), (err) => err.code === 'TOML_INVALID' && err.details === 'HTTP 404');
+  });
+
+  it('answers from the cache within the TTL and refetches after it', async () => {
+    let clock = 0;
+    mock.method(Date, 'now', () => clock);
+    try {
+      const r = resolver({ ttlMs: 1000 });
+      const first = await r.resolve('anchor.example');
+      clock = 999;
+      assert.equal(await r.resolve('anchor.example'), first);
+      assert.equal(requests.length, 1);
+
+      clock = 1000;
+      assert.notEqual(await r.resolve('anchor.example'), first);
+      assert.equal(requests.length, 2);
+    } finally {
+      Date.now.mock.restore();
+    }
+  });
+
+  it('shares one fetch between concurrent requests', async () => {
+    let answer;
+    responses.push(() => new Promise((resolve) => {
+      answer = resolve;
+    }));
+    const r = resolver();
+
+    const pending = [r.resolve('anchor.example'), r.resolve('anchor.example'), r.resolve('anchor.example')];
+    answer({ data: validToml() });
+    const [first, ...rest] = await Promise.all(pending);
+    assert.equal(requests.length, 1);
+    rest.forEach((value) => assert.equal(value, first));
+  });
+
+  it('does not cache failures', async () => {
+    responses.push('not = [valid');
+    const r = resolver();
+    await assert.rejects(r.resolve('anchor.example'), TomlError);
+    await r.resolve('anchor.example');
+    assert.equal(requests.length, 2);
+  });
+
+  it('refetches on force and replaces the cached TOML', async () => {
+    const r = resolver();
+    const first = await r.resolve('anchor.example');
+
+    const rotated = StellarSdk.Keypair.random().publicKey();
+    responses.push(validToml().replace(signingKey, rotated));
+    const forced = await r.resolve('anchor.example', { force: true });
+    assert.equal(forced.signingKey, rotated);
+    assert.notEqual(forced, first);
+
+    // Later lookups get the refreshed copy without another fetch
+    assert.equal(await r.resolve('anchor.example'), forced);
+    assert.equal(requests.length, 2);
+  });
+
+  it('keeps a cache per home domain', async () => {
+    const r = resolver();
+    await r.resolve('anchor.example');
+    await r.resolve('other-anchor.example');
+    await r.resolve('anchor.example');
+    assert.deepEqual(requests, [
+      'https://anchor.example/.well-known/stellar.toml',
+      'https://other-anchor.example/.well-known/stellar.toml',
+    ]);
+  });
+});
@@ -0,0 +1,274 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const StellarSdk = require('stellar-sdk');
+
+const { startStack, authenticate } = require('./helpers/stack');
+const { createTransactionWatcher } = require('../lib/watcher');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Reads a text/event-stream response into { event, data } objects until it ends
+async function readEvents(response, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let idx;
+    while ((idx = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      const event = block.match(/^event: (.*)$/m)?.[1];
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      if (event) {
+        onEvent({ event, data: JSON.parse(data) });
+      }
+    }
+  }
+}
+
+describe('transaction watcher', () => {
+  it('backs off while nothing changes and resets after a change', async () => {
+    const statuses = ['incomplete', 'incomplete', 'incomplete', 'pending_anchor', 'completed'];
+    const calls = [];
+    const watcher = createTransactionWatcher({
+      fetchTransaction: async (id) => {
+        calls.push(Date.now());
+        return { id, status: statuses[Math.min(calls.length - 1, statuses.length - 1)] };
+      },
+      minIntervalMs: 10,
+      maxIntervalMs: 40,
+    });
+
+    const events = [];
+    await new Promise((resolve) => {
+      watcher.watch('tx-1', { token: 'token', subject: 'GUSER' }, (event) => {
+        events.push(event);
+        if (event.type === 'done') resolve();
+      });
+    });
+
+    assert.deepEqual(events.map((e) => e.type === 'status' ? e.transaction.status : e.type),
+      ['incomplete', 'pending_anchor', 'completed', 'done']);
+    assert.equal(calls.length, 5);
+    // 10ms after the first poll, then 20ms, then capped at 40ms (timers
+    // can fire late on a busy machine, never much early)
+    assert.ok(calls[2] - calls[1] >= 19);
+    assert.ok(calls[3] - calls[2] >= 39);
+    assert.equal(watcher.watching('tx-1'), false);
+  });
+
+  it('stops polling when the last listener leaves', async () => {
+    let calls = 0;
+    const watcher = createTransactionWatcher({
+      fetchTransaction: async (id) => {
+        calls += 1;
+        return { id, status: 'pending_anchor' };
+      },
+      minIntervalMs: 5,
+      maxIntervalMs: 5,
+    });
+
+    const unsubscribe = watcher.watch('tx-2', { token: 'token', subject: 'GUSER' }, () => {});
+    await sleep(30);
+    unsubscribe();
+    const seen = calls;
+    await sleep(30);
+    assert.equal(calls, seen);
+    assert.equal(watcher.watching('tx-2'), false);
+  });
+
+  it('gives up on auth errors', async () => {
+    const watcher = createTransactionWatcher({
+      fetchTransaction: async () => {
+        const err = new Error('forbidden');
+        err.response = { status: 403, data: { error: 'forbidden' } };
+        throw err;
+      },
+      minIntervalMs: 5,
+    });
+
+    const events = [];
+    await new Promise((resolve) => {
+      watcher.watch('tx-3', { token: 'token', subject: 'GUSER' }, (event) => {
+        events.push(event.type);
+        if (event.type === 'done') resolve();
+      });
+    });
+    assert.deepEqual(events, ['error', 'done']);
+  });
+
+  it('polls separately per subject and never replays one user\'s transaction to another', async () => {
+    const polls = [];
+    let status = 'pending_anchor';
+    const watcher = createTransactionWatcher({
+      fetchTransaction: async (id, token) => {
+        polls.push(token);
+        if (token !== 'owner-token') {
+          const err = new Error('not found');
+          err.response = { status: 404, data: { error: 'transaction not found' } };
+          throw err;
+        }
+        return { id, status };
+      },
+      minIntervalMs: 5,
+      maxIntervalMs: 5,
+    });
+
+    const owner = [];
+    const stopOwner = watcher.watch('tx-4', { token: 'owner-token', subject: 'GOWNER' }, (event) => owner.push(event));
+    await sleep(20);
+
+    const other = [];
+    await new Promise((resolve) => {
+      watcher.watch('tx-4', { token: 'other-token', subject: 'GOTHER' }, (event) => {
+        other.push(event);
+        if (event.type === 'done') resolve();
+      });
+    });
+    // A callback for the id only reaches the watch the anchor answered for
+    status = 'pending_stellar';
+    watcher.publish('tx-4', { id: 'tx-4', status });
+    await sleep(20);
+    stopOwner();
+
+    assert.deepEqual(other.map((e) => e.type), ['error', 'done']);
+    assert.equal(other[1].transaction, null);
+    assert.deepEqual(owner.filter((e) => e.type === 'status').map((e) => e.transaction.status), ['pending_anchor', 'pending_stellar']);
+    // The owner's poll kept the owner's token throughout
+    assert.equal(polls.filter((token) => token === 'other-token').length, 1);
+    assert.ok(polls.filter((token) => token === 'owner-token').length > 2);
+  });
+
+  it('keeps one poll running when a subject re-subscribes while a fetch is in flight', async () => {
+    const polls = [];
+    let answerFirst;
+    const watcher = createTransactionWatcher({
+      fetchTransaction: (id, token) => {
+        polls.push({ token, at: Date.now() });
+        if (polls.length === 1) {
+          return new Promise((resolve) => {
+            answerFirst = resolve;
+          });
+        }
+        return Promise.resolve({ id, status: 'pending_anchor' });
+      },
+      minIntervalMs: 50,
+      maxIntervalMs: 50,
+    });
+
+    const unsubscribe = watcher.watch('tx-5', { token: 'old-token', subject: 'GUSER' }, () => {});
+    unsubscribe();
+    const events = [];
+    const stopNew = watcher.watch('tx-5', { token: 'new-token', subject: 'GUSER' }, (event) => events.push(event));
+
+    // The abandoned fetch comes back terminal; it must neither poll again
+    // nor end the new subscription
+    answerFirst({ id: 'tx-5', status: 'completed' });
+    await sleep(280);
+    assert.equal(watcher.watching('tx-5'), true);
+    stopNew();
+
+    assert.equal(polls.filter((poll) => poll.token === 'old-token').length, 1);
+    assert.deepEqual(events.map((e) => e.type === 'status' ? e.transaction.status : e.type), ['pending_anchor']);
+    // One poller at 50ms makes about six fetches in that time, two would make twelve
+    const fresh = polls.filter((poll) => poll.token === 'new-token');
+    assert.ok(fresh.length >= 3 && fresh.length <= 7, `${fresh.length} fetches`);
+    for (let i = 1; i < fresh.length; i += 1) {
+      assert.ok(fresh[i].at - fresh[i - 1].at >= 45);
+    }
+  });
+});
+
+describe('SEP-24 status stream', () => {
+  let stack;
+  let api;
+  let token;
+  const user = StellarSdk.Keypair.random();
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    stack = await startStack({ env: { SEP24_POLL_MIN_INTERVAL: '0.02', SEP24_POLL_MAX_INTERVAL: '0.1' } });
+    api = stack.api;
+    token = await authenticate(api, user);
+  });
+
+  after(async () => {
+    await stack.stop();
+    mock.restoreAll();
+  });
+
+  it('pushes every status change until the transaction completes', async () => {
+    const start = await api.post('/api/sep24/start', {
+      mode: 'deposit',
+      assetCode: 'USDC',
+      amount: '10',
+      account: user.publicKey(),
+    }, { headers: { Authorization: `Bearer ${token}` } });
+    const { id } = start.data;
+
+    const response = await fetch(`${api.defaults.baseURL}/api/sep24/transaction/${id}/events?token=${token}`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+    const seen = [];
+    await readEvents(response, ({ event, data }) => {
+      seen.push(event === 'status' ? data.status : event);
+      // Walk the anchor forward each time the stream reports a status
+      if (event === 'status' && data.status !== 'completed') {
+        setTimeout(() => stack.anchor.transactions.advance(id), 30);
+      }
+    });
+
+    assert.deepEqual(seen, ['incomplete', 'pending_user_transfer_start', 'pending_anchor', 'pending_stellar', 'completed', 'done']);
+  });
+
+  it('gives another user no transaction and leaves the owner\'s stream running', async () => {
+    const start = await api.post('/api/sep24/start', {
+      mode: 'deposit',
+      assetCode: 'USDC',
+      amount: '10',
+      account: user.publicKey(),
+    }, { headers: { Authorization: `Bearer ${token}` } });
+    const { id } = start.data;
+    const otherToken = await authenticate(api, StellarSdk.Keypair.random());
+
+    const owner = new AbortController();
+    const ownerSeen = [];
+    let ownerStarted;
+    const started = new Promise((resolve) => {
+      ownerStarted = resolve;
+    });
+    const ownerStream = fetch(`${api.defaults.baseURL}/api/sep24/transaction/${id}/events?token=${token}`, { signal: owner.signal })
+      .then((response) => readEvents(response, ({ event, data }) => {
+        ownerSeen.push(event === 'status' ? data.status : event);
+        ownerStarted();
+      }))
+      .catch((err) => {
+        if (err.name !== 'AbortError') throw err;
+      });
+    await started;
+
+    const response = await fetch(`${api.defaults.baseURL}/api/sep24/transaction/${id}/events?token=${otherToken}`);
+    const otherSeen = [];
+    await readEvents(response, (event) => otherSeen.push(event));
+
+    assert.deepEqual(otherSeen.map((e) => e.event), ['poll_error', 'done']);
+    assert.deepEqual(otherSeen[1].data, {});
+
+    // The owner still gets updates, polled with the owner's token
+    stack.anchor.transactions.advance(id);
+    for (let i = 0; i < 50 && !ownerSeen.includes('pending_user_transfer_start'); i += 1) {
+      await sleep(20);
+    }
+    owner.abort();
+    await ownerStream;
+    assert.deepEqual(ownerSeen, ['incomplete', 'pending_user_transfer_start']);
+  });
+
+  it('requires a valid token', async () => {
+    const response = await fetch(`${api.defaults.baseURL}/api/sep24/transaction/abc/events`);
+    assert.equal(response.status, 401);
+  });
+});
@@ -0,0 +1,220 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const StellarSdk = require('stellar-sdk');
+
+const { startStack, authenticate } = require('./helpers/stack');
+const { PaymentError, parseWithdrawMemo } = require('../lib/payment');
+
+// Builds and signs the payment the same way the frontend does; operationSource
+// sets a source on the payment operation itself
+const signPayment = (prepared, keypair, { operationSource } = {}) => {
+  const { payment, networkPassphrase, sequence } = prepared;
+  const asset = payment.asset.code === 'native'
+    ? StellarSdk.Asset.native()
+    : new StellarSdk.Asset(payment.asset.code, payment.asset.issuer);
+  const memo = payment.memo.type === 'none'
+    ? StellarSdk.Memo.none()
+    : new StellarSdk.Memo(payment.memo.type, payment.memo.value);
+
+  const txn = new StellarSdk.TransactionBuilder(new StellarSdk.Account(keypair.publicKey(), sequence), {
+    fee: StellarSdk.BASE_FEE,
+    networkPassphrase,
+  })
+    .addOperation(StellarSdk.Operation.payment({ destination: payment.destination, asset, amount: payment.amount, source: operationSource }))
+    .addMemo(memo)
+    .setTimeout(300)
+    .build();
+  txn.sign(keypair);
+  return txn.toEnvelope().toXDR('base64');
+};
+
+describe('withdrawal memo validation', () => {
+  it('accepts every SEP-24 memo type', () => {
+    assert.deepEqual(parseWithdrawMemo('18446744073709551615', 'id'), { type: 'id', value: '18446744073709551615' });
+    assert.deepEqual(parseWithdrawMemo('order 42', 'text'), { type: 'text', value: 'order 42' });
+
+    const hash = crypto.randomBytes(32);
+    assert.deepEqual(parseWithdrawMemo(hash.toString('base64'), 'hash'), { type: 'hash', value: hash.toString('hex') });
+    assert.deepEqual(parseWithdrawMemo(undefined, undefined), { type: 'none', value: null });
+  });
+
+  it('rejects malformed memos', () => {
+    const invalid = [
+      ['18446744073709551616', 'id'],
+      ['-1', 'id'],
+      ['12ab', 'id'],
+      ['this memo is far too long for a text memo', 'text'],
+      [crypto.randomBytes(16).toString('base64'), 'hash'],
+      ['not base64!', 'hash'],
+      ['42', 'return'],
+      ['42', undefined],
+      ['', 'id'],
+    ];
+    for (const [memo, type] of invalid) {
+      assert.throws(() => parseWithdrawMemo(memo, type), (err) => err instanceof PaymentError && err.code === 'INVALID_MEMO', `${type}: ${memo}`);
+    }
+  });
+});
+
+describe('SEP-24 withdrawal payment', () => {
+  let stack;
+  let api;
+  let token;
+  const user = StellarSdk.Keypair.random();
+  const auth = () => ({ headers: { Authorization: `Bearer ${token}` } });
+
+  // A withdrawal sitting in pending_user_transfer_start
+  const pendingWithdrawal = async (fields = {}) => {
+    const start = await api.post('/api/sep24/start', {
+      mode: 'withdraw',
+      assetCode: 'USDC',
+      amount: '25',
+      account: user.publicKey(),
+    }, auth());
+    assert.equal(start.status, 200);
+    stack.anchor.transactions.setStatus(start.data.id, 'pending_user_transfer_start', fields);
+    return start.data.id;
+  };
+
+  const prepare = (id) => api.post('/api/sep24/withdraw/prepare', {
+    id,
+    assetCode: 'USDC',
+    account: user.publicKey(),
+  }, auth());
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    stack = await startStack();
+    api = stack.api;
+    token = await authenticate(api, user);
+  });
+
+  after(async () => {
+    await stack.stop();
+    mock.restoreAll();
+  });
+
+  it('prepares, submits and links the payment to the transaction', async () => {
+    const id = await pendingWithdrawal();
+
+    const prepared = await prepare(id);
+    assert.equal(prepared.status, 200);
+    assert.equal(prepared.data.payment.destination, stack.anchor.distributionAccount);
+    assert.equal(prepared.data.payment.amount, '25');
+    assert.deepEqual(prepared.data.payment.asset, { code: 'USDC', issuer: stack.anchor.issuer });
+    assert.equal(prepared.data.payment.memo.type, 'id');
+
+    const submit = await api.post('/api/sep24/withdraw/submit', {
+      id,
+      assetCode: 'USDC',
+      account: user.publicKey(),
+      signedTransaction: signPayment(prepared.data, user),
+    }, auth());
+    assert.equal(submit.status, 200);
+    assert.match(submit.data.hash, /^[0-9a-f]{64}$/);
+
+    const status = await api.post('/api/sep24/transaction', { id }, auth());
+    assert.equal(status.data.status, 'pending_anchor');
+    assert.equal(status.data.stellar_transaction_id, submit.data.hash);
+    assert.equal(status.data.client_payment.hash, submit.data.hash);
+  });
+
+  it('builds text and hash memos', async () => {
+    const hash = crypto.randomBytes(32);
+    const hashId = await pendingWithdrawal({ withdraw_memo: hash.toString('base64'), withdraw_memo_type: 'hash' });
+    const hashPrepared = await prepare(hashId);
+    assert.deepEqual(hashPrepared.data.payment.memo, { type: 'hash', value: hash.toString('hex') });
+
+    const textId = await pendingWithdrawal({ withdraw_memo: 'invoice-7', withdraw_memo_type: 'text' });
+    const textPrepared = await prepare(textId);
+
+    const submit = await api.post('/api/sep24/withdraw/submit', {
+      id: textId,
+      assetCode: 'USDC',
+      account: user.publicKey(),
+      signedTransaction: signPayment(textPrepared.data, user),
+    }, auth());
+    assert.equal(submit.status, 200);
+    assert.equal(stack.anchor.transactions.get(textId).txn.stellar_transaction_id, submit.data.hash);
+  });
+
+  it('refuses an invalid memo from the anchor', async () => {
+    const id = await pendingWithdrawal({ withdraw_memo: 'abc', withdraw_memo_type: 'id' });
+    const res = await prepare(id);
+    assert.equal(res.status, 400);
+    assert.equal(res.data.reason, 'INVALID_MEMO');
+  });
+
+  it('refuses an issuer that does not match the stellar.toml', async () => {
+    const other = StellarSdk.Keypair.random().publicKey();
+    const id = await pendingWithdrawal({ amount_in_asset: `stellar:USDC:${other}` });
+    const res = await prepare(id);
+    assert.equal(res.status, 400);
+    assert.equal(res.data.reason, 'ISSUER_MISMATCH');
+  });
+
+  it('refuses transactions that are not waiting for the payment', async () => {
+    const start = await api.post('/api/sep24/start', {
+      mode: 'withdraw',
+      assetCode: 'USDC',
+      amount: '5',
+      account: user.publicKey(),
+    }, auth());
+    const res = await prepare(start.data.id);
+    assert.equal(res.status, 400);
+    assert.equal(res.data.reason, 'INVALID_STATUS');
+  });
+
+  it('refuses a signed payment that differs from the anchor transaction', async () => {
+    const id = await pendingWithdrawal();
+    const prepared = await prepare(id);
+    const tampered = {
+      ...prepared.data,
+      payment: { ...prepared.data.payment, destination: StellarSdk.Keypair.random().publicKey() },
+    };
+
+    const res = await api.post('/api/sep24/withdraw/submit', {
+      id,
+      assetCode: 'USDC',
+      account: user.publicKey(),
+      signedTransaction: signPayment(tampered, user),
+    }, auth());
+    assert.equal(res.status, 400);
+    assert.equal(res.data.reason, 'INVALID_DESTINATION');
+    assert.equal(stack.anchor.transactions.get(id).txn.status, 'pending_user_transfer_start');
+  });
+
+  it('refuses a payment operation with a source of its own', async () => {
+    const id = await pendingWithdrawal();
+    const prepared = await prepare(id);
+    assert.equal(prepared.data.networkPassphrase, StellarSdk.Networks.TESTNET);
+
+    const res = await api.post('/api/sep24/withdraw/submit', {
+      id,
+      assetCode: 'USDC',
+      account: user.publicKey(),
+      signedTransaction: signPayment(prepared.data, user, { operationSource: StellarSdk.Keypair.random().publicKey() }),
+    }, auth());
+    assert.equal(res.status, 400);
+    assert.equal(res.data.reason, 'INVALID_SOURCE');
+    assert.equal(stack.anchor.transactions.get(id).txn.status, 'pending_user_transfer_start');
+  });
+
+  it('passes Horizon result codes through', async () => {
+    const id = await pendingWithdrawal();
+    const prepared = await prepare(id);
+    const stale = { ...prepared.data, sequence: '1' };
+
+    const res = await api.post('/api/sep24/withdraw/submit', {
+      id,
+      assetCode: 'USDC',
+      account: user.publicKey(),
+      signedTransaction: signPayment(stale, user),
+    }, auth());
+    assert.equal(res.status, 400);
+    assert.equal(res.data.details.transaction, 'tx_bad_seq');
+  });
+});
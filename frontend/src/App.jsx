@@ -1,27 +1,289 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
 import { AlertCircle, CheckCircle, Loader2, ArrowRight, ArrowDownToLine, ArrowUpFromLine, Clock } from 'lucide-react';
-import * as StellarSdk from '@stellar/stellar-sdk';
+import Sep6Panel from './components/Sep6Panel';
+import CustomerProfile from './components/CustomerProfile';
+import QuotePreview from './components/QuotePreview';
+import WithdrawPayment from './components/WithdrawPayment';
+import TransactionHistory from './components/TransactionHistory';
+import StatusToasts from './components/StatusToasts';
+import ReadinessBanner from './components/ReadinessBanner';
+import NetworkBadge from './components/NetworkBadge';
+import SignerPicker from './components/SignerPicker';
+import SigningRequest from './components/SigningRequest';
+import SigningSession from './components/SigningSession';
+import UserIdentity from './components/UserIdentity';
+import TransferLimits from './components/TransferLimits';
+import InteractiveFlow from './components/InteractiveFlow';
+import AnchorPicker from './components/AnchorPicker';
+import ErrorPanel from './components/ErrorPanel';
+import SessionTimer from './components/SessionTimer';
+import { NOTIFY_STATUSES } from './lib/notifications';
+import { apiRequest, isTokenError } from './lib/api';
+import { SIGNERS, getSigner } from './lib/signers';
+import { challengeAccount, describeSubject, isValidUserId, tokenExpiry, tokenSubject } from './lib/identity';
+import { infoAssetCodes, transferProblem } from './lib/transfer';
+import { loadSession, saveSession } from './lib/session';
+
+const SESSION_POLL_INTERVAL_MS = 3000;
+// Renew the SEP-10 JWT this long before it expires
+const RENEW_BEFORE_EXPIRY_MS = 60 * 1000;
+
+// Links other signers of a multisig account open to co-sign its challenge:
+// ?sep10_session=<id>&anchor=<anchor id>
+const sharedParams = new URLSearchParams(window.location.search);
+const SHARED_SESSION = sharedParams.get('sep10_session')
+  ? { id: sharedParams.get('sep10_session'), anchor: sharedParams.get('anchor') }
+  : null;
+
+// What the last visit left signed in (lib/session.js), so a reload - e.g.
+// after finishing the anchor's page in another tab - picks up where it was.
+// A co-signer's page never takes over the owner's session.
+const RESUMED = SHARED_SESSION ? null : loadSession();
+const RESUMED_TRANSFER = RESUMED?.transfer?.anchorId === RESUMED?.anchorId ? RESUMED.transfer : null;
 
 export default function StellarSEP10Auth() {
+  // Anchor registry: every backend call names the selected anchor
+  const [anchors, setAnchors] = useState(null);
+  const [anchorsError, setAnchorsError] = useState('');
+  const [anchorId, setAnchorId] = useState(RESUMED?.anchorId || '');
+  const [tokens, setTokens] = useState(RESUMED?.tokens || {}); // SEP-10 JWT per anchor id
+
   // SEP-10 State
-  const [publicKey, setPublicKey] = useState('');
-  const [secretKey, setSecretKey] = useState('');
-  const [step, setStep] = useState(0);
+  const [publicKey, setPublicKey] = useState(RESUMED?.publicKey || '');
+  const [secretKey, setSecretKey] = useState(''); // never saved: re-entered after a reload
+  const [signerId, setSignerId] = useState(RESUMED?.signerId || SIGNERS[0].id);
+  const [signingRequest, setSigningRequest] = useState(null);
+  const [idType, setIdType] = useState(RESUMED?.idType || 'none'); // shared-account users: 'muxed' or 'memo'
+  const [userId, setUserId] = useState(RESUMED?.userId || '');
+  const signingAbort = useRef(null);
+  const signer = getSigner(signerId);
+  const [step, setStep] = useState(RESUMED?.tokens[RESUMED.anchorId] ? 4 : 0);
   const [loading, setLoading] = useState(false);
-  const [authToken, setAuthToken] = useState('');
-  const [error, setError] = useState('');
+  const authToken = tokens[anchorId] || '';
+  const setAuthToken = (token) => setTokens((current) => ({ ...current, [anchorId]: token }));
+  // Who the JWT speaks for: G..., G...:memo or a muxed M...
+  const subject = authToken ? tokenSubject(authToken) : null;
+  const tokenExpiresAt = authToken ? tokenExpiry(authToken) : null;
+  const [renewing, setRenewing] = useState(false);
+  const renewal = useRef(null); // the SEP-10 renewal in progress, shared by everyone waiting on it
+  const [error, setError] = useState(null); // Error from apiRequest (code, data) or the signer
   const [challengeTx, setChallengeTx] = useState(null);
+  const [signingSession, setSigningSession] = useState(null); // multisig signature collection
 
   // SEP-24 State
-  const [sep24Mode, setSep24Mode] = useState(null); // 'deposit' or 'withdraw'
+  const [sep24Mode, setSep24Mode] = useState(RESUMED_TRANSFER?.mode || null); // 'deposit' or 'withdraw'
   const [sep24Loading, setSep24Loading] = useState(false);
-  const [sep24Error, setSep24Error] = useState('');
-  const [sep24Step, setSep24Step] = useState(0);
-  const [assetCode, setAssetCode] = useState('USDC');
-  const [amount, setAmount] = useState('');
-  const [interactiveUrl, setInteractiveUrl] = useState('');
-  const [transactionId, setTransactionId] = useState('');
+  const [sep24Error, setSep24Error] = useState(null);
+  const [sep24Step, setSep24Step] = useState(RESUMED_TRANSFER?.step || 0);
+  const [assetCode, setAssetCode] = useState(RESUMED_TRANSFER?.assetCode || 'USDC');
+  const [amount, setAmount] = useState(RESUMED_TRANSFER?.amount || '');
+  const [interactiveUrl, setInteractiveUrl] = useState(RESUMED_TRANSFER?.interactiveUrl || '');
+  const [transactionId, setTransactionId] = useState(RESUMED_TRANSFER?.transactionId || ''); // the SSE stream picks it up again
   const [transactionStatus, setTransactionStatus] = useState(null);
+  const [lockedQuote, setLockedQuote] = useState(null); // { mode, offChainAsset, quote }
+  const [sep24Info, setSep24Info] = useState(null); // parsed /info: assets, limits, fees, features
+  const [sep24InfoError, setSep24InfoError] = useState('');
+  const handleQuoteChange = useCallback((value) => setLockedQuote(value), []);
+  const [toasts, setToasts] = useState([]);
+  const dismissToast = useCallback((id) => setToasts((current) => current.filter((t) => t.id !== id)), []);
+
+  useEffect(() => {
+    apiRequest('/api/anchors', { method: 'GET', fallbackError: 'Failed to load anchors' })
+      .then((data) => {
+        setAnchors(data.anchors);
+        if (SHARED_SESSION) {
+          setAnchorId(SHARED_SESSION.anchor);
+        } else if (!data.anchors.some((anchor) => anchor.id === RESUMED?.anchorId)) {
+          // Nothing resumed, or the saved anchor is no longer configured
+          setAnchorId(data.default);
+          setStep(0);
+          setSep24Mode(null);
+          setSep24Step(0);
+          setInteractiveUrl('');
+          setTransactionId('');
+        }
+      })
+      .catch((err) => setAnchorsError(err.message));
+  }, []);
+
+  // Keep the saved session in step; it goes away with the last valid token
+  // (reset, expiry), and the secret key is never part of it
+  useEffect(() => {
+    if (SHARED_SESSION) {
+      return;
+    }
+    saveSession({
+      anchorId,
+      publicKey,
+      signerId,
+      idType,
+      userId,
+      tokens,
+      transfer: transactionId
+        ? { anchorId, mode: sep24Mode, transactionId, interactiveUrl, step: sep24Step, assetCode, amount }
+        : null
+    });
+  }, [anchorId, publicKey, signerId, idType, userId, tokens, transactionId, sep24Mode, interactiveUrl, sep24Step, assetCode, amount]);
+
+  // A co-signer's page: load the session the link points at
+  useEffect(() => {
+    if (!SHARED_SESSION || anchorId !== SHARED_SESSION.anchor) {
+      return;
+    }
+    apiRequest(`/api/sep10/sessions/${encodeURIComponent(SHARED_SESSION.id)}`, {
+      method: 'GET',
+      anchor: anchorId,
+      fallbackError: 'Failed to load signing session'
+    })
+      .then(setSigningSession)
+      .catch((err) => setError(err));
+  }, [anchorId]);
+
+  // Follow the session while other signers add their signatures. The owner's
+  // key unlocks the JWT once the backend has exchanged the challenge.
+  const sessionId = signingSession?.id;
+  const sessionKey = signingSession?.key;
+  const sessionOpen = signingSession?.status === 'pending' || signingSession?.status === 'submitting';
+  useEffect(() => {
+    if (!sessionId || !sessionOpen) {
+      return;
+    }
+
+    const query = sessionKey ? `?key=${encodeURIComponent(sessionKey)}` : '';
+    const timer = setInterval(() => {
+      apiRequest(`/api/sep10/sessions/${encodeURIComponent(sessionId)}${query}`, {
+        method: 'GET',
+        anchor: anchorId,
+        fallbackError: 'Failed to check signing session'
+      })
+        .then((data) => {
+          setSigningSession({ ...data, key: sessionKey });
+          if (data.token) {
+            setTokens((current) => ({ ...current, [anchorId]: data.token }));
+            setStep(4);
+          }
+        })
+        .catch((err) => {
+          // Expired with the challenge: nothing left to sign
+          if (err.status === 404) {
+            setSigningSession(null);
+            setChallengeTx(null);
+            setStep(0);
+          }
+          setError(err);
+        });
+    }, SESSION_POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [sessionId, sessionKey, sessionOpen, anchorId]);
+
+  // What the anchor's SEP-24 supports, for the asset dropdown and limit checks
+  useEffect(() => {
+    if (!authToken) {
+      return;
+    }
+
+    let cancelled = false;
+    apiRequest('/api/sep24/info', { method: 'GET', anchor: anchorId, fallbackError: 'Failed to load SEP-24 info' })
+      .then((info) => {
+        if (cancelled) {
+          return;
+        }
+        setSep24Info(info);
+        setSep24InfoError('');
+        const codes = infoAssetCodes(info);
+        setAssetCode((current) => (codes.length === 0 || codes.includes(current) ? current : codes[0]));
+      })
+      .catch((err) => !cancelled && setSep24InfoError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [anchorId, authToken]);
+
+  // Live SEP-24 status: the backend polls the anchor and pushes changes over SSE
+  useEffect(() => {
+    if (!transactionId || !authToken) {
+      return;
+    }
+
+    const source = new EventSource(
+      `/api/sep24/transaction/${encodeURIComponent(transactionId)}/events?token=${encodeURIComponent(authToken)}&anchor=${encodeURIComponent(anchorId)}`
+    );
+
+    source.addEventListener('status', (event) => {
+      const data = JSON.parse(event.data);
+      setTransactionStatus(data);
+      setSep24Error(null);
+      // Stay on the interactive step until the user has finished it
+      if (data.status === 'completed') {
+        setSep24Step(4);
+      } else if (data.status !== 'incomplete') {
+        setSep24Step(3);
+      }
+      if (NOTIFY_STATUSES[data.status]) {
+        const toast = { id: `${data.id}-${data.status}`, status: data.status, message: data.message };
+        // A reconnect replays the current status - don't notify twice
+        setToasts((current) => (current.some((t) => t.id === toast.id) ? current : [...current, toast]));
+      }
+    });
+    source.addEventListener('poll_error', (event) => {
+      setSep24Error(new Error(JSON.parse(event.data).error));
+    });
+    source.addEventListener('done', () => source.close());
+
+    return () => source.close();
+  }, [transactionId, authToken, anchorId]);
+
+  // The latest renewal and expiry handlers, for timers set up once per token
+  // and for authRequest. A layout effect, so it is set before the panels'
+  // own effects make their first calls.
+  const lifecycle = useRef({});
+  useLayoutEffect(() => {
+    lifecycle.current = { renewSession, expireSession, withFreshToken };
+  });
+
+  // Authenticated calls for the panels: the selected anchor's JWT, renewed
+  // and retried once when it is refused, like startSep24 does
+  const authRequest = useCallback(
+    (path, options = {}) => lifecycle.current.withFreshToken((token) => apiRequest(path, { ...options, token, anchor: anchorId })),
+    [anchorId]
+  );
+
+  // Renew the JWT shortly before it runs out; if that fails, end the session
+  // when it does run out rather than letting the next call fail
+  useEffect(() => {
+    if (!tokenExpiresAt || SHARED_SESSION) {
+      return;
+    }
+    const expire = () => lifecycle.current.expireSession(
+      Object.assign(new Error('Your SEP-10 session has expired'), { code: 'TOKEN_EXPIRED' })
+    );
+    const untilExpiry = tokenExpiresAt - Date.now();
+    // Short-lived tokens renew halfway through instead of over and over
+    const renewTimer = setTimeout(() => {
+      lifecycle.current.renewSession().catch((err) => {
+        console.warn('SEP-10 renewal failed:', err.message);
+        if (Date.now() >= tokenExpiresAt) {
+          expire();
+        }
+      });
+    }, Math.max(0, untilExpiry / 2, untilExpiry - RENEW_BEFORE_EXPIRY_MS));
+    // A renewal still running (e.g. waiting on the wallet) decides instead
+    const expiryTimer = setTimeout(() => {
+      if (!renewal.current) {
+        expire();
+      }
+    }, Math.max(0, untilExpiry));
+    return () => {
+      clearTimeout(renewTimer);
+      clearTimeout(expiryTimer);
+    };
+  }, [tokenExpiresAt]);
+
+  // A locked quote fixes the amount (maybe in an off-chain asset): only the asset is checked
+  const transferAmount = lockedQuote ? '' : amount;
+  const depositProblem = transferProblem(sep24Info, 'deposit', assetCode, transferAmount);
+  const withdrawProblem = transferProblem(sep24Info, 'withdraw', assetCode, transferAmount);
 
   const sep24Steps = [
     'Get Transfer Info',
@@ -37,29 +299,70 @@ export default function StellarSEP10Auth() {
     'Complete'
   ];
 
+  // Every signature goes through the chosen signer; SEP-7 requests show up
+  // in the SigningRequest dialog until the wallet calls back
+  const signTransaction = async (xdr, networkPassphrase, description) => {
+    const controller = new AbortController();
+    signingAbort.current = controller;
+    try {
+      return await signer.sign(xdr, {
+        networkPassphrase,
+        publicKey,
+        secretKey,
+        description,
+        onRequest: setSigningRequest,
+        signal: controller.signal
+      });
+    } finally {
+      signingAbort.current = null;
+    }
+  };
+
+  const cancelSigning = () => signingAbort.current?.abort();
+
+  // Step 1: FE tells BE to get challenge from anchor. The backend looks up
+  // the account's signers and holds the challenge until enough have signed.
+  const openChallengeSession = async (anchor) => {
+    const data = await apiRequest('/api/sep10/get-challenge', {
+      body: challengeAccount(publicKey, { idType, userId }),
+      anchor,
+      fallbackError: 'Failed to get challenge'
+    });
+    const session = await apiRequest('/api/sep10/sessions', {
+      body: { transaction: data.transaction, networkPassphrase: data.network_passphrase },
+      anchor,
+      fallbackError: 'Failed to open signing session'
+    });
+    return { data, session };
+  };
+
+  // Steps 2 and 3: the user's signer signs the challenge - keys never reach
+  // the server. The session's passphrase is the backend's network, checked
+  // against the anchor. Once the signers' weight meets the threshold the BE
+  // adds the client_domain signature and submits to the anchor; until then
+  // the session has no token and waits for the other signers.
+  const signChallengeSession = async (anchor, session, description) => {
+    const signedTransaction = await signTransaction(session.transaction, session.networkPassphrase, description);
+    const signed = await apiRequest(`/api/sep10/sessions/${encodeURIComponent(session.id)}/signatures`, {
+      body: { signedTransaction, key: session.key },
+      anchor,
+      fallbackError: 'Failed to submit transaction'
+    });
+    return { ...signed, key: session.key };
+  };
+
   const handleGetChallenge = async () => {
     setLoading(true);
-    setError('');
+    setError(null);
     setStep(1);
 
     try {
-      // Step 1: FE tells BE to get challenge from anchor
-      const response = await fetch('/api/sep10/get-challenge', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ account: publicKey })
-      });
-
-      if (!response.ok) {
-        const errData = await response.json();
-        throw new Error(errData.error || 'Failed to get challenge');
-      }
-
-      const data = await response.json();
+      const { data, session } = await openChallengeSession(anchorId);
       setChallengeTx(data);
+      setSigningSession(session);
       setStep(2);
     } catch (err) {
-      setError(err.message);
+      setError(err);
       setStep(0);
     } finally {
       setLoading(false);
@@ -68,51 +371,46 @@ export default function StellarSEP10Auth() {
 
   const handleSignAndSubmit = async () => {
     setLoading(true);
-    setError('');
+    setError(null);
     setStep(3);
 
     try {
-      // Step 2: FE signs the transaction CLIENT-SIDE (NEVER send secret key to server!)
-      
-      // Determine network
-      let network;
-      if (challengeTx.network_passphrase.includes('Test')) {
-        network = StellarSdk.Networks.TESTNET;
-      } else if (challengeTx.network_passphrase.includes('Public')) {
-        network = StellarSdk.Networks.PUBLIC;
+      const session = await signChallengeSession(anchorId, signingSession, 'Sign in to the anchor (SEP-10)');
+      setSigningSession(session);
+
+      if (session.token) {
+        setAuthToken(session.token);
+        setStep(4);
       } else {
-        network = challengeTx.network_passphrase;
+        setStep(2);
       }
+    } catch (err) {
+      setError(err);
+      setStep(2);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      // Parse and sign transaction client-side
-      const txn = new StellarSdk.Transaction(challengeTx.transaction, network);
-      const keypair = StellarSdk.Keypair.fromSecret(secretKey);
-      txn.sign(keypair);
-      
-      const signedTransaction = txn.toEnvelope().toXDR('base64');
-
-      // Step 3: Send user-signed tx to BE, BE adds client_domain signature
-      // and submits to anchor
-      const submitResponse = await fetch('/api/sep10/submit', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          signedTransaction: signedTransaction,
-          networkPassphrase: challengeTx.network_passphrase
-        })
-      });
-
-      if (!submitResponse.ok) {
-        const errData = await submitResponse.json();
-        throw new Error(errData.error || 'Failed to submit transaction');
-      }
+  // Another signer of the account, here through a share link
+  const handleCoSign = async () => {
+    setLoading(true);
+    setError(null);
 
-      const { token } = await submitResponse.json();
-      setAuthToken(token);
-      setStep(4);
+    try {
+      const signedTransaction = await signTransaction(
+        signingSession.transaction,
+        signingSession.networkPassphrase,
+        `Co-sign a sign-in for ${signingSession.account} (SEP-10)`
+      );
+      const session = await apiRequest(`/api/sep10/sessions/${encodeURIComponent(signingSession.id)}/signatures`, {
+        body: { signedTransaction },
+        anchor: anchorId,
+        fallbackError: 'Failed to add signature'
+      });
+      setSigningSession(session);
     } catch (err) {
-      setError(err.message);
-      setStep(2);
+      setError(err);
     } finally {
       setLoading(false);
     }
@@ -121,56 +419,140 @@ export default function StellarSEP10Auth() {
   const reset = () => {
     setStep(0);
     setChallengeTx(null);
+    setSigningSession(null);
     setAuthToken('');
-    setError('');
+    setError(null);
     resetSep24();
   };
 
+  // Each anchor has its own SEP-10 session; SEP-24 state belongs to the old one
+  const selectAnchor = (id) => {
+    if (id === anchorId) {
+      return;
+    }
+    setAnchorId(id);
+    setSep24Info(null);
+    setStep(tokens[id] ? 4 : 0);
+    setChallengeTx(null);
+    setSigningSession(null);
+    setError(null);
+    resetSep24();
+  };
+
+  // The whole SEP-10 flow again with the configured signer, without the step
+  // UI. Concurrent callers share one renewal. Accounts that need other
+  // signers can't renew this way and get an error instead.
+  const renewSession = () => {
+    if (!renewal.current) {
+      const anchor = anchorId;
+      renewal.current = (async () => {
+        setRenewing(true);
+        try {
+          const { session } = await openChallengeSession(anchor);
+          const signed = await signChallengeSession(anchor, session, 'Renew your anchor session (SEP-10)');
+          if (!signed.token) {
+            throw new Error('This account needs signatures from its other signers: sign in again to collect them');
+          }
+          setTokens((current) => ({ ...current, [anchor]: signed.token }));
+          return signed.token;
+        } finally {
+          setRenewing(false);
+          renewal.current = null;
+        }
+      })();
+    }
+    return renewal.current;
+  };
+
+  // Run a call with the JWT; if it was refused as expired or invalid, renew
+  // once and retry. The caller's form state is untouched either way. When
+  // renewing fails the original token error is thrown.
+  const withFreshToken = async (call) => {
+    try {
+      return await call(authToken);
+    } catch (err) {
+      if (!isTokenError(err)) {
+        throw err;
+      }
+      let token;
+      try {
+        token = await renewSession();
+      } catch (renewError) {
+        console.warn('SEP-10 renewal failed:', renewError.message);
+        throw err;
+      }
+      return call(token);
+    }
+  };
+
+  // The backend or the anchor refused the JWT (expired, wrong issuer...) and
+  // it couldn't be renewed: sign in again, with the reason and a sign-in
+  // button in the error panel. SEP-24 state stays for when the user is back.
+  const expireSession = (err) => {
+    setAuthToken('');
+    setStep(0);
+    setChallengeTx(null);
+    setSigningSession(null);
+    setError(err);
+  };
+
+  const handleRenew = async () => {
+    setError(null);
+    try {
+      await renewSession();
+      setStep(4);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
   const resetSep24 = () => {
     setSep24Mode(null);
     setSep24Step(0);
-    setSep24Error('');
+    setSep24Error(null);
     setInteractiveUrl('');
     setTransactionId('');
     setTransactionStatus(null);
     setAmount('');
+    setLockedQuote(null);
   };
 
   const startSep24 = async (mode) => {
     setSep24Mode(mode);
     setSep24Loading(true);
-    setSep24Error('');
+    setSep24Error(null);
     setSep24Step(1);
 
+    // A locked SEP-38 quote fixes the amount to its sell side
+    const quote = lockedQuote?.mode === mode ? lockedQuote : null;
+
     try {
       // Step 1: Get transfer server info and initiate transaction
-      const response = await fetch('/api/sep24/start', {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authToken}`
-        },
-        body: JSON.stringify({
+      const data = await withFreshToken((token) => apiRequest('/api/sep24/start', {
+        body: {
           mode: mode,
           assetCode: assetCode,
-          amount: amount,
-          account: publicKey
-        })
-      });
-
-      if (!response.ok) {
-        const errData = await response.json();
-        throw new Error(errData.error || `Failed to start ${mode}`);
-      }
-
-      const data = await response.json();
+          amount: quote ? quote.quote.sell_amount : amount,
+          account: subject?.account || publicKey,
+          memo: subject?.memo || undefined,
+          quote_id: quote?.quote.id,
+          source_asset: quote && mode === 'deposit' ? quote.offChainAsset : undefined,
+          destination_asset: quote && mode === 'withdraw' ? quote.offChainAsset : undefined
+        },
+        token,
+        anchor: anchorId,
+        fallbackError: `Failed to start ${mode}`
+      }));
       setInteractiveUrl(data.url);
       setTransactionId(data.id);
       setSep24Step(2);
     } catch (err) {
-      setSep24Error(err.message);
       setSep24Step(0);
       setSep24Mode(null);
+      if (isTokenError(err)) {
+        return expireSession(err);
+      }
+      setSep24Error(err);
     } finally {
       setSep24Loading(false);
     }
@@ -178,26 +560,15 @@ export default function StellarSEP10Auth() {
 
   const checkTransactionStatus = async () => {
     setSep24Loading(true);
-    setSep24Error('');
+    setSep24Error(null);
 
     try {
-      const response = await fetch('/api/sep24/transaction', {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authToken}`
-        },
-        body: JSON.stringify({
-          id: transactionId
-        })
-      });
-
-      if (!response.ok) {
-        const errData = await response.json();
-        throw new Error(errData.error || 'Failed to get transaction status');
-      }
-
-      const data = await response.json();
+      const data = await withFreshToken((token) => apiRequest('/api/sep24/transaction', {
+        body: { id: transactionId },
+        token,
+        anchor: anchorId,
+        fallbackError: 'Failed to get transaction status'
+      }));
       setTransactionStatus(data);
       
       if (data.status === 'completed') {
@@ -206,7 +577,10 @@ export default function StellarSEP10Auth() {
         setSep24Step(3);
       }
     } catch (err) {
-      setSep24Error(err.message);
+      if (isTokenError(err)) {
+        return expireSession(err);
+      }
+      setSep24Error(err);
     } finally {
       setSep24Loading(false);
     }
@@ -214,73 +588,122 @@ export default function StellarSEP10Auth() {
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 p-8">
+      <StatusToasts toasts={toasts} onDismiss={dismissToast} />
+      <SigningRequest request={signingRequest} onCancel={cancelSigning} />
+      <ReadinessBanner />
       <div className="max-w-3xl mx-auto">
         <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-8 shadow-2xl border border-white/20">
           <h2 className="text-4xl font-bold text-white mb-2">
             Stellar SEP-10 Authentication
           </h2>
-          <p className="text-blue-200 mb-8">
+          <p className="text-blue-200 mb-4">
             Three-party signature flow with client_domain
           </p>
+          <NetworkBadge />
 
-          {/* Progress Steps */}
-          <div className="mb-8 flex items-center justify-between">
-            {steps.map((s, idx) => (
-              <React.Fragment key={idx}>
-                <div className="flex flex-col items-center">
-                  <div className={`w-10 h-10 rounded-full flex items-center justify-center font-bold transition-all ${
-                    step > idx ? 'bg-green-500 text-white' :
-                    step === idx ? 'bg-blue-500 text-white' :
-                    'bg-white/20 text-white/50'
-                  }`}>
-                    {step > idx ? '✓' : idx + 1}
-                  </div>
-                  <span className={`text-xs mt-2 ${
-                    step >= idx ? 'text-white' : 'text-white/50'
-                  }`}>
-                    {s}
-                  </span>
-                </div>
-                {idx < steps.length - 1 && (
-                  <div className={`flex-1 h-1 mx-2 rounded transition-all ${
-                    step > idx ? 'bg-green-500' : 'bg-white/20'
-                  }`} />
-                )}
-              </React.Fragment>
-            ))}
-          </div>
+          <AnchorPicker
+            anchors={anchors}
+            error={anchorsError}
+            selectedId={anchorId}
+            onSelect={selectAnchor}
+            authenticatedIds={Object.keys(tokens).filter((id) => tokens[id])}
+          />
+
+          {!SHARED_SESSION && (authToken || renewing) && (
+            <SessionTimer
+              expiresAt={tokenExpiresAt}
+              renewing={renewing}
+              renewBeforeMs={RENEW_BEFORE_EXPIRY_MS}
+              onRenew={handleRenew}
+            />
+          )}
 
-          {step === 0 && (
+          {SHARED_SESSION && (
             <div className="space-y-6">
-              <div>
-                <label className="block text-sm font-medium text-blue-100 mb-2">
-                  Stellar Public Key
-                </label>
-                <input
-                  type="text"
-                  value={publicKey}
-                  onChange={(e) => setPublicKey(e.target.value)}
-                  placeholder="GXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX"
-                  className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-400 font-mono text-sm"
-                />
+              <div className="bg-blue-500/20 border border-blue-500/50 rounded-lg p-4">
+                <p className="text-white font-medium">Co-sign a sign-in request</p>
+                <p className="text-blue-200 text-sm mt-1">
+                  {signingSession
+                    ? `${signingSession.memo ? `${signingSession.account} (memo ${signingSession.memo})` : signingSession.account} needs more signatures to sign in to this anchor. Sign with one of its keys.`
+                    : 'Loading the signing session...'}
+                </p>
               </div>
 
-              <div>
-                <label className="block text-sm font-medium text-blue-100 mb-2">
-                  Secret Key
-                </label>
-                <input
-                  type="password"
-                  value={secretKey}
-                  onChange={(e) => setSecretKey(e.target.value)}
-                  placeholder="SXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX"
-                  className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-400 font-mono text-sm"
+              {signingSession?.status === 'pending' && (
+                <SignerPicker
+                  signerId={signerId}
+                  onSignerChange={setSignerId}
+                  publicKey={publicKey}
+                  onPublicKeyChange={setPublicKey}
+                  secretKey={secretKey}
+                  onSecretKeyChange={setSecretKey}
                 />
-              </div>
+              )}
+
+              {signingSession && (
+                <SigningSession
+                  session={signingSession}
+                  publicKey={publicKey}
+                  onSign={handleCoSign}
+                  signing={loading}
+                  canSign={Boolean(publicKey) && (!signer.needsSecret || Boolean(secretKey))}
+                  signLabel="Add My Signature"
+                />
+              )}
+            </div>
+          )}
+
+          {/* Progress Steps */}
+          {!SHARED_SESSION && (
+            <div className="mb-8 flex items-center justify-between">
+              {steps.map((s, idx) => (
+                <React.Fragment key={idx}>
+                  <div className="flex flex-col items-center">
+                    <div className={`w-10 h-10 rounded-full flex items-center justify-center font-bold transition-all ${
+                      step > idx ? 'bg-green-500 text-white' :
+                      step === idx ? 'bg-blue-500 text-white' :
+                      'bg-white/20 text-white/50'
+                    }`}>
+                      {step > idx ? '✓' : idx + 1}
+                    </div>
+                    <span className={`text-xs mt-2 ${
+                      step >= idx ? 'text-white' : 'text-white/50'
+                    }`}>
+                      {s}
+                    </span>
+                  </div>
+                  {idx < steps.length - 1 && (
+                    <div className={`flex-1 h-1 mx-2 rounded transition-all ${
+                      step > idx ? 'bg-green-500' : 'bg-white/20'
+                    }`} />
+                  )}
+                </React.Fragment>
+              ))}
+            </div>
+          )}
+
+          {!SHARED_SESSION && step === 0 && (
+            <div className="space-y-6">
+              <SignerPicker
+                signerId={signerId}
+                onSignerChange={setSignerId}
+                publicKey={publicKey}
+                onPublicKeyChange={setPublicKey}
+                secretKey={secretKey}
+                onSecretKeyChange={setSecretKey}
+              />
+
+              <UserIdentity
+                publicKey={publicKey}
+                idType={idType}
+                onIdTypeChange={setIdType}
+                userId={userId}
+                onUserIdChange={setUserId}
+              />
 
               <button
                 onClick={handleGetChallenge}
-                disabled={loading || !publicKey || !secretKey}
+                disabled={loading || !anchorId || !publicKey || (signer.needsSecret && !secretKey) || (idType !== 'none' && !isValidUserId(userId))}
                 className="w-full py-4 bg-gradient-to-r from-blue-500 to-purple-600 text-white font-semibold rounded-lg hover:from-blue-600 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center space-x-2"
               >
                 {loading ? (
@@ -298,7 +721,7 @@ export default function StellarSEP10Auth() {
             </div>
           )}
 
-          {step === 2 && challengeTx && (
+          {step === 2 && challengeTx && signingSession && (
             <div className="space-y-6">
               <div className="bg-green-500/20 border border-green-500/50 rounded-lg p-4">
                 <div className="flex items-start space-x-3">
@@ -319,23 +742,24 @@ export default function StellarSEP10Auth() {
                 </div>
               </div>
 
-              <button
-                onClick={handleSignAndSubmit}
-                disabled={loading}
-                className="w-full py-4 bg-gradient-to-r from-green-500 to-blue-600 text-white font-semibold rounded-lg hover:from-green-600 hover:to-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center space-x-2"
-              >
-                {loading ? (
-                  <>
-                    <Loader2 className="w-5 h-5 animate-spin" />
-                    <span>Signing & Submitting...</span>
-                  </>
-                ) : (
-                  <>
-                    <span>Sign & Submit</span>
-                    <ArrowRight className="w-5 h-5" />
-                  </>
-                )}
-              </button>
+              <SigningSession
+                session={signingSession}
+                publicKey={publicKey}
+                shareUrl={`${window.location.origin}${window.location.pathname}?sep10_session=${signingSession.id}&anchor=${encodeURIComponent(anchorId)}`}
+                onSign={handleSignAndSubmit}
+                signing={loading}
+                canSign
+                signLabel="Sign & Submit"
+              />
+
+              {signingSession.status === 'failed' && (
+                <button
+                  onClick={reset}
+                  className="w-full py-3 bg-white/10 border border-white/20 text-white font-semibold rounded-lg hover:bg-white/20 transition-all duration-200"
+                >
+                  Start Over
+                </button>
+              )}
             </div>
           )}
 
@@ -349,6 +773,9 @@ export default function StellarSEP10Auth() {
                 <p className="text-green-200">
                   All signatures verified by anchor
                 </p>
+                {subject && (
+                  <p className="text-white/80 text-sm font-mono mt-2">Signed in as {describeSubject(subject)}</p>
+                )}
               </div>
 
               <div className="bg-white/5 border border-white/20 rounded-lg p-4">
@@ -367,15 +794,7 @@ export default function StellarSEP10Auth() {
             </div>
           )}
 
-          {error && (
-            <div className="mt-6 p-4 bg-red-500/20 border border-red-500/50 rounded-lg flex items-start space-x-3">
-              <AlertCircle className="w-5 h-5 text-red-300 flex-shrink-0 mt-0.5" />
-              <div className="flex-1">
-                <p className="text-white font-medium">Error</p>
-                <p className="text-red-200 text-sm mt-1">{error}</p>
-              </div>
-            </div>
-          )}
+          <ErrorPanel error={error} onReauthenticate={handleRenew} />
         </div>
 
         <div className="mt-6 bg-white/5 backdrop-blur rounded-lg p-4 border border-white/10">
@@ -384,7 +803,7 @@ export default function StellarSEP10Auth() {
           </p>
           <ol className="text-xs text-blue-300 space-y-1 ml-4">
             <li>1. Backend requests challenge from Anchor (Anchor signs)</li>
-            <li>2. Frontend signs transaction CLIENT-SIDE (secret never leaves browser)</li>
+            <li>2. Your wallet signs the transaction (extension, SEP-7 wallet app, or a dev-only secret key)</li>
             <li>3. Backend adds client_domain signature</li>
             <li>4. Anchor verifies all signatures and returns JWT token</li>
           </ol>
@@ -398,6 +817,9 @@ export default function StellarSEP10Auth() {
             </h2>
             <p className="text-blue-200 mb-6">
               Deposit and withdraw assets using interactive flow
+              {subject && (subject.memo !== null || subject.muxedId !== null) && (
+                <span className="block text-white/70 text-sm font-mono mt-1">as {describeSubject(subject)}</span>
+              )}
             </p>
 
             {!sep24Mode ? (
@@ -406,13 +828,25 @@ export default function StellarSEP10Auth() {
                   <label className="block text-sm font-medium text-blue-100 mb-2">
                     Asset Code
                   </label>
-                  <input
-                    type="text"
-                    value={assetCode}
-                    onChange={(e) => setAssetCode(e.target.value.toUpperCase())}
-                    placeholder="USDC"
-                    className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-400"
-                  />
+                  {sep24Info && infoAssetCodes(sep24Info).length > 0 ? (
+                    <select
+                      value={assetCode}
+                      onChange={(e) => setAssetCode(e.target.value)}
+                      className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-400"
+                    >
+                      {infoAssetCodes(sep24Info).map((code) => (
+                        <option key={code} value={code} className="bg-indigo-950">{code}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type="text"
+                      value={assetCode}
+                      onChange={(e) => setAssetCode(e.target.value.toUpperCase())}
+                      placeholder="USDC"
+                      className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-400"
+                    />
+                  )}
                 </div>
 
                 <div>
@@ -428,10 +862,22 @@ export default function StellarSEP10Auth() {
                   />
                 </div>
 
+                <TransferLimits info={sep24Info} error={sep24InfoError} assetCode={assetCode} />
+
+                <QuotePreview
+                  key={anchorId}
+                  anchorId={anchorId}
+                  authRequest={authRequest}
+                  assetCode={assetCode}
+                  amount={amount}
+                  onQuoteChange={handleQuoteChange}
+                />
+
                 <div className="grid grid-cols-2 gap-4">
                   <button
                     onClick={() => startSep24('deposit')}
-                    disabled={sep24Loading || !assetCode}
+                    disabled={sep24Loading || !assetCode || lockedQuote?.mode === 'withdraw' || Boolean(depositProblem)}
+                    title={depositProblem || undefined}
                     className="py-4 bg-gradient-to-r from-green-500 to-emerald-600 text-white font-semibold rounded-lg hover:from-green-600 hover:to-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center space-x-2"
                   >
                     <ArrowDownToLine className="w-5 h-5" />
@@ -440,13 +886,22 @@ export default function StellarSEP10Auth() {
 
                   <button
                     onClick={() => startSep24('withdraw')}
-                    disabled={sep24Loading || !assetCode}
+                    disabled={sep24Loading || !assetCode || lockedQuote?.mode === 'deposit' || Boolean(withdrawProblem)}
+                    title={withdrawProblem || undefined}
                     className="py-4 bg-gradient-to-r from-orange-500 to-red-600 text-white font-semibold rounded-lg hover:from-orange-600 hover:to-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center space-x-2"
                   >
                     <ArrowUpFromLine className="w-5 h-5" />
                     <span>Withdraw</span>
                   </button>
                 </div>
+
+                {(depositProblem || withdrawProblem) && (
+                  <ul className="text-xs text-red-200 space-y-1">
+                    {[...new Set([depositProblem, withdrawProblem].filter(Boolean))].map((problem) => (
+                      <li key={problem}>{problem}</li>
+                    ))}
+                  </ul>
+                )}
               </div>
             ) : (
               <div className="space-y-6">
@@ -498,14 +953,13 @@ export default function StellarSEP10Auth() {
                       </div>
                     </div>
 
-                    <a
-                      href={interactiveUrl}
-                      target="_blank"
-                      rel="noopener noreferrer"
-                      className="block w-full py-4 bg-gradient-to-r from-blue-500 to-purple-600 text-white font-semibold rounded-lg hover:from-blue-600 hover:to-purple-700 transition-all duration-200 text-center"
-                    >
-                      Open Interactive Flow →
-                    </a>
+                    {/* The anchor's postMessage only says the user is done; the status comes from the anchor */}
+                    <InteractiveFlow
+                      url={interactiveUrl}
+                      transactionId={transactionId}
+                      onComplete={checkTransactionStatus}
+                      onClosed={checkTransactionStatus}
+                    />
 
                     <button
                       onClick={checkTransactionStatus}
@@ -564,9 +1018,43 @@ export default function StellarSEP10Auth() {
                         {transactionStatus.started_at && (
                           <div>Started: {new Date(transactionStatus.started_at).toLocaleString()}</div>
                         )}
+                        {(transactionStatus.stellar_transaction_id || transactionStatus.client_payment) && (
+                          <div className="break-all">
+                            Stellar tx: {transactionStatus.stellar_transaction_id || transactionStatus.client_payment.hash}
+                          </div>
+                        )}
                       </div>
                     </div>
 
+                    {transactionStatus.kind === 'withdrawal' &&
+                      transactionStatus.status === 'pending_user_transfer_start' &&
+                      !transactionStatus.client_payment && (
+                      <>
+                        {/* The secret key is gone after a reload: let the user
+                            enter it again or pick another signer for the payment */}
+                        {signer.needsSecret && (
+                          <SignerPicker
+                            signerId={signerId}
+                            onSignerChange={setSignerId}
+                            publicKey={publicKey}
+                            onPublicKeyChange={setPublicKey}
+                            publicKeyLocked
+                            secretKey={secretKey}
+                            onSecretKeyChange={setSecretKey}
+                          />
+                        )}
+                        <WithdrawPayment
+                          authRequest={authRequest}
+                          publicKey={publicKey}
+                          signTransaction={signTransaction}
+                          canSign={!signer.needsSecret || Boolean(secretKey)}
+                          transaction={transactionStatus}
+                          assetCode={assetCode}
+                          onSubmitted={checkTransactionStatus}
+                        />
+                      </>
+                    )}
+
                     {transactionStatus.status !== 'completed' && (
                       <button
                         onClick={checkTransactionStatus}
@@ -598,18 +1086,27 @@ export default function StellarSEP10Auth() {
               </div>
             )}
 
-            {sep24Error && (
-              <div className="mt-4 p-4 bg-red-500/20 border border-red-500/50 rounded-lg flex items-start space-x-3">
-                <AlertCircle className="w-5 h-5 text-red-300 flex-shrink-0 mt-0.5" />
-                <div className="flex-1">
-                  <p className="text-white font-medium">Error</p>
-                  <p className="text-red-200 text-sm mt-1">{sep24Error}</p>
-                </div>
-              </div>
-            )}
+            <ErrorPanel
+              error={sep24Error}
+              onReauthenticate={handleRenew}
+              onRetry={sep24Step >= 2 ? checkTransactionStatus : null}
+              className="mt-4"
+            />
           </div>
         )}
 
+        {authToken && (
+          <TransactionHistory key={anchorId} authRequest={authRequest} defaultAssetCode={assetCode} />
+        )}
+
+        {authToken && subject && (
+          <Sep6Panel key={anchorId} anchorId={anchorId} authRequest={authRequest} subject={subject} />
+        )}
+
+        {authToken && subject && (
+          <CustomerProfile key={`${anchorId}:${subject.sub}`} authRequest={authRequest} subject={subject} />
+        )}
+
         <div className="mt-6 bg-white/5 backdrop-blur rounded-lg p-4 border border-white/10">
           {!authToken ? (
             <>
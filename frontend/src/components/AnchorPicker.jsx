@@ -0,0 +1,73 @@
+import React from 'react';
+import { AlertCircle, Building2, CheckCircle, Loader2 } from 'lucide-react';
+
+// The anchors configured in the backend registry, described from their
+// stellar.toml ([DOCUMENTATION] and [[CURRENCIES]]). Each anchor keeps its own
+// JWT, so switching back to one you've authenticated with needs no new SEP-10.
+export default function AnchorPicker({ anchors, error, selectedId, onSelect, authenticatedIds }) {
+  if (error) {
+    return (
+      <div className="mb-6 p-4 bg-red-500/20 border border-red-500/50 rounded-lg flex items-start space-x-3">
+        <AlertCircle className="w-5 h-5 text-red-300 flex-shrink-0 mt-0.5" />
+        <p className="text-red-200 text-sm">{error}</p>
+      </div>
+    );
+  }
+
+  if (!anchors) {
+    return (
+      <div className="mb-6 flex items-center text-white/70 text-sm">
+        <Loader2 className="w-4 h-4 animate-spin mr-2" />
+        <span>Loading anchors...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-8 grid grid-cols-1 md:grid-cols-2 gap-3">
+      {anchors.map((anchor) => (
+        <button
+          key={anchor.id}
+          type="button"
+          onClick={() => onSelect(anchor.id)}
+          className={`text-left p-4 rounded-lg border transition-all ${
+            anchor.id === selectedId
+              ? 'bg-blue-500/30 border-blue-300'
+              : 'bg-white/5 border-white/20 hover:bg-white/10'
+          }`}
+        >
+          <div className="flex items-center space-x-3">
+            {anchor.logo ? (
+              <img src={anchor.logo} alt="" className="w-10 h-10 rounded bg-white/10 object-contain flex-shrink-0" />
+            ) : (
+              <Building2 className="w-10 h-10 text-white/50 flex-shrink-0" />
+            )}
+            <div className="min-w-0 flex-1">
+              <p className="text-white font-medium truncate">{anchor.name}</p>
+              <p className="text-blue-200 text-xs truncate">{anchor.homeDomain}</p>
+            </div>
+            {authenticatedIds.includes(anchor.id) && (
+              <CheckCircle className="w-5 h-5 text-green-300 flex-shrink-0" title="Authenticated" />
+            )}
+          </div>
+
+          {anchor.error ? (
+            <p className="text-red-200 text-xs mt-3">{anchor.error}</p>
+          ) : (
+            <div className="flex flex-wrap gap-1 mt-3">
+              {anchor.currencies.map((currency) => (
+                <span
+                  key={`${currency.code}:${currency.issuer}`}
+                  title={currency.issuer || 'native'}
+                  className="px-2 py-0.5 bg-white/10 rounded text-xs text-white/80 font-mono"
+                >
+                  {currency.code}
+                </span>
+              ))}
+            </div>
+          )}
+        </button>
+      ))}
+    </div>
+  );
+}
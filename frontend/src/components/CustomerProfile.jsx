@@ -0,0 +1,306 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, CheckCircle, Loader2, Clock, UserCheck, XCircle, Trash2 } from 'lucide-react';
+
+const inputClass = 'w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-400';
+const labelClass = 'block text-sm font-medium text-blue-100 mb-2';
+
+const STATUS_STYLES = {
+  ACCEPTED: { box: 'bg-green-500/20 border-green-500/50', text: 'text-green-200', Icon: CheckCircle },
+  PROCESSING: { box: 'bg-yellow-500/20 border-yellow-500/50', text: 'text-yellow-200', Icon: Clock },
+  NEEDS_INFO: { box: 'bg-blue-500/20 border-blue-500/50', text: 'text-blue-200', Icon: AlertCircle },
+  REJECTED: { box: 'bg-red-500/20 border-red-500/50', text: 'text-red-200', Icon: XCircle },
+};
+
+const STATUS_MESSAGES = {
+  ACCEPTED: 'The anchor has approved your information.',
+  PROCESSING: 'The anchor is reviewing your information.',
+  NEEDS_INFO: 'The anchor needs more information before you can transact.',
+  REJECTED: 'The anchor has rejected this customer. Contact the anchor for details.',
+};
+
+// SEP-12: KYC profile. Renders whatever fields the anchor asks for and only
+// sends back the ones that are missing or were rejected.
+export default function CustomerProfile({ authRequest, subject }) {
+  const [customer, setCustomer] = useState(null);
+  const [values, setValues] = useState({});
+  const [codes, setCodes] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadCustomer = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await authRequest('/api/sep12/customer', {
+        method: 'GET',
+        fallbackError: 'Failed to load customer'
+      });
+      setCustomer(data);
+      setValues({});
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [authRequest]);
+
+  useEffect(() => {
+    loadCustomer();
+  }, [loadCustomer]);
+
+  const providedFields = customer?.provided_fields || {};
+
+  // Missing fields plus anything the anchor rejected
+  const editableFields = {
+    ...customer?.fields,
+    ...Object.fromEntries(Object.entries(providedFields).filter(([, field]) => field.status === 'REJECTED'))
+  };
+  const pendingVerification = Object.entries(providedFields)
+    .filter(([, field]) => field.status === 'VERIFICATION_REQUIRED');
+  const reviewedFields = Object.entries(providedFields)
+    .filter(([, field]) => !['REJECTED', 'VERIFICATION_REQUIRED'].includes(field.status));
+
+  const submit = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const form = new FormData();
+      if (customer?.id) {
+        form.append('id', customer.id);
+      }
+      // Text fields first: SEP-12 asks for binary fields at the end
+      const entries = Object.entries(values).filter(([, value]) => value !== '' && value !== undefined);
+      for (const [name, value] of entries.filter(([, value]) => !(value instanceof File))) {
+        form.append(name, value);
+      }
+      for (const [name, value] of entries.filter(([, value]) => value instanceof File)) {
+        form.append(name, value, value.name);
+      }
+
+      await authRequest('/api/sep12/customer', {
+        method: 'PUT',
+        body: form,
+        fallbackError: 'Failed to update customer'
+      });
+      await loadCustomer();
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  const verify = async (name) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await authRequest('/api/sep12/customer/verification', {
+        method: 'PUT',
+        body: { id: customer.id, [`${name}_verification`]: codes[name] },
+        fallbackError: 'Verification failed'
+      });
+      setCustomer(data);
+      setCodes({ ...codes, [name]: '' });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const deleteCustomer = async () => {
+    if (!window.confirm('Delete all KYC data the anchor holds for this account?')) {
+      return;
+    }
+    setLoading(true);
+    setError('');
+
+    try {
+      // The JWT subject's record: a shared account's user is picked by memo
+      await authRequest(`/api/sep12/customer/${encodeURIComponent(subject.account)}`, {
+        method: 'DELETE',
+        body: subject.memo ? { memo: subject.memo, memo_type: 'id' } : undefined,
+        fallbackError: 'Failed to delete customer'
+      });
+      await loadCustomer();
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  const renderInput = (name, field) => {
+    const setValue = (value) => setValues({ ...values, [name]: value });
+
+    if (field.type === 'binary') {
+      return (
+        <input
+          type="file"
+          onChange={(e) => setValue(e.target.files[0])}
+          className="w-full text-sm text-white/70 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-white/20 file:text-white"
+        />
+      );
+    }
+    if (field.choices) {
+      return (
+        <select value={values[name] || ''} onChange={(e) => setValue(e.target.value)} className={inputClass}>
+          <option value="">Select...</option>
+          {field.choices.map((choice) => (
+            <option key={choice} value={choice}>{choice}</option>
+          ))}
+        </select>
+      );
+    }
+    return (
+      <input
+        type={field.type === 'date' ? 'date' : field.type === 'number' ? 'number' : 'text'}
+        value={values[name] || ''}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={field.description}
+        className={inputClass}
+      />
+    );
+  };
+
+  const statusStyle = STATUS_STYLES[customer?.status] || STATUS_STYLES.NEEDS_INFO;
+
+  return (
+    <div className="mt-6 bg-white/10 backdrop-blur-lg rounded-2xl p-8 shadow-2xl border border-white/20">
+      <h2 className="text-3xl font-bold text-white mb-2">
+        KYC Profile
+      </h2>
+      <p className="text-blue-200 mb-6">
+        SEP-12 customer information held by the anchor
+      </p>
+
+      {!customer && loading && (
+        <div className="flex items-center justify-center text-white/70 py-6">
+          <Loader2 className="w-5 h-5 animate-spin mr-2" />
+          <span>Loading profile...</span>
+        </div>
+      )}
+
+      {customer && (
+        <div className="space-y-6">
+          <div className={`rounded-lg p-4 border ${statusStyle.box}`}>
+            <div className="flex items-start space-x-3">
+              <statusStyle.Icon className={`w-5 h-5 flex-shrink-0 mt-0.5 ${statusStyle.text}`} />
+              <div>
+                <p className="text-white font-medium">Status: {customer.status}</p>
+                <p className={`text-sm mt-1 ${statusStyle.text}`}>
+                  {customer.message || STATUS_MESSAGES[customer.status]}
+                </p>
+              </div>
+            </div>
+          </div>
+
+          {reviewedFields.length > 0 && (
+            <div className="bg-white/5 border border-white/20 rounded-lg p-4">
+              <p className="text-blue-100 text-sm font-medium mb-2">Submitted:</p>
+              <div className="bg-black/30 p-3 rounded font-mono text-xs text-white/70 space-y-1">
+                {reviewedFields.map(([name, field]) => (
+                  <div key={name} className="flex justify-between">
+                    <span>{name}</span>
+                    <span>{field.status}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {pendingVerification.map(([name, field]) => (
+            <div key={name}>
+              <label className={labelClass}>
+                Verification code for {field.description || name}
+              </label>
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  value={codes[name] || ''}
+                  onChange={(e) => setCodes({ ...codes, [name]: e.target.value })}
+                  placeholder="Code sent by the anchor"
+                  className={inputClass}
+                />
+                <button
+                  onClick={() => verify(name)}
+                  disabled={loading || !codes[name]}
+                  className="px-6 bg-blue-500 text-white font-semibold rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+                >
+                  Verify
+                </button>
+              </div>
+            </div>
+          ))}
+
+          {Object.keys(editableFields).length > 0 && (
+            <div className="space-y-4">
+              {Object.entries(editableFields).map(([name, field]) => (
+                <div key={name}>
+                  <label className={labelClass}>
+                    {field.description || name}
+                    {field.optional && ' (optional)'}
+                  </label>
+                  {field.status === 'REJECTED' && (
+                    <p className="text-red-200 text-xs mb-2">
+                      Rejected{field.error ? `: ${field.error}` : ''}
+                    </p>
+                  )}
+                  {renderInput(name, field)}
+                </div>
+              ))}
+
+              <button
+                onClick={submit}
+                disabled={loading || Object.keys(values).length === 0}
+                className="w-full py-4 bg-gradient-to-r from-blue-500 to-purple-600 text-white font-semibold rounded-lg hover:from-blue-600 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center space-x-2"
+              >
+                {loading ? (
+                  <>
+                    <Loader2 className="w-5 h-5 animate-spin" />
+                    <span>Submitting...</span>
+                  </>
+                ) : (
+                  <>
+                    <UserCheck className="w-5 h-5" />
+                    <span>Submit Information</span>
+                  </>
+                )}
+              </button>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <button
+              onClick={loadCustomer}
+              disabled={loading}
+              className="py-3 bg-white/10 border border-white/20 text-white font-semibold rounded-lg hover:bg-white/20 transition-all duration-200 flex items-center justify-center space-x-2"
+            >
+              <Clock className="w-5 h-5" />
+              <span>Refresh Status</span>
+            </button>
+            <button
+              onClick={deleteCustomer}
+              disabled={loading || !customer.id}
+              className="py-3 bg-white/10 border border-red-500/50 text-red-200 font-semibold rounded-lg hover:bg-red-500/20 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center space-x-2"
+            >
+              <Trash2 className="w-5 h-5" />
+              <span>Delete KYC Data</span>
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="mt-4 p-4 bg-red-500/20 border border-red-500/50 rounded-lg flex items-start space-x-3">
+          <AlertCircle className="w-5 h-5 text-red-300 flex-shrink-0 mt-0.5" />
+          <div className="flex-1">
+            <p className="text-white font-medium">Error</p>
+            <p className="text-red-200 text-sm mt-1">{error}</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { AlertCircle, LogIn, RotateCw } from 'lucide-react';
+import { describeApiError } from '../lib/errors';
+
+const formatDetails = (details) => (typeof details === 'string' ? details : JSON.stringify(details, null, 2));
+
+// A failed request: what happened, what to do next and, for the curious, what
+// the anchor or Horizon actually answered. onReauthenticate and onRetry are
+// offered when the error code calls for them.
+export default function ErrorPanel({ error, onReauthenticate, onRetry, className = 'mt-6' }) {
+  const [showDetails, setShowDetails] = useState(false);
+  const help = describeApiError(error);
+  if (!help) {
+    return null;
+  }
+
+  const details = error.data?.details;
+  const upstream = error.data?.upstream;
+  const action = help.action === 'reauthenticate' ? onReauthenticate : help.action === 'retry' ? onRetry : null;
+
+  return (
+    <div className={`${className} p-4 bg-red-500/20 border border-red-500/50 rounded-lg flex items-start space-x-3`}>
+      <AlertCircle className="w-5 h-5 text-red-300 flex-shrink-0 mt-0.5" />
+      <div className="flex-1 min-w-0">
+        <p className="text-white font-medium">
+          {help.title}
+          {help.code && <span className="ml-2 text-xs font-mono text-red-300">{help.code}</span>}
+        </p>
+        <p className="text-red-200 text-sm mt-1 break-words">{help.message}</p>
+        {help.hint && <p className="text-red-100/80 text-sm mt-2">{help.hint}</p>}
+
+        {action && (
+          <button
+            onClick={action}
+            className="mt-3 inline-flex items-center space-x-2 px-3 py-1.5 bg-white/10 border border-white/20 text-white text-sm font-medium rounded-lg hover:bg-white/20 transition-all duration-200"
+          >
+            {help.action === 'reauthenticate' ? <LogIn className="w-4 h-4" /> : <RotateCw className="w-4 h-4" />}
+            <span>{help.action === 'reauthenticate' ? 'Sign in again' : 'Try again'}</span>
+          </button>
+        )}
+
+        {(details || upstream) && (
+          <div className="mt-3">
+            <button onClick={() => setShowDetails((shown) => !shown)} className="text-xs text-red-200 underline">
+              {showDetails ? 'Hide details' : 'Show details'}
+            </button>
+            {showDetails && (
+              <div className="mt-2 text-xs text-red-100/80 space-y-1">
+                {upstream && (
+                  <p>
+                    {upstream.service === 'horizon' ? 'Horizon' : 'Anchor'} answered{' '}
+                    {upstream.status ? `HTTP ${upstream.status}` : 'nothing'}
+                  </p>
+                )}
+                {details && (
+                  <pre className="bg-black/30 rounded p-2 overflow-x-auto whitespace-pre-wrap break-words">
+                    {formatDetails(details)}
+                  </pre>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
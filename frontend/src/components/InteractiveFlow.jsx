@@ -0,0 +1,159 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AppWindow, ExternalLink, Loader2, PanelTop } from 'lucide-react';
+
+const MODES = [
+  { id: 'iframe', label: 'Embedded', icon: PanelTop },
+  { id: 'popup', label: 'Popup', icon: AppWindow },
+  { id: 'tab', label: 'New tab', icon: ExternalLink }
+];
+
+const POPUP_FEATURES = 'popup,width=520,height=760';
+
+// SEP-24 callback=postMessage: the anchor's page posts the transaction to
+// its parent (iframe) or opener (popup) when the user is done
+const withPostMessageCallback = (url) => {
+  const parsed = new URL(url);
+  parsed.searchParams.set('callback', 'postMessage');
+  return parsed.toString();
+};
+
+// The anchor's interactive page, shown inside the app (iframe), in a popup we
+// keep track of, or in a new tab for anchors that refuse to be framed. The
+// first two report completion with postMessage; a closed popup or a manual
+// status check covers anchors that never post.
+export default function InteractiveFlow({ url, transactionId, onComplete, onClosed }) {
+  const [mode, setMode] = useState('iframe');
+  const [popupOpen, setPopupOpen] = useState(false);
+  const popup = useRef(null);
+  const handlers = useRef({ onComplete, onClosed });
+  const callbackUrl = withPostMessageCallback(url);
+
+  useEffect(() => {
+    handlers.current = { onComplete, onClosed };
+  });
+
+  // Only messages from the anchor's origin about this transaction count
+  useEffect(() => {
+    const anchorOrigin = new URL(url).origin;
+    const receive = (event) => {
+      if (event.origin !== anchorOrigin) {
+        return;
+      }
+      let data = event.data;
+      if (typeof data === 'string') {
+        try {
+          data = JSON.parse(data);
+        } catch {
+          return;
+        }
+      }
+      const transaction = data?.transaction;
+      if (!transaction || transaction.id !== transactionId) {
+        return;
+      }
+      popup.current?.close();
+      handlers.current.onComplete(transaction);
+    };
+
+    window.addEventListener('message', receive);
+    return () => window.removeEventListener('message', receive);
+  }, [url, transactionId]);
+
+  // Notice when the user closes the popup without the anchor posting
+  useEffect(() => {
+    if (!popupOpen) {
+      return;
+    }
+    const timer = setInterval(() => {
+      if (!popup.current || popup.current.closed) {
+        popup.current = null;
+        setPopupOpen(false);
+        handlers.current.onClosed();
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [popupOpen]);
+
+  useEffect(() => () => popup.current?.close(), []);
+
+  const openPopup = () => {
+    if (popup.current && !popup.current.closed) {
+      popup.current.focus();
+      return;
+    }
+    popup.current = window.open(callbackUrl, 'sep24-interactive', POPUP_FEATURES);
+    setPopupOpen(Boolean(popup.current));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-2">
+        {MODES.map((option) => (
+          <button
+            key={option.id}
+            type="button"
+            onClick={() => setMode(option.id)}
+            className={`py-2 px-3 rounded-lg border text-sm font-medium transition-all flex items-center justify-center space-x-2 ${
+              option.id === mode
+                ? 'bg-blue-500/40 border-blue-300 text-white'
+                : 'bg-white/5 border-white/20 text-white/70 hover:bg-white/10'
+            }`}
+          >
+            <option.icon className="w-4 h-4" />
+            <span>{option.label}</span>
+          </button>
+        ))}
+      </div>
+
+      {mode === 'iframe' && (
+        <>
+          <iframe
+            src={callbackUrl}
+            title="Anchor interactive flow"
+            sandbox="allow-scripts allow-forms allow-same-origin allow-popups"
+            className="w-full h-[600px] rounded-lg bg-white border border-white/20"
+          />
+          <p className="text-white/60 text-xs">
+            Blank or refused? The anchor doesn't allow embedding - use the popup or a new tab.
+          </p>
+        </>
+      )}
+
+      {mode === 'popup' && (
+        <button
+          type="button"
+          onClick={openPopup}
+          className="w-full py-4 bg-gradient-to-r from-blue-500 to-purple-600 text-white font-semibold rounded-lg hover:from-blue-600 hover:to-purple-700 transition-all duration-200 flex items-center justify-center space-x-2"
+        >
+          {popupOpen ? (
+            <>
+              <Loader2 className="w-5 h-5 animate-spin" />
+              <span>Waiting for the anchor - show popup</span>
+            </>
+          ) : (
+            <>
+              <AppWindow className="w-5 h-5" />
+              <span>Open Interactive Flow in a Popup</span>
+            </>
+          )}
+        </button>
+      )}
+
+      {mode === 'tab' && (
+        <>
+          <a
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="block w-full py-4 bg-gradient-to-r from-blue-500 to-purple-600 text-white font-semibold rounded-lg hover:from-blue-600 hover:to-purple-700 transition-all duration-200 text-center"
+          >
+            Open Interactive Flow →
+          </a>
+          <p className="text-white/60 text-xs">
+            A separate tab can't report back; status updates arrive from the anchor instead.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
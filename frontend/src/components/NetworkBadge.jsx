@@ -0,0 +1,53 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle, Globe } from 'lucide-react';
+import { apiRequest } from '../lib/api';
+
+// The network the backend is configured for. Every challenge and payment is
+// signed for it, so mainnet gets a warning nobody can miss.
+export default function NetworkBadge() {
+  const [network, setNetwork] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    apiRequest('/api/network', { method: 'GET' })
+      .then((data) => {
+        if (!cancelled) {
+          setNetwork(data);
+        }
+      })
+      // The readiness banner already reports a backend we can't reach
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (!network) {
+    return null;
+  }
+
+  return (
+    <div className="mb-6 space-y-3">
+      <div
+        title={`${network.passphrase}\n${network.horizonUrl}`}
+        className={`inline-flex items-center space-x-2 px-3 py-1 rounded-full border text-sm font-medium ${
+          network.mainnet
+            ? 'bg-red-500/30 border-red-400 text-red-100'
+            : 'bg-white/10 border-white/20 text-blue-100'
+        }`}
+      >
+        <Globe className="w-4 h-4" />
+        <span>{network.name}</span>
+      </div>
+      {network.mainnet && (
+        <div className="bg-red-500/20 border border-red-500/50 rounded-lg p-4 flex items-start space-x-3">
+          <AlertTriangle className="w-5 h-5 text-red-300 flex-shrink-0 mt-0.5" />
+          <p className="text-red-200 text-sm">
+            This app is on the Stellar <span className="font-semibold">public network</span>. Deposits,
+            withdrawals and payments you sign here move real funds.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
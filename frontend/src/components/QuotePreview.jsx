@@ -0,0 +1,187 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { AlertCircle, Loader2, Lock, RefreshCw } from 'lucide-react';
+import { apiRequest } from '../lib/api';
+
+const inputClass = 'w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-400';
+const labelClass = 'block text-sm font-medium text-blue-100 mb-2';
+
+const assetLabel = (asset) => asset.split(':')[1];
+
+// A firm quote must leave at least this long to use it, or it is refused
+const MIN_QUOTE_LIFETIME_MS = 5000;
+
+// SEP-38: optional currency conversion for a SEP-24 transfer. Shows the
+// anchor's indicative price as the amount changes, and can lock it into a
+// firm quote that is re-requested once automatically when it expires.
+export default function QuotePreview({ anchorId, authRequest, assetCode, amount, onQuoteChange }) {
+  const [info, setInfo] = useState(null);
+  const [mode, setMode] = useState('deposit');
+  const [offChainAsset, setOffChainAsset] = useState('');
+  const [price, setPrice] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // The quote already re-requested on expiry, so each expiry re-quotes once
+  const requotedFor = useRef(null);
+
+  useEffect(() => {
+    apiRequest('/api/sep38/info', { anchor: anchorId, method: 'GET', fallbackError: 'Failed to load SEP-38 info' })
+      .then(setInfo)
+      .catch((err) => setError(err.message));
+  }, [anchorId]);
+
+  const offChainAssets = (info?.assets || [])
+    .map((entry) => entry.asset)
+    .filter((asset) => asset.startsWith('iso4217:'));
+  const stellarAsset = (info?.assets || [])
+    .map((entry) => entry.asset)
+    .find((asset) => asset.startsWith(`stellar:${assetCode}:`));
+
+  // Deposits sell fiat for the Stellar asset, withdrawals the other way round.
+  // The amount field is always the Stellar side.
+  const pair = stellarAsset && offChainAsset && Number(amount) > 0 && (mode === 'deposit'
+    ? { sell_asset: offChainAsset, buy_asset: stellarAsset, buy_amount: amount }
+    : { sell_asset: stellarAsset, buy_asset: offChainAsset, sell_amount: amount });
+  const pairKey = pair ? JSON.stringify(pair) : '';
+
+  // Any change to the inputs invalidates the locked quote
+  useEffect(() => {
+    setQuote(null);
+    onQuoteChange(null);
+    setPrice(null);
+    setError('');
+    if (!pairKey) {
+      return;
+    }
+
+    let cancelled = false;
+    const params = new URLSearchParams({ ...JSON.parse(pairKey), context: 'sep24' });
+    apiRequest(`/api/sep38/price?${params}`, { anchor: anchorId, method: 'GET', fallbackError: 'Failed to get price' })
+      .then((data) => !cancelled && setPrice(data))
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [anchorId, pairKey, onQuoteChange]);
+
+  const lockRate = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await authRequest('/api/sep38/quote', {
+        body: { ...JSON.parse(pairKey), context: 'sep24' },
+        fallbackError: 'Failed to get quote'
+      });
+      // An expired quote (or a clock running ahead) would only be re-requested
+      // again straight away
+      if (new Date(data.expires_at).getTime() - Date.now() < MIN_QUOTE_LIFETIME_MS) {
+        throw new Error('The anchor sent a quote that has already expired. Check your device clock and try again.');
+      }
+      setQuote(data);
+      setNow(Date.now());
+      onQuoteChange({ mode, offChainAsset, quote: data });
+    } catch (err) {
+      setQuote(null);
+      onQuoteChange(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [authRequest, pairKey, mode, offChainAsset, onQuoteChange]);
+
+  const secondsLeft = quote ? Math.max(0, Math.floor((new Date(quote.expires_at).getTime() - now) / 1000)) : 0;
+
+  useEffect(() => {
+    if (!quote) {
+      return;
+    }
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [quote]);
+
+  // Re-quote once as soon as the firm quote runs out
+  useEffect(() => {
+    if (quote && secondsLeft === 0 && !loading && requotedFor.current !== quote) {
+      requotedFor.current = quote;
+      lockRate();
+    }
+  }, [quote, secondsLeft, loading, lockRate]);
+
+  if (info && offChainAssets.length === 0) {
+    return null;
+  }
+
+  const shown = quote || price;
+
+  return (
+    <div className="bg-white/5 border border-white/20 rounded-lg p-4 space-y-4">
+      <p className="text-blue-100 text-sm font-medium">Currency conversion (SEP-38, optional)</p>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass}>Direction</label>
+          <select value={mode} onChange={(e) => setMode(e.target.value)} className={inputClass}>
+            <option value="deposit">Deposit (pay in)</option>
+            <option value="withdraw">Withdraw (pay out)</option>
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>{mode === 'deposit' ? 'Pay with' : 'Receive as'}</label>
+          <select value={offChainAsset} onChange={(e) => setOffChainAsset(e.target.value)} className={inputClass}>
+            <option value="">No conversion</option>
+            {offChainAssets.map((asset) => (
+              <option key={asset} value={asset}>{assetLabel(asset)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {offChainAsset && !stellarAsset && info && (
+        <p className="text-yellow-200 text-sm">The anchor doesn't quote {assetCode}.</p>
+      )}
+      {offChainAsset && stellarAsset && !(Number(amount) > 0) && (
+        <p className="text-white/60 text-sm">Enter an amount to see the rate.</p>
+      )}
+
+      {shown && (
+        <div className="bg-black/30 p-3 rounded font-mono text-xs text-white/70 space-y-1">
+          <div>You send: {shown.sell_amount} {assetLabel(pair.sell_asset)}</div>
+          <div>You receive: {shown.buy_amount} {assetLabel(pair.buy_asset)}</div>
+          <div>Price: {shown.price} {assetLabel(pair.sell_asset)} per {assetLabel(pair.buy_asset)}</div>
+          <div>Fee: {shown.fee.total} {assetLabel(shown.fee.asset)}</div>
+          {quote ? (
+            <div className="text-green-200">Rate locked, expires in {secondsLeft}s</div>
+          ) : (
+            <div>Indicative price only</div>
+          )}
+        </div>
+      )}
+
+      {pair && (
+        <button
+          onClick={lockRate}
+          disabled={loading}
+          className="w-full py-3 bg-white/10 border border-white/20 text-white font-semibold rounded-lg hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center space-x-2"
+        >
+          {loading ? (
+            <Loader2 className="w-5 h-5 animate-spin" />
+          ) : quote ? (
+            <RefreshCw className="w-5 h-5" />
+          ) : (
+            <Lock className="w-5 h-5" />
+          )}
+          <span>{quote ? 'Refresh Quote' : 'Lock Rate'}</span>
+        </button>
+      )}
+
+      {error && (
+        <div className="flex items-start space-x-2 text-red-200 text-sm">
+          <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+          <span>{error}</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { apiRequest } from '../lib/api';
+
+const READINESS_POLL_MS = 30000;
+
+const checkLabel = (check) => (check.name === 'anchor_toml' ? `Anchor ${check.anchor}` : "This app's stellar.toml");
+
+// Warns while the backend's /readyz fails: an anchor TOML it can't use, our
+// own TOML out of step with the signing key, or no backend at all
+export default function ReadinessBanner() {
+  const [readiness, setReadiness] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    // Background tabs don't probe; they check again when shown
+    const check = async () => {
+      if (document.hidden) {
+        return;
+      }
+      try {
+        const data = await apiRequest('/readyz', { method: 'GET' });
+        if (!cancelled) {
+          setReadiness(data);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          // A 503 still lists the checks; anything else means no usable backend
+          setReadiness(err.data?.checks ? err.data : { ready: false, unreachable: true });
+        }
+      }
+    };
+
+    check();
+    const timer = setInterval(check, READINESS_POLL_MS);
+    document.addEventListener('visibilitychange', check);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', check);
+    };
+  }, []);
+
+  if (!readiness || readiness.ready) {
+    return null;
+  }
+
+  const failed = readiness.checks?.filter((check) => !check.ok) || [];
+
+  return (
+    <div className="max-w-3xl mx-auto mb-6 bg-yellow-500/20 border border-yellow-500/50 rounded-lg p-4 flex items-start space-x-3">
+      <AlertTriangle className="w-5 h-5 text-yellow-300 flex-shrink-0 mt-0.5" />
+      <div className="min-w-0">
+        <p className="text-yellow-100 font-medium">
+          {readiness.unreachable ? 'The backend is not reachable' : 'The backend is not ready'}
+        </p>
+        {failed.length > 0 && (
+          <ul className="mt-1 space-y-1 text-yellow-200 text-sm">
+            {failed.map((check) => (
+              <li key={`${check.name}:${check.anchor || ''}`} className="break-words">
+                <span className="font-medium">{checkLabel(check)}:</span> {check.error}
+              </li>
+            ))}
+          </ul>
+        )}
+        <p className="text-yellow-200/70 text-xs mt-1">Sign-in and transfers will fail until this is fixed.</p>
+      </div>
+    </div>
+  );
+}
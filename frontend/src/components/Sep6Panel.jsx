@@ -0,0 +1,323 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, CheckCircle, Loader2, ArrowDownToLine, ArrowUpFromLine, Clock, Landmark } from 'lucide-react';
+import { apiRequest } from '../lib/api';
+
+const inputClass = 'w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-400';
+const labelClass = 'block text-sm font-medium text-blue-100 mb-2';
+
+// SEP-6: programmatic deposit / withdrawal - no anchor web page involved.
+// The anchor answers with deposit instructions or the account + memo to pay.
+// Transfers are always for the JWT subject: its account, and its memo for a
+// user of a shared account - the backend refuses anyone else.
+export default function Sep6Panel({ anchorId, authRequest, subject }) {
+  const [info, setInfo] = useState(null);
+  const [mode, setMode] = useState('deposit');
+  const [assetCode, setAssetCode] = useState('USDC');
+  const [amount, setAmount] = useState('');
+  const [fundingMethod, setFundingMethod] = useState('');
+  const [dest, setDest] = useState('');
+  const [destExtra, setDestExtra] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [customerFields, setCustomerFields] = useState(null);
+  const [result, setResult] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    apiRequest('/api/sep6/info', { anchor: anchorId, method: 'GET', fallbackError: 'Failed to load SEP-6 info' })
+      .then(setInfo)
+      .catch((err) => setError(err.message));
+  }, [anchorId]);
+
+  const modeInfo = info?.[mode === 'deposit' ? 'deposit' : 'withdraw'] || {};
+  const assetOptions = Object.keys(modeInfo).filter((code) => modeInfo[code].enabled);
+  const assetInfo = modeInfo[assetCode];
+  const methods = assetInfo?.funding_methods || Object.keys(assetInfo?.types || {});
+  const typeFields = mode === 'withdraw' ? assetInfo?.types?.[fundingMethod]?.fields || {} : {};
+
+  const submit = async () => {
+    setLoading(true);
+    setError('');
+    setCustomerFields(null);
+    setResult(null);
+    setStatus(null);
+
+    try {
+      const user = subject.memo ? { account: subject.account, memo: subject.memo, memoType: 'id' } : { account: subject.account };
+      const body = mode === 'deposit'
+        ? { assetCode, amount, fundingMethod, ...user }
+        : { assetCode, amount, fundingMethod, type: fundingMethod, dest, destExtra, ...user };
+
+      const data = await authRequest(`/api/sep6/${mode}`, {
+        body,
+        fallbackError: `Failed to start ${mode}`
+      });
+      setResult(data);
+    } catch (err) {
+      setError(err.message);
+      if (err.data?.fields) {
+        setCustomerFields(err.data.fields);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const checkStatus = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await authRequest('/api/sep6/transaction', {
+        body: { id: result.id },
+        fallbackError: 'Failed to get transaction status'
+      });
+      setStatus(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const reset = () => {
+    setResult(null);
+    setStatus(null);
+    setError('');
+    setCustomerFields(null);
+  };
+
+  return (
+    <div className="mt-6 bg-white/10 backdrop-blur-lg rounded-2xl p-8 shadow-2xl border border-white/20">
+      <h2 className="text-3xl font-bold text-white mb-2">
+        SEP-6 Transactions
+      </h2>
+      <p className="text-blue-200 mb-6">
+        Deposit and withdraw without leaving the app
+      </p>
+
+      {!result ? (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 gap-4">
+            {['deposit', 'withdraw'].map((m) => (
+              <button
+                key={m}
+                onClick={() => { setMode(m); setFundingMethod(''); }}
+                className={`py-3 rounded-lg font-semibold transition-all duration-200 flex items-center justify-center space-x-2 ${
+                  mode === m ? 'bg-blue-500 text-white' : 'bg-white/10 border border-white/20 text-white/70 hover:bg-white/20'
+                }`}
+              >
+                {m === 'deposit' ? <ArrowDownToLine className="w-5 h-5" /> : <ArrowUpFromLine className="w-5 h-5" />}
+                <span className="capitalize">{m}</span>
+              </button>
+            ))}
+          </div>
+
+          <div>
+            <label className={labelClass}>Asset Code</label>
+            {assetOptions.length > 0 ? (
+              <select
+                value={assetCode}
+                onChange={(e) => { setAssetCode(e.target.value); setFundingMethod(''); }}
+                className={inputClass}
+              >
+                {!assetOptions.includes(assetCode) && <option value={assetCode}>{assetCode}</option>}
+                {assetOptions.map((code) => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type="text"
+                value={assetCode}
+                onChange={(e) => setAssetCode(e.target.value.toUpperCase())}
+                placeholder="USDC"
+                className={inputClass}
+              />
+            )}
+          </div>
+
+          <div>
+            <label className={labelClass}>Amount (optional)</label>
+            <input
+              type="number"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              placeholder={assetInfo?.min_amount ? `${assetInfo.min_amount} - ${assetInfo.max_amount}` : '100'}
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label className={labelClass}>
+              {mode === 'deposit' ? 'Funding Method' : 'Withdrawal Type'}
+              {mode === 'deposit' && ' (optional)'}
+            </label>
+            <select
+              value={fundingMethod}
+              onChange={(e) => setFundingMethod(e.target.value)}
+              className={inputClass}
+            >
+              <option value="">Select...</option>
+              {methods.map((method) => (
+                <option key={method} value={method}>{method}</option>
+              ))}
+            </select>
+          </div>
+
+          {mode === 'withdraw' && (
+            <>
+              <div>
+                <label className={labelClass}>
+                  Destination {typeFields.dest?.description && `(${typeFields.dest.description})`}
+                </label>
+                <input
+                  type="text"
+                  value={dest}
+                  onChange={(e) => setDest(e.target.value)}
+                  placeholder="Bank account number, phone, etc."
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className={labelClass}>
+                  Destination Extra {typeFields.dest_extra?.description ? `(${typeFields.dest_extra.description})` : '(optional)'}
+                </label>
+                <input
+                  type="text"
+                  value={destExtra}
+                  onChange={(e) => setDestExtra(e.target.value)}
+                  placeholder="Routing number, BIC, etc."
+                  className={inputClass}
+                />
+              </div>
+            </>
+          )}
+
+          <button
+            onClick={submit}
+            disabled={loading || !assetCode || (mode === 'withdraw' && !fundingMethod)}
+            className="w-full py-4 bg-gradient-to-r from-blue-500 to-purple-600 text-white font-semibold rounded-lg hover:from-blue-600 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center space-x-2"
+          >
+            {loading ? (
+              <>
+                <Loader2 className="w-5 h-5 animate-spin" />
+                <span>Contacting Anchor...</span>
+              </>
+            ) : (
+              <>
+                <Landmark className="w-5 h-5" />
+                <span>{mode === 'deposit' ? 'Get Deposit Instructions' : 'Get Withdrawal Details'}</span>
+              </>
+            )}
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="bg-green-500/20 border border-green-500/50 rounded-lg p-4">
+            <div className="flex items-start space-x-3">
+              <CheckCircle className="w-5 h-5 text-green-300 flex-shrink-0 mt-0.5" />
+              <div>
+                <p className="text-white font-medium">
+                  {mode === 'deposit' ? 'Deposit Instructions' : 'Send Your Payment To'}
+                </p>
+                {result.eta && (
+                  <p className="text-green-200 text-sm mt-1">
+                    Estimated time: {Math.round(result.eta / 60)} minutes
+                  </p>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white/5 border border-white/20 rounded-lg p-4">
+            <div className="bg-black/30 p-3 rounded font-mono text-xs text-white/70 space-y-2 break-all">
+              {mode === 'deposit' ? (
+                result.instructions ? (
+                  Object.entries(result.instructions).map(([key, item]) => (
+                    <div key={key}>
+                      <div className="text-blue-200">{item.description || key}</div>
+                      <div className="text-white">{item.value}</div>
+                    </div>
+                  ))
+                ) : (
+                  <div>{result.how}</div>
+                )
+              ) : (
+                <>
+                  <div>
+                    <div className="text-blue-200">Anchor Account</div>
+                    <div className="text-white">{result.account_id}</div>
+                  </div>
+                  {result.memo && (
+                    <div>
+                      <div className="text-blue-200">Memo ({result.memo_type})</div>
+                      <div className="text-white">{result.memo}</div>
+                    </div>
+                  )}
+                </>
+              )}
+              {result.extra_info?.message && (
+                <div className="text-yellow-200">{result.extra_info.message}</div>
+              )}
+              <div className="text-white/50">Transaction ID: {result.id}</div>
+            </div>
+          </div>
+
+          {status && (
+            <div className="bg-white/5 border border-white/20 rounded-lg p-4">
+              <p className="text-white font-medium">Status: {status.status}</p>
+              {status.message && (
+                <p className="text-sm mt-1 opacity-90">{status.message}</p>
+              )}
+            </div>
+          )}
+
+          {result.id && (
+            <button
+              onClick={checkStatus}
+              disabled={loading}
+              className="w-full py-3 bg-white/10 border border-white/20 text-white font-semibold rounded-lg hover:bg-white/20 transition-all duration-200 flex items-center justify-center space-x-2"
+            >
+              {loading ? (
+                <>
+                  <Loader2 className="w-5 h-5 animate-spin" />
+                  <span>Checking Status...</span>
+                </>
+              ) : (
+                <>
+                  <Clock className="w-5 h-5" />
+                  <span>Check Transaction Status</span>
+                </>
+              )}
+            </button>
+          )}
+
+          <button
+            onClick={reset}
+            className="w-full py-3 bg-white/10 border border-white/20 text-white font-semibold rounded-lg hover:bg-white/20 transition-all duration-200"
+          >
+            Start New Transaction
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div className="mt-4 p-4 bg-red-500/20 border border-red-500/50 rounded-lg flex items-start space-x-3">
+          <AlertCircle className="w-5 h-5 text-red-300 flex-shrink-0 mt-0.5" />
+          <div className="flex-1">
+            <p className="text-white font-medium">Error</p>
+            <p className="text-red-200 text-sm mt-1">{error}</p>
+            {customerFields && (
+              <ul className="text-red-200 text-xs mt-2 space-y-1">
+                {customerFields.map((name) => (
+                  <li key={name}>• {name}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
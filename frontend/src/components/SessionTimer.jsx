@@ -0,0 +1,54 @@
+import React, { useEffect, useState } from 'react';
+import { Clock, Loader2, RefreshCw } from 'lucide-react';
+
+const formatRemaining = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+};
+
+// Time left on the SEP-10 JWT. The app renews it shortly before it runs out;
+// "Renew now" does the same on demand.
+export default function SessionTimer({ expiresAt, renewing, renewBeforeMs, onRenew }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (!expiresAt && !renewing) {
+    return null;
+  }
+
+  const remaining = expiresAt ? expiresAt - now : 0;
+  const soon = remaining <= renewBeforeMs;
+
+  return (
+    <div className={`mb-6 flex items-center justify-between rounded-lg border px-4 py-2 text-sm ${
+      soon ? 'bg-yellow-500/20 border-yellow-500/50 text-yellow-100' : 'bg-white/5 border-white/20 text-blue-100'
+    }`}>
+      <div className="flex items-center space-x-2">
+        {renewing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Clock className="w-4 h-4" />}
+        <span>
+          {renewing
+            ? 'Renewing your session...'
+            : remaining > 0
+              ? <>Session expires in <span className="font-mono">{formatRemaining(remaining)}</span></>
+              : 'Session expired'}
+        </span>
+      </div>
+      {!renewing && (
+        <button
+          onClick={onRenew}
+          className="inline-flex items-center space-x-1 text-xs font-medium underline hover:text-white"
+        >
+          <RefreshCw className="w-3 h-3" />
+          <span>Renew now</span>
+        </button>
+      )}
+    </div>
+  );
+}
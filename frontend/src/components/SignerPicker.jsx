@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { AlertCircle, Loader2, Wallet } from 'lucide-react';
+import { SIGNERS, getSigner } from '../lib/signers';
+
+const inputClass = 'w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-400 font-mono text-sm';
+const labelClass = 'block text-sm font-medium text-blue-100 mb-2';
+
+// Chooses how transactions get signed. Wallet extensions can also fill in the
+// public key; the secret key field only exists in dev builds. Once signed in,
+// publicKeyLocked keeps the account fixed and only the signer can change.
+export default function SignerPicker({ signerId, onSignerChange, publicKey, onPublicKeyChange, publicKeyLocked = false, secretKey, onSecretKeyChange }) {
+  const [connecting, setConnecting] = useState(false);
+  const [error, setError] = useState('');
+  const signer = getSigner(signerId);
+
+  const connect = async () => {
+    setConnecting(true);
+    setError('');
+    try {
+      onPublicKeyChange(await signer.connect());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setConnecting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <label className={labelClass}>Sign With</label>
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+          {SIGNERS.map((option) => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => {
+                setError('');
+                onSignerChange(option.id);
+              }}
+              className={`py-2 px-3 rounded-lg border text-sm font-medium transition-all ${
+                option.id === signer.id
+                  ? 'bg-blue-500/40 border-blue-300 text-white'
+                  : 'bg-white/5 border-white/20 text-white/70 hover:bg-white/10'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <p className="text-blue-200 text-xs mt-2">{signer.hint}</p>
+      </div>
+
+      <div>
+        <label className={labelClass}>Stellar Public Key</label>
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={publicKey}
+            onChange={(e) => onPublicKeyChange(e.target.value)}
+            readOnly={publicKeyLocked}
+            placeholder="GXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX"
+            className={inputClass}
+          />
+          {signer.connect && !publicKeyLocked && (
+            <button
+              type="button"
+              onClick={connect}
+              disabled={connecting}
+              className="px-4 bg-white/10 border border-white/20 text-white rounded-lg hover:bg-white/20 disabled:opacity-50 flex items-center space-x-2"
+            >
+              {connecting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Wallet className="w-4 h-4" />}
+              <span className="text-sm">Connect</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {signer.needsSecret && (
+        <div>
+          <label className={labelClass}>Secret Key</label>
+          <input
+            type="password"
+            value={secretKey}
+            onChange={(e) => onSecretKeyChange(e.target.value)}
+            placeholder="SXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX"
+            className={inputClass}
+          />
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-start space-x-2 text-red-200 text-sm">
+          <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+          <span>{error}</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import React from 'react';
+import { ExternalLink, Loader2, X } from 'lucide-react';
+import { QRCodeSVG } from 'qrcode.react';
+
+// A pending SEP-7 request: scan the QR code with a phone wallet or open the
+// link in a desktop one. Closes by itself once the wallet calls back.
+export default function SigningRequest({ request, onCancel }) {
+  if (!request) {
+    return null;
+  }
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/60 flex items-center justify-center p-4">
+      <div className="bg-indigo-950/95 border border-white/20 rounded-2xl p-6 shadow-2xl max-w-sm w-full space-y-4">
+        <div className="flex items-start justify-between">
+          <div>
+            <p className="text-white font-semibold">Sign in your wallet</p>
+            <p className="text-blue-200 text-sm mt-1">Scan with a SEP-7 wallet or open the link.</p>
+          </div>
+          <button onClick={onCancel} className="text-white/60 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="bg-white p-3 rounded-lg flex justify-center">
+          <QRCodeSVG value={request.uri} size={240} level="L" />
+        </div>
+
+        <a
+          href={request.uri}
+          className="w-full py-3 bg-gradient-to-r from-blue-500 to-purple-600 text-white font-semibold rounded-lg hover:from-blue-600 hover:to-purple-700 transition-all duration-200 flex items-center justify-center space-x-2"
+        >
+          <ExternalLink className="w-5 h-5" />
+          <span>Open in Wallet</span>
+        </a>
+
+        <div className="flex items-center justify-center text-white/70 text-xs">
+          <Loader2 className="w-4 h-4 animate-spin mr-2" />
+          <span>Waiting for the signature until {new Date(request.expiresAt).toLocaleTimeString()}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
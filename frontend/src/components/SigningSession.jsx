@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { AlertCircle, ArrowRight, CheckCircle, Clock, Copy, Loader2 } from 'lucide-react';
+
+const shortKey = (key) => `${key.slice(0, 6)}...${key.slice(-6)}`;
+
+// A SEP-10 challenge waiting for its account's signers. Each signer adds a
+// signature (here, or from another browser with the share link) until their
+// weight reaches the account's medium threshold; the backend then submits it.
+export default function SigningSession({ session, publicKey, shareUrl, onSign, signing, canSign, signLabel }) {
+  const [copied, setCopied] = useState(false);
+
+  const copyLink = async () => {
+    await navigator.clipboard.writeText(shareUrl);
+    setCopied(true);
+  };
+
+  const mine = session.signers.find((signer) => signer.key === publicKey);
+  const percent = Math.min(100, Math.round((session.weight / session.threshold) * 100));
+  const multisig = session.signers.length > 1 || session.threshold > 1;
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white/5 border border-white/20 rounded-lg p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <p className="text-blue-100 text-sm font-medium">Signatures</p>
+          <p className="text-white text-sm font-mono">
+            weight {session.weight} / {session.threshold}
+          </p>
+        </div>
+        <div className="h-2 bg-white/10 rounded">
+          <div className="h-2 bg-green-500 rounded transition-all" style={{ width: `${percent}%` }} />
+        </div>
+        {multisig && (
+          <ul className="space-y-1">
+            {session.signers.map((signer) => (
+              <li key={signer.key} className="flex items-center justify-between text-xs">
+                <span className="flex items-center space-x-2 font-mono text-white/80">
+                  {signer.signed
+                    ? <CheckCircle className="w-4 h-4 text-green-300" />
+                    : <Clock className="w-4 h-4 text-white/40" />}
+                  <span>{shortKey(signer.key)}</span>
+                  {signer === mine && <span className="text-blue-300">(you)</span>}
+                </span>
+                <span className="text-white/60">weight {signer.weight}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {shareUrl && multisig && session.status === 'pending' && (
+        <div className="bg-white/5 border border-white/20 rounded-lg p-4">
+          <p className="text-blue-100 text-sm font-medium mb-2">Send this link to the other signers:</p>
+          <div className="flex space-x-2">
+            <input
+              readOnly
+              value={shareUrl}
+              className="flex-1 px-3 py-2 bg-black/30 border border-white/20 rounded-lg text-white/80 font-mono text-xs"
+            />
+            <button
+              type="button"
+              onClick={copyLink}
+              className="px-3 py-2 bg-white/10 border border-white/20 text-white text-xs rounded-lg hover:bg-white/20 flex items-center space-x-1"
+            >
+              <Copy className="w-4 h-4" />
+              <span>{copied ? 'Copied' : 'Copy'}</span>
+            </button>
+          </div>
+          <p className="text-white/60 text-xs mt-2">
+            Open until {new Date(session.expiresAt).toLocaleTimeString()}
+          </p>
+        </div>
+      )}
+
+      {session.status === 'submitting' && (
+        <div className="flex items-center text-white/70 text-sm">
+          <Loader2 className="w-4 h-4 animate-spin mr-2" />
+          <span>Threshold reached, submitting to the anchor...</span>
+        </div>
+      )}
+
+      {session.status === 'complete' && !session.key && (
+        <div className="bg-green-500/20 border border-green-500/50 rounded-lg p-4 flex items-start space-x-3">
+          <CheckCircle className="w-5 h-5 text-green-300 flex-shrink-0 mt-0.5" />
+          <p className="text-green-200 text-sm">Enough signers signed. The session owner is now authenticated.</p>
+        </div>
+      )}
+
+      {session.status === 'failed' && (
+        <div className="bg-red-500/20 border border-red-500/50 rounded-lg p-4 flex items-start space-x-3">
+          <AlertCircle className="w-5 h-5 text-red-300 flex-shrink-0 mt-0.5" />
+          <p className="text-red-200 text-sm">The anchor rejected the challenge: {session.error}</p>
+        </div>
+      )}
+
+      {session.status === 'pending' && (
+        <button
+          onClick={onSign}
+          disabled={signing || !canSign || Boolean(mine?.signed)}
+          className="w-full py-4 bg-gradient-to-r from-green-500 to-blue-600 text-white font-semibold rounded-lg hover:from-green-600 hover:to-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center space-x-2"
+        >
+          {signing ? (
+            <>
+              <Loader2 className="w-5 h-5 animate-spin" />
+              <span>Signing...</span>
+            </>
+          ) : mine?.signed ? (
+            <span>Waiting for the other signers</span>
+          ) : (
+            <>
+              <span>{signLabel}</span>
+              <ArrowRight className="w-5 h-5" />
+            </>
+          )}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React, { useEffect } from 'react';
+import { X } from 'lucide-react';
+import { NOTIFY_STATUSES } from '../lib/notifications';
+
+const DISMISS_AFTER_MS = 8000;
+
+function Toast({ toast, onDismiss }) {
+  const style = NOTIFY_STATUSES[toast.status];
+
+  useEffect(() => {
+    const timer = setTimeout(() => onDismiss(toast.id), DISMISS_AFTER_MS);
+    return () => clearTimeout(timer);
+  }, [toast.id, onDismiss]);
+
+  return (
+    <div className={`backdrop-blur-lg border rounded-lg p-4 shadow-2xl flex items-start space-x-3 ${style.box}`}>
+      <style.Icon className="w-5 h-5 text-white flex-shrink-0 mt-0.5" />
+      <div className="flex-1 min-w-0">
+        <p className="text-white font-medium">{style.title}</p>
+        <p className="text-white/80 text-sm mt-1">{toast.message || style.message}</p>
+      </div>
+      <button onClick={() => onDismiss(toast.id)} className="text-white/60 hover:text-white">
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
+
+// Live SEP-24 status notifications, stacked in the corner
+export default function StatusToasts({ toasts, onDismiss }) {
+  if (toasts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="fixed top-4 right-4 z-50 w-80 space-y-2">
+      {toasts.map((toast) => (
+        <Toast key={toast.id} toast={toast} onDismiss={onDismiss} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,197 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, ChevronDown, ChevronRight, ExternalLink, History, Loader2 } from 'lucide-react';
+
+const inputClass = 'w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-400';
+const labelClass = 'block text-sm font-medium text-blue-100 mb-2';
+
+const PAGE_SIZE = 10;
+
+const STATUS_COLORS = {
+  completed: 'text-green-300',
+  refunded: 'text-blue-300',
+  error: 'text-red-300',
+  expired: 'text-red-300',
+  no_market: 'text-red-300',
+  too_small: 'text-red-300',
+  too_large: 'text-red-300',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+// SEP-24: past deposits and withdrawals from the anchor's GET /transactions,
+// newest first. "Load more" pages with paging_id = the last id shown.
+export default function TransactionHistory({ authRequest, defaultAssetCode }) {
+  // What is typed, and the code the list was last loaded for: the anchor is
+  // only asked once the field is left or Enter is pressed, not per keystroke
+  const [assetInput, setAssetInput] = useState(defaultAssetCode || 'USDC');
+  const [assetCode, setAssetCode] = useState(defaultAssetCode || 'USDC');
+  const [kind, setKind] = useState('');
+  const [noOlderThan, setNoOlderThan] = useState('');
+  const [transactions, setTransactions] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadPage = useCallback(async (pagingId) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await authRequest('/api/sep24/transactions', {
+        body: { assetCode, kind, noOlderThan, limit: PAGE_SIZE, pagingId },
+        fallbackError: 'Failed to load transactions'
+      });
+      setTransactions((previous) => (pagingId ? [...previous, ...data.transactions] : data.transactions));
+      setHasMore(data.transactions.length === PAGE_SIZE);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [authRequest, assetCode, kind, noOlderThan]);
+
+  // Reload from the first page whenever a filter changes
+  useEffect(() => {
+    if (!assetCode) {
+      return;
+    }
+    setExpanded(null);
+    loadPage();
+  }, [assetCode, loadPage]);
+
+  return (
+    <div className="mt-6 bg-white/10 backdrop-blur-lg rounded-2xl p-8 shadow-2xl border border-white/20">
+      <h2 className="text-3xl font-bold text-white mb-2">
+        Transaction History
+      </h2>
+      <p className="text-blue-200 mb-6">
+        Past SEP-24 deposits and withdrawals with this anchor
+      </p>
+
+      <div className="grid grid-cols-3 gap-4 mb-6">
+        <div>
+          <label className={labelClass}>Asset Code</label>
+          <input
+            type="text"
+            value={assetInput}
+            onChange={(e) => setAssetInput(e.target.value.toUpperCase())}
+            onBlur={() => setAssetCode(assetInput.trim())}
+            onKeyDown={(e) => e.key === 'Enter' && setAssetCode(assetInput.trim())}
+            placeholder="USDC"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Kind</label>
+          <select value={kind} onChange={(e) => setKind(e.target.value)} className={inputClass}>
+            <option value="">All</option>
+            <option value="deposit">Deposits</option>
+            <option value="withdrawal">Withdrawals</option>
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Since</label>
+          <input
+            type="date"
+            value={noOlderThan}
+            onChange={(e) => setNoOlderThan(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {transactions.length === 0 && !loading && !error && (
+        <p className="text-white/60 text-sm">No transactions found.</p>
+      )}
+
+      <div className="space-y-2">
+        {transactions.map((txn) => (
+          <div key={txn.id} className="bg-white/5 border border-white/20 rounded-lg">
+            <button
+              onClick={() => setExpanded(expanded === txn.id ? null : txn.id)}
+              className="w-full p-4 flex items-center justify-between text-left"
+            >
+              <div className="flex items-center space-x-3">
+                {expanded === txn.id ? (
+                  <ChevronDown className="w-4 h-4 text-white/70" />
+                ) : (
+                  <ChevronRight className="w-4 h-4 text-white/70" />
+                )}
+                <div>
+                  <p className="text-white font-medium capitalize">
+                    {txn.kind} {txn.amount_in ? `${txn.amount_in} ${txn.asset_code || assetCode}` : ''}
+                  </p>
+                  <p className="text-white/50 text-xs">{formatDate(txn.started_at)}</p>
+                </div>
+              </div>
+              <span className={`text-sm font-mono ${STATUS_COLORS[txn.status] || 'text-yellow-300'}`}>
+                {txn.status}
+              </span>
+            </button>
+
+            {expanded === txn.id && (
+              <div className="px-4 pb-4 space-y-3">
+                <div className="bg-black/30 p-3 rounded font-mono text-xs text-white/70 space-y-1 break-all">
+                  <div>ID: {txn.id}</div>
+                  <div>Amount in: {txn.amount_in ?? '-'}</div>
+                  <div>Amount out: {txn.amount_out ?? '-'}</div>
+                  <div>Fee: {txn.amount_fee ?? '-'}</div>
+                  <div>Started: {formatDate(txn.started_at)}</div>
+                  <div>Updated: {formatDate(txn.updated_at)}</div>
+                  <div>Completed: {formatDate(txn.completed_at)}</div>
+                  {(txn.stellar_transaction_id || txn.client_payment) && (
+                    <div>Stellar tx: {txn.stellar_transaction_id || txn.client_payment.hash}</div>
+                  )}
+                  {txn.external_transaction_id && <div>External tx: {txn.external_transaction_id}</div>}
+                  {txn.message && <div>Message: {txn.message}</div>}
+                </div>
+                {txn.more_info_url && (
+                  <a
+                    href={txn.more_info_url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center space-x-1 text-blue-300 text-sm hover:text-blue-200"
+                  >
+                    <span>More info from the anchor</span>
+                    <ExternalLink className="w-4 h-4" />
+                  </a>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {(hasMore || loading) && (
+        <button
+          onClick={() => loadPage(transactions[transactions.length - 1]?.id)}
+          disabled={loading}
+          className="w-full mt-4 py-3 bg-white/10 border border-white/20 text-white font-semibold rounded-lg hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center space-x-2"
+        >
+          {loading ? (
+            <>
+              <Loader2 className="w-5 h-5 animate-spin" />
+              <span>Loading...</span>
+            </>
+          ) : (
+            <>
+              <History className="w-5 h-5" />
+              <span>Load More</span>
+            </>
+          )}
+        </button>
+      )}
+
+      {error && (
+        <div className="mt-4 p-4 bg-red-500/20 border border-red-500/50 rounded-lg flex items-start space-x-3">
+          <AlertCircle className="w-5 h-5 text-red-300 flex-shrink-0 mt-0.5" />
+          <div className="flex-1">
+            <p className="text-white font-medium">Error</p>
+            <p className="text-red-200 text-sm mt-1">{error}</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
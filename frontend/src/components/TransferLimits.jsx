@@ -0,0 +1,63 @@
+import React from 'react';
+import { AlertCircle, CheckCircle, XCircle } from 'lucide-react';
+import { infoAsset } from '../lib/transfer';
+
+const describeRange = (asset) => {
+  if (asset.minAmount === null && asset.maxAmount === null) {
+    return 'any amount';
+  }
+  return `${asset.minAmount ?? 0} – ${asset.maxAmount ?? '∞'}`;
+};
+
+const describeFee = (asset) => {
+  const parts = [];
+  if (asset.feeFixed) {
+    parts.push(`${asset.feeFixed}`);
+  }
+  if (asset.feePercent) {
+    parts.push(`${asset.feePercent}%`);
+  }
+  if (parts.length === 0) {
+    return 'no listed fee';
+  }
+  return `fee ${parts.join(' + ')}${asset.feeMinimum ? ` (min ${asset.feeMinimum})` : ''}`;
+};
+
+// Limits and fees from the anchor's SEP-24 /info for the chosen asset
+export default function TransferLimits({ info, error, assetCode }) {
+  if (error) {
+    return (
+      <div className="flex items-start space-x-2 text-red-200 text-xs">
+        <AlertCircle className="w-4 h-4 flex-shrink-0" />
+        <span>Could not load the anchor's SEP-24 info: {error}</span>
+      </div>
+    );
+  }
+  if (!info) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white/5 border border-white/20 rounded-lg p-3 text-xs space-y-1">
+      {['deposit', 'withdraw'].map((mode) => {
+        const asset = infoAsset(info, mode, assetCode);
+        return (
+          <div key={mode} className="flex items-center justify-between">
+            <span className="text-blue-100 capitalize">{mode}</span>
+            <span className="text-white/80 font-mono">
+              {asset ? `${describeRange(asset)} ${assetCode} · ${describeFee(asset)}` : 'not available'}
+            </span>
+          </div>
+        );
+      })}
+      <div className="flex items-center space-x-4 pt-1 text-white/60">
+        {[['Account creation', info.features.accountCreation], ['Claimable balances', info.features.claimableBalances]].map(([label, on]) => (
+          <span key={label} className="flex items-center space-x-1">
+            {on ? <CheckCircle className="w-3 h-3 text-green-300" /> : <XCircle className="w-3 h-3 text-white/40" />}
+            <span>{label}</span>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
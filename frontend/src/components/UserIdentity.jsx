@@ -0,0 +1,54 @@
+import React from 'react';
+import { ID_TYPES, challengeAccount, isValidUserId } from '../lib/identity';
+
+const inputClass = 'w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-400 font-mono text-sm';
+const labelClass = 'block text-sm font-medium text-blue-100 mb-2';
+
+// For custodial wallets: sign in one user of a shared account, as a muxed
+// address or with a memo. Leave it on "Whole account" for personal wallets.
+export default function UserIdentity({ publicKey, idType, onIdTypeChange, userId, onUserIdChange }) {
+  const invalid = idType !== 'none' && userId !== '' && !isValidUserId(userId);
+  const { account, memo } = challengeAccount(publicKey, { idType, userId });
+
+  return (
+    <div>
+      <label className={labelClass}>Sign In As</label>
+      <div className="grid grid-cols-3 gap-2">
+        {ID_TYPES.map((option) => (
+          <button
+            key={option.id}
+            type="button"
+            onClick={() => onIdTypeChange(option.id)}
+            className={`py-2 px-3 rounded-lg border text-sm font-medium transition-all ${
+              option.id === idType
+                ? 'bg-blue-500/40 border-blue-300 text-white'
+                : 'bg-white/5 border-white/20 text-white/70 hover:bg-white/10'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {idType !== 'none' && (
+        <div className="mt-3 space-y-2">
+          <input
+            type="text"
+            inputMode="numeric"
+            value={userId}
+            onChange={(e) => onUserIdChange(e.target.value.trim())}
+            placeholder={idType === 'muxed' ? 'Muxed id, e.g. 1234' : 'Memo id, e.g. 1234'}
+            className={inputClass}
+          />
+          {invalid ? (
+            <p className="text-red-300 text-xs">The id must be a whole number below 2^64.</p>
+          ) : userId && publicKey && (
+            <p className="text-blue-200 text-xs break-all">
+              {memo ? `Authenticates ${account} with memo ${memo}` : `Authenticates ${account}`}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, CheckCircle, Loader2, Send } from 'lucide-react';
+import * as StellarSdk from '@stellar/stellar-sdk';
+
+const toAsset = ({ code, issuer }) => (code === 'native' ? StellarSdk.Asset.native() : new StellarSdk.Asset(code, issuer));
+
+// The backend has already validated the memo; hash values arrive as hex
+const toMemo = ({ type, value }) => (type === 'none' ? StellarSdk.Memo.none() : new StellarSdk.Memo(type, value));
+
+// SEP-24 withdrawal: once the anchor is waiting on pending_user_transfer_start,
+// build the payment it asked for, have the user's signer sign it and let the
+// backend check it against the anchor transaction and submit it to Horizon.
+export default function WithdrawPayment({ authRequest, publicKey, signTransaction, canSign, transaction, assetCode, onSubmitted }) {
+  const [prepared, setPrepared] = useState(null);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setPrepared(null);
+    setError('');
+    authRequest('/api/sep24/withdraw/prepare', {
+      body: { id: transaction.id, assetCode, account: publicKey },
+      fallbackError: 'Failed to prepare withdrawal payment'
+    })
+      .then(setPrepared)
+      .catch((err) => setError(err.message));
+  }, [authRequest, publicKey, transaction.id, assetCode]);
+
+  const signAndSend = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const { payment, networkPassphrase, sequence } = prepared;
+
+      const txn = new StellarSdk.TransactionBuilder(new StellarSdk.Account(publicKey, sequence), {
+        fee: StellarSdk.BASE_FEE,
+        networkPassphrase
+      })
+        .addOperation(StellarSdk.Operation.payment({
+          destination: payment.destination,
+          asset: toAsset(payment.asset),
+          amount: payment.amount
+        }))
+        .addMemo(toMemo(payment.memo))
+        .setTimeout(300)
+        .build();
+
+      const signedTransaction = await signTransaction(
+        txn.toEnvelope().toXDR('base64'),
+        networkPassphrase,
+        `Pay ${payment.amount} ${payment.asset.code} for your withdrawal`
+      );
+
+      const data = await authRequest('/api/sep24/withdraw/submit', {
+        body: {
+          id: transaction.id,
+          assetCode,
+          account: publicKey,
+          signedTransaction
+        },
+        fallbackError: 'Failed to submit withdrawal payment'
+      });
+      setResult(data);
+      onSubmitted(data);
+    } catch (err) {
+      const codes = err.data?.details;
+      setError(codes?.transaction ? `${err.message} (${[codes.transaction, ...(codes.operations || [])].join(', ')})` : err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div className="bg-green-500/20 border border-green-500/50 rounded-lg p-4 flex items-start space-x-3">
+        <CheckCircle className="w-5 h-5 text-green-300 flex-shrink-0 mt-0.5" />
+        <div className="min-w-0">
+          <p className="text-white font-medium">Payment sent</p>
+          <a
+            href={`${prepared.horizonUrl}/transactions/${result.hash}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-green-200 text-xs font-mono break-all underline"
+          >
+            {result.hash}
+          </a>
+        </div>
+      </div>
+    );
+  }
+
+  const payment = prepared?.payment;
+
+  return (
+    <div className="bg-white/5 border border-white/20 rounded-lg p-4 space-y-4">
+      <p className="text-blue-100 text-sm font-medium">Send the withdrawal payment</p>
+
+      {!prepared && !error && (
+        <div className="flex items-center text-white/70 text-sm">
+          <Loader2 className="w-4 h-4 animate-spin mr-2" />
+          <span>Loading payment details...</span>
+        </div>
+      )}
+
+      {payment && (
+        <>
+          <div className="bg-black/30 p-3 rounded font-mono text-xs text-white/70 space-y-1 break-all">
+            <div>To: {payment.destination}</div>
+            <div>Amount: {payment.amount} {payment.asset.code}</div>
+            {payment.asset.issuer && <div>Issuer: {payment.asset.issuer}</div>}
+            <div>Memo ({payment.memo.type}): {payment.memo.value ?? '-'}</div>
+          </div>
+
+          <button
+            onClick={signAndSend}
+            disabled={loading || !canSign}
+            className="w-full py-3 bg-gradient-to-r from-orange-500 to-red-600 text-white font-semibold rounded-lg hover:from-orange-600 hover:to-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center space-x-2"
+          >
+            {loading ? (
+              <>
+                <Loader2 className="w-5 h-5 animate-spin" />
+                <span>Sending...</span>
+              </>
+            ) : (
+              <>
+                <Send className="w-5 h-5" />
+                <span>Sign & Send Payment</span>
+              </>
+            )}
+          </button>
+          {!canSign && (
+            <p className="text-yellow-200 text-xs">The secret key isn't kept after a reload. Enter it again above, or sign with Freighter or a wallet app (SEP-7).</p>
+          )}
+        </>
+      )}
+
+      {error && (
+        <div className="flex items-start space-x-2 text-red-200 text-sm">
+          <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+          <span>{error}</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+// Small fetch wrapper for the backend API.
+// Throws an Error carrying the server's `error` message, its `code` and `reason`
+// (see backend/lib/errors.js), the HTTP status and the body.
+// `anchor` picks the registry anchor the backend should talk to (its default if omitted).
+export async function apiRequest(path, { method = 'POST', body, token, anchor, fallbackError = 'Request failed' } = {}) {
+  // FormData bodies (file uploads) set their own multipart Content-Type
+  const isForm = body instanceof FormData;
+  const headers = {};
+  if (body !== undefined && !isForm) {
+    headers['Content-Type'] = 'application/json';
+  }
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+  if (anchor) {
+    headers['X-Anchor-Id'] = anchor;
+  }
+
+  const response = await fetch(path, {
+    method,
+    headers,
+    body: isForm || body === undefined ? body : JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const err = new Error(data.error || fallbackError);
+    err.status = response.status;
+    err.code = data.code;
+    err.reason = data.reason;
+    err.data = data;
+    throw err;
+  }
+
+  return data;
+}
+
+// 401s from verifyToken or the anchor: the JWT is missing, expired, not from
+// this anchor or no longer accepted (TOKEN_REJECTED)
+export const isTokenError = (err) => err.status === 401 && Boolean(err.reason?.startsWith('TOKEN_'));
@@ -0,0 +1,44 @@
+// What to tell the user for each backend error code (backend/lib/errors.js).
+// `action` picks the button ErrorPanel offers: 'reauthenticate' starts SEP-10
+// over, 'retry' repeats the request; the rest only need the hint.
+
+const HELP = {
+  INVALID_REQUEST: { title: 'Invalid request', hint: 'Check the highlighted fields and try again.' },
+  AUTH_REQUIRED: { title: 'Not signed in', hint: 'Sign in to the anchor first.', action: 'reauthenticate' },
+  TOKEN_EXPIRED: { title: 'Session expired', hint: 'Your SEP-10 session has expired. Sign in again to continue.', action: 'reauthenticate' },
+  TOKEN_INVALID: { title: 'Session not valid', hint: 'Your SEP-10 token was not accepted. Sign in again to continue.', action: 'reauthenticate' },
+  TOKEN_REJECTED: { title: 'Anchor ended the session', hint: 'The anchor no longer accepts your SEP-10 token. Sign in again to continue.', action: 'reauthenticate' },
+  ACCOUNT_MISMATCH: { title: 'Wrong account', hint: 'You are signed in as a different account or user. Sign in as the one you want to use.', action: 'reauthenticate' },
+  FORBIDDEN: { title: 'Not allowed', hint: 'The request is not allowed for this account.' },
+  CHALLENGE_INVALID: { title: 'Sign-in challenge rejected', hint: 'Request a new challenge and sign it again.', action: 'reauthenticate' },
+  NETWORK_MISMATCH: { title: 'Wrong network', hint: 'The anchor, your wallet and this app must all be on the same Stellar network. Check the network badge and your wallet.' },
+  SIGNATURE_INVALID: { title: 'Signature not accepted', hint: 'Sign with a key that is a signer of the account, on the right network.' },
+  ASSET_UNSUPPORTED: { title: 'Asset not supported', hint: 'Pick an asset the anchor lists for this operation.' },
+  AMOUNT_INVALID: { title: 'Check the amount', hint: 'Enter an amount within the anchor limits shown above the buttons.' },
+  PAYMENT_INVALID: { title: 'Payment does not match', hint: 'The payment must go to the anchor account with the amount and memo it asked for. Prepare it again.' },
+  CUSTOMER_INFO_NEEDED: { title: 'More information needed', hint: 'The anchor needs KYC information first. Complete your customer profile, then try again.' },
+  UNKNOWN_ANCHOR: { title: 'Unknown anchor', hint: 'Pick an anchor from the list.' },
+  NOT_FOUND: { title: 'Not found', hint: 'It may have expired. Start again.' },
+  CONFLICT: { title: 'Already done', hint: 'Refresh to see the current state.' },
+  TOML_INVALID: { title: "Anchor's stellar.toml is unusable", hint: "The anchor's configuration is missing or broken. Try another anchor or contact the anchor." },
+  ANCHOR_UNREACHABLE: { title: 'Anchor not reachable', hint: 'The anchor did not answer. Try again in a moment.', action: 'retry' },
+  ANCHOR_REJECTED: { title: 'Anchor refused the request', hint: "Check the anchor's message below and adjust the request." },
+  ANCHOR_ERROR: { title: 'Anchor error', hint: 'The anchor failed to handle the request. Try again later.', action: 'retry' },
+  ANCHOR_UNAVAILABLE: { title: 'Anchor paused', hint: 'Recent calls to the anchor kept failing, so the backend has paused them. Try again in a little while.', action: 'retry' },
+  HORIZON_UNREACHABLE: { title: 'Horizon not reachable', hint: 'The Stellar network API did not answer. Try again in a moment.', action: 'retry' },
+  HORIZON_REJECTED: { title: 'Transaction rejected', hint: 'Horizon refused the transaction. Check the result codes below, then prepare it again.' },
+  HORIZON_ERROR: { title: 'Horizon error', hint: 'The Stellar network API failed. Try again later.', action: 'retry' },
+  UNAVAILABLE: { title: 'Unavailable', hint: 'This feature is switched off or busy. Try again later.', action: 'retry' },
+  INTERNAL_ERROR: { title: 'Something went wrong', hint: 'The backend hit an unexpected error. Try again; if it keeps happening, check the backend logs.', action: 'retry' }
+};
+
+const FALLBACK = { title: 'Error', hint: null };
+
+// { title, hint, action } for an error thrown by apiRequest (or anything else)
+export function describeApiError(err) {
+  if (!err) {
+    return null;
+  }
+  const help = HELP[err.code] || HELP[err.reason] || FALLBACK;
+  return { ...help, message: err.message, code: err.code || null };
+}
@@ -0,0 +1,67 @@
+import * as StellarSdk from '@stellar/stellar-sdk';
+
+// Custodial wallets log many users in through one shared G account. SEP-10
+// tells them apart either by a muxed M address (G account + 64-bit id) or by
+// an ID memo; the JWT sub then reads M... or G...:memo.
+
+export const ID_TYPES = [
+  { id: 'none', label: 'Whole account' },
+  { id: 'muxed', label: 'Muxed address' },
+  { id: 'memo', label: 'Memo' }
+];
+
+const MAX_ID = 2n ** 64n - 1n;
+
+export const isValidUserId = (userId) => /^\d{1,20}$/.test(userId) && BigInt(userId) <= MAX_ID;
+
+// What to send as SEP-10 `account` / `memo` for this signer and user id
+export function challengeAccount(publicKey, { idType, userId }) {
+  if (idType === 'muxed' && isValidUserId(userId) && StellarSdk.StrKey.isValidEd25519PublicKey(publicKey)) {
+    return { account: new StellarSdk.MuxedAccount(new StellarSdk.Account(publicKey, '0'), userId).accountId(), memo: null };
+  }
+  if (idType === 'memo' && isValidUserId(userId)) {
+    return { account: publicKey, memo: userId };
+  }
+  return { account: publicKey, memo: null };
+}
+
+// A JWT's claims. The signature isn't checked here - the backend does that
+// before acting on the token.
+const tokenClaims = (token) => JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+
+// When a SEP-10 JWT expires, in ms since the epoch (null without an exp claim)
+export function tokenExpiry(token) {
+  try {
+    const { exp } = tokenClaims(token);
+    return Number.isFinite(exp) ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+// The user a SEP-10 JWT speaks for, read from its sub claim
+export function tokenSubject(token) {
+  try {
+    const sub = tokenClaims(token).sub;
+    if (StellarSdk.StrKey.isValidMed25519PublicKey(sub)) {
+      const muxed = StellarSdk.MuxedAccount.fromAddress(sub, '0');
+      return { sub, account: sub, memo: null, baseAccount: muxed.baseAccount().accountId(), muxedId: muxed.id() };
+    }
+    const [account, memo = null] = sub.split(':');
+    return { sub, account, memo, baseAccount: account, muxedId: null };
+  } catch {
+    return null;
+  }
+}
+
+const shortKey = (key) => `${key.slice(0, 6)}...${key.slice(-6)}`;
+
+export const describeSubject = (subject) => {
+  if (subject.muxedId !== null) {
+    return `${shortKey(subject.account)} (user ${subject.muxedId} of ${shortKey(subject.baseAccount)})`;
+  }
+  if (subject.memo !== null) {
+    return `${shortKey(subject.account)} memo ${subject.memo}`;
+  }
+  return shortKey(subject.account);
+};
@@ -0,0 +1,29 @@
+import { AlertCircle, CheckCircle, Send, Undo2 } from 'lucide-react';
+
+// SEP-24 statuses worth interrupting the user for
+export const NOTIFY_STATUSES = {
+  pending_user_transfer_start: {
+    title: 'Action needed',
+    message: 'The anchor is waiting for your payment.',
+    Icon: Send,
+    box: 'bg-blue-500/30 border-blue-400/60'
+  },
+  completed: {
+    title: 'Transaction completed',
+    message: 'The anchor has finished processing your transaction.',
+    Icon: CheckCircle,
+    box: 'bg-green-500/30 border-green-400/60'
+  },
+  error: {
+    title: 'Transaction failed',
+    message: 'The anchor reported an error.',
+    Icon: AlertCircle,
+    box: 'bg-red-500/30 border-red-400/60'
+  },
+  refunded: {
+    title: 'Transaction refunded',
+    message: 'The anchor has refunded your transaction.',
+    Icon: Undo2,
+    box: 'bg-yellow-500/30 border-yellow-400/60'
+  }
+};
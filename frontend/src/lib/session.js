@@ -0,0 +1,91 @@
+import { tokenExpiry } from './identity';
+
+// The signed-in state that survives a reload: which anchor and account, the
+// SEP-10 JWT per anchor and the SEP-24 transfer being tracked. Only kept
+// while some token is still valid, and never anything secret - the fields
+// below are copied one by one, so a secret key can't end up here by accident.
+
+const STORAGE_KEY = 'stellar-anchor-auth:session';
+const VERSION = 1;
+
+const isLive = (token, now) => {
+  const expiresAt = tokenExpiry(token);
+  return Boolean(token) && (expiresAt === null || expiresAt > now);
+};
+
+// Tokens that haven't expired yet, by anchor id
+const liveTokens = (tokens = {}, now = Date.now()) =>
+  Object.fromEntries(Object.entries(tokens).filter(([, token]) => isLive(token, now)));
+
+const pickTransfer = (transfer) => (transfer?.transactionId
+  ? {
+      anchorId: transfer.anchorId,
+      mode: transfer.mode,
+      transactionId: transfer.transactionId,
+      interactiveUrl: transfer.interactiveUrl || '',
+      step: transfer.step,
+      assetCode: transfer.assetCode,
+      amount: transfer.amount || ''
+    }
+  : null);
+
+// The saved session, without expired tokens or a transfer nobody is signed
+// in to follow any more. Null when there is nothing to resume.
+export function loadSession(storage = window.localStorage) {
+  let saved;
+  try {
+    saved = JSON.parse(storage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+  if (!saved || saved.version !== VERSION) {
+    return null;
+  }
+
+  const tokens = liveTokens(saved.tokens);
+  if (Object.keys(tokens).length === 0) {
+    storage.removeItem(STORAGE_KEY);
+    return null;
+  }
+  const transfer = pickTransfer(saved.transfer);
+  return {
+    anchorId: saved.anchorId || null,
+    publicKey: saved.publicKey || '',
+    signerId: saved.signerId || null,
+    idType: saved.idType || 'none',
+    userId: saved.userId || '',
+    tokens,
+    transfer: transfer && tokens[transfer.anchorId] ? transfer : null
+  };
+}
+
+export function saveSession(session, storage = window.localStorage) {
+  const tokens = liveTokens(session.tokens);
+  if (Object.keys(tokens).length === 0) {
+    clearSession(storage);
+    return;
+  }
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({
+      version: VERSION,
+      anchorId: session.anchorId,
+      publicKey: session.publicKey,
+      signerId: session.signerId,
+      idType: session.idType,
+      userId: session.userId,
+      tokens,
+      transfer: pickTransfer(session.transfer)
+    }));
+  } catch (err) {
+    // Full or disabled storage only costs the resume after a reload
+    console.warn('Could not save the session:', err.message);
+  }
+}
+
+export function clearSession(storage = window.localStorage) {
+  try {
+    storage.removeItem(STORAGE_KEY);
+  } catch {
+    // Nothing saved to clear
+  }
+}
@@ -0,0 +1,93 @@
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { isConnected, requestAccess, signTransaction } from '@stellar/freighter-api';
+import { apiRequest } from './api';
+
+// Every signature the app needs (SEP-10 challenges, withdrawal payments) goes
+// through one of these signers. A signer looks like:
+//   { id, label, hint, needsSecret, connect?(), sign(xdr, options) -> signed XDR }
+// where options are { networkPassphrase, publicKey, secretKey, description,
+// onRequest, signal }.
+
+// Pasting a secret key into a web page is for local development only
+export const SECRET_KEY_ENABLED = import.meta.env.VITE_ENABLE_SECRET_KEY === 'true';
+
+const SEP7_POLL_INTERVAL_MS = 2000;
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new Error('Signing cancelled'));
+  }, { once: true });
+});
+
+const localSigner = {
+  id: 'local',
+  label: 'Secret key (dev only)',
+  hint: 'Signs in this browser with a pasted secret key. Never use a real account.',
+  needsSecret: true,
+  async sign(xdr, { networkPassphrase, secretKey }) {
+    const txn = StellarSdk.TransactionBuilder.fromXDR(xdr, networkPassphrase);
+    txn.sign(StellarSdk.Keypair.fromSecret(secretKey));
+    return txn.toEnvelope().toXDR('base64');
+  }
+};
+
+const freighterSigner = {
+  id: 'freighter',
+  label: 'Freighter',
+  hint: 'Signs with the Freighter browser extension.',
+  async connect() {
+    if (!(await isConnected()).isConnected) {
+      throw new Error('Freighter is not installed in this browser');
+    }
+    const { address, error } = await requestAccess();
+    if (error) {
+      throw new Error(error.message || 'Freighter refused access');
+    }
+    return address;
+  },
+  async sign(xdr, { networkPassphrase, publicKey }) {
+    const { signedTxXdr, error } = await signTransaction(xdr, { networkPassphrase, address: publicKey });
+    if (error) {
+      throw new Error(error.message || 'Freighter did not sign the transaction');
+    }
+    return signedTxXdr;
+  }
+};
+
+// The backend turns the transaction into a web+stellar:tx URI; the wallet
+// POSTs the signed XDR to the backend and we poll for it. onRequest receives
+// the request (to show as a link and QR code) and null once it is over.
+const sep7Signer = {
+  id: 'sep7',
+  label: 'Wallet app (SEP-7)',
+  hint: 'Open a link or scan a QR code with any SEP-7 wallet.',
+  async sign(xdr, { networkPassphrase, publicKey, description, onRequest, signal }) {
+    const request = await apiRequest('/api/sep7/requests', {
+      body: { transaction: xdr, networkPassphrase, account: publicKey, description },
+      fallbackError: 'Failed to create signing request'
+    });
+    onRequest?.(request);
+
+    try {
+      while (Date.now() < Date.parse(request.expiresAt)) {
+        await wait(SEP7_POLL_INTERVAL_MS, signal);
+        const status = await apiRequest(`/api/sep7/requests/${request.id}`, {
+          method: 'GET',
+          fallbackError: 'Failed to check signing request'
+        });
+        if (status.status === 'signed') {
+          return status.signedTransaction;
+        }
+      }
+      throw new Error('Signing request expired before the wallet signed it');
+    } finally {
+      onRequest?.(null);
+    }
+  }
+};
+
+export const SIGNERS = [freighterSigner, sep7Signer, ...(SECRET_KEY_ENABLED ? [localSigner] : [])];
+
+export const getSigner = (id) => SIGNERS.find((signer) => signer.id === id) || SIGNERS[0];
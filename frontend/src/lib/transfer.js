@@ -0,0 +1,36 @@
+// Client-side checks against the backend's parsed SEP-24 /info, so the
+// deposit and withdraw buttons explain what's wrong before the backend
+// refuses it. Mirrors backend/lib/sep24.js checkTransfer.
+
+export const infoAsset = (info, mode, assetCode) =>
+  info?.[mode === 'deposit' ? 'deposit' : 'withdraw'].find((asset) => asset.code === assetCode) || null;
+
+// Every asset that can be deposited or withdrawn, for the asset dropdown
+export const infoAssetCodes = (info) =>
+  [...new Set([...(info?.deposit || []), ...(info?.withdraw || [])].map((asset) => asset.code))];
+
+// Why this transfer can't start, or null
+export function transferProblem(info, mode, assetCode, amount) {
+  if (!info) {
+    return null;
+  }
+  const asset = infoAsset(info, mode, assetCode);
+  if (!asset) {
+    return `The anchor does not support ${mode}s of ${assetCode}`;
+  }
+  if (amount === '' || amount === undefined || amount === null) {
+    return null;
+  }
+
+  const value = Number(amount);
+  if (!/^\d+(\.\d{1,7})?$/.test(String(amount)) || !(value > 0)) {
+    return 'Amount must be a positive number with at most 7 decimals';
+  }
+  if (asset.minAmount !== null && value < asset.minAmount) {
+    return `Minimum ${mode} is ${asset.minAmount} ${assetCode}`;
+  }
+  if (asset.maxAmount !== null && value > asset.maxAmount) {
+    return `Maximum ${mode} is ${asset.maxAmount} ${assetCode}`;
+  }
+  return null;
+}
@@ -12,6 +12,10 @@ export default defineConfig({
         target: "http://localhost:3001",
         changeOrigin: true,
       },
+      "/readyz": {
+        target: "http://localhost:3001",
+        changeOrigin: true,
+      },
     },
   },
 });